@@ -1,12 +1,21 @@
 import { Server } from "socket.io";
+import mongoose from "mongoose";
 import { verifyAccessToken } from "../utils/jwt.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import {
     checkMessageRateLimit,
     validateChatAccess,
     saveMessageToDatabase,
+    claimChatAttachments,
     createChatRoom,
+    validateCallAccess,
+    getIceServers,
 } from "../utils/socketHelpers.js";
+import { MAX_DOCUMENTS_PER_UPLOAD } from "../middleware/upload.js";
+
+// Signalling events relayed between the two sides of a call
+const CALL_SIGNAL_EVENTS = ["call_offer", "call_answer", "call_ice_candidate", "call_media_state"];
 
 export const initializeSocket = (server) => {
     const io = new Server(server, {
@@ -22,6 +31,28 @@ export const initializeSocket = (server) => {
     // Store active users and chat rooms
     const activeUsers = new Map();
     const activeChatRooms = new Map();
+    // consultationId -> { participants (userId -> socketId), closesAt, timer }
+    const activeCalls = new Map();
+
+    // Close a call for everyone in it (e.g. when the booked window is over)
+    const endCall = (consultationId, reason) => {
+        const call = activeCalls.get(consultationId);
+        if (!call) {
+            return;
+        }
+
+        const room = `call_${consultationId}`;
+        clearTimeout(call.timer);
+        activeCalls.delete(consultationId);
+        io.to(room).emit("call_ended", { consultationId, reason });
+        io.in(room).socketsLeave(room);
+        console.log(`Call ended for consultation ${consultationId} (${reason})`);
+    };
+
+    // Direct requests need a verified email address. Looked up on each request
+    // since the user may verify it after the socket connected.
+    const hasVerifiedEmail = async (userId) =>
+        (await User.exists({ _id: userId, isEmailVerified: true })) !== null;
 
     // Socket authentication middleware
     io.use(async (socket, next) => {
@@ -35,9 +66,11 @@ export const initializeSocket = (server) => {
             }
 
             const decoded = verifyAccessToken(token);
-            const user = await User.findById(decoded.id).select(
-                "-password -refreshToken"
-            );
+            if (!(await Session.findActiveForToken(decoded))) {
+                return next(new Error("Session has ended"));
+            }
+
+            const user = await User.findById(decoded.id).select("-password");
 
             if (!user || !user.isActive) {
                 return next(new Error("User not found or inactive"));
@@ -144,12 +177,15 @@ export const initializeSocket = (server) => {
             console.log(`   Data:`, messageData);
 
             try {
-                const { chatId, content, messageType = "text" } = messageData;
+                const { chatId, content = "", tempId } = messageData;
+                const attachmentTokens = Array.isArray(messageData.attachmentTokens)
+                    ? messageData.attachmentTokens.filter((token) => typeof token === "string")
+                    : [];
                 console.log(`   Chat ID: ${chatId}`);
                 console.log(`   Content: ${content}`);
-                console.log(`   Message Type: ${messageType}`);
+                console.log(`   Attachments: ${attachmentTokens.length}`);
 
-                if (!content || content.trim().length === 0) {
+                if (typeof content !== "string" || (content.trim().length === 0 && attachmentTokens.length === 0)) {
                     console.log(`   ❌ Empty message content`);
                     socket.emit("error", {
                         message: "Message content cannot be empty",
@@ -157,6 +193,13 @@ export const initializeSocket = (server) => {
                     return;
                 }
 
+                if (attachmentTokens.length > MAX_DOCUMENTS_PER_UPLOAD) {
+                    socket.emit("error", {
+                        message: `You can attach up to ${MAX_DOCUMENTS_PER_UPLOAD} files to a message.`,
+                    });
+                    return;
+                }
+
                 if (content.length > 1000) {
                     socket.emit("error", {
                         message: "Message too long. Maximum 1000 characters.",
@@ -185,20 +228,49 @@ export const initializeSocket = (server) => {
                     return;
                 }
 
+                // Swap the upload tokens for the files they were issued for
+                let attachments = [];
+                if (attachmentTokens.length > 0) {
+                    attachments = await claimChatAttachments(
+                        chatId,
+                        socket.userId,
+                        attachmentTokens
+                    );
+                    if (!attachments) {
+                        socket.emit("error", {
+                            message: "Attachment not found or expired. Please upload it again.",
+                        });
+                        return;
+                    }
+                }
+
+                // Attachment-only messages are described by their file names
+                const messageContent =
+                    content.trim() || attachments.map((a) => a.originalName).join(", ").slice(0, 1000);
+                const messageType =
+                    attachments.length === 0
+                        ? "text"
+                        : attachments.every((a) => a.mimetype.startsWith("image/"))
+                          ? "image"
+                          : "file";
+
                 // Save message to database
                 const savedMessage = await saveMessageToDatabase(
                     chatId,
                     socket.userId,
-                    content,
-                    messageType
+                    messageContent,
+                    messageType,
+                    attachments
                 );
 
                 // Broadcast message to all users in the chat room
                 const messageToSend = {
                     _id: savedMessage._id,
                     chatId,
+                    tempId,
                     content: savedMessage.content,
                     messageType: savedMessage.messageType,
+                    attachments: savedMessage.attachments,
                     sender: {
                         _id: socket.userId,
                         name: socket.userName,
@@ -214,6 +286,7 @@ export const initializeSocket = (server) => {
                 // Send confirmation to sender
                 socket.emit("message_sent", {
                     success: true,
+                    tempId,
                     messageId: savedMessage._id,
                     timestamp: savedMessage.timestamp,
                 });
@@ -260,18 +333,185 @@ export const initializeSocket = (server) => {
             });
         });
 
-        // Handle consultation updates
-        socket.on("consultation_update", (data) => {
-            const { participants, updateData } = data;
-            participants.forEach((participantId) => {
-                if (participantId !== socket.userId) {
-                    socket
-                        .to(`user_${participantId}`)
-                        .emit("consultation_updated", updateData);
+        // consultation_updated events are emitted by the consultation controller
+        // after each change is saved, so clients cannot relay arbitrary updates
+
+        // Is this socket the one its user is in the call with?
+        const isInCall = (call) => call?.participants.get(socket.userId) === socket.id;
+
+        // Remove this socket from a call and tell the other side
+        const leaveCall = (consultationId) => {
+            const call = activeCalls.get(consultationId);
+            if (!isInCall(call)) {
+                return;
+            }
+
+            const room = `call_${consultationId}`;
+            call.participants.delete(socket.userId);
+            socket.leave(room);
+            socket.to(room).emit("call_peer_left", {
+                consultationId,
+                userId: socket.userId,
+            });
+
+            if (call.participants.size === 0) {
+                clearTimeout(call.timer);
+                activeCalls.delete(consultationId);
+            }
+        };
+
+        // Handle joining an in-app consultation call (WebRTC). The server only
+        // relays signalling, and only between participants during the booking.
+        // Each participant is in the call from one socket at a time; joining
+        // from another tab or device takes over from the earlier one.
+        socket.on("call_join", async (data = {}) => {
+            const { consultationId } = data;
+
+            if (typeof consultationId !== "string" || !mongoose.isValidObjectId(consultationId)) {
+                socket.emit("call_error", {
+                    consultationId,
+                    message: "Invalid consultation",
+                });
+                return;
+            }
+
+            try {
+                const consultation = await validateCallAccess(
+                    consultationId,
+                    socket.userId
+                );
+
+                if (!consultation) {
+                    socket.emit("call_error", {
+                        consultationId,
+                        message:
+                            "This call is only open to the consultation participants during the booked time",
+                    });
+                    return;
+                }
+
+                let call = activeCalls.get(consultationId);
+                if (isInCall(call)) {
+                    return;
+                }
+                if (call && call.participants.size >= 2 && !call.participants.has(socket.userId)) {
+                    socket.emit("call_error", {
+                        consultationId,
+                        message: "This call already has two participants",
+                    });
+                    return;
+                }
+
+                const room = `call_${consultationId}`;
+                const previousSocketId = call?.participants.get(socket.userId);
+                if (previousSocketId) {
+                    // Hang up the user's earlier socket; the other side sees
+                    // them leave and join again
+                    io.to(previousSocketId).emit("call_ended", { consultationId, reason: "joined_elsewhere" });
+                    io.in(previousSocketId).socketsLeave(room);
+                    call.participants.delete(socket.userId);
+                    io.to(room).emit("call_peer_left", {
+                        consultationId,
+                        userId: socket.userId,
+                    });
                 }
+
+                if (!call) {
+                    const { closesAt } = consultation.getCallWindow();
+                    call = {
+                        participants: new Map(),
+                        closesAt,
+                        timer: setTimeout(
+                            () => endCall(consultationId, "window_closed"),
+                            closesAt.getTime() - Date.now()
+                        ),
+                    };
+                    activeCalls.set(consultationId, call);
+                }
+
+                socket.join(room);
+                call.participants.set(socket.userId, socket.id);
+
+                socket.emit("call_joined", {
+                    consultationId,
+                    consultationType: consultation.consultationType,
+                    title: consultation.title,
+                    closesAt: call.closesAt,
+                    peerPresent: call.participants.size > 1,
+                    iceServers: getIceServers(),
+                });
+
+                const participant = {
+                    _id: socket.userId,
+                    name: socket.userName,
+                    role: socket.userRole,
+                };
+
+                if (call.participants.size > 1) {
+                    // The participant already waiting starts the offer
+                    socket.to(room).emit("call_peer_joined", {
+                        consultationId,
+                        user: participant,
+                    });
+                } else {
+                    // Ring the other participant wherever they are in the app
+                    const otherUserId =
+                        consultation.citizen.toString() === socket.userId
+                            ? consultation.lawyer
+                            : consultation.citizen;
+                    io.to(`user_${otherUserId}`).emit("incoming_call", {
+                        consultationId,
+                        title: consultation.title,
+                        consultationType: consultation.consultationType,
+                        from: participant,
+                        timestamp: new Date(),
+                    });
+                }
+
+                console.log(`${socket.userName} joined call for consultation ${consultationId}`);
+            } catch (error) {
+                console.error("Call join error:", error);
+                socket.emit("call_error", {
+                    consultationId,
+                    message: "Failed to join call",
+                });
+            }
+        });
+
+        // Relay offer/answer/ICE candidates and mute state to the other participant
+        CALL_SIGNAL_EVENTS.forEach((eventName) => {
+            socket.on(eventName, (data = {}) => {
+                const { consultationId } = data;
+                const call = activeCalls.get(consultationId);
+
+                if (!isInCall(call)) {
+                    socket.emit("call_error", {
+                        consultationId,
+                        message: "You are not in this call",
+                    });
+                    return;
+                }
+
+                if (Date.now() > call.closesAt.getTime()) {
+                    endCall(consultationId, "window_closed");
+                    return;
+                }
+
+                socket.to(`call_${consultationId}`).emit(eventName, {
+                    consultationId,
+                    sdp: data.sdp,
+                    candidate: data.candidate,
+                    audioEnabled: data.audioEnabled,
+                    videoEnabled: data.videoEnabled,
+                    from: socket.userId,
+                });
             });
         });
 
+        socket.on("call_leave", (data = {}) => {
+            leaveCall(data.consultationId);
+        });
+
         // Handle case assignments and chat room creation
         socket.on("case_assigned", async (data) => {
             try {
@@ -371,6 +611,11 @@ export const initializeSocket = (server) => {
             try {
                 const { lawyerId, message } = data;
 
+                if (!(await hasVerifiedEmail(socket.userId))) {
+                    socket.emit("error", { message: "Please verify your email address to send message requests" });
+                    return;
+                }
+
                 // Create direct chat room
                 const participants = [
                     { user: socket.userId, role: socket.userRole },
@@ -416,6 +661,13 @@ export const initializeSocket = (server) => {
                 console.log(`   Message: ${message}`);
                 console.log(`   Connection Type: ${connectionType}`);
 
+                if (!(await hasVerifiedEmail(socket.userId))) {
+                    socket.emit("connection_request_error", {
+                        message: "Please verify your email address to send connection requests",
+                    });
+                    return;
+                }
+
                 // Import DirectConnection model
                 const { default: DirectConnection } = await import("../models/DirectConnection.js");
 
@@ -622,6 +874,13 @@ export const initializeSocket = (server) => {
             });
             console.log(`   ✅ Removed from ${removedFromChats} chat rooms`);
 
+            // Hang up any call this socket was in
+            activeCalls.forEach((call, consultationId) => {
+                if (isInCall(call)) {
+                    leaveCall(consultationId);
+                }
+            });
+
             // Broadcast offline status
             socket.broadcast.emit("user_status_update", {
                 userId: socket.userId,
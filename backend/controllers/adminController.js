@@ -2,7 +2,11 @@ import User from "../models/User.js";
 import Query from "../models/Query.js";
 import Dispute from "../models/Dispute.js";
 import Chat from "../models/Chat.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import Session from "../models/Session.js";
 import { validationResult } from "express-validator";
+import { emailUser, getClientUrl } from "../utils/emailService.js";
 
 // Helper function to clean user data based on role
 const cleanUserData = (user) => {
@@ -10,7 +14,6 @@ const cleanUserData = (user) => {
 
     // Always remove sensitive fields
     delete userData.password;
-    delete userData.refreshToken;
 
     // Role-specific field cleaning
     switch (userData.role) {
@@ -114,13 +117,8 @@ export const getDashboardAnalytics = async (req, res) => {
             })
         );
 
-        // Dummy revenue stats (can be replaced with actual payment integration)
-        const dummyRevenue = {
-            totalRevenue: 125000,
-            monthlyRevenue: 15000,
-            growthRate: 12.5,
-            averageConsultationFee: 1500,
-        };
+        // Revenue from the payment ledger (payments less refunds)
+        const revenue = await LedgerEntry.getRevenueSummary();
 
         res.json({
             success: true,
@@ -139,7 +137,7 @@ export const getDashboardAnalytics = async (req, res) => {
                     disputes: recentDisputes,
                 },
                 monthlyStats,
-                revenue: dummyRevenue,
+                revenue,
             },
         });
     } catch (error) {
@@ -197,7 +195,7 @@ export const getAllUsers = async (req, res) => {
 
         // Get users with manual pagination
         const users = await User.find(query)
-            .select("-password -refreshToken")
+            .select("-password")
             .populate({
                 path: "connections.userId",
                 select: "name email role",
@@ -243,19 +241,20 @@ export const getPendingLawyerVerifications = async (req, res) => {
     try {
         const { page = 1, limit = 10 } = req.query;
 
-        const pendingLawyers = await User.find({
+        // Rejected lawyers drop out of the queue until they resubmit documents
+        const pendingFilter = {
             role: "lawyer",
             isVerified: false,
-        })
-            .select("-password -refreshToken")
+            "lawyerDetails.verificationStatus": { $ne: "rejected" },
+        };
+
+        const pendingLawyers = await User.find(pendingFilter)
+            .select("-password")
             .sort({ createdAt: -1 })
             .skip((page - 1) * limit)
             .limit(parseInt(limit));
 
-        const total = await User.countDocuments({
-            role: "lawyer",
-            isVerified: false,
-        });
+        const total = await User.countDocuments(pendingFilter);
 
         // Clean lawyer data
         const cleanedLawyers = pendingLawyers.map(lawyer => cleanUserData(lawyer));
@@ -318,11 +317,13 @@ export const updateLawyerVerification = async (req, res) => {
         // Update verification status directly on isVerified field
         lawyer.isVerified = verificationStatus === "verified";
 
+        if (!lawyer.lawyerDetails) {
+            lawyer.lawyerDetails = {};
+        }
+        lawyer.lawyerDetails.verificationStatus = verificationStatus;
+
         // Store rejection reason or approval notes
         if (reason || notes) {
-            if (!lawyer.lawyerDetails) {
-                lawyer.lawyerDetails = {};
-            }
             lawyer.lawyerDetails.verificationNotes = reason || notes;
         }
 
@@ -331,7 +332,16 @@ export const updateLawyerVerification = async (req, res) => {
         // Clean lawyer data before sending response
         const cleanedLawyer = cleanUserData(lawyer);
 
-        // TODO: Send email notification to lawyer about verification status
+        if (verificationStatus === "verified") {
+            emailUser(lawyer, "lawyerVerified", {
+                casesUrl: getClientUrl("/lawyer/available-cases"),
+            });
+        } else {
+            emailUser(lawyer, "lawyerRejected", {
+                reason: reason || notes,
+                profileUrl: getClientUrl("/profile"),
+            });
+        }
 
         res.json({
             success: true,
@@ -372,6 +382,10 @@ export const toggleUserStatus = async (req, res) => {
         user.isActive = isActive;
         await user.save();
 
+        if (!isActive) {
+            await Session.revokeAllForUser(user._id, "account_deactivated");
+        }
+
         // Clean user data
         const cleanedUser = cleanUserData(user);
 
@@ -391,6 +405,91 @@ export const toggleUserStatus = async (req, res) => {
     }
 };
 
+// Reset a user's two-factor authentication (e.g. after losing their device)
+// and sign them out everywhere. They sign in with their password until they
+// enrol again; admins are asked to enrol at their next sign-in.
+export const resetUserTwoFactor = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { userId } = req.params;
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        // An admin's own second factor can only be reset by another admin
+        if (user._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: "Cannot reset your own two-factor authentication",
+            });
+        }
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is not enabled for this user",
+            });
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(
+            userId,
+            { twoFactor: { enabled: false } },
+            { new: true, runValidators: false }
+        );
+        await Session.revokeAllForUser(user._id, "two_factor_reset");
+
+        await SecurityEvent.record(req, user._id, "two_factor_reset", req.body.reason);
+
+        emailUser(user, "twoFactorReset", { loginUrl: getClientUrl("/login") });
+
+        res.json({
+            success: true,
+            message: "Two-factor authentication reset successfully",
+            data: { user: cleanUserData(updatedUser) },
+        });
+    } catch (error) {
+        console.error("Reset two-factor error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to reset two-factor authentication",
+        });
+    }
+};
+
+// Get a user's security audit trail (most recent first)
+export const getUserSecurityEvents = async (req, res) => {
+    try {
+        const events = await SecurityEvent.find({ user: req.params.userId })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate("actor", "name email role");
+
+        res.json({
+            success: true,
+            data: { events },
+        });
+    } catch (error) {
+        console.error("Get security events error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get security events",
+        });
+    }
+};
+
 // Get system statistics
 export const getSystemStats = async (req, res) => {
     try {
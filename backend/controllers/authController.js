@@ -1,17 +1,101 @@
 import User from "../models/User.js";
-import { generateTokenPair, verifyRefreshToken } from "../utils/jwt.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import {
+    generateTokenPair,
+    verifyRefreshToken,
+    getTokenExpiry,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
+} from "../utils/jwt.js";
 import { verifyCaptcha } from "../utils/captcha.js";
+import { emailUser, getClientUrl } from "../utils/emailService.js";
+import {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateBackupCodes,
+    hashBackupCode,
+    isBackupCodeFormat,
+} from "../utils/totp.js";
+import { renderQrCodeSvg } from "../utils/qrCode.js";
+import {
+    LOGIN_SECURITY_FIELDS,
+    getLockoutMinutesLeft,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    hashReportToken,
+} from "../utils/loginSecurity.js";
 import { validationResult } from "express-validator";
 import crypto from "crypto";
 import bcrypt from "bcryptjs";
 
+const PASSWORD_RESET_TTL_MINUTES = 10;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+// Name authenticator apps show next to the account
+const TWO_FACTOR_ISSUER = "Case Management System";
+const TWO_FACTOR_SECRET_FIELDS = "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.backupCodes";
+const LOGIN_HISTORY_LIMIT = 20;
+// lawyerDetails a lawyer may set themselves; verification state and the
+// review rating are managed elsewhere
+const EDITABLE_LAWYER_FIELDS = [
+    "barRegistrationNumber",
+    "specialization",
+    "experience",
+    "education",
+    "consultationFee",
+    "bio",
+    "licenseNumber",
+    "practiceAreas",
+    "courtAdmissions",
+];
+
+// The editable part of submitted lawyerDetails
+const pickEditableLawyerDetails = (lawyerDetails) =>
+    Object.fromEntries(
+        Object.entries(lawyerDetails).filter(([key]) => EDITABLE_LAWYER_FIELDS.includes(key))
+    );
+
+// 429 response for a locked account
+const sendAccountLocked = (res, minutes) =>
+    res.status(429).json({
+        success: false,
+        message: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        accountLocked: true,
+    });
+
+// New email verification token: the raw token goes in the emailed link, only
+// its hash is stored
+const createEmailVerificationToken = () => {
+    const token = crypto.randomBytes(32).toString("hex");
+    return {
+        token,
+        tokenHash: crypto.createHash("sha256").update(token).digest("hex"),
+        expires: Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    };
+};
+
+const sendVerificationEmail = (user, token) =>
+    emailUser(user, "verifyEmail", {
+        verifyUrl: getClientUrl(`/verify-email?token=${token}`),
+        expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    });
+
 // Helper function to clean user data based on role
 const cleanUserData = (user) => {
     const userData = user.toObject();
 
     // Always remove sensitive fields
     delete userData.password;
-    delete userData.refreshToken;
+    delete userData.emailVerificationToken;
+    delete userData.emailVerificationExpires;
+    if (userData.twoFactor) {
+        delete userData.twoFactor.secret;
+        delete userData.twoFactor.pendingSecret;
+        delete userData.twoFactor.lastUsedStep;
+        delete userData.twoFactor.backupCodes;
+    }
 
     // Role-specific field cleaning
     switch (userData.role) {
@@ -57,6 +141,103 @@ const cleanUserData = (user) => {
     return userData;
 };
 
+// Set the access and refresh token cookies
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    // Set cookie options
+    const cookieOptions = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    };
+
+    // Set cookies
+    res.cookie("accessToken", accessToken, {
+        ...cookieOptions,
+        maxAge: 24 * 60 * 60 * 1000,
+    }); // 1 day
+    res.cookie("refreshToken", refreshToken, cookieOptions);
+};
+
+// Start a session for the device making the request and issue its tokens.
+// Both tokens carry the session ID, so revoking the session ends them.
+const startSession = async (req, user) => {
+    const session = new Session({
+        user: user._id,
+        userAgent: req.get("user-agent"),
+        ipAddress: req.ip,
+    });
+
+    const tokens = generateTokenPair({
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        sid: session._id,
+    });
+
+    session.refreshTokenHash = Session.hashToken(tokens.refreshToken);
+    session.expiresAt = getTokenExpiry(tokens.refreshToken);
+    await session.save();
+
+    await recordSuccessfulLogin(req, user, session);
+
+    return tokens;
+};
+
+// Start a session (tokens as cookies and in the body) and send the signed-in
+// user. `data` is added to the response data.
+const sendAuthResponse = async (req, res, user, message, data = {}) => {
+    const tokens = await startSession(req, user);
+    setAuthCookies(res, tokens);
+
+    res.json({
+        success: true,
+        message,
+        data: {
+            user: cleanUserData(user),
+            tokens,
+            ...data,
+        },
+    });
+};
+
+// Check a TOTP or backup code for a user loaded with TWO_FACTOR_SECRET_FIELDS.
+// The code is consumed atomically (time step recorded, backup code marked
+// used), so it can't be accepted twice. Returns "totp", "backup" or null.
+const consumeTwoFactorCode = async (user, code) => {
+    if (isBackupCodeFormat(code)) {
+        const codeHash = hashBackupCode(code);
+        const backupCode = user.twoFactor.backupCodes.find((c) => c.codeHash === codeHash && !c.usedAt);
+        if (!backupCode) return null;
+
+        const result = await User.updateOne(
+            { _id: user._id, "twoFactor.backupCodes": { $elemMatch: { _id: backupCode._id, usedAt: null } } },
+            { $set: { "twoFactor.backupCodes.$.usedAt": new Date() } }
+        );
+        if (result.modifiedCount !== 1) return null;
+        backupCode.usedAt = new Date();
+        return "backup";
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [
+                { "twoFactor.lastUsedStep": { $exists: false } },
+                { "twoFactor.lastUsedStep": { $lt: step } },
+            ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1 ? "totp" : null;
+};
+
+const countUnusedBackupCodes = (user) =>
+    (user.twoFactor.backupCodes || []).filter((code) => !code.usedAt).length;
+
 // Register user
 export const register = async (req, res) => {
     try {
@@ -95,7 +276,9 @@ export const register = async (req, res) => {
             });
         }
 
-        // Create user data
+        // Create user data. The account stays unverified until the emailed
+        // link is opened.
+        const verification = createEmailVerificationToken();
         const userData = {
             name,
             email,
@@ -103,13 +286,16 @@ export const register = async (req, res) => {
             role: role || "citizen",
             phone,
             address,
+            isEmailVerified: false,
+            emailVerificationToken: verification.tokenHash,
+            emailVerificationExpires: verification.expires,
         };
 
         // Add lawyer details if role is lawyer
         if (role === "lawyer") {
             if (lawyerDetails) {
                 userData.lawyerDetails = {
-                    ...lawyerDetails,
+                    ...pickEditableLawyerDetails(lawyerDetails),
                     verificationStatus: "pending",
                 };
                 // Mark role-specific details as complete if provided
@@ -141,44 +327,25 @@ export const register = async (req, res) => {
         // Create user
         const user = await User.create(userData);
 
-        // Generate tokens
-        const { accessToken, refreshToken } = generateTokenPair({
-            id: user._id,
-            email: user.email,
-            role: user.role,
-        });
+        // Sign in on this device
+        const tokens = await startSession(req, user);
+        setAuthCookies(res, tokens);
 
-        // Save refresh token to user
-        user.refreshToken = refreshToken;
-        await user.save();
-
-        // Set cookie options
-        const cookieOptions = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-            sameSite: "strict",
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        };
-
-        // Set cookies
-        res.cookie("accessToken", accessToken, {
-            ...cookieOptions,
-            maxAge: 24 * 60 * 60 * 1000,
-        }); // 1 day
-        res.cookie("refreshToken", refreshToken, cookieOptions);
+        sendVerificationEmail(user, verification.token);
 
         // Clean user data based on role
         const cleanedUser = cleanUserData(user);
 
         res.status(201).json({
             success: true,
-            message: "User registered successfully",
+            message: "User registered successfully. Please check your email to verify your address.",
             data: {
                 user: cleanedUser,
-                tokens: {
-                    accessToken,
-                    refreshToken,
-                },
+                tokens,
+                // In development, return the token for testing
+                ...(process.env.NODE_ENV === "development" && {
+                    verificationToken: verification.token,
+                }),
             },
         });
     } catch (error) {
@@ -212,7 +379,7 @@ export const login = async (req, res) => {
 
         // Check if user exists and get password
         const user = await User.findOne({ email }).select(
-            "+password +refreshToken"
+            `+password ${LOGIN_SECURITY_FIELDS}`
         );
         if (!user) {
             return res.status(401).json({
@@ -223,60 +390,52 @@ export const login = async (req, res) => {
 
         // Check if account is active
         if (!user.isActive) {
+            await recordFailedLogin(req, user, "account_deactivated");
             return res.status(401).json({
                 success: false,
                 message: "Account has been deactivated",
             });
         }
 
+        // Refuse locked accounts without checking the password
+        const lockoutMinutesLeft = getLockoutMinutesLeft(user);
+        if (lockoutMinutesLeft) {
+            await recordFailedLogin(req, user, "account_locked");
+            return sendAccountLocked(res, lockoutMinutesLeft);
+        }
+
         // Check password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
+            const lockoutMinutes = await recordFailedLogin(req, user, "invalid_password");
+            if (lockoutMinutes) {
+                return sendAccountLocked(res, lockoutMinutes);
+            }
             return res.status(401).json({
                 success: false,
                 message: "Invalid credentials",
             });
         }
 
-        // Generate new tokens
-        const { accessToken, refreshToken } = generateTokenPair({
-            id: user._id,
-            email: user.email,
-            role: user.role,
-        });
-
-        // Update refresh token without triggering full validation
-        await User.findByIdAndUpdate(user._id, { refreshToken }, { runValidators: false });
-
-        // Set cookie options
-        const cookieOptions = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-            sameSite: "strict",
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        };
-
-        // Set cookies
-        res.cookie("accessToken", accessToken, {
-            ...cookieOptions,
-            maxAge: 24 * 60 * 60 * 1000,
-        }); // 1 day
-        res.cookie("refreshToken", refreshToken, cookieOptions);
-
-        // Clean user data based on role
-        const cleanedUser = cleanUserData(user);
-
-        res.json({
-            success: true,
-            message: "Login successful",
-            data: {
-                user: cleanedUser,
-                tokens: {
-                    accessToken,
-                    refreshToken,
+        // With two-factor authentication enabled, tokens are only issued once
+        // a code has been entered. Admins must enrol before they can sign in.
+        if (user.twoFactor?.enabled || user.role === "admin") {
+            const purpose = user.twoFactor?.enabled ? "login" : "setup";
+            return res.json({
+                success: true,
+                message:
+                    purpose === "login"
+                        ? "Enter the code from your authenticator app"
+                        : "Admin accounts must set up two-factor authentication",
+                data: {
+                    twoFactorRequired: purpose === "login",
+                    twoFactorSetupRequired: purpose === "setup",
+                    challengeToken: generateTwoFactorChallengeToken(user._id, purpose),
                 },
-            },
-        });
+            });
+        }
+
+        await sendAuthResponse(req, res, user, "Login successful");
     } catch (error) {
         console.error("Login error:", error);
         res.status(500).json({
@@ -286,7 +445,8 @@ export const login = async (req, res) => {
     }
 };
 
-// Refresh access token
+// Refresh access token. The refresh token is rotated: the one presented stops
+// working, and presenting it again revokes the session it belonged to.
 export const refreshToken = async (req, res) => {
     try {
         const { refreshToken } = req.cookies || req.body;
@@ -301,48 +461,67 @@ export const refreshToken = async (req, res) => {
         // Verify refresh token
         const decoded = verifyRefreshToken(refreshToken);
 
-        // Find user and check if refresh token matches
-        const user = await User.findById(decoded.id).select("+refreshToken");
-        if (!user || user.refreshToken !== refreshToken) {
+        const session = await Session.findActiveForToken(decoded);
+        if (!session) {
             return res.status(401).json({
                 success: false,
                 message: "Invalid refresh token",
             });
         }
 
-        // Generate new tokens
-        const { accessToken, refreshToken: newRefreshToken } =
-            generateTokenPair({
-                id: user._id,
-                email: user.email,
-                role: user.role,
+        const user = await User.findById(decoded.id);
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid refresh token",
             });
+        }
 
-        // Update refresh token without triggering full validation
-        await User.findByIdAndUpdate(user._id, { refreshToken: newRefreshToken }, { runValidators: false });
+        // Generate new tokens for the same session
+        const tokens = generateTokenPair({
+            id: user._id,
+            email: user.email,
+            role: user.role,
+            sid: session._id,
+        });
 
-        // Set cookie options
-        const cookieOptions = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-            sameSite: "strict",
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        };
+        // Swap in the new token only if the presented one is still current,
+        // so two requests can't both rotate the same token
+        const result = await Session.updateOne(
+            {
+                _id: session._id,
+                refreshTokenHash: Session.hashToken(refreshToken),
+                revokedAt: null,
+            },
+            {
+                refreshTokenHash: Session.hashToken(tokens.refreshToken),
+                expiresAt: getTokenExpiry(tokens.refreshToken),
+                lastSeenAt: new Date(),
+                userAgent: req.get("user-agent"),
+                ipAddress: req.ip,
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            // An already-rotated token: someone else has a copy of it
+            await Session.updateOne(
+                { _id: session._id },
+                { revokedAt: new Date(), revokedReason: "refresh_token_reused" }
+            );
+            await SecurityEvent.record(req, user._id, "refresh_token_reused");
+
+            return res.status(401).json({
+                success: false,
+                message: "Invalid refresh token",
+            });
+        }
 
-        // Set cookies
-        res.cookie("accessToken", accessToken, {
-            ...cookieOptions,
-            maxAge: 24 * 60 * 60 * 1000,
-        }); // 1 day
-        res.cookie("refreshToken", newRefreshToken, cookieOptions);
+        setAuthCookies(res, tokens);
 
         res.json({
             success: true,
             message: "Token refreshed successfully",
-            data: {
-                accessToken,
-                refreshToken: newRefreshToken,
-            },
+            data: tokens,
         });
     } catch (error) {
         console.error("Refresh token error:", error);
@@ -353,12 +532,14 @@ export const refreshToken = async (req, res) => {
     }
 };
 
-// Logout user
+// Logout user (this device only)
 export const logout = async (req, res) => {
     try {
-        // Clear refresh token from database
-        if (req.user) {
-            await User.findByIdAndUpdate(req.user._id, { refreshToken: null });
+        if (req.authSession) {
+            await Session.updateOne(
+                { _id: req.authSession._id },
+                { revokedAt: new Date(), revokedReason: "logout" }
+            );
         }
 
         // Clear cookies
@@ -378,6 +559,169 @@ export const logout = async (req, res) => {
     }
 };
 
+// Logout user on every device
+export const logoutAll = async (req, res) => {
+    try {
+        await Session.revokeAllForUser(req.user._id, "logout_all");
+        await SecurityEvent.record(req, req.user._id, "all_sessions_revoked");
+
+        res.clearCookie("accessToken");
+        res.clearCookie("refreshToken");
+
+        res.json({
+            success: true,
+            message: "Logged out of all sessions",
+        });
+    } catch (error) {
+        console.error("Logout all error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to log out of all sessions",
+        });
+    }
+};
+
+// Get the current user's active sessions
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.findActiveForUser(req.user._id);
+
+        res.json({
+            success: true,
+            data: {
+                sessions: sessions.map((session) => ({
+                    _id: session._id,
+                    userAgent: session.userAgent,
+                    ipAddress: session.ipAddress,
+                    createdAt: session.createdAt,
+                    lastSeenAt: session.lastSeenAt,
+                    current: session._id.equals(req.authSession._id),
+                })),
+            },
+        });
+    } catch (error) {
+        console.error("Get sessions error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get sessions",
+        });
+    }
+};
+
+// Log out one of the current user's sessions
+export const revokeSession = async (req, res) => {
+    try {
+        const result = await Session.updateOne(
+            { _id: req.params.sessionId, user: req.user._id, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: "revoked_by_user" }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "Session not found",
+            });
+        }
+
+        const isCurrent = req.authSession._id.equals(req.params.sessionId);
+        if (isCurrent) {
+            res.clearCookie("accessToken");
+            res.clearCookie("refreshToken");
+        } else {
+            await SecurityEvent.record(req, req.user._id, "session_revoked");
+        }
+
+        res.json({
+            success: true,
+            message: "Session logged out",
+            data: { current: isCurrent },
+        });
+    } catch (error) {
+        console.error("Revoke session error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to log out session",
+        });
+    }
+};
+
+// Get the current user's recent sign-in attempts
+export const getLoginHistory = async (req, res) => {
+    try {
+        const attempts = await LoginAttempt.find({ user: req.user._id })
+            .select("success failureReason ipAddress userAgent newDevice reportedAt createdAt")
+            .sort({ createdAt: -1 })
+            .limit(LOGIN_HISTORY_LIMIT);
+
+        res.json({
+            success: true,
+            data: { attempts },
+        });
+    } catch (error) {
+        console.error("Get login history error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get login history",
+        });
+    }
+};
+
+// "This wasn't me" from a new-device sign-in alert: sign the account out
+// everywhere. Works without signing in, since the account may be compromised.
+export const reportLogin = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        // The link works once
+        const attempt = await LoginAttempt.findOneAndUpdate(
+            {
+                reportTokenHash: hashReportToken(req.body.token),
+                reportTokenExpires: { $gt: Date.now() },
+            },
+            {
+                reportedAt: new Date(),
+                $unset: { reportTokenHash: 1, reportTokenExpires: 1 },
+            }
+        );
+
+        if (!attempt) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired link",
+            });
+        }
+
+        await Session.revokeAllForUser(attempt.user, "login_reported");
+        await SecurityEvent.record(
+            req,
+            attempt.user,
+            "suspicious_login_reported",
+            `Sign-in from ${attempt.userAgent || "unknown device"} (${attempt.ipAddress || "unknown IP"})`
+        );
+
+        res.clearCookie("accessToken");
+        res.clearCookie("refreshToken");
+
+        res.json({
+            success: true,
+            message: "Your account has been signed out everywhere",
+        });
+    } catch (error) {
+        console.error("Report login error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to report sign-in",
+        });
+    }
+};
+
 // Get current user
 export const getCurrentUser = async (req, res) => {
     try {
@@ -417,12 +761,12 @@ export const updateProfile = async (req, res) => {
         const { name, phone, address, lawyerDetails } = req.body;
         const updateData = { name, phone, address };
 
-        // Update lawyer details if user is a lawyer
+        // Update lawyer details if user is a lawyer. Fields are set one by one so
+        // the rest of lawyerDetails is kept; only EDITABLE_LAWYER_FIELDS can change.
         if (req.user.role === "lawyer" && lawyerDetails) {
-            updateData.lawyerDetails = {
-                ...req.user.lawyerDetails,
-                ...lawyerDetails,
-            };
+            Object.entries(pickEditableLawyerDetails(lawyerDetails)).forEach(([key, value]) => {
+                updateData[`lawyerDetails.${key}`] = value;
+            });
         }
 
         const user = await User.findByIdAndUpdate(req.user._id, updateData, {
@@ -475,12 +819,17 @@ export const forgotPassword = async (req, res) => {
         const resetToken = crypto.randomBytes(32).toString("hex");
         const resetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex");
 
-        // Set reset token and expiry (10 minutes) without triggering full validation
+        // Set reset token and expiry without triggering full validation
         await User.findByIdAndUpdate(user._id, {
             passwordResetToken: resetTokenHash,
-            passwordResetExpires: Date.now() + 10 * 60 * 1000
+            passwordResetExpires: Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
         }, { runValidators: false });
 
+        emailUser(user, "passwordReset", {
+            resetUrl: getClientUrl(`/reset-password?token=${resetToken}`),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+        });
+
         // In development, return the token for testing
         if (process.env.NODE_ENV === "development") {
             return res.json({
@@ -493,9 +842,6 @@ export const forgotPassword = async (req, res) => {
             });
         }
 
-        // In production, send email (implement email service)
-        // await sendPasswordResetEmail(user.email, resetToken);
-
         res.json({
             success: true,
             message: "If an account with that email exists, a password reset link has been sent.",
@@ -509,6 +855,93 @@ export const forgotPassword = async (req, res) => {
     }
 };
 
+// Verify email address from the emailed link
+export const verifyEmail = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const tokenHash = crypto.createHash("sha256").update(req.body.token).digest("hex");
+
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: tokenHash,
+                emailVerificationExpires: { $gt: Date.now() },
+            },
+            {
+                isEmailVerified: true,
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+            },
+            { new: true, runValidators: false }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired verification link",
+            });
+        }
+
+        emailUser(user, "welcome", {
+            role: user.role,
+            dashboardUrl: getClientUrl(`/${user.role}/dashboard`),
+        });
+
+        res.json({
+            success: true,
+            message: "Email address verified successfully",
+            data: { user: cleanUserData(user) },
+        });
+    } catch (error) {
+        console.error("Verify email error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify email address",
+        });
+    }
+};
+
+// Send a new verification link (replaces any earlier one)
+export const resendVerificationEmail = async (req, res) => {
+    try {
+        if (req.user.isEmailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: "Email address is already verified",
+            });
+        }
+
+        const verification = createEmailVerificationToken();
+        await User.findByIdAndUpdate(req.user._id, {
+            emailVerificationToken: verification.tokenHash,
+            emailVerificationExpires: verification.expires,
+        }, { runValidators: false });
+
+        sendVerificationEmail(req.user, verification.token);
+
+        res.json({
+            success: true,
+            message: `Verification email sent to ${req.user.email}`,
+            // In development, return the token for testing
+            ...(process.env.NODE_ENV === "development" && {
+                data: { verificationToken: verification.token },
+            }),
+        });
+    } catch (error) {
+        console.error("Resend verification email error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to send verification email",
+        });
+    }
+};
+
 // Reset password
 export const resetPassword = async (req, res) => {
     try {
@@ -543,8 +976,10 @@ export const resetPassword = async (req, res) => {
         user.password = newPassword; // Will be hashed by pre-save middleware
         user.passwordResetToken = undefined;
         user.passwordResetExpires = undefined;
-        user.refreshToken = null; // Invalidate all sessions
+        // Proving access to the email address lifts any lockout
+        user.loginSecurity = { failedAttempts: 0, lockoutCount: 0, lockedUntil: undefined };
         await user.save({ validateBeforeSave: false });
+        await Session.revokeAllForUser(user._id, "password_reset");
 
         res.json({
             success: true,
@@ -587,8 +1022,8 @@ export const updatePassword = async (req, res) => {
 
         // Update password
         user.password = newPassword; // Will be hashed by pre-save middleware
-        user.refreshToken = null; // Invalidate all sessions
         await user.save({ validateBeforeSave: false });
+        await Session.revokeAllForUser(user._id, "password_changed");
 
         res.json({
             success: true,
@@ -602,3 +1037,307 @@ export const updatePassword = async (req, res) => {
         });
     }
 };
+
+// Second login step: check the authenticator or backup code for a login challenge
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { challengeToken, code } = req.body;
+
+        let decoded;
+        try {
+            decoded = verifyTwoFactorChallengeToken(challengeToken, "login");
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: "Two-factor sign-in has expired, please sign in again",
+            });
+        }
+
+        const user = await User.findById(decoded.id).select(
+            `${TWO_FACTOR_SECRET_FIELDS} ${LOGIN_SECURITY_FIELDS}`
+        );
+        if (!user || !user.isActive || !user.twoFactor?.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: "Two-factor sign-in has expired, please sign in again",
+            });
+        }
+
+        const lockoutMinutesLeft = getLockoutMinutesLeft(user);
+        if (lockoutMinutesLeft) {
+            await recordFailedLogin(req, user, "account_locked");
+            return sendAccountLocked(res, lockoutMinutesLeft);
+        }
+
+        const method = await consumeTwoFactorCode(user, code);
+        if (!method) {
+            const lockoutMinutes = await recordFailedLogin(req, user, "invalid_two_factor_code");
+            if (lockoutMinutes) {
+                return sendAccountLocked(res, lockoutMinutes);
+            }
+            return res.status(401).json({
+                success: false,
+                message: "Invalid authentication code",
+            });
+        }
+
+        if (method === "backup") {
+            await SecurityEvent.record(req, user._id, "backup_code_used");
+        }
+
+        await sendAuthResponse(req, res, user, "Login successful", {
+            backupCodesRemaining: countUnusedBackupCodes(user),
+        });
+    } catch (error) {
+        console.error("Verify two-factor login error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify authentication code",
+        });
+    }
+};
+
+// Get two-factor authentication status
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("+twoFactor.backupCodes");
+
+        res.json({
+            success: true,
+            data: {
+                enabled: user.twoFactor.enabled,
+                enabledAt: user.twoFactor.enabledAt,
+                required: user.role === "admin",
+                backupCodesRemaining: user.twoFactor.enabled ? countUnusedBackupCodes(user) : 0,
+            },
+        });
+    } catch (error) {
+        console.error("Get two-factor status error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get two-factor status",
+        });
+    }
+};
+
+// Start two-factor enrollment: a new secret with its provisioning URI and QR code
+export const setupTwoFactor = async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is already enabled",
+            });
+        }
+
+        const secret = generateTotpSecret();
+        await User.findByIdAndUpdate(req.user._id, { "twoFactor.pendingSecret": secret }, { runValidators: false });
+
+        const otpauthUri = buildOtpauthUri({
+            secret,
+            accountName: req.user.email,
+            issuer: TWO_FACTOR_ISSUER,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUri,
+                qrCodeSvg: renderQrCodeSvg(otpauthUri),
+            },
+        });
+    } catch (error) {
+        console.error("Setup two-factor error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to start two-factor setup",
+        });
+    }
+};
+
+// Finish enrollment with a first code from the authenticator app. Returns the
+// backup codes (shown once), and signs in when enrolling during login.
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is already enabled",
+            });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: "Start two-factor setup first",
+            });
+        }
+
+        const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid authentication code",
+            });
+        }
+
+        const backupCodes = generateBackupCodes();
+        const updatedUser = await User.findByIdAndUpdate(
+            user._id,
+            {
+                twoFactor: {
+                    enabled: true,
+                    enabledAt: new Date(),
+                    secret: user.twoFactor.pendingSecret,
+                    lastUsedStep: step,
+                    backupCodes: backupCodes.map((code) => ({ codeHash: hashBackupCode(code) })),
+                },
+            },
+            { new: true, runValidators: false }
+        );
+
+        await SecurityEvent.record(req, user._id, "two_factor_enabled");
+
+        if (req.twoFactorSetupChallenge) {
+            return sendAuthResponse(req, res, updatedUser, "Two-factor authentication enabled", { backupCodes });
+        }
+
+        res.json({
+            success: true,
+            message: "Two-factor authentication enabled",
+            data: { backupCodes },
+        });
+    } catch (error) {
+        console.error("Enable two-factor error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to enable two-factor authentication",
+        });
+    }
+};
+
+// Turn off two-factor authentication (not allowed for admins)
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        if (req.user.role === "admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Two-factor authentication is required for admin accounts",
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is not enabled",
+            });
+        }
+
+        const isPasswordValid = await user.comparePassword(req.body.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                success: false,
+                message: "Password is incorrect",
+            });
+        }
+
+        if (!(await consumeTwoFactorCode(user, req.body.code))) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid authentication code",
+            });
+        }
+
+        await User.findByIdAndUpdate(user._id, { twoFactor: { enabled: false } }, { runValidators: false });
+        await SecurityEvent.record(req, user._id, "two_factor_disabled");
+
+        res.json({
+            success: true,
+            message: "Two-factor authentication disabled",
+        });
+    } catch (error) {
+        console.error("Disable two-factor error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to disable two-factor authentication",
+        });
+    }
+};
+
+// Replace the backup codes with a new set (the old ones stop working)
+export const regenerateBackupCodes = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is not enabled",
+            });
+        }
+
+        if (!(await consumeTwoFactorCode(user, req.body.code))) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid authentication code",
+            });
+        }
+
+        const backupCodes = generateBackupCodes();
+        await User.findByIdAndUpdate(
+            user._id,
+            { "twoFactor.backupCodes": backupCodes.map((code) => ({ codeHash: hashBackupCode(code) })) },
+            { runValidators: false }
+        );
+        await SecurityEvent.record(req, user._id, "backup_codes_regenerated");
+
+        res.json({
+            success: true,
+            message: "New backup codes generated",
+            data: { backupCodes },
+        });
+    } catch (error) {
+        console.error("Regenerate backup codes error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate backup codes",
+        });
+    }
+};
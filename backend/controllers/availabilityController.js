@@ -0,0 +1,174 @@
+import LawyerAvailability from "../models/LawyerAvailability.js";
+import User from "../models/User.js";
+import { validationResult } from "express-validator";
+import {
+    formatDateInZone,
+    generateSlots,
+    getLawyerBookings,
+    zonedTimeToUtc,
+} from "../utils/availability.js";
+
+const MAX_RANGE_DAYS = 31;
+
+// Get the logged-in lawyer's availability settings
+export const getMyAvailability = async (req, res) => {
+    try {
+        const availability = await LawyerAvailability.findOne({
+            lawyer: req.user._id,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                configured: availability !== null,
+                availability,
+            },
+        });
+    } catch (error) {
+        console.error("Get my availability error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get availability",
+        });
+    }
+};
+
+// Create or update the logged-in lawyer's availability settings
+export const updateMyAvailability = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const allowedFields = [
+            "timezone",
+            "weeklyHours",
+            "exceptions",
+            "holidays",
+            "slotDuration",
+            "bufferMinutes",
+            "maxConsultationsPerDay",
+            "isAcceptingBookings",
+        ];
+
+        let availability = await LawyerAvailability.findOne({
+            lawyer: req.user._id,
+        });
+        if (!availability) {
+            availability = new LawyerAvailability({ lawyer: req.user._id });
+        }
+
+        allowedFields.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                availability[field] = req.body[field];
+            }
+        });
+
+        await availability.save();
+
+        res.json({
+            success: true,
+            message: "Availability updated successfully",
+            data: {
+                configured: true,
+                availability,
+            },
+        });
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors)
+                    .map((err) => err.message)
+                    .join(", "),
+            });
+        }
+
+        console.error("Update availability error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update availability",
+        });
+    }
+};
+
+// Get bookable slots for a lawyer (public)
+export const getLawyerSlots = async (req, res) => {
+    try {
+        const { lawyerId } = req.params;
+        const { from, days = 14, duration } = req.query;
+
+        const lawyer = await User.findOne({
+            _id: lawyerId,
+            role: "lawyer",
+            isActive: true,
+            isVerified: true,
+        }).select("_id");
+
+        if (!lawyer) {
+            return res.status(404).json({
+                success: false,
+                message: "Lawyer not found",
+            });
+        }
+
+        const availability = await LawyerAvailability.findOne({ lawyer: lawyerId });
+        if (!availability) {
+            return res.json({
+                success: true,
+                data: {
+                    configured: false,
+                    days: [],
+                },
+            });
+        }
+
+        const slotLength = duration ? parseInt(duration) : availability.slotDuration;
+        if (isNaN(slotLength) || slotLength < 15 || slotLength > 180) {
+            return res.status(400).json({
+                success: false,
+                message: "Duration must be between 15 and 180 minutes",
+            });
+        }
+
+        const rangeDays = Math.min(Math.max(parseInt(days) || 14, 1), MAX_RANGE_DAYS);
+        const fromDate = /^\d{4}-\d{2}-\d{2}$/.test(from || "")
+            ? from
+            : formatDateInZone(new Date(), availability.timezone);
+        const rangeStart = zonedTimeToUtc(fromDate, "00:00", availability.timezone);
+        const rangeEnd = new Date(rangeStart.getTime() + rangeDays * 24 * 60 * 60 * 1000);
+        const toDate = formatDateInZone(
+            new Date(rangeEnd.getTime() - 1),
+            availability.timezone
+        );
+
+        const bookings = await getLawyerBookings(lawyerId, rangeStart, rangeEnd);
+        const slotDays = generateSlots(availability, bookings, {
+            fromDate,
+            toDate,
+            duration: slotLength,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                configured: true,
+                timezone: availability.timezone,
+                slotDuration: slotLength,
+                isAcceptingBookings: availability.isAcceptingBookings,
+                days: slotDays,
+            },
+        });
+    } catch (error) {
+        console.error("Get lawyer slots error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get available slots",
+        });
+    }
+};
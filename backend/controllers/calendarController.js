@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import Consultation from "../models/Consultation.js";
+import Dispute from "../models/Dispute.js";
+import { buildCalendar, buildEvent, buildUid } from "../utils/ical.js";
+import { formatDateInZone, zonedTimeToUtc } from "../utils/availability.js";
+
+// Hearing times are entered as local court time
+const HEARING_TIMEZONE = "Asia/Kolkata";
+const HEARING_DURATION_MINUTES = 60;
+// How far back the feed reaches
+const FEED_HISTORY_DAYS = 180;
+
+const CONSULTATION_STATUS_MAP = {
+    requested: "TENTATIVE",
+    proposed: "TENTATIVE",
+    scheduled: "CONFIRMED",
+    confirmed: "CONFIRMED",
+    "in-progress": "CONFIRMED",
+    completed: "CONFIRMED",
+    cancelled: "CANCELLED",
+    rescheduled: "TENTATIVE",
+};
+
+// Sequence must grow on every change so calendar apps replace the old copy
+const toSequence = (date) => Math.floor(new Date(date || 0).getTime() / 1000);
+
+// Parse "14:30", "2:30 PM" or "2 pm" into "HH:mm"; null when not a time
+const parseHearingTime = (time) => {
+    const match = (time || "").trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) {
+        return null;
+    }
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2] || "0");
+    const meridiem = match[3]?.toLowerCase();
+
+    if (meridiem === "pm" && hours < 12) hours += 12;
+    if (meridiem === "am" && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59 || (!meridiem && match[2] === undefined)) {
+        return null;
+    }
+
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+};
+
+const formatAddress = (address) => {
+    if (!address) return "";
+    return [address.street, address.city, address.state, address.pincode]
+        .filter(Boolean)
+        .join(", ");
+};
+
+// Convert a consultation into a VEVENT for the given viewer
+const consultationToEvent = (consultation, viewerId) => {
+    const isLawyer =
+        (consultation.lawyer._id || consultation.lawyer).toString() === viewerId.toString();
+    const counterpart = isLawyer ? consultation.citizen : consultation.lawyer;
+    const start = new Date(consultation.scheduledDateTime);
+    const meeting = consultation.meetingDetails || {};
+
+    const description = [
+        `${isLawyer ? "Client" : "Lawyer"}: ${counterpart?.name || "N/A"}`,
+        `Type: ${consultation.consultationType}`,
+        `Status: ${consultation.status}`,
+        consultation.description,
+        consultation.notes?.citizenNotes && `Notes: ${consultation.notes.citizenNotes}`,
+        meeting.passcode && `Passcode: ${meeting.passcode}`,
+        meeting.phoneNumber && `Phone: ${meeting.phoneNumber}`,
+    ]
+        .filter(Boolean)
+        .join("\n");
+
+    return buildEvent({
+        uid: buildUid("consultation", consultation._id),
+        start,
+        end: new Date(start.getTime() + consultation.duration * 60 * 1000),
+        summary: `Consultation: ${consultation.title}`,
+        description,
+        location: formatAddress(meeting.address) || meeting.meetingLink,
+        url: meeting.meetingLink,
+        status: CONSULTATION_STATUS_MAP[consultation.status] || "TENTATIVE",
+        sequence: toSequence(consultation.updatedAt),
+        lastModified: consultation.updatedAt,
+    });
+};
+
+// Timed event when the hearing time is known, otherwise an all-day event
+const getHearingTiming = (hearing) => {
+    const dateStr = formatDateInZone(new Date(hearing.date), HEARING_TIMEZONE);
+    const time = parseHearingTime(hearing.time);
+
+    if (!time) {
+        return { allDayDate: dateStr };
+    }
+
+    const start = zonedTimeToUtc(dateStr, time, HEARING_TIMEZONE);
+    return {
+        start,
+        end: new Date(start.getTime() + HEARING_DURATION_MINUTES * 60 * 1000),
+    };
+};
+
+// Convert every hearing of a dispute into VEVENTs
+const hearingsToEvents = (dispute) => {
+    return dispute.hearingDates
+        .filter((hearing) => hearing.date)
+        .map((hearing) => {
+            const isCancelled = ["cancelled", "postponed"].includes(hearing.status);
+
+            const description = [
+                `Dispute: ${dispute.title}`,
+                hearing.purpose && `Purpose: ${hearing.purpose}`,
+                hearing.time && `Time: ${hearing.time}`,
+                `Status: ${hearing.status}`,
+            ]
+                .filter(Boolean)
+                .join("\n");
+
+            return buildEvent({
+                uid: buildUid("hearing", dispute._id, hearing._id),
+                ...getHearingTiming(hearing),
+                summary: isCancelled
+                    ? `[${hearing.status.toUpperCase()}] Hearing: ${dispute.title}`
+                    : `Hearing: ${dispute.title}`,
+                description,
+                location: hearing.venue,
+                status: isCancelled ? "CANCELLED" : "CONFIRMED",
+                sequence: toSequence(dispute.updatedAt),
+                lastModified: dispute.updatedAt,
+            });
+        });
+};
+
+const buildFeedUrl = (req, token) => {
+    return `${req.protocol}://${req.get("host")}${req.baseUrl}/feed/${token}.ics`;
+};
+
+const sendCalendar = (res, filename, calendar) => {
+    res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "no-cache",
+    });
+    res.send(calendar);
+};
+
+// Get (and lazily create) the current user's calendar feed URL
+export const getCalendarFeedInfo = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("+calendarFeedToken");
+
+        if (!user.calendarFeedToken) {
+            user.calendarFeedToken = crypto.randomBytes(24).toString("hex");
+            await user.save({ validateBeforeSave: false });
+        }
+
+        res.json({
+            success: true,
+            data: { feedUrl: buildFeedUrl(req, user.calendarFeedToken) },
+        });
+    } catch (error) {
+        console.error("Get calendar feed error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get calendar feed",
+        });
+    }
+};
+
+// Replace the feed token, invalidating previously shared feed URLs
+export const regenerateCalendarFeed = async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString("hex");
+        await User.findByIdAndUpdate(req.user._id, { calendarFeedToken: token });
+
+        res.json({
+            success: true,
+            message: "Calendar feed URL regenerated. Old links no longer work.",
+            data: { feedUrl: buildFeedUrl(req, token) },
+        });
+    } catch (error) {
+        console.error("Regenerate calendar feed error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to regenerate calendar feed",
+        });
+    }
+};
+
+// Serve the subscribable iCal feed (authenticated by the secret token in the URL)
+export const getCalendarFeed = async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        const user = token
+            ? await User.findOne({ calendarFeedToken: token, isActive: true })
+            : null;
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "Calendar feed not found",
+            });
+        }
+
+        const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const participantQuery = { $or: [{ citizen: user._id }, { lawyer: user._id }] };
+
+        const [consultations, disputes] = await Promise.all([
+            Consultation.find({
+                ...participantQuery,
+                scheduledDateTime: { $gte: since },
+            })
+                .populate("citizen", "name")
+                .populate("lawyer", "name"),
+            Dispute.find({
+                $or: [{ citizen: user._id }, { assignedLawyer: user._id }],
+                "hearingDates.date": { $gte: since },
+            }).select("title hearingDates updatedAt"),
+        ]);
+
+        const events = [
+            ...consultations.map((consultation) =>
+                consultationToEvent(consultation, user._id)
+            ),
+            ...disputes.flatMap(hearingsToEvents),
+        ];
+
+        sendCalendar(res, "calendar.ics", buildCalendar(`${user.name} - Legal Calendar`, events));
+    } catch (error) {
+        console.error("Get calendar feed error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to build calendar feed",
+        });
+    }
+};
+
+// Download a single consultation as an .ics file
+export const downloadConsultationIcs = async (req, res) => {
+    try {
+        const consultation = await Consultation.findById(req.params.consultationId)
+            .populate("citizen", "name")
+            .populate("lawyer", "name");
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        const userId = req.user._id.toString();
+        const isParticipant =
+            consultation.citizen._id.toString() === userId ||
+            consultation.lawyer._id.toString() === userId;
+
+        if (!isParticipant && req.user.role !== "admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied",
+            });
+        }
+
+        sendCalendar(
+            res,
+            `consultation-${consultation._id}.ics`,
+            buildCalendar("Consultation", [consultationToEvent(consultation, req.user._id)])
+        );
+    } catch (error) {
+        console.error("Download consultation ics error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to export consultation",
+        });
+    }
+};
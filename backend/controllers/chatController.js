@@ -1,7 +1,12 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
 import Chat from "../models/Chat.js";
 import User from "../models/User.js";
 import Query from "../models/Query.js";
 import Dispute from "../models/Dispute.js";
+import ChatAttachment, { ATTACHMENT_TOKEN_TTL_MS } from "../models/ChatAttachment.js";
+import { removeUploadedFiles } from "../middleware/upload.js";
+import { sendStoredFile, removeStoredFiles, STORAGE_AREAS } from "../utils/storage.js";
 
 // Get user's chats
 export const getUserChats = async (req, res) => {
@@ -370,4 +375,118 @@ export const getCaseChatMessages = async (req, res) => {
             message: "Failed to get messages",
         });
     }
-};
\ No newline at end of file
+};
+// Upload files to send in a chat; returns one token per file for send_message
+export const uploadChatAttachments = async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Please choose at least one file to upload",
+            });
+        }
+
+        const chat = await Chat.exists({
+            chatId: req.params.chatId,
+            "participants.user": req.user._id,
+        });
+        if (!chat) {
+            removeUploadedFiles(files);
+            return res.status(404).json({
+                success: false,
+                message: "Chat not found",
+            });
+        }
+
+        // Drop this user's uploads that were never sent
+        const expired = await ChatAttachment.find({
+            uploadedBy: req.user._id,
+            createdAt: { $lt: new Date(Date.now() - ATTACHMENT_TOKEN_TTL_MS) },
+        });
+        if (expired.length > 0) {
+            await ChatAttachment.deleteMany({ _id: { $in: expired.map((a) => a._id) } });
+            await removeStoredFiles(STORAGE_AREAS.chats, expired.map((a) => a.filename));
+        }
+
+        const attachments = await ChatAttachment.insertMany(
+            files.map((file) => ({
+                token: crypto.randomBytes(24).toString("hex"),
+                chatId: req.params.chatId,
+                uploadedBy: req.user._id,
+                filename: file.filename,
+                originalName: file.originalname,
+                path: file.storageKey,
+                size: file.size,
+                mimetype: file.mimetype,
+            }))
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Files ready to send",
+            data: {
+                attachments: attachments.map((attachment) => ({
+                    token: attachment.token,
+                    originalName: attachment.originalName,
+                    size: attachment.size,
+                    mimetype: attachment.mimetype,
+                    expiresAt: new Date(attachment.createdAt.getTime() + ATTACHMENT_TOKEN_TTL_MS),
+                })),
+            },
+        });
+    } catch (error) {
+        console.error("Upload chat attachments error:", error);
+        removeUploadedFiles(req.files);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload files",
+        });
+    }
+};
+
+// Download a file sent in a chat (participants only)
+export const downloadChatAttachment = async (req, res) => {
+    try {
+        const { chatId, attachmentId } = req.params;
+
+        if (!mongoose.isValidObjectId(attachmentId)) {
+            return res.status(404).json({
+                success: false,
+                message: "Attachment not found",
+            });
+        }
+
+        const chat = await Chat.findOne(
+            {
+                chatId,
+                "participants.user": req.user._id,
+                "messages.attachments._id": attachmentId,
+            },
+            { "messages.$": 1 }
+        );
+        const message = chat?.messages[0];
+        const attachment = message && !message.isDeleted && message.attachments.id(attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: "Attachment not found",
+            });
+        }
+
+        await sendStoredFile(req, res, {
+            area: STORAGE_AREAS.chats,
+            filename: attachment.filename,
+            downloadName: attachment.originalName,
+            mimeType: attachment.mimetype,
+            notFoundMessage: "Attachment not found",
+        });
+    } catch (error) {
+        console.error("Download chat attachment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download attachment",
+        });
+    }
+};
@@ -3,6 +3,7 @@ import Query from "../models/Query.js";
 import Dispute from "../models/Dispute.js";
 import Chat from "../models/Chat.js";
 import DirectConnection from "../models/DirectConnection.js";
+import { buildLawyerSort, applyRatingFilter } from "../utils/lawyerSearch.js";
 
 // Get citizen dashboard stats
 export const getCitizenDashboard = async (req, res) => {
@@ -689,6 +690,7 @@ export const getAvailableLawyers = async (req, res) => {
             specialization,
             experience,
             search,
+            minRating,
             sortBy = "createdAt",
             sortOrder = "desc",
         } = req.query;
@@ -735,6 +737,8 @@ export const getAvailableLawyers = async (req, res) => {
             ];
         }
 
+        applyRatingFilter(query, minRating);
+
         // Calculate pagination
         const skip = (page - 1) * limit;
 
@@ -744,7 +748,7 @@ export const getAvailableLawyers = async (req, res) => {
         // Get lawyers with pagination
         const lawyers = await User.find(query)
             .select("name email phone lawyerDetails createdAt isActive isVerified")
-            .sort({ [sortBy]: sortOrder === "desc" ? -1 : 1 })
+            .sort(buildLawyerSort(sortBy, sortOrder))
             .skip(skip)
             .limit(parseInt(limit));
 
@@ -757,10 +761,24 @@ export const getAvailableLawyers = async (req, res) => {
         console.log("   Total matching query:", total);
         console.log("   Pages:", pages);
 
+        // Flag lawyers the citizen is already connected with (they can be booked directly)
+        const connections = await DirectConnection.find({
+            citizen: req.user._id,
+            lawyer: { $in: lawyers.map((lawyer) => lawyer._id) },
+            status: "accepted",
+            isActive: true,
+        }).select("lawyer");
+        const connectedIds = new Set(
+            connections.map((connection) => connection.lawyer.toString())
+        );
+
         res.json({
             success: true,
             data: {
-                lawyers,
+                lawyers: lawyers.map((lawyer) => ({
+                    ...lawyer.toObject(),
+                    isConnected: connectedIds.has(lawyer._id.toString()),
+                })),
                 pagination: {
                     current: parseInt(page),
                     pages,
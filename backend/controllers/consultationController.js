@@ -0,0 +1,1063 @@
+import mongoose from "mongoose";
+import Consultation from "../models/Consultation.js";
+import User from "../models/User.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import DirectConnection from "../models/DirectConnection.js";
+import LawyerAvailability from "../models/LawyerAvailability.js";
+import { validationResult } from "express-validator";
+import {
+    BLOCKING_STATUSES,
+    getBookingConflict,
+    getLawyerBookings,
+} from "../utils/availability.js";
+
+// The case a consultation is booked about, as stored: { caseType: "general" }
+// when none is given, otherwise the citizen's own query or dispute assigned to
+// the lawyer, or null when the given case isn't one
+const resolveRelatedCase = async (citizenId, lawyerId, relatedCase) => {
+    if (!relatedCase?.caseType || relatedCase.caseType === "general") {
+        return { caseType: "general" };
+    }
+
+    const { caseType, caseId } = relatedCase;
+    if (!["query", "dispute"].includes(caseType) || !mongoose.isValidObjectId(caseId)) {
+        return null;
+    }
+
+    const Model = caseType === "query" ? Query : Dispute;
+    const caseDoc = await Model.exists({
+        _id: caseId,
+        citizen: citizenId,
+        assignedLawyer: lawyerId,
+    });
+    return caseDoc ? { caseType, caseId } : null;
+};
+
+// Check whether a citizen may book a lawyer: a direct connection, or a related
+// case (already checked by resolveRelatedCase) assigned to them
+const canBookLawyer = async (citizenId, lawyerId, relatedCase) => {
+    if (relatedCase.caseType !== "general") {
+        return true;
+    }
+
+    const connection = await DirectConnection.exists({
+        citizen: citizenId,
+        lawyer: lawyerId,
+        status: "accepted",
+        isActive: true,
+    });
+    return Boolean(connection);
+};
+
+// Private case notes the lawyer keeps after a consultation
+const hiddenFieldsFor = (user) => (user.role === "citizen" ? "-notes.lawyerNotes" : "");
+
+// Check whether the user takes part in the consultation
+const isParticipant = (consultation, userId) => {
+    const citizenId = consultation.citizen._id || consultation.citizen;
+    const lawyerId = consultation.lawyer._id || consultation.lawyer;
+
+    return (
+        citizenId.toString() === userId.toString() ||
+        lawyerId.toString() === userId.toString()
+    );
+};
+
+// Check the lawyer's calendar for a proposed time (ignoring the consultation itself)
+const findBookingConflict = async (lawyerId, startTime, duration, excludeId = null) => {
+    const [availability, bookings] = await Promise.all([
+        LawyerAvailability.findOne({ lawyer: lawyerId }),
+        getLawyerBookings(
+            lawyerId,
+            startTime,
+            new Date(startTime.getTime() + 24 * 60 * 60 * 1000),
+            excludeId
+        ),
+    ]);
+
+    return getBookingConflict(availability, bookings, startTime, duration);
+};
+
+// Send a consultation_updated event to both participants
+const notifyParticipants = (req, consultation, update) => {
+    const io = req.app.get("socketio");
+    const payload = {
+        consultationId: consultation._id,
+        status: consultation.status,
+        scheduledDateTime: consultation.scheduledDateTime,
+        ...update,
+        updatedBy: {
+            _id: req.user._id,
+            name: req.user.name,
+            role: req.user.role,
+        },
+        timestamp: new Date(),
+    };
+
+    [consultation.citizen, consultation.lawyer].forEach((participant) => {
+        io.to(`user_${participant._id || participant}`).emit("consultation_updated", payload);
+    });
+};
+
+// Request a consultation with a connected lawyer (citizen only)
+export const requestConsultation = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const {
+            lawyerId,
+            title,
+            description,
+            consultationType,
+            scheduledDateTime,
+            duration,
+            agenda,
+            citizenNotes,
+            relatedCase,
+        } = req.body;
+
+        const lawyer = await User.findOne({
+            _id: lawyerId,
+            role: "lawyer",
+            isActive: true,
+            isVerified: true,
+        });
+
+        if (!lawyer) {
+            return res.status(404).json({
+                success: false,
+                message: "Lawyer not found",
+            });
+        }
+
+        const linkedCase = await resolveRelatedCase(req.user._id, lawyerId, relatedCase);
+        if (!linkedCase) {
+            return res.status(400).json({
+                success: false,
+                message: "The related case must be your own query or dispute assigned to this lawyer",
+            });
+        }
+
+        const allowed = await canBookLawyer(req.user._id, lawyerId, linkedCase);
+        if (!allowed) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only book consultations with lawyers you are connected to",
+            });
+        }
+
+        // Make sure the slot is still open in the lawyer's calendar
+        const sessionLength = duration || 30;
+        const conflict = await findBookingConflict(
+            lawyerId,
+            new Date(scheduledDateTime),
+            sessionLength
+        );
+        if (conflict) {
+            return res.status(400).json({
+                success: false,
+                message: conflict,
+            });
+        }
+
+        const consultation = await Consultation.create({
+            title,
+            description,
+            citizen: req.user._id,
+            lawyer: lawyerId,
+            relatedCase: linkedCase,
+            consultationType,
+            scheduledDateTime,
+            duration: sessionLength,
+            fee: {
+                amount: lawyer.lawyerDetails?.consultationFee || 0,
+            },
+            agenda: agenda || [],
+            notes: { citizenNotes },
+        });
+
+        await consultation.populate([
+            { path: "citizen", select: "name email" },
+            { path: "lawyer", select: "name email lawyerDetails.specialization" },
+        ]);
+
+        // Notify lawyer via Socket.io
+        const io = req.app.get("socketio");
+        io.to(`user_${lawyerId}`).emit("new_consultation_request", {
+            consultationId: consultation._id,
+            title: consultation.title,
+            consultationType: consultation.consultationType,
+            scheduledDateTime: consultation.scheduledDateTime,
+            duration: consultation.duration,
+            from: {
+                _id: req.user._id,
+                name: req.user.name,
+                role: req.user.role,
+            },
+            timestamp: new Date(),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Consultation requested successfully",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Request consultation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to request consultation",
+        });
+    }
+};
+
+// Get consultations of the current user (upcoming, past or all)
+export const getMyConsultations = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 10,
+            timeframe = "upcoming", // upcoming, past, all
+            status,
+        } = req.query;
+
+        const query = {};
+        if (req.user.role === "citizen") {
+            query.citizen = req.user._id;
+        } else if (req.user.role === "lawyer") {
+            query.lawyer = req.user._id;
+        }
+
+        const now = new Date();
+        if (timeframe === "upcoming") {
+            query.scheduledDateTime = { $gte: now };
+            query.status = { $in: BLOCKING_STATUSES };
+        } else if (timeframe === "past") {
+            query.$or = [
+                { scheduledDateTime: { $lt: now } },
+                { status: { $in: ["completed", "cancelled"] } },
+            ];
+        }
+
+        if (status && status !== "all") {
+            query.status = status;
+        }
+
+        const consultations = await Consultation.find(query)
+            .select(hiddenFieldsFor(req.user))
+            .populate("citizen", "name email phone")
+            .populate("lawyer", "name email phone lawyerDetails.specialization")
+            .populate("previousConsultation", "title scheduledDateTime")
+            .populate("followUp.consultation", "scheduledDateTime status")
+            .sort({ scheduledDateTime: timeframe === "upcoming" ? 1 : -1 })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const total = await Consultation.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                consultations,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Get consultations error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get consultations",
+        });
+    }
+};
+
+// Get the current user's consultations whose in-app call can be joined now
+export const getJoinableConsultations = async (req, res) => {
+    try {
+        const now = Date.now();
+
+        // Widest possible window: longest session plus overrun, or joining early
+        const candidates = await Consultation.find({
+            $or: [{ citizen: req.user._id }, { lawyer: req.user._id }],
+            status: { $in: ["scheduled", "confirmed", "in-progress"] },
+            consultationType: { $ne: "in-person" },
+            scheduledDateTime: {
+                $gte: new Date(now - 4 * 60 * 60 * 1000),
+                $lte: new Date(now + 60 * 60 * 1000),
+            },
+        })
+            .select(hiddenFieldsFor(req.user))
+            .populate("citizen", "name")
+            .populate("lawyer", "name")
+            .sort({ scheduledDateTime: 1 });
+
+        const consultations = candidates.filter((consultation) =>
+            consultation.isCallWindowOpen()
+        );
+
+        res.json({
+            success: true,
+            data: { consultations },
+        });
+    } catch (error) {
+        console.error("Get joinable consultations error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get joinable consultations",
+        });
+    }
+};
+
+// Get single consultation by ID
+export const getConsultationById = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+
+        const consultation = await Consultation.findById(consultationId)
+            .select(hiddenFieldsFor(req.user))
+            .populate("citizen", "name email phone")
+            .populate("lawyer", "name email phone lawyerDetails")
+            .populate("cancellation.cancelledBy", "name role")
+            .populate("previousConsultation", "title scheduledDateTime notes.summary")
+            .populate("followUp.consultation", "title scheduledDateTime status");
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (req.user.role !== "admin" && !isParticipant(consultation, req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Get consultation by ID error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get consultation",
+        });
+    }
+};
+
+// Confirm a requested consultation (lawyer only)
+export const confirmConsultation = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+        const { platform, meetingLink, meetingId, passcode, phoneNumber, address } =
+            req.body;
+
+        const consultation = await Consultation.findOne({
+            _id: consultationId,
+            lawyer: req.user._id,
+        });
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (consultation.status !== "requested") {
+            return res.status(400).json({
+                success: false,
+                message: "Only requested consultations can be confirmed",
+            });
+        }
+
+        if (new Date(consultation.scheduledDateTime) <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: "Consultation time has already passed",
+            });
+        }
+
+        consultation.status = "confirmed";
+
+        // Meeting details depend on consultation type
+        if (consultation.consultationType === "in-person") {
+            consultation.meetingDetails.platform = "in-person";
+            consultation.meetingDetails.address = address;
+        } else if (consultation.consultationType === "audio") {
+            consultation.meetingDetails.platform = platform || "phone";
+            consultation.meetingDetails.phoneNumber = phoneNumber || req.user.phone;
+        } else {
+            consultation.meetingDetails.platform = platform;
+            consultation.meetingDetails.meetingLink = meetingLink;
+            consultation.meetingDetails.meetingId = meetingId;
+            consultation.meetingDetails.passcode = passcode;
+
+            if (!meetingLink) {
+                consultation.generateMeetingLink();
+            }
+        }
+
+        // Queue reminders (sent by the background dispatcher)
+        consultation.scheduleReminders();
+
+        await consultation.save();
+
+        // Notify both participants via Socket.io
+        notifyParticipants(req, consultation, {
+            action: "confirmed",
+            meetingDetails: consultation.meetingDetails,
+        });
+
+        res.json({
+            success: true,
+            message: "Consultation confirmed successfully",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Confirm consultation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to confirm consultation",
+        });
+    }
+};
+
+// Decline a requested consultation (lawyer only)
+export const declineConsultation = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+        const { reason } = req.body;
+
+        const consultation = await Consultation.findOne({
+            _id: consultationId,
+            lawyer: req.user._id,
+        });
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (consultation.status !== "requested") {
+            return res.status(400).json({
+                success: false,
+                message: "Only requested consultations can be declined",
+            });
+        }
+
+        consultation.status = "cancelled";
+        consultation.cancellation = {
+            cancelledBy: req.user._id,
+            reason: reason || "Declined by lawyer",
+            cancelledAt: new Date(),
+        };
+
+        await consultation.save();
+
+        // Notify both participants via Socket.io
+        notifyParticipants(req, consultation, {
+            action: "declined",
+            reason: consultation.cancellation.reason,
+        });
+
+        res.json({
+            success: true,
+            message: "Consultation declined successfully",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Decline consultation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to decline consultation",
+        });
+    }
+};
+
+// Load a consultation the current user takes part in
+const findParticipantConsultation = (consultationId, userId) => {
+    return Consultation.findOne({
+        _id: consultationId,
+        $or: [{ citizen: userId }, { lawyer: userId }],
+    });
+};
+
+// Cancel a consultation (either participant, at least 2 hours before)
+export const cancelConsultation = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+        const { reason } = req.body;
+
+        const consultation = await findParticipantConsultation(
+            consultationId,
+            req.user._id
+        );
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (!consultation.canBeCancelled()) {
+            return res.status(400).json({
+                success: false,
+                message:
+                    "Consultations can only be cancelled up to 2 hours before they start",
+            });
+        }
+
+        consultation.status = "cancelled";
+        consultation.cancellation = {
+            cancelledBy: req.user._id,
+            reason,
+            cancelledAt: new Date(),
+        };
+        if (consultation.hasPendingReschedule()) {
+            consultation.reschedule.status = "withdrawn";
+        }
+        // Drop reminders that have not gone out yet
+        consultation.reminders = consultation.reminders.filter(
+            (reminder) => reminder.sent
+        );
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: "cancelled",
+            reason,
+        });
+
+        res.json({
+            success: true,
+            message: "Consultation cancelled successfully",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Cancel consultation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to cancel consultation",
+        });
+    }
+};
+
+// Propose a new time (either participant); proposing over the other side's
+// pending proposal counts as a counter-proposal
+export const proposeReschedule = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { consultationId } = req.params;
+        const { proposedDateTime, duration, reason } = req.body;
+
+        const consultation = await findParticipantConsultation(
+            consultationId,
+            req.user._id
+        );
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (!consultation.canBeRescheduled()) {
+            return res.status(400).json({
+                success: false,
+                message:
+                    "Only confirmed consultations can be rescheduled, up to 4 hours before they start",
+            });
+        }
+
+        const proposedTime = new Date(proposedDateTime);
+        const proposedDuration = duration || consultation.duration;
+
+        const conflict = await findBookingConflict(
+            consultation.lawyer,
+            proposedTime,
+            proposedDuration,
+            consultation._id
+        );
+        if (conflict) {
+            return res.status(400).json({
+                success: false,
+                message: conflict,
+            });
+        }
+
+        const isCounter =
+            consultation.hasPendingReschedule() &&
+            consultation.reschedule.requestedBy.toString() !== req.user._id.toString();
+
+        consultation.reschedule = {
+            requestedBy: req.user._id,
+            originalDateTime:
+                consultation.reschedule?.originalDateTime || consultation.scheduledDateTime,
+            proposedDateTime: proposedTime,
+            proposedDuration,
+            status: "pending",
+            reason,
+            requestedAt: new Date(),
+        };
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: isCounter ? "reschedule_countered" : "reschedule_proposed",
+            reschedule: consultation.reschedule,
+        });
+
+        res.json({
+            success: true,
+            message: isCounter
+                ? "Counter-proposal sent successfully"
+                : "Reschedule proposal sent successfully",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Propose reschedule error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to propose reschedule",
+        });
+    }
+};
+
+// Accept the other participant's reschedule proposal
+export const acceptReschedule = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+
+        const consultation = await findParticipantConsultation(
+            consultationId,
+            req.user._id
+        );
+
+        if (!consultation || !consultation.hasPendingReschedule()) {
+            return res.status(404).json({
+                success: false,
+                message: "No pending reschedule proposal found",
+            });
+        }
+
+        if (consultation.reschedule.requestedBy.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: "You cannot accept your own proposal",
+            });
+        }
+
+        const { proposedDateTime, proposedDuration } = consultation.reschedule;
+
+        if (new Date(proposedDateTime) <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: "The proposed time has already passed",
+            });
+        }
+
+        // The slot may have been taken since the proposal was made
+        const conflict = await findBookingConflict(
+            consultation.lawyer,
+            new Date(proposedDateTime),
+            proposedDuration,
+            consultation._id
+        );
+        if (conflict) {
+            return res.status(400).json({
+                success: false,
+                message: conflict,
+            });
+        }
+
+        consultation.scheduledDateTime = proposedDateTime;
+        consultation.duration = proposedDuration;
+        consultation.reschedule.status = "accepted";
+        consultation.reschedule.respondedBy = req.user._id;
+        consultation.reschedule.respondedAt = new Date();
+        consultation.scheduleReminders();
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: "rescheduled",
+            duration: consultation.duration,
+            reschedule: consultation.reschedule,
+        });
+
+        res.json({
+            success: true,
+            message: "Consultation rescheduled successfully",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Accept reschedule error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to accept reschedule",
+        });
+    }
+};
+
+// Decline the other side's proposal, or withdraw your own
+export const declineReschedule = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+
+        const consultation = await findParticipantConsultation(
+            consultationId,
+            req.user._id
+        );
+
+        if (!consultation || !consultation.hasPendingReschedule()) {
+            return res.status(404).json({
+                success: false,
+                message: "No pending reschedule proposal found",
+            });
+        }
+
+        const isOwnProposal =
+            consultation.reschedule.requestedBy.toString() === req.user._id.toString();
+
+        consultation.reschedule.status = isOwnProposal ? "withdrawn" : "declined";
+        consultation.reschedule.respondedBy = req.user._id;
+        consultation.reschedule.respondedAt = new Date();
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: isOwnProposal ? "reschedule_withdrawn" : "reschedule_declined",
+            reschedule: consultation.reschedule,
+        });
+
+        res.json({
+            success: true,
+            message: isOwnProposal
+                ? "Reschedule proposal withdrawn"
+                : "Reschedule proposal declined",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Decline reschedule error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to decline reschedule",
+        });
+    }
+};
+
+// Meeting details for a follow-up, carried over from the original session
+const followUpMeetingDetails = (consultation, lawyer) => {
+    const previous = consultation.meetingDetails || {};
+
+    if (consultation.consultationType === "in-person") {
+        return { platform: "in-person", address: previous.address };
+    }
+    if (consultation.consultationType === "audio") {
+        return {
+            platform: previous.platform || "phone",
+            phoneNumber: previous.phoneNumber || lawyer.phone,
+        };
+    }
+    // A fresh video link is generated once the citizen confirms
+    return { platform: previous.platform };
+};
+
+// Close a consultation with its outcome, optionally drafting a follow-up (lawyer only)
+export const completeConsultation = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { consultationId } = req.params;
+        const { summary, lawyerNotes, followUp } = req.body;
+
+        const consultation = await Consultation.findOne({
+            _id: consultationId,
+            lawyer: req.user._id,
+        });
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (!consultation.canBeCompleted()) {
+            return res.status(400).json({
+                success: false,
+                message: "Only booked consultations that have started can be completed",
+            });
+        }
+
+        let followUpConsultation = null;
+
+        if (followUp?.required) {
+            const followUpStart = new Date(followUp.scheduledDateTime);
+            const followUpDuration = followUp.duration || consultation.duration;
+
+            const conflict = await findBookingConflict(
+                req.user._id,
+                followUpStart,
+                followUpDuration
+            );
+            if (conflict) {
+                return res.status(400).json({
+                    success: false,
+                    message: conflict,
+                });
+            }
+
+            // Draft that only becomes a booking once the citizen confirms it
+            followUpConsultation = await Consultation.create({
+                title: `Follow-up: ${consultation.title}`.slice(0, 100),
+                description: followUp.reason,
+                citizen: consultation.citizen,
+                lawyer: req.user._id,
+                relatedCase: consultation.relatedCase,
+                consultationType: consultation.consultationType,
+                status: "proposed",
+                previousConsultation: consultation._id,
+                scheduledDateTime: followUpStart,
+                duration: followUpDuration,
+                fee: {
+                    amount: req.user.lawyerDetails?.consultationFee || 0,
+                },
+                meetingDetails: followUpMeetingDetails(consultation, req.user),
+            });
+        }
+
+        consultation.status = "completed";
+        consultation.completedAt = new Date();
+        consultation.notes.summary = summary;
+        consultation.notes.lawyerNotes = lawyerNotes;
+        consultation.followUp = followUpConsultation
+            ? {
+                  required: true,
+                  scheduledDate: followUpConsultation.scheduledDateTime,
+                  reason: followUp.reason,
+                  consultation: followUpConsultation._id,
+              }
+            : { required: false };
+        if (consultation.hasPendingReschedule()) {
+            consultation.reschedule.status = "withdrawn";
+        }
+        consultation.reminders = consultation.reminders.filter(
+            (reminder) => reminder.sent
+        );
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: followUpConsultation ? "completed_with_follow_up" : "completed",
+            summary,
+            followUp: followUpConsultation && {
+                consultationId: followUpConsultation._id,
+                scheduledDateTime: followUpConsultation.scheduledDateTime,
+                duration: followUpConsultation.duration,
+                reason: followUp.reason,
+            },
+        });
+
+        res.json({
+            success: true,
+            message: followUpConsultation
+                ? "Consultation completed and follow-up proposed to the client"
+                : "Consultation completed successfully",
+            data: { consultation, followUp: followUpConsultation },
+        });
+    } catch (error) {
+        console.error("Complete consultation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to complete consultation",
+        });
+    }
+};
+
+// Confirm a follow-up drafted by the lawyer (citizen only)
+export const acceptFollowUp = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+
+        const consultation = await Consultation.findOne({
+            _id: consultationId,
+            citizen: req.user._id,
+            status: "proposed",
+        });
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "No pending follow-up found",
+            });
+        }
+
+        if (new Date(consultation.scheduledDateTime) <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: "The proposed time has already passed",
+            });
+        }
+
+        const conflict = await findBookingConflict(
+            consultation.lawyer,
+            new Date(consultation.scheduledDateTime),
+            consultation.duration,
+            consultation._id
+        );
+        if (conflict) {
+            return res.status(400).json({
+                success: false,
+                message: conflict,
+            });
+        }
+
+        consultation.status = "confirmed";
+        if (consultation.consultationType === "video") {
+            consultation.generateMeetingLink();
+        }
+        consultation.scheduleReminders();
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: "follow_up_accepted",
+            meetingDetails: consultation.meetingDetails,
+        });
+
+        res.json({
+            success: true,
+            message: "Follow-up consultation confirmed",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Accept follow-up error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to confirm follow-up",
+        });
+    }
+};
+
+// Turn down a follow-up drafted by the lawyer (citizen only)
+export const declineFollowUp = async (req, res) => {
+    try {
+        const { consultationId } = req.params;
+        const { reason } = req.body;
+
+        const consultation = await Consultation.findOne({
+            _id: consultationId,
+            citizen: req.user._id,
+            status: "proposed",
+        });
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "No pending follow-up found",
+            });
+        }
+
+        consultation.status = "cancelled";
+        consultation.cancellation = {
+            cancelledBy: req.user._id,
+            reason: reason || "Follow-up declined by client",
+            cancelledAt: new Date(),
+        };
+
+        await consultation.save();
+
+        notifyParticipants(req, consultation, {
+            action: "follow_up_declined",
+            reason: consultation.cancellation.reason,
+        });
+
+        res.json({
+            success: true,
+            message: "Follow-up declined",
+            data: { consultation },
+        });
+    } catch (error) {
+        console.error("Decline follow-up error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to decline follow-up",
+        });
+    }
+};
+
+// Get the consultations held about a query or dispute, oldest first
+export const getCaseConsultations = async (req, res) => {
+    try {
+        const { caseType, caseId } = req.params;
+
+        if (!["query", "dispute"].includes(caseType)) {
+            return res.status(400).json({
+                success: false,
+                message: "Case type must be query or dispute",
+            });
+        }
+
+        const query = {
+            "relatedCase.caseType": caseType,
+            "relatedCase.caseId": caseId,
+        };
+        if (req.user.role === "citizen") {
+            query.citizen = req.user._id;
+        } else if (req.user.role === "lawyer") {
+            query.lawyer = req.user._id;
+        }
+
+        const consultations = await Consultation.find(query)
+            .select(hiddenFieldsFor(req.user))
+            .populate("lawyer", "name")
+            .sort({ scheduledDateTime: 1 });
+
+        res.json({
+            success: true,
+            data: { consultations },
+        });
+    } catch (error) {
+        console.error("Get case consultations error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get case consultations",
+        });
+    }
+};
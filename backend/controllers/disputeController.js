@@ -1,5 +1,6 @@
 import Dispute from '../models/Dispute.js';
 import { validationResult } from 'express-validator';
+import { emailCaseOffer } from '../utils/emailService.js';
 
 // Create a new dispute (citizen only)
 export const createDispute = async (req, res) => {
@@ -322,6 +323,10 @@ export const sendDisputeRequest = async (req, res) => {
 
     await dispute.save();
 
+    if (req.user.role === 'lawyer') {
+      emailCaseOffer(dispute, 'dispute', req.user, { message });
+    }
+
     // Send notification via Socket.io
     const io = req.app.get('socketio');
     io.emit('dispute_request_sent', {
@@ -386,6 +391,8 @@ export const offerHelpOnDispute = async (req, res) => {
     dispute.addLawyerRequest(req.user._id, message, proposedFee, estimatedDuration);
     await dispute.save();
 
+    emailCaseOffer(dispute, 'dispute', req.user, { message, proposedFee });
+
     // Send notification to citizen via Socket.io
     const io = req.app.get('socketio');
     io.emit('lawyer_request_sent', {
@@ -639,4 +646,303 @@ export const updateDisputeStatus = async (req, res) => {
       message: 'Failed to update dispute status'
     });
   }
-};
\ No newline at end of file
+};
+
+// Hearing dates are entered as calendar dates, stored at UTC midnight
+const formatHearing = (hearing) => {
+  const date = hearing.date.toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+  return hearing.time ? `${date} at ${hearing.time}` : date;
+};
+
+// Load a dispute for hearing management (assigned lawyer only)
+const findAssignedDispute = async (req, res) => {
+  const dispute = await Dispute.findById(req.params.disputeId);
+
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+    return null;
+  }
+
+  if (dispute.assignedLawyer?.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the assigned lawyer can manage hearings'
+    });
+    return null;
+  }
+
+  return dispute;
+};
+
+// Find a hearing that is still scheduled, sending the error response otherwise
+const findScheduledHearing = (dispute, req, res) => {
+  const hearing = dispute.hearingDates.id(req.params.hearingId);
+
+  if (!hearing) {
+    res.status(404).json({
+      success: false,
+      message: 'Hearing not found'
+    });
+    return null;
+  }
+
+  if (hearing.status !== 'scheduled') {
+    res.status(400).json({
+      success: false,
+      message: `Hearing is already ${hearing.status}`
+    });
+    return null;
+  }
+
+  return hearing;
+};
+
+// Push a hearing change to the citizen
+const notifyHearingUpdate = (req, dispute, hearing, action) => {
+  const io = req.app.get('socketio');
+
+  io.to(`user_${dispute.citizen}`).emit('hearing_updated', {
+    disputeId: dispute._id,
+    disputeTitle: dispute.title,
+    action,
+    hearing,
+    nextHearing: dispute.getNextHearing(),
+    updatedBy: {
+      _id: req.user._id,
+      name: req.user.name,
+      role: req.user.role
+    },
+    timestamp: new Date()
+  });
+};
+
+// Schedule a hearing (assigned lawyer only)
+export const addHearing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await findAssignedDispute(req, res);
+    if (!dispute) return;
+
+    if (['resolved', 'closed'].includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot schedule hearings for a ${dispute.status} dispute`
+      });
+    }
+
+    const { date, time, venue, purpose } = req.body;
+
+    dispute.hearingDates.push({
+      date,
+      time,
+      venue,
+      purpose,
+      createdBy: req.user._id,
+      updatedAt: new Date()
+    });
+    const hearing = dispute.hearingDates[dispute.hearingDates.length - 1];
+
+    dispute.timeline.push({
+      action: 'hearing_scheduled',
+      description: `Hearing scheduled for ${formatHearing(hearing)}${purpose ? ` (${purpose})` : ''}`,
+      performedBy: req.user._id
+    });
+
+    await dispute.save();
+    notifyHearingUpdate(req, dispute, hearing, 'scheduled');
+
+    res.status(201).json({
+      success: true,
+      message: 'Hearing scheduled successfully',
+      data: { hearing, nextHearing: dispute.nextHearing }
+    });
+  } catch (error) {
+    console.error('Add hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule hearing'
+    });
+  }
+};
+
+// Postpone a hearing, optionally to a new date (assigned lawyer only)
+export const postponeHearing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await findAssignedDispute(req, res);
+    if (!dispute) return;
+
+    const hearing = findScheduledHearing(dispute, req, res);
+    if (!hearing) return;
+
+    const { reason, newDate, newTime, venue } = req.body;
+
+    hearing.status = 'postponed';
+    hearing.reason = reason;
+    hearing.updatedAt = new Date();
+
+    let description = `Hearing on ${formatHearing(hearing)} postponed`;
+
+    if (newDate) {
+      dispute.hearingDates.push({
+        date: newDate,
+        time: newTime || hearing.time,
+        venue: venue || hearing.venue,
+        purpose: hearing.purpose,
+        createdBy: req.user._id,
+        updatedAt: new Date()
+      });
+      const newHearing = dispute.hearingDates[dispute.hearingDates.length - 1];
+      hearing.postponedTo = newHearing._id;
+      description += ` to ${formatHearing(newHearing)}`;
+    }
+
+    dispute.timeline.push({
+      action: 'hearing_postponed',
+      description: reason ? `${description}: ${reason}` : description,
+      performedBy: req.user._id
+    });
+
+    await dispute.save();
+    notifyHearingUpdate(req, dispute, hearing, 'postponed');
+
+    res.json({
+      success: true,
+      message: 'Hearing postponed successfully',
+      data: { hearing, nextHearing: dispute.nextHearing }
+    });
+  } catch (error) {
+    console.error('Postpone hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to postpone hearing'
+    });
+  }
+};
+
+// Mark a hearing as completed (assigned lawyer only)
+export const completeHearing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await findAssignedDispute(req, res);
+    if (!dispute) return;
+
+    const hearing = findScheduledHearing(dispute, req, res);
+    if (!hearing) return;
+
+    const endOfToday = new Date();
+    endOfToday.setUTCHours(23, 59, 59, 999);
+    if (hearing.date > endOfToday) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot complete a hearing before its date'
+      });
+    }
+
+    const { outcome } = req.body;
+
+    hearing.status = 'completed';
+    hearing.outcome = outcome;
+    hearing.updatedAt = new Date();
+
+    dispute.timeline.push({
+      action: 'hearing_completed',
+      description: `Hearing on ${formatHearing(hearing)} completed${outcome ? `: ${outcome}` : ''}`,
+      performedBy: req.user._id
+    });
+
+    await dispute.save();
+    notifyHearingUpdate(req, dispute, hearing, 'completed');
+
+    res.json({
+      success: true,
+      message: 'Hearing marked as completed',
+      data: { hearing, nextHearing: dispute.nextHearing }
+    });
+  } catch (error) {
+    console.error('Complete hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete hearing'
+    });
+  }
+};
+
+// Cancel a hearing (assigned lawyer only)
+export const cancelHearing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await findAssignedDispute(req, res);
+    if (!dispute) return;
+
+    const hearing = findScheduledHearing(dispute, req, res);
+    if (!hearing) return;
+
+    const { reason } = req.body;
+
+    hearing.status = 'cancelled';
+    hearing.reason = reason;
+    hearing.updatedAt = new Date();
+
+    dispute.timeline.push({
+      action: 'hearing_cancelled',
+      description: `Hearing on ${formatHearing(hearing)} cancelled${reason ? `: ${reason}` : ''}`,
+      performedBy: req.user._id
+    });
+
+    await dispute.save();
+    notifyHearingUpdate(req, dispute, hearing, 'cancelled');
+
+    res.json({
+      success: true,
+      message: 'Hearing cancelled successfully',
+      data: { hearing, nextHearing: dispute.nextHearing }
+    });
+  } catch (error) {
+    console.error('Cancel hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel hearing'
+    });
+  }
+};
@@ -0,0 +1,308 @@
+import { DOCUMENT_TYPES } from "../models/DocumentIndex.js";
+import { removeUploadedFiles } from "../middleware/upload.js";
+import { sendStoredFile, removeStoredFiles, STORAGE_AREAS } from "../utils/storage.js";
+import {
+    addDocumentVersion,
+    restoreDocumentVersion,
+    formatVersionHistory,
+    getStoredFilenames,
+} from "../utils/documentVersions.js";
+import {
+    indexUploadedDocuments,
+    reindexCaseDocument,
+    removeCaseDocumentIndex,
+} from "../utils/documentIndex.js";
+
+// These handlers run after requireCaseAccess, which loads the query or
+// dispute into req.caseDoc and checks the user may see it.
+
+// What clients get to see of a stored document (never its storage path)
+const formatDocument = (document) => ({
+    _id: document._id,
+    originalName: document.originalName,
+    documentType: document.documentType,
+    mimeType: document.mimeType,
+    size: document.size,
+    checksum: document.checksum,
+    version: document.version,
+    uploadedBy: document.uploadedBy,
+    uploadedAt: document.uploadedAt,
+});
+
+// Send a stored case file as a download
+const sendCaseFile = (req, res, file) =>
+    sendStoredFile(req, res, {
+        area: STORAGE_AREAS.cases,
+        filename: file.filename,
+        downloadName: file.originalName,
+        mimeType: file.mimeType,
+        notFoundMessage: "Document not found",
+    });
+
+// Upload documents to a query or dispute
+export const uploadCaseDocuments = async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Please choose at least one file to upload",
+            });
+        }
+
+        const documentType = req.body.documentType || "other";
+        if (!DOCUMENT_TYPES.includes(documentType)) {
+            removeUploadedFiles(files);
+            return res.status(400).json({
+                success: false,
+                message: "Invalid document type",
+            });
+        }
+
+        const caseDoc = req.caseDoc;
+        const added = [];
+        const versioned = [];
+
+        for (const file of files) {
+            const stored = {
+                filename: file.filename,
+                path: file.storageKey,
+                mimeType: file.mimetype,
+                size: file.size,
+                checksum: file.checksum,
+                uploadedBy: req.user._id,
+            };
+
+            // A file with the same name as an existing document is a new version of it
+            const existing = caseDoc.documents.find((d) => d.originalName === file.originalname);
+            if (existing) {
+                addDocumentVersion(existing, stored);
+                caseDoc.timeline.push({
+                    action: "document_version_added",
+                    description: `${req.user.name} uploaded version ${existing.version} of ${existing.originalName}`,
+                    performedBy: req.user._id,
+                });
+                if (!versioned.includes(existing)) versioned.push(existing);
+                continue;
+            }
+
+            caseDoc.documents.push({
+                ...stored,
+                originalName: file.originalname,
+                documentType,
+            });
+            added.push(caseDoc.documents[caseDoc.documents.length - 1]);
+        }
+
+        if (added.length > 0) {
+            caseDoc.timeline.push({
+                action: "documents_uploaded",
+                description: `${req.user.name} uploaded ${added.map((d) => d.originalName).join(", ")}`,
+                performedBy: req.user._id,
+            });
+        }
+
+        await caseDoc.save();
+        await indexUploadedDocuments(req.caseType, caseDoc, [...added, ...versioned], files);
+
+        res.status(201).json({
+            success: true,
+            message: `${files.length} document${files.length === 1 ? "" : "s"} uploaded`,
+            data: { documents: [...added, ...versioned].map(formatDocument) },
+        });
+    } catch (error) {
+        console.error("Upload case documents error:", error);
+        removeUploadedFiles(req.files);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload documents",
+        });
+    }
+};
+
+// List the documents of a query or dispute
+export const getCaseDocuments = async (req, res) => {
+    try {
+        await req.caseDoc.populate("documents.uploadedBy", "name role");
+
+        const documents = [...req.caseDoc.documents]
+            .sort((a, b) => b.uploadedAt - a.uploadedAt)
+            .map(formatDocument);
+
+        res.json({
+            success: true,
+            data: { documents },
+        });
+    } catch (error) {
+        console.error("Get case documents error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get documents",
+        });
+    }
+};
+
+// Download a single document
+export const downloadCaseDocument = async (req, res) => {
+    try {
+        const document = req.caseDoc.documents.id(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await sendCaseFile(req, res, document);
+    } catch (error) {
+        console.error("Download case document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download document",
+        });
+    }
+};
+
+// Delete a document (whoever uploaded it, the citizen who owns the case, or an admin)
+export const deleteCaseDocument = async (req, res) => {
+    try {
+        const caseDoc = req.caseDoc;
+        const document = caseDoc.documents.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        const userId = req.user._id.toString();
+        const canDelete =
+            req.user.role === "admin" ||
+            caseDoc.citizen.toString() === userId ||
+            document.uploadedBy?.toString() === userId;
+
+        if (!canDelete) {
+            return res.status(403).json({
+                success: false,
+                message: "Only the uploader or the case owner can delete this document",
+            });
+        }
+
+        const filenames = getStoredFilenames(document);
+        document.deleteOne();
+        caseDoc.timeline.push({
+            action: "document_deleted",
+            description: `${req.user.name} deleted ${document.originalName}`,
+            performedBy: req.user._id,
+        });
+        await caseDoc.save();
+
+        await removeStoredFiles(STORAGE_AREAS.cases, filenames);
+        await removeCaseDocumentIndex(req.caseType, document._id);
+
+        res.json({
+            success: true,
+            message: "Document deleted",
+        });
+    } catch (error) {
+        console.error("Delete case document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete document",
+        });
+    }
+};
+
+// Version history of a document, current version first
+export const getCaseDocumentVersions = async (req, res) => {
+    try {
+        await req.caseDoc.populate([
+            { path: "documents.uploadedBy", select: "name role" },
+            { path: "documents.versions.uploadedBy", select: "name role" },
+        ]);
+        const document = req.caseDoc.documents.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                document: formatDocument(document),
+                versions: formatVersionHistory(document),
+            },
+        });
+    } catch (error) {
+        console.error("Get case document versions error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get document versions",
+        });
+    }
+};
+
+// Download an older version of a document
+export const downloadCaseDocumentVersion = async (req, res) => {
+    try {
+        const document = req.caseDoc.documents.id(req.params.documentId);
+        const version = document?.versions.id(req.params.versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: "Version not found",
+            });
+        }
+
+        await sendCaseFile(req, res, version);
+    } catch (error) {
+        console.error("Download case document version error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download document",
+        });
+    }
+};
+
+// Restore an older version by making it the newest one
+export const restoreCaseDocumentVersion = async (req, res) => {
+    try {
+        const caseDoc = req.caseDoc;
+        const document = caseDoc.documents.id(req.params.documentId);
+        const restored = document && restoreDocumentVersion(document, req.params.versionId, req.user._id);
+
+        if (!restored) {
+            return res.status(404).json({
+                success: false,
+                message: "Version not found",
+            });
+        }
+
+        caseDoc.timeline.push({
+            action: "document_version_restored",
+            description: `${req.user.name} restored version ${restored.version} of ${document.originalName} as version ${document.version}`,
+            performedBy: req.user._id,
+        });
+        await caseDoc.save();
+        await reindexCaseDocument(req.caseType, caseDoc, document).catch((error) => {
+            console.error("Index case document error:", error);
+        });
+
+        res.json({
+            success: true,
+            message: `Version ${restored.version} restored`,
+            data: { document: formatDocument(document) },
+        });
+    } catch (error) {
+        console.error("Restore case document version error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to restore version",
+        });
+    }
+};
@@ -0,0 +1,27 @@
+import { populateCaseForDossier, renderCaseDossier } from "../utils/caseDossier.js";
+import { getContentDisposition } from "../utils/storage.js";
+
+// Download a query or dispute as a PDF dossier (after requireCaseAccess)
+export const downloadCaseDossier = async (req, res) => {
+    try {
+        const { caseDoc, caseType } = req;
+        await populateCaseForDossier(caseDoc, caseType);
+
+        const pdf = renderCaseDossier(caseDoc, caseType);
+        const slug = caseDoc.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+            "Content-Disposition",
+            getContentDisposition(`${caseType}-dossier-${slug || caseDoc._id}.pdf`, false)
+        );
+        res.setHeader("Content-Length", pdf.length);
+        res.send(pdf);
+    } catch (error) {
+        console.error("Download case dossier error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate case dossier",
+        });
+    }
+};
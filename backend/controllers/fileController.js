@@ -0,0 +1,36 @@
+import { verifyFileToken } from "../utils/localStorageDriver.js";
+import { getStorage, streamStoredFile } from "../utils/storage.js";
+
+// Download a file through a signed URL issued by the local storage driver
+export const downloadSignedFile = async (req, res) => {
+    try {
+        const file = verifyFileToken(req.params.token);
+
+        if (!file) {
+            return res.status(403).json({
+                success: false,
+                message: "This download link is invalid or has expired",
+            });
+        }
+
+        if (!(await getStorage().exists(file.key))) {
+            return res.status(404).json({
+                success: false,
+                message: "File not found",
+            });
+        }
+
+        await streamStoredFile(res, {
+            key: file.key,
+            downloadName: file.name,
+            mimeType: file.type,
+            inline: file.inline,
+        });
+    } catch (error) {
+        console.error("Download signed file error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download file",
+        });
+    }
+};
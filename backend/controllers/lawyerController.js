@@ -3,6 +3,9 @@ import Query from "../models/Query.js";
 import Dispute from "../models/Dispute.js";
 import Chat from "../models/Chat.js";
 import DirectConnection from "../models/DirectConnection.js";
+import LawyerAvailability from "../models/LawyerAvailability.js";
+import { buildLawyerSort, applyRatingFilter } from "../utils/lawyerSearch.js";
+import { emailUser, emailCaseOffer, getClientUrl } from "../utils/emailService.js";
 
 // Get all verified lawyers
 export const getVerifiedLawyers = async (req, res) => {
@@ -13,6 +16,7 @@ export const getVerifiedLawyers = async (req, res) => {
             specialization,
             experience,
             search,
+            minRating,
             sortBy = "createdAt",
             sortOrder = "desc",
         } = req.query;
@@ -61,9 +65,10 @@ export const getVerifiedLawyers = async (req, res) => {
             ];
         }
 
+        applyRatingFilter(query, minRating);
+
         // Sort options
-        const sortOptions = {};
-        sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+        const sortOptions = buildLawyerSort(sortBy, sortOrder);
 
         console.log("🔍 Final query before execution:", query);
         console.log("📊 Sort options:", sortOptions);
@@ -81,7 +86,7 @@ export const getVerifiedLawyers = async (req, res) => {
         console.log("   Active & Verified lawyers:", activeAndVerifiedLawyers);
 
         const lawyers = await User.find(query)
-            .select("-password -refreshToken -messageRequests")
+            .select("-password -messageRequests")
             .sort(sortOptions)
             .skip((page - 1) * limit)
             .limit(parseInt(limit));
@@ -122,7 +127,7 @@ export const getLawyerProfile = async (req, res) => {
             role: "lawyer",
             isActive: true,
             isVerified: true,
-        }).select("-password -refreshToken -messageRequests");
+        }).select("-password -messageRequests");
 
         if (!lawyer) {
             return res.status(404).json({
@@ -132,7 +137,7 @@ export const getLawyerProfile = async (req, res) => {
         }
 
         // Get lawyer's statistics
-        const [resolvedQueries, resolvedDisputes, totalRating] =
+        const [resolvedQueries, resolvedDisputes, availability] =
             await Promise.all([
                 Query.countDocuments({
                     assignedLawyer: lawyerId,
@@ -142,8 +147,9 @@ export const getLawyerProfile = async (req, res) => {
                     assignedLawyer: lawyerId,
                     status: "resolved",
                 }),
-                // TODO: Calculate average rating from consultations
-                Promise.resolve(4.5), // Dummy rating for now
+                LawyerAvailability.findOne({ lawyer: lawyerId }).select(
+                    "timezone weeklyHours slotDuration isAcceptingBookings"
+                ),
             ]);
 
         const lawyerWithStats = {
@@ -152,8 +158,18 @@ export const getLawyerProfile = async (req, res) => {
                 resolvedQueries,
                 resolvedDisputes,
                 totalCases: resolvedQueries + resolvedDisputes,
-                rating: totalRating,
+                rating: lawyer.lawyerDetails?.rating?.average || 0,
+                reviewCount: lawyer.lawyerDetails?.rating?.count || 0,
             },
+            availability: availability
+                ? {
+                      configured: true,
+                      timezone: availability.timezone,
+                      weeklyHours: availability.weeklyHours,
+                      slotDuration: availability.slotDuration,
+                      isAcceptingBookings: availability.isAcceptingBookings,
+                  }
+                : { configured: false },
         };
 
         res.json({
@@ -240,6 +256,8 @@ export const offerHelpOnCase = async (req, res) => {
 
         await caseDoc.save();
 
+        emailCaseOffer(caseDoc, caseType, req.user, { message, proposedFee });
+
         // Send real-time notification to citizen
         const io = req.app.get("socketio");
         io.to(`user_${caseDoc.citizen}`).emit("new_lawyer_offer", {
@@ -559,6 +577,11 @@ export const acceptClientConnection = async (req, res) => {
 
         await Promise.all([lawyer.save(), citizen.save()]);
 
+        emailUser(citizen, "connectionAccepted", {
+            lawyerName: req.user.name,
+            chatUrl: getClientUrl("/citizen/connected-lawyers"),
+        });
+
         // Send real-time notification
         const io = req.app.get("socketio");
         io.to(`user_${citizenId}`).emit("connection_accepted", {
@@ -971,6 +994,12 @@ export const acceptDirectConnectionRequest = async (req, res) => {
             await chat.save();
         }
 
+        emailUser(connection.citizen, "connectionAccepted", {
+            lawyerName: req.user.name,
+            responseMessage,
+            chatUrl: getClientUrl(`/chat/${connection.chatId}`),
+        });
+
         // Send real-time notification to citizen
         const io = req.app.get("socketio");
         if (io) {
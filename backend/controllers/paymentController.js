@@ -0,0 +1,729 @@
+import mongoose from "mongoose";
+import Payment, { PAYMENT_STATUSES, PAYMENT_PURPOSES } from "../models/Payment.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import Consultation from "../models/Consultation.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import { validationResult } from "express-validator";
+import {
+    getPaymentGateway,
+    getGatewayByName,
+    WEBHOOK_EVENT_TYPES,
+} from "../utils/paymentGateways.js";
+
+const OPEN_PAYMENT_STATUSES = ["requires_payment", "processing", "failed"];
+
+const PAYMENT_POPULATE = [
+    { path: "payer", select: "name email" },
+    { path: "payee", select: "name email" },
+    { path: "consultation", select: "title scheduledDateTime status" },
+];
+
+// Tell both sides that a payment changed
+const notifyPaymentUpdate = (io, payment, event) => {
+    const payload = {
+        paymentId: payment._id,
+        event,
+        status: payment.status,
+        amount: payment.amount,
+        amountRefunded: payment.amountRefunded,
+        currency: payment.currency,
+        purpose: payment.purpose,
+        consultationId: payment.consultation?._id || payment.consultation,
+        description: payment.description,
+        timestamp: new Date(),
+    };
+
+    [payment.payer, payment.payee].forEach((participant) => {
+        io.to(`user_${participant._id || participant}`).emit("payment_updated", payload);
+    });
+};
+
+// Write a ledger entry; returns false if the gateway reference was already recorded
+const recordLedgerEntry = async (payment, type, amount, gatewayReference) => {
+    try {
+        await LedgerEntry.create({
+            payment: payment._id,
+            type,
+            amount: type === "refund" ? -amount : amount,
+            currency: payment.currency,
+            purpose: payment.purpose,
+            payer: payment.payer._id || payment.payer,
+            payee: payment.payee._id || payment.payee,
+            gateway: payment.gateway,
+            gatewayReference,
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Keep the consultation's fee status in step with its payment
+const syncConsultationFee = async (payment, paymentStatus) => {
+    if (payment.purpose !== "consultation" || !payment.consultation) {
+        return;
+    }
+    await Consultation.updateOne(
+        { _id: payment.consultation._id || payment.consultation },
+        { "fee.paymentStatus": paymentStatus, updatedAt: Date.now() }
+    );
+};
+
+// Apply a verified gateway event. Events may be delivered more than once,
+// so every branch is a no-op when the payment has already moved on.
+const applyGatewayEvent = async (io, gatewayName, event) => {
+    const payment = await Payment.findOne({
+        gateway: gatewayName,
+        gatewayPaymentId: event.gatewayPaymentId,
+    });
+    if (!payment) {
+        return null;
+    }
+
+    switch (event.type) {
+        case "payment.succeeded": {
+            if (!OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+                return payment;
+            }
+            await recordLedgerEntry(payment, "payment", payment.amount, payment.gatewayPaymentId);
+            payment.status = "succeeded";
+            payment.paidAt = new Date();
+            payment.failureReason = undefined;
+            await payment.save();
+            await syncConsultationFee(payment, "paid");
+            notifyPaymentUpdate(io, payment, "payment_succeeded");
+            break;
+        }
+
+        case "payment.failed": {
+            if (!["requires_payment", "processing"].includes(payment.status)) {
+                return payment;
+            }
+            payment.status = "failed";
+            payment.failureReason = event.failureReason || "Payment failed";
+            await payment.save();
+            notifyPaymentUpdate(io, payment, "payment_failed");
+            break;
+        }
+
+        case "refund.succeeded": {
+            const refund = payment.refunds.find(
+                (r) => r.gatewayRefundId === event.gatewayRefundId
+            );
+            if (!refund || refund.status !== "pending") {
+                return payment;
+            }
+            if (!(await recordLedgerEntry(payment, "refund", refund.amount, refund.gatewayRefundId))) {
+                return payment;
+            }
+
+            // Settle the refund and add it to the total in one update, matched
+            // on it still being pending, so concurrent events for other
+            // refunds of this payment can't overwrite each other's totals
+            const updated = await Payment.findOneAndUpdate(
+                {
+                    _id: payment._id,
+                    refunds: { $elemMatch: { gatewayRefundId: refund.gatewayRefundId, status: "pending" } },
+                },
+                {
+                    $set: {
+                        "refunds.$.status": "succeeded",
+                        "refunds.$.completedAt": new Date(),
+                        updatedAt: Date.now(),
+                    },
+                    $inc: { amountRefunded: refund.amount },
+                },
+                { new: true }
+            );
+            if (!updated) {
+                return payment;
+            }
+
+            // Only the update that brought the total to its current value sets the status
+            updated.status = updated.amountRefunded >= updated.amount ? "refunded" : "partially_refunded";
+            await Payment.updateOne(
+                { _id: updated._id, amountRefunded: updated.amountRefunded },
+                { status: updated.status }
+            );
+            if (updated.status === "refunded") {
+                await syncConsultationFee(updated, "refunded");
+            }
+            notifyPaymentUpdate(io, updated, "refund_succeeded");
+            return updated;
+        }
+
+        case "refund.failed": {
+            const updated = await Payment.findOneAndUpdate(
+                {
+                    _id: payment._id,
+                    refunds: { $elemMatch: { gatewayRefundId: event.gatewayRefundId, status: "pending" } },
+                },
+                {
+                    $set: {
+                        "refunds.$.status": "failed",
+                        "refunds.$.completedAt": new Date(),
+                        updatedAt: Date.now(),
+                    },
+                },
+                { new: true }
+            );
+            if (!updated) {
+                return payment;
+            }
+            notifyPaymentUpdate(io, updated, "refund_failed");
+            return updated;
+        }
+    }
+
+    return payment;
+};
+
+// Can the user see this payment?
+const isPaymentParticipant = (payment, user) => {
+    return (
+        user.role === "admin" ||
+        (payment.payer._id || payment.payer).toString() === user._id.toString() ||
+        (payment.payee._id || payment.payee).toString() === user._id.toString()
+    );
+};
+
+// Create (or reuse) the payment for a consultation fee (citizen only)
+export const createConsultationPayment = async (req, res) => {
+    try {
+        const consultation = await Consultation.findOne({
+            _id: req.params.consultationId,
+            citizen: req.user._id,
+        });
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                message: "Consultation not found",
+            });
+        }
+
+        if (["requested", "proposed", "cancelled"].includes(consultation.status)) {
+            return res.status(400).json({
+                success: false,
+                message: "Consultations can be paid for once they are confirmed",
+            });
+        }
+
+        if (!consultation.fee?.amount) {
+            return res.status(400).json({
+                success: false,
+                message: "This consultation has no fee",
+            });
+        }
+
+        if (consultation.fee.paymentStatus !== "pending") {
+            return res.status(400).json({
+                success: false,
+                message: `This consultation has already been ${consultation.fee.paymentStatus}`,
+            });
+        }
+
+        let payment = await Payment.findOne({
+            consultation: consultation._id,
+            status: { $in: OPEN_PAYMENT_STATUSES },
+        });
+
+        if (!payment) {
+            payment = await Payment.create({
+                payer: req.user._id,
+                payee: consultation.lawyer,
+                purpose: "consultation",
+                consultation: consultation._id,
+                relatedCase:
+                    consultation.relatedCase?.caseType !== "general"
+                        ? consultation.relatedCase
+                        : undefined,
+                description: `Consultation: ${consultation.title}`.slice(0, 200),
+                amount: consultation.fee.amount,
+                currency: consultation.fee.currency,
+                requestedBy: req.user._id,
+            });
+        }
+
+        await payment.populate(PAYMENT_POPULATE);
+
+        res.status(201).json({
+            success: true,
+            message: "Payment created",
+            data: { payment },
+        });
+    } catch (error) {
+        console.error("Create consultation payment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create payment",
+        });
+    }
+};
+
+// Ask the citizen on an assigned case to pay a fee (lawyer only)
+export const requestCaseFee = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { caseType, caseId, amount, description } = req.body;
+        const CaseModel = caseType === "query" ? Query : Dispute;
+        const caseDoc = await CaseModel.findOne({
+            _id: caseId,
+            assignedLawyer: req.user._id,
+        });
+
+        if (!caseDoc) {
+            return res.status(404).json({
+                success: false,
+                message: "Case not found or not assigned to you",
+            });
+        }
+
+        const payment = await Payment.create({
+            payer: caseDoc.citizen,
+            payee: req.user._id,
+            purpose: "case_fee",
+            relatedCase: { caseType, caseId: caseDoc._id },
+            description: description || `Fee for ${caseType}: ${caseDoc.title}`.slice(0, 200),
+            amount,
+            requestedBy: req.user._id,
+        });
+
+        await payment.populate(PAYMENT_POPULATE);
+
+        // Notify citizen via Socket.io
+        const io = req.app.get("socketio");
+        io.to(`user_${caseDoc.citizen}`).emit("payment_requested", {
+            paymentId: payment._id,
+            amount: payment.amount,
+            currency: payment.currency,
+            description: payment.description,
+            caseType,
+            caseId: caseDoc._id,
+            requestedBy: {
+                _id: req.user._id,
+                name: req.user.name,
+                role: req.user.role,
+            },
+            timestamp: new Date(),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Fee request sent to the citizen",
+            data: { payment },
+        });
+    } catch (error) {
+        console.error("Request case fee error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to request fee",
+        });
+    }
+};
+
+// Start checkout with the configured gateway (payer only)
+export const startCheckout = async (req, res) => {
+    try {
+        const payment = await Payment.findOne({
+            _id: req.params.paymentId,
+            payer: req.user._id,
+        });
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: "Payment not found",
+            });
+        }
+
+        if (!payment.canBePaid()) {
+            return res.status(400).json({
+                success: false,
+                message: `This payment is ${payment.status.replace(/_/g, " ")}`,
+            });
+        }
+
+        if (payment.purpose === "consultation") {
+            const consultation = await Consultation.findById(payment.consultation);
+            if (!consultation || consultation.status === "cancelled") {
+                payment.status = "cancelled";
+                await payment.save();
+                return res.status(400).json({
+                    success: false,
+                    message: "This consultation has been cancelled",
+                });
+            }
+        }
+
+        const gateway = getPaymentGateway();
+        const intent = await gateway.createPaymentIntent({
+            paymentId: payment._id.toString(),
+            amount: payment.amount,
+            currency: payment.currency,
+            description: payment.description,
+        });
+
+        payment.gateway = gateway.name;
+        payment.gatewayPaymentId = intent.gatewayPaymentId;
+        payment.status = "processing";
+        payment.failureReason = undefined;
+        await payment.save();
+        await payment.populate(PAYMENT_POPULATE);
+
+        res.json({
+            success: true,
+            data: {
+                payment,
+                checkout: intent.checkout,
+            },
+        });
+    } catch (error) {
+        console.error("Start checkout error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to start checkout",
+        });
+    }
+};
+
+// Complete a fake-gateway checkout, as the provider's webhook would (payer only, dev)
+export const completeFakePayment = async (req, res) => {
+    try {
+        const payment = await Payment.findOne({
+            _id: req.params.paymentId,
+            payer: req.user._id,
+        });
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: "Payment not found",
+            });
+        }
+
+        if (payment.gateway !== "fake" || payment.status !== "processing") {
+            return res.status(400).json({
+                success: false,
+                message: "This payment is not awaiting a fake checkout",
+            });
+        }
+
+        const gateway = getGatewayByName("fake");
+        const webhook = gateway.simulatePayment({
+            gatewayPaymentId: payment.gatewayPaymentId,
+            amount: payment.amount,
+            outcome: req.body.outcome === "failed" ? "failed" : "succeeded",
+        });
+
+        // Go through the same verification as a real webhook delivery
+        const event = gateway.verifyWebhook(webhook);
+        const updated = await applyGatewayEvent(req.app.get("socketio"), gateway.name, event);
+        await updated.populate(PAYMENT_POPULATE);
+
+        res.json({
+            success: true,
+            message:
+                updated.status === "succeeded" ? "Payment successful" : "Payment failed",
+            data: { payment: updated },
+        });
+    } catch (error) {
+        console.error("Complete fake payment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to complete payment",
+        });
+    }
+};
+
+// Receive payment and refund events from a gateway (public, signature checked)
+export const handleGatewayWebhook = async (req, res) => {
+    try {
+        const gateway = getGatewayByName(req.params.gateway);
+        if (!gateway) {
+            return res.status(404).json({
+                success: false,
+                message: "Unknown payment gateway",
+            });
+        }
+
+        let event;
+        try {
+            event = gateway.verifyWebhook({ headers: req.headers, rawBody: req.rawBody });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        if (!WEBHOOK_EVENT_TYPES.includes(event.type)) {
+            // Acknowledge events we don't handle so the gateway stops retrying
+            return res.json({ success: true, received: true });
+        }
+
+        await applyGatewayEvent(req.app.get("socketio"), gateway.name, event);
+
+        res.json({ success: true, received: true });
+    } catch (error) {
+        console.error("Payment webhook error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to process webhook",
+        });
+    }
+};
+
+// Refund a payment in full or in part (admin or the lawyer who was paid)
+export const refundPayment = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const filter = { _id: req.params.paymentId };
+        if (req.user.role !== "admin") {
+            filter.payee = req.user._id;
+        }
+        const payment = await Payment.findOne(filter);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: "Payment not found",
+            });
+        }
+
+        const refundable = payment.getRefundableAmount();
+        if (refundable <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Nothing left to refund on this payment",
+            });
+        }
+
+        const amount = req.body.amount ?? refundable;
+        if (amount > refundable) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${refundable} ${payment.currency} can be refunded`,
+            });
+        }
+
+        const gateway = getGatewayByName(payment.gateway);
+        if (!gateway) {
+            return res.status(400).json({
+                success: false,
+                message: "This payment's gateway is not available",
+            });
+        }
+
+        // Reserve the amount before asking the gateway, so a concurrent
+        // request can't refund it as well
+        const refundId = new mongoose.Types.ObjectId();
+        const reserved = await Payment.reserveRefund(payment._id, {
+            _id: refundId,
+            amount,
+            reason: req.body.reason,
+            requestedBy: req.user._id,
+        });
+        if (!reserved) {
+            return res.status(400).json({
+                success: false,
+                message: "The refundable amount changed, please check the payment and try again",
+            });
+        }
+
+        let result;
+        try {
+            result = await gateway.refund({
+                gatewayPaymentId: payment.gatewayPaymentId,
+                amount,
+                reason: req.body.reason,
+            });
+        } catch (error) {
+            // Release the reservation
+            await Payment.updateOne(
+                { _id: payment._id, "refunds._id": refundId },
+                { "refunds.$.status": "failed", "refunds.$.completedAt": new Date() }
+            );
+            throw error;
+        }
+
+        await Payment.updateOne(
+            { _id: payment._id, "refunds._id": refundId },
+            { "refunds.$.gatewayRefundId": result.gatewayRefundId }
+        );
+
+        // Some gateways settle refunds straight away instead of via webhook
+        let updated;
+        if (result.status === "succeeded" || result.status === "failed") {
+            updated = await applyGatewayEvent(req.app.get("socketio"), gateway.name, {
+                type: `refund.${result.status}`,
+                gatewayPaymentId: payment.gatewayPaymentId,
+                gatewayRefundId: result.gatewayRefundId,
+                amount,
+            });
+        } else {
+            updated = await Payment.findById(payment._id);
+        }
+        await updated.populate(PAYMENT_POPULATE);
+
+        res.json({
+            success: true,
+            message:
+                result.status === "succeeded"
+                    ? "Refund issued"
+                    : result.status === "failed"
+                        ? "The gateway rejected the refund"
+                        : "Refund requested",
+            data: { payment: updated },
+        });
+    } catch (error) {
+        console.error("Refund payment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to refund payment",
+        });
+    }
+};
+
+// Get the user's payments (citizens: paid by them, lawyers: paid to them, admin: all)
+export const getMyPayments = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, purpose } = req.query;
+
+        // Query strings can carry arrays and objects, so only known values get into the filter
+        if (status !== undefined && !PAYMENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid payment status",
+            });
+        }
+        if (purpose !== undefined && !PAYMENT_PURPOSES.includes(purpose)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid payment purpose",
+            });
+        }
+
+        const filter = {};
+        if (req.user.role === "citizen") {
+            filter.payer = req.user._id;
+        } else if (req.user.role === "lawyer") {
+            filter.payee = req.user._id;
+        }
+        if (status) filter.status = status;
+        if (purpose) filter.purpose = purpose;
+
+        const payments = await Payment.find(filter)
+            .populate(PAYMENT_POPULATE)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Payment.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                payments,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Get payments error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get payments",
+        });
+    }
+};
+
+// Get a single payment
+export const getPaymentById = async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.paymentId).populate(
+            PAYMENT_POPULATE
+        );
+
+        if (!payment || !isPaymentParticipant(payment, req.user)) {
+            return res.status(404).json({
+                success: false,
+                message: "Payment not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { payment },
+        });
+    } catch (error) {
+        console.error("Get payment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get payment",
+        });
+    }
+};
+
+// Get ledger entries with revenue totals (admin only)
+export const getLedger = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, type } = req.query;
+
+        const filter = {};
+        if (type) filter.type = type;
+
+        const [entries, total, summary] = await Promise.all([
+            LedgerEntry.find(filter)
+                .populate("payer", "name email")
+                .populate("payee", "name email")
+                .sort({ createdAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            LedgerEntry.countDocuments(filter),
+            LedgerEntry.getRevenueSummary(),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                entries,
+                summary,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Get ledger error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get ledger",
+        });
+    }
+};
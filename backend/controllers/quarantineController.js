@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import QuarantinedFile from "../models/QuarantinedFile.js";
+import {
+    getStorage,
+    getStorageKey,
+    readStoredFile,
+    streamStoredFile,
+    STORAGE_AREAS,
+} from "../utils/storage.js";
+import { indexReleasedCaseFile } from "../utils/documentIndex.js";
+
+const findPendingFile = (fileId) => {
+    if (!mongoose.isValidObjectId(fileId)) return null;
+    return QuarantinedFile.findOne({ _id: fileId, status: "pending" });
+};
+
+const getQuarantineKey = (file) => getStorageKey(STORAGE_AREAS.quarantine, file.filename);
+
+// List quarantined uploads, pending ones by default
+export const getQuarantinedFiles = async (req, res) => {
+    try {
+        const { status = "pending", page = 1, limit = 20 } = req.query;
+        const filter = status === "all" ? {} : { status };
+
+        const [files, total] = await Promise.all([
+            QuarantinedFile.find(filter)
+                .populate("uploadedBy", "name email role")
+                .populate("reviewedBy", "name")
+                .sort({ createdAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            QuarantinedFile.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                files,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Get quarantined files error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get quarantined files",
+        });
+    }
+};
+
+// Download a quarantined file for inspection (always as an attachment, never inline)
+export const downloadQuarantinedFile = async (req, res) => {
+    try {
+        const file = await findPendingFile(req.params.fileId);
+        if (!file || !(await getStorage().exists(getQuarantineKey(file)))) {
+            return res.status(404).json({
+                success: false,
+                message: "Quarantined file not found",
+            });
+        }
+
+        await streamStoredFile(res, {
+            key: getQuarantineKey(file),
+            downloadName: file.originalName,
+            mimeType: "application/octet-stream",
+        });
+    } catch (error) {
+        console.error("Download quarantined file error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download file",
+        });
+    }
+};
+
+// Release a file to where it was uploaded, making it downloadable again
+export const releaseQuarantinedFile = async (req, res) => {
+    try {
+        const file = await findPendingFile(req.params.fileId);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: "Quarantined file not found",
+            });
+        }
+
+        const storage = getStorage();
+        const quarantineKey = getQuarantineKey(file);
+        await storage.put(getStorageKey(file.area, file.filename), await readStoredFile(quarantineKey));
+        await storage.remove(quarantineKey);
+
+        file.status = "released";
+        file.reviewedBy = req.user._id;
+        file.reviewedAt = new Date();
+        await file.save();
+
+        // Released case documents become searchable
+        await indexReleasedCaseFile(file).catch((error) => {
+            console.error("Index released file error:", error);
+        });
+
+        res.json({
+            success: true,
+            message: "File released",
+            data: { file },
+        });
+    } catch (error) {
+        console.error("Release quarantined file error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to release file",
+        });
+    }
+};
+
+// Delete a quarantined file for good. The record that referred to it stays,
+// and downloads of it answer 404.
+export const deleteQuarantinedFile = async (req, res) => {
+    try {
+        const file = await findPendingFile(req.params.fileId);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: "Quarantined file not found",
+            });
+        }
+
+        await getStorage().remove(getQuarantineKey(file));
+
+        file.status = "deleted";
+        file.reviewedBy = req.user._id;
+        file.reviewedAt = new Date();
+        await file.save();
+
+        res.json({
+            success: true,
+            message: "File deleted",
+            data: { file },
+        });
+    } catch (error) {
+        console.error("Delete quarantined file error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete file",
+        });
+    }
+};
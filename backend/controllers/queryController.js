@@ -1,5 +1,6 @@
 import Query from "../models/Query.js";
 import { validationResult } from "express-validator";
+import { emailCaseOffer } from "../utils/emailService.js";
 
 // Create a new query (citizen only)
 export const createQuery = async (req, res) => {
@@ -324,6 +325,10 @@ export const sendQueryRequest = async (req, res) => {
 
         await query.save();
 
+        if (req.user.role === "lawyer") {
+            emailCaseOffer(query, "query", req.user, { message });
+        }
+
         // Send notification via Socket.io
         const io = req.app.get("socketio");
         io.emit("query_request_sent", {
@@ -388,6 +393,8 @@ export const offerHelpOnQuery = async (req, res) => {
         query.addLawyerRequest(req.user._id, message, proposedFee, estimatedDuration);
         await query.save();
 
+        emailCaseOffer(query, "query", req.user, { message, proposedFee });
+
         // Send notification to citizen via Socket.io
         const io = req.app.get("socketio");
         io.emit("lawyer_request_sent", {
@@ -0,0 +1,412 @@
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Consultation from "../models/Consultation.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import User from "../models/User.js";
+import { validationResult } from "express-validator";
+
+const RESOLVED_CASE_STATUSES = ["resolved", "closed"];
+
+const SORT_OPTIONS = {
+    recent: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+};
+
+// Reviews are public, so only show the reviewer's first name and last initial
+const formatReviewerName = (name = "") => {
+    const [first, ...rest] = name.trim().split(/\s+/);
+    const last = rest.pop();
+    return last ? `${first} ${last[0].toUpperCase()}.` : first || "Anonymous";
+};
+
+// Load the consultation or case a citizen wants to review
+const findReviewableSource = async (source, sourceId, citizenId) => {
+    if (source === "consultation") {
+        const consultation = await Consultation.findOne({
+            _id: sourceId,
+            citizen: citizenId,
+        });
+
+        if (!consultation) {
+            return { status: 404, message: "Consultation not found" };
+        }
+        if (!consultation.hasEnded()) {
+            return {
+                status: 400,
+                message: "You can review a consultation once it has taken place",
+            };
+        }
+
+        return { lawyer: consultation.lawyer, title: consultation.title, consultation };
+    }
+
+    const CaseModel = source === "query" ? Query : Dispute;
+    const caseItem = await CaseModel.findOne({ _id: sourceId, citizen: citizenId });
+
+    if (!caseItem) {
+        return { status: 404, message: "Case not found" };
+    }
+    if (!caseItem.assignedLawyer || !RESOLVED_CASE_STATUSES.includes(caseItem.status)) {
+        return {
+            status: 400,
+            message: "You can review a case once it has been resolved",
+        };
+    }
+
+    return { lawyer: caseItem.assignedLawyer, title: caseItem.title };
+};
+
+// Count reviews per star rating for a lawyer
+const getRatingDistribution = async (lawyerId) => {
+    const groups = await Review.aggregate([
+        { $match: { lawyer: new mongoose.Types.ObjectId(lawyerId) } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    groups.forEach((group) => {
+        distribution[group._id] = group.count;
+    });
+    return distribution;
+};
+
+// Review a completed consultation or resolved case (citizen only)
+export const createReview = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { source, sourceId, rating, comment } = req.body;
+
+        const target = await findReviewableSource(source, sourceId, req.user._id);
+        if (target.status) {
+            return res.status(target.status).json({
+                success: false,
+                message: target.message,
+            });
+        }
+
+        const existingReview = await Review.findOne({
+            citizen: req.user._id,
+            source,
+            sourceId,
+        });
+        if (existingReview) {
+            return res.status(400).json({
+                success: false,
+                message: `You have already reviewed this ${source}`,
+            });
+        }
+
+        const review = await Review.create({
+            lawyer: target.lawyer,
+            citizen: req.user._id,
+            source,
+            sourceId,
+            sourceTitle: target.title,
+            rating,
+            comment,
+        });
+
+        // Keep the consultation's own feedback in sync
+        if (target.consultation) {
+            target.consultation.feedback = {
+                ...target.consultation.feedback,
+                citizenRating: rating,
+                citizenReview: comment,
+            };
+            await target.consultation.save();
+        }
+
+        const lawyerRating = await Review.updateLawyerRating(target.lawyer);
+
+        const io = req.app.get("socketio");
+        io.to(`user_${target.lawyer}`).emit("new_review", {
+            reviewId: review._id,
+            rating,
+            source,
+            sourceTitle: target.title,
+            citizen: {
+                _id: req.user._id,
+                name: req.user.name,
+            },
+            timestamp: new Date(),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Thank you for your review",
+            data: { review, lawyerRating },
+        });
+    } catch (error) {
+        // Two submissions racing past the duplicate check
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: `You have already reviewed this ${req.body.source}`,
+            });
+        }
+
+        console.error("Create review error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to submit review",
+        });
+    }
+};
+
+// Get the public reviews of a lawyer
+export const getLawyerReviews = async (req, res) => {
+    try {
+        const { lawyerId } = req.params;
+        const { page = 1, limit = 10, sort = "recent" } = req.query;
+
+        const lawyer = await User.findOne({
+            _id: lawyerId,
+            role: "lawyer",
+            isActive: true,
+        }).select("lawyerDetails.rating");
+
+        if (!lawyer) {
+            return res.status(404).json({
+                success: false,
+                message: "Lawyer not found",
+            });
+        }
+
+        const [reviews, total, distribution] = await Promise.all([
+            Review.find({ lawyer: lawyerId })
+                .populate("citizen", "name")
+                .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.recent)
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Review.countDocuments({ lawyer: lawyerId }),
+            getRatingDistribution(lawyerId),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                reviews: reviews.map((review) => ({
+                    _id: review._id,
+                    rating: review.rating,
+                    comment: review.comment,
+                    source: review.source,
+                    reviewerName: formatReviewerName(review.citizen?.name),
+                    reply: review.reply?.content ? review.reply : null,
+                    createdAt: review.createdAt,
+                })),
+                summary: {
+                    average: lawyer.lawyerDetails?.rating?.average || 0,
+                    count: lawyer.lawyerDetails?.rating?.count || 0,
+                    distribution,
+                },
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Get lawyer reviews error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get reviews",
+        });
+    }
+};
+
+// Get reviews written about the current lawyer
+export const getReceivedReviews = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, sort = "recent", unreplied } = req.query;
+
+        const query = { lawyer: req.user._id };
+        if (unreplied === "true") {
+            query["reply.content"] = { $exists: false };
+        }
+
+        const [reviews, total, distribution] = await Promise.all([
+            Review.find(query)
+                .populate("citizen", "name")
+                .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.recent)
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Review.countDocuments(query),
+            getRatingDistribution(req.user._id),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                reviews,
+                summary: {
+                    average: req.user.lawyerDetails?.rating?.average || 0,
+                    count: req.user.lawyerDetails?.rating?.count || 0,
+                    distribution,
+                },
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Get received reviews error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get reviews",
+        });
+    }
+};
+
+// Get consultations and cases the citizen can still review
+export const getPendingReviews = async (req, res) => {
+    try {
+        const citizenId = req.user._id;
+
+        const [consultations, queries, disputes, existingReviews] = await Promise.all([
+            Consultation.find({
+                citizen: citizenId,
+                status: { $in: ["scheduled", "confirmed", "in-progress", "completed"] },
+                scheduledDateTime: { $lte: new Date() },
+            })
+                .populate("lawyer", "name")
+                .select("title lawyer status scheduledDateTime duration"),
+            Query.find({
+                citizen: citizenId,
+                status: { $in: RESOLVED_CASE_STATUSES },
+                assignedLawyer: { $ne: null },
+            })
+                .populate("assignedLawyer", "name")
+                .select("title assignedLawyer updatedAt"),
+            Dispute.find({
+                citizen: citizenId,
+                status: { $in: RESOLVED_CASE_STATUSES },
+                assignedLawyer: { $ne: null },
+            })
+                .populate("assignedLawyer", "name")
+                .select("title assignedLawyer updatedAt"),
+            Review.find({ citizen: citizenId }).select("sourceId"),
+        ]);
+
+        const reviewedIds = new Set(
+            existingReviews.map((review) => review.sourceId.toString())
+        );
+
+        const pending = [
+            ...consultations
+                .filter((consultation) => consultation.hasEnded())
+                .map((consultation) => ({
+                    source: "consultation",
+                    sourceId: consultation._id,
+                    title: consultation.title,
+                    lawyer: consultation.lawyer,
+                    date: consultation.scheduledDateTime,
+                })),
+            ...queries.map((query) => ({
+                source: "query",
+                sourceId: query._id,
+                title: query.title,
+                lawyer: query.assignedLawyer,
+                date: query.updatedAt,
+            })),
+            ...disputes.map((dispute) => ({
+                source: "dispute",
+                sourceId: dispute._id,
+                title: dispute.title,
+                lawyer: dispute.assignedLawyer,
+                date: dispute.updatedAt,
+            })),
+        ]
+            .filter((item) => item.lawyer && !reviewedIds.has(item.sourceId.toString()))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        res.json({
+            success: true,
+            data: { pending },
+        });
+    } catch (error) {
+        console.error("Get pending reviews error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get pending reviews",
+        });
+    }
+};
+
+// Publicly reply to a review (reviewed lawyer only, once)
+export const replyToReview = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const review = await Review.findById(req.params.reviewId);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: "Review not found",
+            });
+        }
+
+        if (review.lawyer.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only reply to reviews about you",
+            });
+        }
+
+        if (review.reply?.content) {
+            return res.status(400).json({
+                success: false,
+                message: "You have already replied to this review",
+            });
+        }
+
+        review.reply = {
+            content: req.body.content,
+            repliedAt: new Date(),
+        };
+        await review.save();
+
+        const io = req.app.get("socketio");
+        io.to(`user_${review.citizen}`).emit("review_replied", {
+            reviewId: review._id,
+            sourceTitle: review.sourceTitle,
+            lawyer: {
+                _id: req.user._id,
+                name: req.user.name,
+            },
+            timestamp: new Date(),
+        });
+
+        res.json({
+            success: true,
+            message: "Reply posted successfully",
+            data: { review },
+        });
+    } catch (error) {
+        console.error("Reply to review error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to post reply",
+        });
+    }
+};
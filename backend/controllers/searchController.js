@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import DocumentIndex, { DOCUMENT_TYPES } from "../models/DocumentIndex.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import { buildHighlightPattern, buildSnippets } from "../utils/documentIndex.js";
+
+const MAX_SEARCH_LENGTH = 200;
+const MAX_RESULTS_PER_PAGE = 50;
+
+// Index entries of the cases a user may see: the citizen who filed them and
+// the assigned lawyer, like requireCaseAccess. Admins see every case.
+const getAccessFilter = async (user) => {
+    if (user.role === "admin") return {};
+
+    const involved = { $or: [{ citizen: user._id }, { assignedLawyer: user._id }] };
+    const [queryIds, disputeIds] = await Promise.all([
+        Query.distinct("_id", involved),
+        Dispute.distinct("_id", involved),
+    ]);
+
+    return {
+        $or: [
+            { caseType: "query", caseId: { $in: queryIds } },
+            { caseType: "dispute", caseId: { $in: disputeIds } },
+        ],
+    };
+};
+
+// Full-text search over the documents of the cases the user can access
+export const searchDocuments = async (req, res) => {
+    try {
+        const { q = "", caseType, caseId, documentType, page = 1 } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, MAX_RESULTS_PER_PAGE);
+        // Repeated or nested query parameters arrive as arrays and objects
+        const search = typeof q === "string" ? q.trim() : "";
+
+        if (search.length < 2 || search.length > MAX_SEARCH_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Search text must be between 2 and ${MAX_SEARCH_LENGTH} characters`,
+            });
+        }
+        if (caseType && !["query", "dispute"].includes(caseType)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid case type",
+            });
+        }
+        if (caseId && !mongoose.isValidObjectId(caseId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid case ID",
+            });
+        }
+        if (documentType && !DOCUMENT_TYPES.includes(documentType)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid document type",
+            });
+        }
+
+        const filter = {
+            $text: { $search: search },
+            ...(await getAccessFilter(req.user)),
+        };
+        if (caseType) filter.caseType = caseType;
+        if (caseId) filter.caseId = caseId;
+        if (documentType) filter.documentType = documentType;
+
+        const [entries, total] = await Promise.all([
+            DocumentIndex.find(filter, { score: { $meta: "textScore" } })
+                .sort({ score: { $meta: "textScore" } })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .populate("uploadedBy", "name role"),
+            DocumentIndex.countDocuments(filter),
+        ]);
+
+        const pattern = buildHighlightPattern(search);
+        const results = entries.map((entry) => ({
+            _id: entry.documentId,
+            caseType: entry.caseType,
+            caseId: entry.caseId,
+            caseTitle: entry.caseTitle,
+            caseCategory: entry.caseCategory,
+            originalName: entry.originalName,
+            documentType: entry.documentType,
+            mimeType: entry.mimeType,
+            version: entry.version,
+            uploadedBy: entry.uploadedBy,
+            uploadedAt: entry.uploadedAt,
+            score: entry.get("score"),
+            snippets: buildSnippets(entry.text, pattern),
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                results,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("Search documents error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to search documents",
+        });
+    }
+};
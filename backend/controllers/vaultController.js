@@ -0,0 +1,736 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import VaultFolder, { MAX_FOLDER_DEPTH } from "../models/VaultFolder.js";
+import VaultDocument from "../models/VaultDocument.js";
+import DirectConnection from "../models/DirectConnection.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import User from "../models/User.js";
+import { removeUploadedFiles } from "../middleware/upload.js";
+import { sendStoredFile, removeStoredFiles, STORAGE_AREAS } from "../utils/storage.js";
+import {
+    addDocumentVersion,
+    restoreDocumentVersion,
+    formatVersionHistory,
+    getStoredFilenames,
+} from "../utils/documentVersions.js";
+
+// What clients get to see of a stored document (never its storage path)
+const formatDocument = (document) => ({
+    _id: document._id,
+    name: document.name,
+    folder: document.folder,
+    mimeType: document.mimeType,
+    size: document.size,
+    checksum: document.checksum,
+    version: document.version,
+    uploadedAt: document.uploadedAt,
+    sharedWith: document.sharedWith,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt,
+});
+
+const formatFolder = (folder, itemCount = 0) => ({
+    _id: folder._id,
+    name: folder.name,
+    parent: folder.parent,
+    itemCount,
+    sharedWith: folder.sharedWith,
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt,
+});
+
+// Load a folder only if it belongs to the given citizen
+const findOwnedFolder = (folderId, ownerId) => {
+    if (!mongoose.isValidObjectId(folderId)) return null;
+    return VaultFolder.findOne({ _id: folderId, owner: ownerId });
+};
+
+const findOwnedDocument = (documentId, ownerId) => {
+    if (!mongoose.isValidObjectId(documentId)) return null;
+    return VaultDocument.findOne({ _id: documentId, owner: ownerId });
+};
+
+// Delete the files behind vault documents and all their versions, ignoring ones already gone
+const removeDocumentFiles = (documents) =>
+    removeStoredFiles(STORAGE_AREAS.vault, documents.flatMap(getStoredFilenames));
+
+// Lawyers a citizen may share with: direct connections and lawyers assigned to their cases
+const getShareableLawyers = async (citizenId) => {
+    const [connections, queries, disputes] = await Promise.all([
+        DirectConnection.find({ citizen: citizenId, status: "accepted", isActive: true }).select("lawyer"),
+        Query.find({ citizen: citizenId, assignedLawyer: { $ne: null } }).select("assignedLawyer"),
+        Dispute.find({ citizen: citizenId, assignedLawyer: { $ne: null } }).select("assignedLawyer"),
+    ]);
+
+    const lawyerIds = [
+        ...connections.map((connection) => connection.lawyer),
+        ...queries.map((query) => query.assignedLawyer),
+        ...disputes.map((dispute) => dispute.assignedLawyer),
+    ];
+
+    return User.find({ _id: { $in: lawyerIds }, role: "lawyer" })
+        .select("name email lawyerDetails.specialization")
+        .sort({ name: 1 });
+};
+
+// Check a lawyer may open a document, either directly or through a shared folder above it
+const canLawyerOpen = async (document, lawyerId) => {
+    if (document.isSharedWith(lawyerId)) return true;
+    if (!document.folder) return false;
+
+    const folder = await VaultFolder.findById(document.folder).select("ancestors");
+    if (!folder) return false;
+
+    const sharedFolder = await VaultFolder.exists({
+        _id: { $in: [folder._id, ...folder.ancestors] },
+        "sharedWith.lawyer": lawyerId,
+    });
+    return Boolean(sharedFolder);
+};
+
+const sendDocumentFile = (req, res, document) =>
+    sendStoredFile(req, res, {
+        area: STORAGE_AREAS.vault,
+        filename: document.filename,
+        downloadName: document.name,
+        mimeType: document.mimeType,
+        notFoundMessage: "Document not found",
+    });
+
+// Grant lawyers access to a folder or document and let them know
+const shareItem = async (req, res, item, itemType) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors: errors.array(),
+        });
+    }
+
+    const shareable = await getShareableLawyers(req.user._id);
+    const shareableIds = shareable.map((lawyer) => lawyer._id.toString());
+    const lawyerIds = [...new Set(req.body.lawyerIds.map(String))];
+
+    if (lawyerIds.some((lawyerId) => !shareableIds.includes(lawyerId))) {
+        return res.status(400).json({
+            success: false,
+            message: "You can only share with lawyers you are connected to or who handle your cases",
+        });
+    }
+
+    const newLawyerIds = lawyerIds.filter((lawyerId) => !item.isSharedWith(lawyerId));
+    newLawyerIds.forEach((lawyerId) => item.sharedWith.push({ lawyer: lawyerId }));
+    await item.save();
+    await item.populate("sharedWith.lawyer", "name");
+
+    // Notify the lawyers via Socket.io
+    const io = req.app.get("socketio");
+    newLawyerIds.forEach((lawyerId) => {
+        io.to(`user_${lawyerId}`).emit("document_shared", {
+            itemType,
+            itemId: item._id,
+            name: item.name,
+            sharedBy: {
+                _id: req.user._id,
+                name: req.user.name,
+                role: req.user.role,
+            },
+            timestamp: new Date(),
+        });
+    });
+
+    res.json({
+        success: true,
+        message: newLawyerIds.length > 0
+            ? `Shared with ${newLawyerIds.length} lawyer${newLawyerIds.length === 1 ? "" : "s"}`
+            : "Already shared with the selected lawyers",
+        data: { sharedWith: item.sharedWith },
+    });
+};
+
+// Take a lawyer's access to a folder or document away
+const revokeShare = async (req, res, item, itemType) => {
+    const { lawyerId } = req.params;
+
+    if (!mongoose.isValidObjectId(lawyerId) || !item.isSharedWith(lawyerId)) {
+        return res.status(404).json({
+            success: false,
+            message: `This ${itemType} is not shared with that lawyer`,
+        });
+    }
+
+    item.sharedWith = item.sharedWith.filter((share) => share.lawyer._id.toString() !== lawyerId);
+    await item.save();
+    await item.populate("sharedWith.lawyer", "name");
+
+    const io = req.app.get("socketio");
+    io.to(`user_${lawyerId}`).emit("document_share_revoked", {
+        itemType,
+        itemId: item._id,
+        timestamp: new Date(),
+    });
+
+    res.json({
+        success: true,
+        message: "Access revoked",
+        data: { sharedWith: item.sharedWith },
+    });
+};
+
+// List the folders and documents in one folder of the citizen's vault (root when no folderId)
+export const getVaultContents = async (req, res) => {
+    try {
+        const ownerId = req.user._id;
+        let folder = null;
+
+        if (req.query.folderId) {
+            folder = await findOwnedFolder(req.query.folderId, ownerId);
+            if (!folder) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Folder not found",
+                });
+            }
+        }
+
+        const parentId = folder ? folder._id : null;
+        const [folders, documents, ancestors] = await Promise.all([
+            VaultFolder.find({ owner: ownerId, parent: parentId })
+                .populate("sharedWith.lawyer", "name")
+                .sort({ name: 1 }),
+            VaultDocument.find({ owner: ownerId, folder: parentId })
+                .populate("sharedWith.lawyer", "name")
+                .sort({ name: 1 }),
+            folder ? VaultFolder.find({ _id: { $in: folder.ancestors } }).select("name") : [],
+        ]);
+
+        // Count what sits directly inside each subfolder
+        const folderIds = folders.map((f) => f._id);
+        const [subfolderCounts, documentCounts] = await Promise.all([
+            VaultFolder.aggregate([
+                { $match: { parent: { $in: folderIds } } },
+                { $group: { _id: "$parent", count: { $sum: 1 } } },
+            ]),
+            VaultDocument.aggregate([
+                { $match: { folder: { $in: folderIds } } },
+                { $group: { _id: "$folder", count: { $sum: 1 } } },
+            ]),
+        ]);
+        const itemCounts = {};
+        [...subfolderCounts, ...documentCounts].forEach(({ _id, count }) => {
+            itemCounts[_id] = (itemCounts[_id] || 0) + count;
+        });
+
+        // Breadcrumb from the root down to the current folder
+        const folderPath = folder
+            ? [
+                  ...folder.ancestors
+                      .map((id) => ancestors.find((a) => a._id.equals(id)))
+                      .filter(Boolean),
+                  folder,
+              ].map((f) => ({ _id: f._id, name: f.name }))
+            : [];
+
+        res.json({
+            success: true,
+            data: {
+                folder: folder ? { _id: folder._id, name: folder.name } : null,
+                path: folderPath,
+                folders: folders.map((f) => formatFolder(f, itemCounts[f._id] || 0)),
+                documents: documents.map(formatDocument),
+            },
+        });
+    } catch (error) {
+        console.error("Get vault contents error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get documents",
+        });
+    }
+};
+
+// Create a folder, at the root or inside another folder
+export const createVaultFolder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { name, parentId } = req.body;
+        let parent = null;
+
+        if (parentId) {
+            parent = await findOwnedFolder(parentId, req.user._id);
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Parent folder not found",
+                });
+            }
+            if (parent.ancestors.length + 1 >= MAX_FOLDER_DEPTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Folders can only be nested ${MAX_FOLDER_DEPTH} levels deep`,
+                });
+            }
+        }
+
+        const existing = await VaultFolder.exists({
+            owner: req.user._id,
+            parent: parent ? parent._id : null,
+            name,
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `A folder named "${name}" already exists here`,
+            });
+        }
+
+        const folder = await VaultFolder.create({
+            owner: req.user._id,
+            name,
+            parent: parent ? parent._id : null,
+            ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Folder created",
+            data: { folder: formatFolder(folder) },
+        });
+    } catch (error) {
+        console.error("Create vault folder error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create folder",
+        });
+    }
+};
+
+// Delete a folder together with everything inside it
+export const deleteVaultFolder = async (req, res) => {
+    try {
+        const folder = await findOwnedFolder(req.params.folderId, req.user._id);
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                message: "Folder not found",
+            });
+        }
+
+        const subtree = await VaultFolder.find({
+            owner: req.user._id,
+            $or: [{ _id: folder._id }, { ancestors: folder._id }],
+        }).select("_id");
+        const folderIds = subtree.map((f) => f._id);
+
+        const documents = await VaultDocument.find({ folder: { $in: folderIds } }).select(
+            "filename versions.filename"
+        );
+
+        await VaultDocument.deleteMany({ folder: { $in: folderIds } });
+        await VaultFolder.deleteMany({ _id: { $in: folderIds } });
+        await removeDocumentFiles(documents);
+
+        res.json({
+            success: true,
+            message: `Folder deleted with ${documents.length} document${documents.length === 1 ? "" : "s"}`,
+        });
+    } catch (error) {
+        console.error("Delete vault folder error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete folder",
+        });
+    }
+};
+
+// Upload documents into the vault (root when no folderId)
+export const uploadVaultDocuments = async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Please choose at least one file to upload",
+            });
+        }
+
+        let folder = null;
+        if (req.body.folderId) {
+            folder = await findOwnedFolder(req.body.folderId, req.user._id);
+            if (!folder) {
+                removeUploadedFiles(files);
+                return res.status(404).json({
+                    success: false,
+                    message: "Folder not found",
+                });
+            }
+        }
+
+        // A file with the same name as a document in the folder becomes a new version of it
+        const documents = [];
+        for (const file of files) {
+            const stored = {
+                filename: file.filename,
+                path: file.storageKey,
+                mimeType: file.mimetype,
+                size: file.size,
+                checksum: file.checksum,
+                uploadedBy: req.user._id,
+            };
+
+            const existing = await VaultDocument.findOne({
+                owner: req.user._id,
+                folder: folder ? folder._id : null,
+                name: file.originalname,
+            });
+
+            if (existing) {
+                addDocumentVersion(existing, stored);
+                await existing.save();
+                if (!documents.some((d) => d._id.equals(existing._id))) documents.push(existing);
+                continue;
+            }
+
+            documents.push(
+                await VaultDocument.create({
+                    ...stored,
+                    owner: req.user._id,
+                    folder: folder ? folder._id : null,
+                    name: file.originalname,
+                })
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${files.length} document${files.length === 1 ? "" : "s"} uploaded`,
+            data: { documents: documents.map(formatDocument) },
+        });
+    } catch (error) {
+        console.error("Upload vault documents error:", error);
+        removeUploadedFiles(req.files);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload documents",
+        });
+    }
+};
+
+// Download one of the citizen's own documents
+export const downloadVaultDocument = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await sendDocumentFile(req, res, document);
+    } catch (error) {
+        console.error("Download vault document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download document",
+        });
+    }
+};
+
+// Delete a document from the vault
+export const deleteVaultDocument = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await document.deleteOne();
+        await removeDocumentFiles([document]);
+
+        res.json({
+            success: true,
+            message: "Document deleted",
+        });
+    } catch (error) {
+        console.error("Delete vault document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete document",
+        });
+    }
+};
+
+// Version history of a vault document, current version first
+export const getVaultDocumentVersions = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                document: formatDocument(document),
+                versions: formatVersionHistory(document),
+            },
+        });
+    } catch (error) {
+        console.error("Get vault document versions error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get document versions",
+        });
+    }
+};
+
+// Download an older version of a vault document
+export const downloadVaultDocumentVersion = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        const version = document?.versions.id(req.params.versionId);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: "Version not found",
+            });
+        }
+
+        await sendDocumentFile(req, res, {
+            filename: version.filename,
+            name: version.originalName,
+            mimeType: version.mimeType,
+        });
+    } catch (error) {
+        console.error("Download vault document version error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download document",
+        });
+    }
+};
+
+// Restore an older version of a vault document by making it the newest one
+export const restoreVaultDocumentVersion = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        const restored = document && restoreDocumentVersion(document, req.params.versionId, req.user._id);
+        if (!restored) {
+            return res.status(404).json({
+                success: false,
+                message: "Version not found",
+            });
+        }
+
+        await document.save();
+
+        res.json({
+            success: true,
+            message: `Version ${restored.version} restored`,
+            data: { document: formatDocument(document) },
+        });
+    } catch (error) {
+        console.error("Restore vault document version error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to restore version",
+        });
+    }
+};
+
+// Get the lawyers the citizen can share vault items with
+export const getShareableVaultLawyers = async (req, res) => {
+    try {
+        const lawyers = await getShareableLawyers(req.user._id);
+
+        res.json({
+            success: true,
+            data: { lawyers },
+        });
+    } catch (error) {
+        console.error("Get shareable lawyers error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get lawyers",
+        });
+    }
+};
+
+// Share a document with lawyers
+export const shareVaultDocument = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await shareItem(req, res, document, "document");
+    } catch (error) {
+        console.error("Share vault document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to share document",
+        });
+    }
+};
+
+// Stop sharing a document with a lawyer
+export const revokeVaultDocumentShare = async (req, res) => {
+    try {
+        const document = await findOwnedDocument(req.params.documentId, req.user._id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await revokeShare(req, res, document, "document");
+    } catch (error) {
+        console.error("Revoke vault document share error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to revoke access",
+        });
+    }
+};
+
+// Share a folder (and everything inside it) with lawyers
+export const shareVaultFolder = async (req, res) => {
+    try {
+        const folder = await findOwnedFolder(req.params.folderId, req.user._id);
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                message: "Folder not found",
+            });
+        }
+
+        await shareItem(req, res, folder, "folder");
+    } catch (error) {
+        console.error("Share vault folder error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to share folder",
+        });
+    }
+};
+
+// Stop sharing a folder with a lawyer
+export const revokeVaultFolderShare = async (req, res) => {
+    try {
+        const folder = await findOwnedFolder(req.params.folderId, req.user._id);
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                message: "Folder not found",
+            });
+        }
+
+        await revokeShare(req, res, folder, "folder");
+    } catch (error) {
+        console.error("Revoke vault folder share error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to revoke access",
+        });
+    }
+};
+
+// Get the vault documents citizens have shared with the lawyer, directly or through a folder
+export const getSharedVaultDocuments = async (req, res) => {
+    try {
+        const lawyerId = req.user._id;
+
+        const sharedFolders = await VaultFolder.find({ "sharedWith.lawyer": lawyerId }).select("_id");
+        const sharedFolderIds = sharedFolders.map((f) => f._id);
+        const folders = sharedFolderIds.length > 0
+            ? await VaultFolder.find({
+                  $or: [{ _id: { $in: sharedFolderIds } }, { ancestors: { $in: sharedFolderIds } }],
+              }).select("name")
+            : [];
+
+        const documents = await VaultDocument.find({
+            $or: [
+                { "sharedWith.lawyer": lawyerId },
+                { folder: { $in: folders.map((f) => f._id) } },
+            ],
+        })
+            .populate("owner", "name email")
+            .sort({ updatedAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                documents: documents.map((document) => ({
+                    _id: document._id,
+                    name: document.name,
+                    mimeType: document.mimeType,
+                    size: document.size,
+                    owner: document.owner,
+                    folderName: folders.find((f) => document.folder?.equals(f._id))?.name || null,
+                    sharedVia: document.isSharedWith(lawyerId) ? "document" : "folder",
+                    updatedAt: document.updatedAt,
+                })),
+            },
+        });
+    } catch (error) {
+        console.error("Get shared vault documents error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get shared documents",
+        });
+    }
+};
+
+// Download a vault document that has been shared with the lawyer
+export const downloadSharedVaultDocument = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const document = mongoose.isValidObjectId(documentId)
+            ? await VaultDocument.findById(documentId)
+            : null;
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        if (!(await canLawyerOpen(document, req.user._id))) {
+            return res.status(403).json({
+                success: false,
+                message: "This document has not been shared with you",
+            });
+        }
+
+        await sendDocumentFile(req, res, document);
+    } catch (error) {
+        console.error("Download shared vault document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to download document",
+        });
+    }
+};
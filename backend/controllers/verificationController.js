@@ -0,0 +1,228 @@
+import User, { VERIFICATION_DOCUMENT_TYPES } from "../models/User.js";
+import { removeUploadedFiles } from "../middleware/upload.js";
+import { sendStoredFile, removeStoredFiles, STORAGE_AREAS } from "../utils/storage.js";
+
+// Bar certificates and IDs are reviewed inline by admins, so only PDFs and images
+const VERIFICATION_MIME_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+const removeStoredFile = (document) =>
+    removeStoredFiles(STORAGE_AREAS.verification, [document.filename]);
+
+// documentsUploaded is true once every required document type is on file
+const syncDocumentsUploaded = (lawyer) => {
+    const uploadedTypes = lawyer.lawyerDetails.verificationDocuments.map((d) => d.documentType);
+    lawyer.profileCompletion.documentsUploaded = VERIFICATION_DOCUMENT_TYPES.every((type) =>
+        uploadedTypes.includes(type)
+    );
+};
+
+const formatVerificationSummary = (lawyer) => ({
+    documents: lawyer.lawyerDetails?.verificationDocuments || [],
+    requiredTypes: VERIFICATION_DOCUMENT_TYPES,
+    documentsUploaded: lawyer.profileCompletion?.documentsUploaded || false,
+    verificationStatus: lawyer.lawyerDetails?.verificationStatus || "pending",
+    verificationNotes: lawyer.lawyerDetails?.verificationNotes,
+    isVerified: lawyer.isVerified,
+});
+
+// Serve a verification file inline so it can be previewed in the browser
+const sendVerificationFile = (req, res, document) =>
+    sendStoredFile(req, res, {
+        area: STORAGE_AREAS.verification,
+        filename: document.filename,
+        downloadName: document.originalName,
+        mimeType: document.mimeType,
+        inline: true,
+        notFoundMessage: "Document not found",
+    });
+
+// Get the lawyer's own verification documents and status
+export const getMyVerificationDocuments = async (req, res) => {
+    try {
+        const lawyer = await User.findById(req.user._id);
+
+        res.json({
+            success: true,
+            data: formatVerificationSummary(lawyer),
+        });
+    } catch (error) {
+        console.error("Get verification documents error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get verification documents",
+        });
+    }
+};
+
+// Upload a verification document, replacing any earlier one of the same type
+export const uploadVerificationDocument = async (req, res) => {
+    try {
+        const files = req.files || [];
+        const { documentType } = req.body;
+
+        if (files.length !== 1) {
+            removeUploadedFiles(files);
+            return res.status(400).json({
+                success: false,
+                message: "Please upload exactly one file",
+            });
+        }
+
+        const [file] = files;
+
+        if (!VERIFICATION_DOCUMENT_TYPES.includes(documentType)) {
+            removeUploadedFiles(files);
+            return res.status(400).json({
+                success: false,
+                message: "Document type must be bar_certificate, enrollment_id or photo_id",
+            });
+        }
+
+        if (!VERIFICATION_MIME_TYPES.includes(file.mimetype)) {
+            removeUploadedFiles(files);
+            return res.status(400).json({
+                success: false,
+                message: "Verification documents must be PDF, JPEG or PNG files",
+            });
+        }
+
+        const lawyer = await User.findById(req.user._id);
+
+        if (lawyer.isVerified) {
+            removeUploadedFiles(files);
+            return res.status(400).json({
+                success: false,
+                message: "Your account is already verified",
+            });
+        }
+
+        if (!lawyer.lawyerDetails) {
+            lawyer.lawyerDetails = {};
+        }
+
+        const documents = lawyer.lawyerDetails.verificationDocuments;
+        const previous = documents.find((d) => d.documentType === documentType);
+        if (previous) {
+            previous.deleteOne();
+        }
+
+        documents.push({
+            documentType,
+            filename: file.filename,
+            originalName: file.originalname,
+            path: file.storageKey,
+            mimeType: file.mimetype,
+            size: file.size,
+        });
+        syncDocumentsUploaded(lawyer);
+
+        // New documents after a rejection put the application back in the queue
+        if (lawyer.lawyerDetails.verificationStatus === "rejected") {
+            lawyer.lawyerDetails.verificationStatus = "pending";
+        }
+
+        await lawyer.save();
+
+        if (previous) {
+            await removeStoredFile(previous);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: previous ? "Document replaced" : "Document uploaded",
+            data: formatVerificationSummary(lawyer),
+        });
+    } catch (error) {
+        console.error("Upload verification document error:", error);
+        removeUploadedFiles(req.files);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload document",
+        });
+    }
+};
+
+// View one of the lawyer's own verification documents
+export const viewMyVerificationDocument = async (req, res) => {
+    try {
+        const lawyer = await User.findById(req.user._id);
+        const document = lawyer.lawyerDetails?.verificationDocuments.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await sendVerificationFile(req, res, document);
+    } catch (error) {
+        console.error("View verification document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to load document",
+        });
+    }
+};
+
+// Remove a verification document (only before the account is verified)
+export const deleteVerificationDocument = async (req, res) => {
+    try {
+        const lawyer = await User.findById(req.user._id);
+        const document = lawyer.lawyerDetails?.verificationDocuments.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        if (lawyer.isVerified) {
+            return res.status(400).json({
+                success: false,
+                message: "Documents cannot be removed once your account is verified",
+            });
+        }
+
+        document.deleteOne();
+        syncDocumentsUploaded(lawyer);
+        await lawyer.save();
+        await removeStoredFile(document);
+
+        res.json({
+            success: true,
+            message: "Document removed",
+            data: formatVerificationSummary(lawyer),
+        });
+    } catch (error) {
+        console.error("Delete verification document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to remove document",
+        });
+    }
+};
+
+// View a lawyer's verification document (admin)
+export const viewLawyerVerificationDocument = async (req, res) => {
+    try {
+        const lawyer = await User.findOne({ _id: req.params.lawyerId, role: "lawyer" });
+        const document = lawyer?.lawyerDetails?.verificationDocuments.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found",
+            });
+        }
+
+        await sendVerificationFile(req, res, document);
+    } catch (error) {
+        console.error("View lawyer verification document error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to load document",
+        });
+    }
+};
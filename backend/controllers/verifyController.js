@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import ChainEntry from "../models/ChainEntry.js";
+import ChainSeal from "../models/ChainSeal.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import {
+    buildTimelinePayload,
+    buildDocumentPayload,
+    checkChainEntry,
+    hashPayload,
+} from "../utils/hashChain.js";
+
+const CHECKSUM_PATTERN = /^[a-f0-9]{64}$/;
+
+// What the public verify endpoints reveal about an entry (no names or descriptions)
+const formatPublicEntry = (entry) => ({
+    _id: entry._id,
+    sequence: entry.sequence,
+    entryType: entry.entryType,
+    caseType: entry.caseType,
+    checksum: entry.checksum,
+    version: entry.entryType === "document_version" ? entry.payload.version : undefined,
+    payloadHash: entry.payloadHash,
+    previousHash: entry.previousHash,
+    hash: entry.hash,
+    recordedAt: entry.recordedAt,
+});
+
+// Compare the entry with the live case record it describes.
+// "intact" when unchanged, "altered" when edited, "missing" when removed.
+const getRecordStatus = async (entry) => {
+    const CaseModel = entry.caseType === "query" ? Query : Dispute;
+    const caseDoc = await CaseModel.findById(entry.caseId).select("timeline documents");
+    if (!caseDoc) return "missing";
+
+    let payload = null;
+    if (entry.entryType === "timeline_event") {
+        const event = caseDoc.timeline.id(entry.refId);
+        payload = event && buildTimelinePayload(entry.caseType, caseDoc._id, event);
+    } else {
+        const document = caseDoc.documents.id(entry.refId);
+        const version = entry.payload.version;
+        const file =
+            document?.version === version
+                ? document
+                : document?.versions.find((archived) => archived.version === version);
+        payload = file && buildDocumentPayload(entry.caseType, caseDoc._id, document._id, file);
+    }
+
+    if (!payload) return "missing";
+    return hashPayload(payload) === entry.payloadHash ? "intact" : "altered";
+};
+
+// Full verification result for one entry
+const verifyEntry = async (entry) => {
+    const [{ checks, seal }, recordStatus] = await Promise.all([
+        checkChainEntry(entry),
+        getRecordStatus(entry),
+    ]);
+
+    const verified =
+        checks.payloadIntact &&
+        checks.hashValid &&
+        checks.linkedToPrevious &&
+        checks.linkedToNext !== false &&
+        checks.merkleProofValid !== false;
+
+    return {
+        verified,
+        entry: formatPublicEntry(entry),
+        checks: { ...checks, recordStatus },
+        seal,
+    };
+};
+
+// Current head of the chain and the latest seal
+export const getChainStatus = async (req, res) => {
+    try {
+        const [latestEntry, latestSeal, unsealedEntries] = await Promise.all([
+            ChainEntry.findOne().sort({ sequence: -1 }),
+            ChainSeal.findOne().sort({ sealNumber: -1 }),
+            ChainEntry.countDocuments({ seal: null }),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                latestEntry: latestEntry ? formatPublicEntry(latestEntry) : null,
+                latestSeal,
+                unsealedEntries,
+            },
+        });
+    } catch (error) {
+        console.error("Get chain status error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get ledger status",
+        });
+    }
+};
+
+// Prove a ledger entry was recorded when it says and has not been altered
+export const verifyChainEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const entry = mongoose.isValidObjectId(entryId) ? await ChainEntry.findById(entryId) : null;
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: "Ledger entry not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await verifyEntry(entry),
+        });
+    } catch (error) {
+        console.error("Verify chain entry error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify entry",
+        });
+    }
+};
+
+// Prove a document with this SHA-256 checksum was recorded, and when
+export const verifyDocumentChecksum = async (req, res) => {
+    try {
+        const checksum = req.params.checksum.toLowerCase();
+
+        if (!CHECKSUM_PATTERN.test(checksum)) {
+            return res.status(400).json({
+                success: false,
+                message: "Checksum must be a SHA-256 hash (64 hex characters)",
+            });
+        }
+
+        const entries = await ChainEntry.find({ checksum }).sort({ sequence: 1 });
+
+        if (entries.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "No document with this checksum has been recorded",
+            });
+        }
+
+        const results = [];
+        for (const entry of entries) {
+            results.push(await verifyEntry(entry));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                checksum,
+                firstRecordedAt: entries[0].recordedAt,
+                records: results,
+            },
+        });
+    } catch (error) {
+        console.error("Verify document checksum error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify document",
+        });
+    }
+};
+
+// Ledger entries of a query or dispute (runs after requireCaseAccess)
+export const getCaseLedger = async (req, res) => {
+    try {
+        const entries = await ChainEntry.find({
+            caseType: req.caseType,
+            caseId: req.caseDoc._id,
+        })
+            .sort({ sequence: 1 })
+            .populate("seal", "sealNumber merkleRoot sealedAt");
+
+        res.json({
+            success: true,
+            data: {
+                entries: entries.map((entry) => ({
+                    ...formatPublicEntry(entry),
+                    refId: entry.refId,
+                    payload: entry.payload,
+                    seal: entry.seal,
+                })),
+            },
+        });
+    } catch (error) {
+        console.error("Get case ledger error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get case ledger",
+        });
+    }
+};
@@ -1,5 +1,11 @@
-import { verifyAccessToken } from "../utils/jwt.js";
+import { verifyAccessToken, verifyTwoFactorChallengeToken } from "../utils/jwt.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+
+// How often a session's last-seen time is updated
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
 // Protect routes - verify JWT token
 export const protect = async (req, res, next) => {
@@ -30,10 +36,17 @@ export const protect = async (req, res, next) => {
         // Verify token
         const decoded = verifyAccessToken(token);
 
+        // The session it was issued for must not have been logged out or revoked
+        const session = await Session.findActiveForToken(decoded);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: "Not authorized, token revoked",
+            });
+        }
+
         // Get user from database
-        const user = await User.findById(decoded.id).select(
-            "-password -refreshToken"
-        );
+        const user = await User.findById(decoded.id).select("-password");
 
         if (!user) {
             return res.status(401).json({
@@ -49,7 +62,15 @@ export const protect = async (req, res, next) => {
             });
         }
 
+        if (Date.now() - session.lastSeenAt > SESSION_TOUCH_INTERVAL_MS) {
+            await Session.updateOne(
+                { _id: session._id },
+                { lastSeenAt: new Date(), ipAddress: req.ip }
+            );
+        }
+
         req.user = user;
+        req.authSession = session;
         next();
     } catch (error) {
         console.error("Auth middleware error:", error.message);
@@ -60,6 +81,37 @@ export const protect = async (req, res, next) => {
     }
 };
 
+// Two-factor enrollment routes: accept a normal access token, or the setup
+// challenge issued at login to admins who haven't enrolled yet (sets
+// req.twoFactorSetupChallenge)
+export const protectOrTwoFactorSetup = async (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) {
+        return protect(req, res, next);
+    }
+
+    try {
+        const decoded = verifyTwoFactorChallengeToken(challengeToken, "setup");
+        const user = await User.findById(decoded.id).select("-password");
+
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: "Not authorized, user not found",
+            });
+        }
+
+        req.user = user;
+        req.twoFactorSetupChallenge = true;
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: "Two-factor setup has expired, please sign in again",
+        });
+    }
+};
+
 // Role-based access control
 export const authorize = (...roles) => {
     return (req, res, next) => {
@@ -100,6 +152,62 @@ export const requireVerifiedLawyer = (req, res, next) => {
     next();
 };
 
+// Block features that reach other users (filing cases, direct connection
+// requests) until the account's email address has been verified
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.isEmailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: "Please verify your email address to use this feature",
+            emailVerificationRequired: true,
+        });
+    }
+
+    next();
+};
+
+// Limit a query/dispute route to the citizen who filed it, the assigned
+// lawyer and admins. Loads the case into req.caseDoc (and req.caseType).
+export const requireCaseAccess = (caseType) => {
+    const CaseModel = caseType === "query" ? Query : Dispute;
+    const label = caseType === "query" ? "Query" : "Dispute";
+
+    return async (req, res, next) => {
+        try {
+            const caseDoc = await CaseModel.findById(req.params[`${caseType}Id`]);
+            if (!caseDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${label} not found`,
+                });
+            }
+
+            const userId = req.user._id.toString();
+            const hasAccess =
+                req.user.role === "admin" ||
+                caseDoc.citizen.toString() === userId ||
+                caseDoc.assignedLawyer?.toString() === userId;
+
+            if (!hasAccess) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Not authorized to access this ${caseType}`,
+                });
+            }
+
+            req.caseDoc = caseDoc;
+            req.caseType = caseType;
+            next();
+        } catch (error) {
+            console.error("Case access check error:", error);
+            res.status(500).json({
+                success: false,
+                message: `Failed to load ${caseType}`,
+            });
+        }
+    };
+};
+
 // Optional auth - doesn't fail if no token
 export const optionalAuth = async (req, res, next) => {
     try {
@@ -116,9 +224,8 @@ export const optionalAuth = async (req, res, next) => {
 
         if (token) {
             const decoded = verifyAccessToken(token);
-            const user = await User.findById(decoded.id).select(
-                "-password -refreshToken"
-            );
+            const session = await Session.findActiveForToken(decoded);
+            const user = session && await User.findById(decoded.id).select("-password");
 
             if (user && user.isActive) {
                 req.user = user;
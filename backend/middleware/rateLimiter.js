@@ -49,6 +49,19 @@ export const passwordResetLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Rate limiter for resending the email verification link, per account
+export const verificationEmailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3, // limit each user to 3 verification emails per hour
+    keyGenerator: (req) => req.user._id.toString(),
+    message: {
+        success: false,
+        message: "Too many verification emails requested, please try again after 1 hour.",
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Rate limiter for message sending (relaxed for testing)
 export const messageLimiter = rateLimit({
     windowMs: 60 * 1000, // 1 minute
@@ -0,0 +1,272 @@
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import QuarantinedFile from "../models/QuarantinedFile.js";
+import { getStorage, getStorageKey, STORAGE_AREAS } from "../utils/storage.js";
+import { detectFileType, findActiveContent, stripImageMetadata } from "../utils/fileInspection.js";
+import { isVirusScanEnabled, scanFile } from "../utils/virusScanner.js";
+import { extractText } from "../utils/textExtraction.js";
+import {
+    getUserStorageUsage,
+    getCaseStorageUsage,
+    getUserStorageQuota,
+    getCaseStorageQuota,
+    formatMegabytes,
+} from "../utils/uploadQuotas.js";
+
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+export const MAX_DOCUMENTS_PER_UPLOAD = 5;
+
+// Accepted case document types (extension -> MIME type)
+const ALLOWED_DOCUMENT_TYPES = {
+    ".pdf": "application/pdf",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".txt": "text/plain",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+};
+
+// Multer writes uploads here first; accepted files are then moved into storage
+const getUploadTempDir = () =>
+    process.env.UPLOAD_TMP_DIR || path.resolve(process.env.UPLOAD_DIR || "uploads", "tmp");
+
+const tempStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const dir = getUploadTempDir();
+        fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+    },
+    filename: (req, file, cb) => {
+        // Never trust the client's file name on disk
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`);
+    },
+});
+
+// SHA-256 of a file, as hex
+const hashFile = (filePath) =>
+    new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+
+const fileFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ALLOWED_DOCUMENT_TYPES[ext] !== file.mimetype) {
+        req.fileValidationError = `${file.originalname}: only PDF, Word, text and JPEG/PNG image files are allowed`;
+        return cb(null, false);
+    }
+    cb(null, true);
+};
+
+const documentUpload = multer({
+    storage: tempStorage,
+    fileFilter,
+    limits: {
+        fileSize: MAX_DOCUMENT_SIZE,
+        files: MAX_DOCUMENTS_PER_UPLOAD,
+    },
+}).array("documents", MAX_DOCUMENTS_PER_UPLOAD);
+
+const UPLOAD_ERROR_MESSAGES = {
+    LIMIT_FILE_SIZE: "Each file must be 10 MB or smaller",
+    LIMIT_FILE_COUNT: `You can upload up to ${MAX_DOCUMENTS_PER_UPLOAD} files at a time`,
+    LIMIT_UNEXPECTED_FILE: `You can upload up to ${MAX_DOCUMENTS_PER_UPLOAD} files at a time, in the "documents" field`,
+};
+
+// Remove the files of an upload that is rejected as a whole, whether they
+// are still temp files or already in storage (or quarantine)
+export const removeUploadedFiles = async (files = []) => {
+    const storage = getStorage();
+    await Promise.all(
+        files.map(async (file) => {
+            if (!file.storageKey) {
+                return fs.promises.unlink(file.path).catch(() => {});
+            }
+            try {
+                await storage.remove(file.storageKey);
+                if (file.quarantinedFileId) {
+                    await QuarantinedFile.deleteOne({ _id: file.quarantinedFileId });
+                }
+            } catch (error) {
+                console.error("Remove uploaded file error:", error);
+            }
+        })
+    );
+};
+
+// Check what each temp file really is: the type detected from its bytes must
+// match its extension (file.mimetype is replaced with it), and image metadata
+// such as EXIF and GPS is stripped. Returns an error message for the first
+// file that fails, or null.
+const inspectUploadedFiles = async (files) => {
+    for (const file of files) {
+        const content = await fs.promises.readFile(file.path);
+        const detectedType = detectFileType(content);
+        const ext = path.extname(file.originalname).toLowerCase();
+
+        if (!detectedType || detectedType !== ALLOWED_DOCUMENT_TYPES[ext]) {
+            return `${file.originalname}: the file's contents don't match its type`;
+        }
+        file.mimetype = detectedType;
+
+        const cleaned = stripImageMetadata(content, detectedType);
+        if (!cleaned) {
+            return `${file.originalname}: the image could not be read`;
+        }
+        if (cleaned !== content) {
+            await fs.promises.writeFile(file.path, cleaned);
+            file.size = cleaned.length;
+        }
+
+        const activeContent = findActiveContent(cleaned, detectedType);
+        if (activeContent) {
+            file.quarantine = { reason: "active_content", details: activeContent };
+        }
+    }
+    return null;
+};
+
+// Returns an error message if the upload would take the user, or the case
+// being uploaded to, over its storage quota
+const checkStorageQuotas = async (req, files) => {
+    const uploadSize = files.reduce((total, file) => total + file.size, 0);
+
+    const userQuota = getUserStorageQuota();
+    const userUsage = await getUserStorageUsage(req.user._id);
+    if (userUsage + uploadSize > userQuota) {
+        return `This upload would exceed your ${formatMegabytes(userQuota)} storage quota (${formatMegabytes(userUsage)} used)`;
+    }
+
+    // requireCaseAccess runs first on case document uploads
+    if (req.caseDoc) {
+        const caseQuota = getCaseStorageQuota();
+        const caseUsage = getCaseStorageUsage(req.caseDoc);
+        if (caseUsage + uploadSize > caseQuota) {
+            return `This upload would exceed the case's ${formatMegabytes(caseQuota)} storage quota (${formatMegabytes(caseUsage)} used)`;
+        }
+    }
+    return null;
+};
+
+// Virus scan a temp file when ClamAV is configured. A file that can't be
+// scanned is held rather than let through.
+const scanUploadedFile = async (file) => {
+    if (file.quarantine || !isVirusScanEnabled()) return;
+
+    try {
+        const { infected, signature } = await scanFile(file.path);
+        if (infected) {
+            file.quarantine = { reason: "malware_detected", details: signature };
+        }
+    } catch (error) {
+        console.error("Virus scan error:", error);
+        file.quarantine = { reason: "scan_failed", details: error.message };
+    }
+};
+
+// Hash, scan and move each accepted temp file into storage. Sets
+// file.checksum and file.storageKey; file.filename stays the stored file name.
+// Suspicious files go to the quarantine area with a QuarantinedFile record.
+// Case documents that aren't held also get file.extractedText for search.
+const storeUploadedFiles = async (req, area, files) => {
+    const storage = getStorage();
+    for (const file of files) {
+        file.checksum = await hashFile(file.path);
+        await scanUploadedFile(file);
+
+        if (area === STORAGE_AREAS.cases && !file.quarantine) {
+            file.extractedText = extractText(await fs.promises.readFile(file.path), file.mimetype);
+        }
+
+        const key = getStorageKey(file.quarantine ? STORAGE_AREAS.quarantine : area, file.filename);
+        await storage.putFile(key, file.path);
+        file.storageKey = key;
+
+        if (file.quarantine) {
+            const held = await QuarantinedFile.create({
+                area,
+                filename: file.filename,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                checksum: file.checksum,
+                uploadedBy: req.user._id,
+                caseType: req.caseType,
+                caseId: req.caseDoc?._id,
+                chatId: req.params.chatId,
+                reason: file.quarantine.reason,
+                details: file.quarantine.details,
+            });
+            file.quarantinedFileId = held._id;
+            console.warn(`⚠️  Quarantined upload ${file.originalname} (${file.quarantine.reason})`);
+        }
+    }
+};
+
+// Run a multer upload, turn its rejections into 400 responses, then check,
+// scan and store the accepted files
+const runDocumentUpload = (area, req, res, next) => {
+    documentUpload(req, res, async (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: UPLOAD_ERROR_MESSAGES[error.code] || error.message,
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+        if (req.fileValidationError) {
+            removeUploadedFiles(req.files);
+            return res.status(400).json({
+                success: false,
+                message: req.fileValidationError,
+            });
+        }
+
+        const files = req.files || [];
+        try {
+            const rejection =
+                (await inspectUploadedFiles(files)) || (await checkStorageQuotas(req, files));
+            if (rejection) {
+                await removeUploadedFiles(files);
+                return res.status(400).json({
+                    success: false,
+                    message: rejection,
+                });
+            }
+
+            await storeUploadedFiles(req, area, files);
+        } catch (storeError) {
+            console.error("Store uploaded files error:", storeError);
+            await removeUploadedFiles(req.files);
+            return res.status(500).json({
+                success: false,
+                message: "Failed to store uploaded files",
+            });
+        }
+        next();
+    });
+};
+
+// Parse multipart case document uploads ("documents" field) into req.files
+export const handleDocumentUpload = (req, res, next) =>
+    runDocumentUpload(STORAGE_AREAS.cases, req, res, next);
+
+// Parse multipart document vault uploads ("documents" field) into req.files
+export const handleVaultUpload = (req, res, next) =>
+    runDocumentUpload(STORAGE_AREAS.vault, req, res, next);
+
+// Parse multipart chat attachment uploads ("documents" field) into req.files
+export const handleChatAttachmentUpload = (req, res, next) =>
+    runDocumentUpload(STORAGE_AREAS.chats, req, res, next);
+
+// Parse multipart lawyer verification uploads ("documents" field) into req.files
+export const handleVerificationUpload = (req, res, next) =>
+    runDocumentUpload(STORAGE_AREAS.verification, req, res, next);
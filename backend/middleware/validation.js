@@ -197,6 +197,10 @@ export const validateDispute = [
 
 // Consultation validation
 export const validateConsultation = [
+    body("lawyerId")
+        .isMongoId()
+        .withMessage("Please provide a valid lawyer ID"),
+
     body("title")
         .trim()
         .isLength({ min: 5, max: 100 })
@@ -224,6 +228,242 @@ export const validateConsultation = [
         .withMessage("Duration must be between 15 and 180 minutes"),
 ];
 
+// Reschedule proposal validation
+export const validateReschedule = [
+    body("proposedDateTime")
+        .isISO8601()
+        .withMessage("Please provide a valid date and time")
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error("Proposed time must be in the future");
+            }
+            return true;
+        }),
+
+    body("duration")
+        .optional()
+        .isInt({ min: 15, max: 180 })
+        .withMessage("Duration must be between 15 and 180 minutes"),
+
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Reason cannot exceed 500 characters"),
+];
+
+// Consultation completion validation (summary and optional follow-up)
+export const validateConsultationCompletion = [
+    body("summary")
+        .trim()
+        .isLength({ min: 10, max: 2000 })
+        .withMessage("Summary must be between 10 and 2000 characters"),
+
+    body("lawyerNotes")
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage("Notes cannot exceed 2000 characters"),
+
+    body("followUp.required")
+        .optional()
+        .isBoolean()
+        .withMessage("Follow-up flag must be true or false"),
+
+    body("followUp.scheduledDateTime")
+        .if(body("followUp.required").equals("true"))
+        .isISO8601()
+        .withMessage("Please provide a valid follow-up date and time")
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error("Follow-up time must be in the future");
+            }
+            return true;
+        }),
+
+    body("followUp.duration")
+        .optional()
+        .isInt({ min: 15, max: 180 })
+        .withMessage("Duration must be between 15 and 180 minutes"),
+
+    body("followUp.reason")
+        .if(body("followUp.required").equals("true"))
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage("Follow-up reason must be between 3 and 500 characters"),
+];
+
+// Hearing dates are calendar dates; reject anything before today (UTC)
+const isNotPastDate = (value) => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    if (new Date(value) < today) {
+        throw new Error("Hearing date cannot be in the past");
+    }
+    return true;
+};
+
+// Hearing scheduling validation
+export const validateHearing = [
+    body("date")
+        .isISO8601()
+        .withMessage("Please provide a valid hearing date")
+        .custom(isNotPastDate),
+
+    body("time")
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage("Time cannot exceed 20 characters"),
+
+    body("venue")
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage("Venue must be between 2 and 200 characters"),
+
+    body("purpose")
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage("Purpose cannot exceed 200 characters"),
+];
+
+// Hearing postponement validation
+export const validateHearingPostpone = [
+    body("reason")
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage("Reason must be between 3 and 500 characters"),
+
+    body("newDate")
+        .optional({ values: "falsy" })
+        .isISO8601()
+        .withMessage("Please provide a valid hearing date")
+        .custom(isNotPastDate),
+
+    body("newTime")
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage("Time cannot exceed 20 characters"),
+
+    body("venue")
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage("Venue cannot exceed 200 characters"),
+];
+
+// Hearing outcome or cancellation notes
+export const validateHearingUpdate = [
+    body("outcome")
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage("Outcome cannot exceed 1000 characters"),
+
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Reason cannot exceed 500 characters"),
+];
+
+// Review validation
+export const validateReview = [
+    body("source")
+        .isIn(["consultation", "query", "dispute"])
+        .withMessage("Please choose what you are reviewing"),
+
+    body("sourceId")
+        .isMongoId()
+        .withMessage("Invalid consultation or case"),
+
+    body("rating")
+        .isInt({ min: 1, max: 5 })
+        .withMessage("Rating must be between 1 and 5")
+        .toInt(),
+
+    body("comment")
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage("Review cannot exceed 1000 characters"),
+];
+
+// Review reply validation
+export const validateReviewReply = [
+    body("content")
+        .trim()
+        .isLength({ min: 2, max: 1000 })
+        .withMessage("Reply must be between 2 and 1000 characters"),
+];
+
+// Availability validation
+export const validateAvailability = [
+    body("timezone")
+        .optional()
+        .custom((value) => {
+            try {
+                new Intl.DateTimeFormat("en-US", { timeZone: value });
+            } catch {
+                throw new Error("Please provide a valid timezone");
+            }
+            return true;
+        }),
+
+    body("weeklyHours")
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage("Weekly hours must be a list of time windows"),
+
+    body("weeklyHours.*.dayOfWeek")
+        .isInt({ min: 0, max: 6 })
+        .withMessage("Day of week must be between 0 (Sunday) and 6 (Saturday)"),
+
+    body(["weeklyHours.*.startTime", "weeklyHours.*.endTime"])
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage("Times must be in HH:mm format"),
+
+    body("exceptions")
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage("Exceptions must be a list"),
+
+    body("exceptions.*.date")
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Exception date must be in YYYY-MM-DD format"),
+
+    body("holidays")
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage("Holidays must be a list"),
+
+    body(["holidays.*.startDate", "holidays.*.endDate"])
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Holiday dates must be in YYYY-MM-DD format"),
+
+    body("slotDuration")
+        .optional()
+        .isInt({ min: 15, max: 180 })
+        .withMessage("Slot duration must be between 15 and 180 minutes"),
+
+    body("bufferMinutes")
+        .optional()
+        .isInt({ min: 0, max: 120 })
+        .withMessage("Buffer must be between 0 and 120 minutes"),
+
+    body("maxConsultationsPerDay")
+        .optional()
+        .isInt({ min: 1, max: 48 })
+        .withMessage("Max consultations per day must be between 1 and 48"),
+
+    body("isAcceptingBookings")
+        .optional()
+        .isBoolean()
+        .withMessage("isAcceptingBookings must be true or false"),
+];
+
 // Message validation
 export const validateMessage = [
     body("content")
@@ -266,6 +506,52 @@ export const validateForgotPassword = [
         .withMessage("Please provide a valid email"),
 ];
 
+// Email verification validation
+export const validateVerifyEmail = [
+    body("token")
+        .notEmpty()
+        .withMessage("Verification token is required"),
+];
+
+// "This wasn't me" link from a new-device sign-in alert
+export const validateReportLogin = [
+    body("token")
+        .notEmpty()
+        .withMessage("Report token is required"),
+];
+
+// Two-factor code validation (authenticator or backup code)
+export const validateTwoFactorCode = [
+    body("code")
+        .trim()
+        .notEmpty()
+        .withMessage("Authentication code is required"),
+];
+
+// Second login step validation
+export const validateTwoFactorLogin = [
+    body("challengeToken")
+        .notEmpty()
+        .withMessage("Two-factor challenge is required"),
+    ...validateTwoFactorCode,
+];
+
+// Disabling two-factor authentication validation
+export const validateTwoFactorDisable = [
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required"),
+    ...validateTwoFactorCode,
+];
+
+// Admin two-factor reset validation
+export const validateTwoFactorReset = [
+    body("reason")
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+];
+
 // Reset password validation
 export const validateResetPassword = [
     body("token")
@@ -289,3 +575,64 @@ export const validateResetPassword = [
         return true;
     }),
 ];
+
+// Case fee request validation (lawyer asks the citizen to pay)
+export const validateCaseFeeRequest = [
+    body("caseType")
+        .isIn(["query", "dispute"])
+        .withMessage("Case type must be query or dispute"),
+
+    body("caseId").isMongoId().withMessage("Invalid case"),
+
+    body("amount")
+        .isFloat({ min: 1, max: 10000000 })
+        .withMessage("Amount must be at least 1")
+        .toFloat(),
+
+    body("description")
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage("Description cannot exceed 200 characters"),
+];
+
+// Refund validation (amount defaults to the full refundable amount)
+export const validateRefund = [
+    body("amount")
+        .optional()
+        .isFloat({ min: 1 })
+        .withMessage("Refund amount must be at least 1")
+        .toFloat(),
+
+    body("reason")
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage("Reason must be between 3 and 500 characters"),
+];
+
+// Document vault folder validation
+export const validateVaultFolder = [
+    body("name")
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Folder name must be between 1 and 100 characters")
+        .not()
+        .matches(/[\\/]/)
+        .withMessage("Folder name cannot contain slashes"),
+
+    body("parentId")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid parent folder ID"),
+];
+
+// Document vault sharing validation
+export const validateVaultShare = [
+    body("lawyerIds")
+        .isArray({ min: 1, max: 20 })
+        .withMessage("Please choose between 1 and 20 lawyers"),
+
+    body("lawyerIds.*")
+        .isMongoId()
+        .withMessage("Invalid lawyer ID"),
+];
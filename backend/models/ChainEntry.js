@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// One link of the tamper-evident case ledger: a timeline event or a document
+// version, hashed together with the previous entry's hash
+const chainEntrySchema = new mongoose.Schema({
+    // Position in the chain, starting at 1
+    sequence: {
+        type: Number,
+        required: true,
+    },
+    entryType: {
+        type: String,
+        enum: ["timeline_event", "document_version"],
+        required: true,
+    },
+    caseType: {
+        type: String,
+        enum: ["query", "dispute"],
+        required: true,
+    },
+    caseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // The timeline entry or document this records
+    refId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // SHA-256 of the document version (document_version entries only)
+    checksum: String,
+    // Canonical snapshot of what was recorded; payloadHash is its SHA-256
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    payloadHash: {
+        type: String,
+        required: true,
+    },
+    previousHash: {
+        type: String,
+        required: true,
+    },
+    hash: {
+        type: String,
+        required: true,
+    },
+    recordedAt: {
+        type: Date,
+        required: true,
+    },
+    // Set once the entry is included in a Merkle root
+    seal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ChainSeal",
+        default: null,
+    },
+});
+
+chainEntrySchema.index({ sequence: 1 }, { unique: true });
+chainEntrySchema.index({ caseType: 1, caseId: 1, sequence: 1 });
+chainEntrySchema.index({ checksum: 1 });
+chainEntrySchema.index({ seal: 1, sequence: 1 });
+
+// Entries are never edited once written (sealing uses updateMany)
+chainEntrySchema.pre("save", function (next) {
+    if (!this.isNew) {
+        return next(new Error("Chain entries cannot be modified"));
+    }
+    next();
+});
+
+const ChainEntry = mongoose.model("ChainEntry", chainEntrySchema);
+
+export default ChainEntry;
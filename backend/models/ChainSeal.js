@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Merkle root over a consecutive run of chain entries. Seals are chained to
+// each other the same way entries are.
+const chainSealSchema = new mongoose.Schema({
+    sealNumber: {
+        type: Number,
+        required: true,
+    },
+    merkleRoot: {
+        type: String,
+        required: true,
+    },
+    fromSequence: {
+        type: Number,
+        required: true,
+    },
+    toSequence: {
+        type: Number,
+        required: true,
+    },
+    entryCount: {
+        type: Number,
+        required: true,
+    },
+    previousSealHash: {
+        type: String,
+        required: true,
+    },
+    sealHash: {
+        type: String,
+        required: true,
+    },
+    sealedAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+chainSealSchema.index({ sealNumber: 1 }, { unique: true });
+
+// Seals are never edited once written
+chainSealSchema.pre("save", function (next) {
+    if (!this.isNew) {
+        return next(new Error("Chain seals cannot be modified"));
+    }
+    next();
+});
+
+const ChainSeal = mongoose.model("ChainSeal", chainSealSchema);
+
+export default ChainSeal;
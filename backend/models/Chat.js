@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 
+// Files sent with a message; the stored name and path never leave the server
+const chatAttachmentSchema = new mongoose.Schema(
+    {
+        filename: String,
+        originalName: String,
+        path: String,
+        size: Number,
+        mimetype: String,
+    },
+    {
+        toJSON: {
+            transform: (doc, ret) => {
+                delete ret.filename;
+                delete ret.path;
+                return ret;
+            },
+        },
+    }
+);
+
 const chatSchema = new mongoose.Schema({
     chatId: {
         type: String,
@@ -68,15 +88,7 @@ const chatSchema = new mongoose.Schema({
                 enum: ["text", "file", "image", "system"],
                 default: "text",
             },
-            attachments: [
-                {
-                    filename: String,
-                    originalName: String,
-                    path: String,
-                    size: Number,
-                    mimetype: String,
-                },
-            ],
+            attachments: [chatAttachmentSchema],
             isRead: [
                 {
                     user: {
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// How long an uploaded file waits to be sent in a message before it is discarded
+export const ATTACHMENT_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// A file uploaded to a chat that has not been sent yet. send_message claims it
+// by token, copies it into the message and deletes this record.
+const chatAttachmentSchema = new mongoose.Schema({
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    chatId: {
+        type: String,
+        required: true,
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    filename: {
+        type: String,
+        required: true,
+    },
+    originalName: {
+        type: String,
+        required: true,
+    },
+    path: {
+        type: String,
+        required: true,
+    },
+    size: Number,
+    mimetype: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+chatAttachmentSchema.index({ uploadedBy: 1, createdAt: 1 });
+
+const ChatAttachment = mongoose.model("ChatAttachment", chatAttachmentSchema);
+
+export default ChatAttachment;
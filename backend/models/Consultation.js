@@ -37,6 +37,7 @@ const consultationSchema = new mongoose.Schema({
         type: String,
         enum: [
             "requested",
+            "proposed", // follow-up drafted by the lawyer, awaiting the citizen
             "scheduled",
             "confirmed",
             "in-progress",
@@ -46,6 +47,11 @@ const consultationSchema = new mongoose.Schema({
         ],
         default: "requested",
     },
+    // Consultation whose outcome led to this follow-up
+    previousConsultation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Consultation",
+    },
     scheduledDateTime: {
         type: Date,
         required: true,
@@ -74,7 +80,7 @@ const consultationSchema = new mongoose.Schema({
     meetingDetails: {
         platform: {
             type: String,
-            enum: ["zoom", "google-meet", "teams", "phone", "in-person"],
+            enum: ["in-app", "zoom", "google-meet", "teams", "phone", "in-person"],
         },
         meetingLink: String,
         meetingId: String,
@@ -109,7 +115,13 @@ const consultationSchema = new mongoose.Schema({
         },
         scheduledDate: Date,
         reason: String,
+        // Draft follow-up created when the consultation was completed
+        consultation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Consultation",
+        },
     },
+    completedAt: Date,
     cancellation: {
         cancelledBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -123,9 +135,20 @@ const consultationSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
         },
-        originalDateTime: Date,
+        originalDateTime: Date, // first agreed time, kept across reschedules
+        proposedDateTime: Date,
+        proposedDuration: Number,
+        status: {
+            type: String,
+            enum: ["pending", "accepted", "declined", "withdrawn"],
+        },
         reason: String,
         requestedAt: Date,
+        respondedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        respondedAt: Date,
     },
     feedback: {
         citizenRating: {
@@ -153,6 +176,12 @@ const consultationSchema = new mongoose.Schema({
                 default: false,
             },
             sentAt: Date,
+            // Failed delivery attempts (the dispatcher gives up after a few)
+            attempts: {
+                type: Number,
+                default: 0,
+            },
+            lastError: String,
         },
     ],
     createdAt: {
@@ -169,6 +198,18 @@ const consultationSchema = new mongoose.Schema({
 consultationSchema.index({ citizen: 1, lawyer: 1 });
 consultationSchema.index({ scheduledDateTime: 1 });
 consultationSchema.index({ status: 1 });
+consultationSchema.index({ "relatedCase.caseId": 1, scheduledDateTime: 1 });
+consultationSchema.index({ "reminders.sent": 1, "reminders.scheduledFor": 1 });
+
+// Reminders created when a consultation is confirmed (minutes before start)
+const REMINDER_SCHEDULE = [
+    { minutesBefore: 24 * 60, types: ["email", "notification"] },
+    { minutesBefore: 60, types: ["email", "notification"] },
+];
+
+// In-app calls open a little before the booked time and may overrun a little
+const CALL_JOIN_EARLY_MINUTES = 10;
+const CALL_OVERRUN_MINUTES = 15;
 
 // Update timestamps
 consultationSchema.pre("save", function (next) {
@@ -184,7 +225,7 @@ consultationSchema.methods.canBeCancelled = function () {
 
     return (
         hoursDifference >= 2 &&
-        ["requested", "scheduled", "confirmed"].includes(this.status)
+        ["requested", "proposed", "scheduled", "confirmed"].includes(this.status)
     );
 };
 
@@ -199,11 +240,85 @@ consultationSchema.methods.canBeRescheduled = function () {
     );
 };
 
-// Method to generate meeting link placeholder
+// Method to check if a reschedule proposal is waiting for an answer
+consultationSchema.methods.hasPendingReschedule = function () {
+    return this.reschedule?.status === "pending";
+};
+
+// Method to check if the lawyer can close the consultation with an outcome
+consultationSchema.methods.canBeCompleted = function () {
+    return (
+        ["scheduled", "confirmed", "in-progress"].includes(this.status) &&
+        new Date(this.scheduledDateTime) <= new Date()
+    );
+};
+
+// Method to check if the consultation took place and is over
+consultationSchema.methods.hasEnded = function () {
+    if (this.status === "completed") {
+        return true;
+    }
+
+    const endTime =
+        new Date(this.scheduledDateTime).getTime() + this.duration * 60 * 1000;
+    return (
+        ["scheduled", "confirmed", "in-progress"].includes(this.status) &&
+        endTime <= Date.now()
+    );
+};
+
+// Method to (re)create pending reminders for the scheduled time
+consultationSchema.methods.scheduleReminders = function () {
+    const now = new Date();
+    const startTime = new Date(this.scheduledDateTime).getTime();
+
+    // Keep the history of reminders already sent, drop the pending ones
+    this.reminders = this.reminders.filter((reminder) => reminder.sent);
+
+    REMINDER_SCHEDULE.forEach(({ minutesBefore, types }) => {
+        const scheduledFor = new Date(startTime - minutesBefore * 60 * 1000);
+        if (scheduledFor <= now) {
+            return;
+        }
+
+        types.forEach((type) => {
+            this.reminders.push({ type, scheduledFor });
+        });
+    });
+};
+
+// Method to get the time range in which participants may join the call
+consultationSchema.methods.getCallWindow = function () {
+    const start = new Date(this.scheduledDateTime).getTime();
+
+    return {
+        opensAt: new Date(start - CALL_JOIN_EARLY_MINUTES * 60 * 1000),
+        closesAt: new Date(
+            start + (this.duration + CALL_OVERRUN_MINUTES) * 60 * 1000
+        ),
+    };
+};
+
+// Method to check if the in-app call can be joined right now
+consultationSchema.methods.isCallWindowOpen = function () {
+    if (
+        this.consultationType === "in-person" ||
+        !["scheduled", "confirmed", "in-progress"].includes(this.status)
+    ) {
+        return false;
+    }
+
+    const { opensAt, closesAt } = this.getCallWindow();
+    const now = new Date();
+    return now >= opensAt && now <= closesAt;
+};
+
+// Method to point the meeting link at the in-app (WebRTC) call page
 consultationSchema.methods.generateMeetingLink = function () {
     if (this.consultationType === "video") {
-        // In a real app, integrate with Zoom/Google Meet API
-        this.meetingDetails.meetingLink = `https://meet.example.com/consultation/${this._id}`;
+        const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+        this.meetingDetails.platform = "in-app";
+        this.meetingDetails.meetingLink = `${clientUrl}/consultations/${this._id}/call`;
         this.meetingDetails.meetingId = `consultation-${this._id}`;
     }
 };
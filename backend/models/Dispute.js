@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import documentVersionSchema from './documentVersionSchema.js';
+import { collectChainRecords, appendChainRecords } from '../utils/hashChain.js';
 
 const disputeSchema = new mongoose.Schema({
   title: {
@@ -91,12 +93,27 @@ const disputeSchema = new mongoose.Schema({
     path: String,
     documentType: {
       type: String,
-      enum: ['evidence', 'contract', 'notice', 'correspondence', 'other']
+      enum: ['evidence', 'contract', 'notice', 'correspondence', 'other'],
+      default: 'other'
+    },
+    mimeType: String,
+    size: Number,
+    // SHA-256 of the current file, hex encoded
+    checksum: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
     uploadedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Re-uploading a file with the same name adds a new version
+    version: {
+      type: Number,
+      default: 1
+    },
+    versions: [documentVersionSchema]
   }],
   hearingDates: [{
     date: Date,
@@ -107,7 +124,18 @@ const disputeSchema = new mongoose.Schema({
       type: String,
       enum: ['scheduled', 'completed', 'postponed', 'cancelled'],
       default: 'scheduled'
-    }
+    },
+    // Why the hearing was postponed or cancelled
+    reason: String,
+    // What happened at a completed hearing
+    outcome: String,
+    // Hearing that replaced this one when postponed to a new date
+    postponedTo: mongoose.Schema.Types.ObjectId,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: Date
   }],
   resolution: {
     type: {
@@ -158,6 +186,9 @@ const disputeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Update timestamps
@@ -178,6 +209,18 @@ disputeSchema.pre('save', function(next) {
   next();
 });
 
+// Snapshot new timeline events and document versions for the case ledger
+disputeSchema.pre('save', function(next) {
+  this.$locals.chainRecords = collectChainRecords('dispute', this);
+  next();
+});
+
+// Chain them once the save has succeeded
+disputeSchema.post('save', function(doc) {
+  appendChainRecords('dispute', doc._id, doc.$locals.chainRecords);
+  doc.$locals.chainRecords = [];
+});
+
 // Method to check if lawyer request already exists
 disputeSchema.methods.hasRequestedLawyer = function(lawyerId) {
   return this.lawyerRequests.some(
@@ -214,6 +257,20 @@ disputeSchema.methods.addCitizenRequest = function(lawyerId, message = '') {
   }
 };
 
+// Method to get the earliest upcoming scheduled hearing
+disputeSchema.methods.getNextHearing = function() {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  return (this.hearingDates || [])
+    .filter(hearing => hearing.status === 'scheduled' && hearing.date >= today)
+    .sort((a, b) => a.date - b.date)[0] || null;
+};
+
+disputeSchema.virtual('nextHearing').get(function() {
+  return this.getNextHearing();
+});
+
 const Dispute = mongoose.model('Dispute', disputeSchema);
 
 export default Dispute;
\ No newline at end of file
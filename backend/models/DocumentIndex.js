@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Types a query or dispute document can be filed under
+export const DOCUMENT_TYPES = ["evidence", "contract", "notice", "correspondence", "other"];
+
+// Search index entry for the current version of a query or dispute document:
+// its extracted text, together with the case details it is searched by.
+// Access is checked against the live case when searching, not stored here.
+const documentIndexSchema = new mongoose.Schema({
+    caseType: {
+        type: String,
+        enum: ["query", "dispute"],
+        required: true,
+    },
+    caseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // Stored file name and version the text was extracted from
+    filename: String,
+    version: Number,
+    originalName: String,
+    documentType: String,
+    mimeType: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    uploadedAt: Date,
+    caseTitle: String,
+    caseCategory: String,
+    text: {
+        type: String,
+        default: "",
+    },
+    indexedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+documentIndexSchema.index({ caseType: 1, documentId: 1 }, { unique: true });
+documentIndexSchema.index({ caseType: 1, caseId: 1 });
+documentIndexSchema.index(
+    { originalName: "text", caseTitle: "text", text: "text" },
+    { weights: { originalName: 5, caseTitle: 3, text: 1 }, name: "document_search" }
+);
+
+const DocumentIndex = mongoose.model("DocumentIndex", documentIndexSchema);
+
+export default DocumentIndex;
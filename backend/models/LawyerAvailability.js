@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const lawyerAvailabilitySchema = new mongoose.Schema({
+    lawyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        unique: true,
+    },
+    // IANA timezone the hours below are expressed in
+    timezone: {
+        type: String,
+        default: "Asia/Kolkata",
+    },
+    // Recurring weekly working hours (0 = Sunday ... 6 = Saturday)
+    weeklyHours: [
+        {
+            dayOfWeek: {
+                type: Number,
+                min: 0,
+                max: 6,
+                required: true,
+            },
+            startTime: {
+                type: String,
+                required: true,
+                match: [TIME_PATTERN, "Start time must be in HH:mm format"],
+            },
+            endTime: {
+                type: String,
+                required: true,
+                match: [TIME_PATTERN, "End time must be in HH:mm format"],
+            },
+        },
+    ],
+    // Date-specific overrides of the weekly hours
+    exceptions: [
+        {
+            date: {
+                type: String,
+                required: true,
+                match: [DATE_PATTERN, "Exception date must be in YYYY-MM-DD format"],
+            },
+            isAvailable: {
+                type: Boolean,
+                default: false,
+            },
+            startTime: {
+                type: String,
+                match: [TIME_PATTERN, "Start time must be in HH:mm format"],
+            },
+            endTime: {
+                type: String,
+                match: [TIME_PATTERN, "End time must be in HH:mm format"],
+            },
+            reason: String,
+        },
+    ],
+    // Days off (inclusive date ranges)
+    holidays: [
+        {
+            startDate: {
+                type: String,
+                required: true,
+                match: [DATE_PATTERN, "Holiday start must be in YYYY-MM-DD format"],
+            },
+            endDate: {
+                type: String,
+                required: true,
+                match: [DATE_PATTERN, "Holiday end must be in YYYY-MM-DD format"],
+            },
+            reason: String,
+        },
+    ],
+    slotDuration: {
+        type: Number, // in minutes
+        default: 30,
+        min: [15, "Minimum slot duration is 15 minutes"],
+        max: [180, "Maximum slot duration is 180 minutes"],
+    },
+    bufferMinutes: {
+        type: Number, // gap kept free before and after each booking
+        default: 0,
+        min: [0, "Buffer cannot be negative"],
+        max: [120, "Maximum buffer is 120 minutes"],
+    },
+    maxConsultationsPerDay: {
+        type: Number,
+        default: 8,
+        min: [1, "At least one consultation per day is required"],
+        max: [48, "Maximum 48 consultations per day"],
+    },
+    isAcceptingBookings: {
+        type: Boolean,
+        default: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Update timestamps
+lawyerAvailabilitySchema.pre("save", function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Reject windows that end before they start
+lawyerAvailabilitySchema.pre("validate", function (next) {
+    this.weeklyHours.forEach((window, index) => {
+        if (window.startTime >= window.endTime) {
+            this.invalidate(
+                `weeklyHours.${index}.endTime`,
+                "End time must be after start time"
+            );
+        }
+    });
+
+    this.exceptions.forEach((exception, index) => {
+        if (
+            exception.isAvailable &&
+            (!exception.startTime ||
+                !exception.endTime ||
+                exception.startTime >= exception.endTime)
+        ) {
+            this.invalidate(
+                `exceptions.${index}.endTime`,
+                "Available exceptions need a start time before the end time"
+            );
+        }
+    });
+
+    this.holidays.forEach((holiday, index) => {
+        if (holiday.startDate > holiday.endDate) {
+            this.invalidate(
+                `holidays.${index}.endDate`,
+                "Holiday end date must not be before start date"
+            );
+        }
+    });
+
+    next();
+});
+
+const LawyerAvailability = mongoose.model(
+    "LawyerAvailability",
+    lawyerAvailabilitySchema
+);
+
+export default LawyerAvailability;
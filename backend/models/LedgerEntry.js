@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+
+// Append-only record of money actually moved: one entry per captured
+// payment (positive amount) and one per completed refund (negative amount)
+const ledgerEntrySchema = new mongoose.Schema({
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ["payment", "refund"],
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    currency: {
+        type: String,
+        default: "INR",
+    },
+    purpose: {
+        type: String,
+        enum: ["consultation", "case_fee"],
+    },
+    payer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    payee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    gateway: String,
+    // Gateway payment or refund ID; makes replayed webhooks a no-op
+    gatewayReference: {
+        type: String,
+        required: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ledgerEntrySchema.index({ gateway: 1, gatewayReference: 1, type: 1 }, { unique: true });
+ledgerEntrySchema.index({ createdAt: -1 });
+ledgerEntrySchema.index({ payee: 1, createdAt: -1 });
+
+// Entries are never edited once written
+ledgerEntrySchema.pre("save", function (next) {
+    if (!this.isNew) {
+        return next(new Error("Ledger entries cannot be modified"));
+    }
+    next();
+});
+
+// Static to sum ledger amounts by month, e.g. for revenue reports
+ledgerEntrySchema.statics.getRevenueSummary = async function (match = {}) {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const previousMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+
+    const [totals] = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                totalRevenue: { $sum: "$amount" },
+                monthlyRevenue: {
+                    $sum: { $cond: [{ $gte: ["$createdAt", monthStart] }, "$amount", 0] },
+                },
+                previousMonthRevenue: {
+                    $sum: {
+                        $cond: [
+                            {
+                                $and: [
+                                    { $gte: ["$createdAt", previousMonthStart] },
+                                    { $lt: ["$createdAt", monthStart] },
+                                ],
+                            },
+                            "$amount",
+                            0,
+                        ],
+                    },
+                },
+                consultationPayments: {
+                    $sum: {
+                        $cond: [
+                            {
+                                $and: [
+                                    { $eq: ["$type", "payment"] },
+                                    { $eq: ["$purpose", "consultation"] },
+                                ],
+                            },
+                            1,
+                            0,
+                        ],
+                    },
+                },
+                consultationAmount: {
+                    $sum: {
+                        $cond: [
+                            {
+                                $and: [
+                                    { $eq: ["$type", "payment"] },
+                                    { $eq: ["$purpose", "consultation"] },
+                                ],
+                            },
+                            "$amount",
+                            0,
+                        ],
+                    },
+                },
+                refundedAmount: {
+                    $sum: { $cond: [{ $eq: ["$type", "refund"] }, "$amount", 0] },
+                },
+            },
+        },
+    ]);
+
+    if (!totals) {
+        return {
+            totalRevenue: 0,
+            monthlyRevenue: 0,
+            growthRate: 0,
+            averageConsultationFee: 0,
+            refundedAmount: 0,
+        };
+    }
+
+    const growthRate = totals.previousMonthRevenue
+        ? ((totals.monthlyRevenue - totals.previousMonthRevenue) /
+              Math.abs(totals.previousMonthRevenue)) *
+          100
+        : 0;
+
+    return {
+        totalRevenue: totals.totalRevenue,
+        monthlyRevenue: totals.monthlyRevenue,
+        growthRate: Math.round(growthRate * 10) / 10,
+        averageConsultationFee: totals.consultationPayments
+            ? Math.round(totals.consultationAmount / totals.consultationPayments)
+            : 0,
+        refundedAmount: Math.abs(totals.refundedAmount),
+    };
+};
+
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+
+export default LedgerEntry;
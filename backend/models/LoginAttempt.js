@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+export const LOGIN_FAILURE_REASONS = [
+    "invalid_password",
+    "invalid_two_factor_code",
+    "account_locked",
+    "account_deactivated",
+];
+
+// Login history is kept for this long
+const LOGIN_HISTORY_TTL_DAYS = 90;
+
+// A sign-in attempt against an existing account. Successful ones link the
+// session they started; those from a new device carry a one-time token for the
+// "this wasn't me" link in the alert.
+const loginAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    success: {
+        type: Boolean,
+        required: true,
+    },
+    failureReason: {
+        type: String,
+        enum: LOGIN_FAILURE_REASONS,
+    },
+    ipAddress: String,
+    userAgent: String,
+    // Browser family, OS and device class (see getDeviceFingerprint)
+    deviceFingerprint: String,
+    newDevice: {
+        type: Boolean,
+        default: false,
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Session",
+    },
+    reportTokenHash: {
+        type: String,
+        select: false,
+    },
+    reportTokenExpires: {
+        type: Date,
+        select: false,
+    },
+    reportedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, success: 1, userAgent: 1 });
+loginAttemptSchema.index({ user: 1, success: 1, deviceFingerprint: 1 });
+loginAttemptSchema.index({ reportTokenHash: 1 }, { sparse: true });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_TTL_DAYS * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
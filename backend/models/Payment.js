@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_PURPOSES = ["consultation", "case_fee"];
+
+export const PAYMENT_STATUSES = [
+    "requires_payment", // created, waiting for the payer
+    "processing", // checkout started with the gateway
+    "succeeded",
+    "failed",
+    "cancelled",
+    "partially_refunded",
+    "refunded",
+];
+
+// A payment intent: what a citizen owes a lawyer and how far it has got
+const paymentSchema = new mongoose.Schema({
+    payer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    payee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    purpose: {
+        type: String,
+        enum: PAYMENT_PURPOSES,
+        required: true,
+    },
+    consultation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Consultation",
+    },
+    relatedCase: {
+        caseType: {
+            type: String,
+            enum: ["query", "dispute"],
+        },
+        caseId: mongoose.Schema.Types.ObjectId,
+    },
+    description: {
+        type: String,
+        maxlength: [200, "Description cannot be more than 200 characters"],
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [1, "Amount must be at least 1"],
+    },
+    currency: {
+        type: String,
+        default: "INR",
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: "requires_payment",
+    },
+    gateway: String,
+    gatewayPaymentId: String,
+    failureReason: String,
+    paidAt: Date,
+    amountRefunded: {
+        type: Number,
+        default: 0,
+    },
+    refunds: [
+        {
+            amount: Number,
+            reason: String,
+            status: {
+                type: String,
+                enum: ["pending", "succeeded", "failed"],
+                default: "pending",
+            },
+            gatewayRefundId: String,
+            requestedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now,
+            },
+            completedAt: Date,
+        },
+    ],
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+paymentSchema.index({ payer: 1, createdAt: -1 });
+paymentSchema.index({ payee: 1, createdAt: -1 });
+paymentSchema.index({ consultation: 1 });
+paymentSchema.index({ gateway: 1, gatewayPaymentId: 1 });
+
+// Update timestamps
+paymentSchema.pre("save", function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Method to check if the payer can (re)start checkout
+paymentSchema.methods.canBePaid = function () {
+    return ["requires_payment", "processing", "failed"].includes(this.status);
+};
+
+// Method to get the amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function () {
+    if (!["succeeded", "partially_refunded"].includes(this.status)) {
+        return 0;
+    }
+
+    const pending = this.refunds
+        .filter((refund) => refund.status === "pending")
+        .reduce((sum, refund) => sum + refund.amount, 0);
+    return this.amount - this.amountRefunded - pending;
+};
+
+// Add a pending refund only if it still fits in the refundable amount, checked
+// in the same update so concurrent requests can't refund more than was paid.
+// Resolves to whether the refund was added.
+paymentSchema.statics.reserveRefund = async function (paymentId, refund) {
+    const pendingTotal = {
+        $sum: {
+            $map: {
+                input: {
+                    $filter: {
+                        input: "$refunds",
+                        cond: { $eq: ["$$this.status", "pending"] },
+                    },
+                },
+                in: "$$this.amount",
+            },
+        },
+    };
+
+    const result = await this.updateOne(
+        {
+            _id: paymentId,
+            status: { $in: ["succeeded", "partially_refunded"] },
+            $expr: {
+                $gte: [
+                    { $subtract: ["$amount", { $add: ["$amountRefunded", pendingTotal] }] },
+                    refund.amount,
+                ],
+            },
+        },
+        {
+            $push: { refunds: { ...refund, status: "pending" } },
+            $set: { updatedAt: Date.now() },
+        }
+    );
+    return result.modifiedCount === 1;
+};
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+export const QUARANTINE_REASONS = ["malware_detected", "scan_failed", "active_content"];
+
+// An upload held back for admin review. The document, attachment or
+// verification record that refers to it is created as usual, but the file is
+// kept in the quarantine storage area (and can't be downloaded) until an admin
+// releases it to its original area or deletes it.
+const quarantinedFileSchema = new mongoose.Schema({
+    // Storage area the file belongs in once released (cases, vault, chats, verification)
+    area: {
+        type: String,
+        required: true,
+    },
+    filename: {
+        type: String,
+        required: true,
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    // Where it was uploaded, for context during review
+    caseType: {
+        type: String,
+        enum: ["query", "dispute"],
+    },
+    caseId: mongoose.Schema.Types.ObjectId,
+    chatId: String,
+    reason: {
+        type: String,
+        enum: QUARANTINE_REASONS,
+        required: true,
+    },
+    // Virus signature or the content that made the file suspicious
+    details: String,
+    status: {
+        type: String,
+        enum: ["pending", "released", "deleted"],
+        default: "pending",
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    reviewedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+quarantinedFileSchema.index({ status: 1, createdAt: -1 });
+quarantinedFileSchema.index({ area: 1, filename: 1 });
+
+const QuarantinedFile = mongoose.model("QuarantinedFile", quarantinedFileSchema);
+
+export default QuarantinedFile;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import documentVersionSchema from "./documentVersionSchema.js";
+import { collectChainRecords, appendChainRecords } from "../utils/hashChain.js";
 
 const querySchema = new mongoose.Schema({
     title: {
@@ -89,10 +91,29 @@ const querySchema = new mongoose.Schema({
             filename: String,
             originalName: String,
             path: String,
+            documentType: {
+                type: String,
+                enum: ["evidence", "contract", "notice", "correspondence", "other"],
+                default: "other",
+            },
+            mimeType: String,
+            size: Number,
+            // SHA-256 of the current file, hex encoded
+            checksum: String,
+            uploadedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
             uploadedAt: {
                 type: Date,
                 default: Date.now,
             },
+            // Re-uploading a file with the same name adds a new version
+            version: {
+                type: Number,
+                default: 1,
+            },
+            versions: [documentVersionSchema],
         },
     ],
     notes: [
@@ -158,6 +179,18 @@ querySchema.pre("save", function (next) {
     next();
 });
 
+// Snapshot new timeline events and document versions for the case ledger
+querySchema.pre("save", function (next) {
+    this.$locals.chainRecords = collectChainRecords("query", this);
+    next();
+});
+
+// Chain them once the save has succeeded
+querySchema.post("save", function (doc) {
+    appendChainRecords("query", doc._id, doc.$locals.chainRecords);
+    doc.$locals.chainRecords = [];
+});
+
 // Method to check if lawyer request already exists
 querySchema.methods.hasRequestedLawyer = function (lawyerId) {
     return this.lawyerRequests.some(
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema({
+    lawyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    citizen: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    // What the review is about: a completed consultation or a resolved case
+    source: {
+        type: String,
+        enum: ["consultation", "query", "dispute"],
+        required: true,
+    },
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    sourceTitle: {
+        type: String,
+        trim: true,
+    },
+    rating: {
+        type: Number,
+        required: [true, "Please provide a rating"],
+        min: [1, "Rating must be between 1 and 5"],
+        max: [5, "Rating must be between 1 and 5"],
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Review cannot be more than 1000 characters"],
+    },
+    // Public reply from the lawyer (only one allowed)
+    reply: {
+        content: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "Reply cannot be more than 1000 characters"],
+        },
+        repliedAt: Date,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// One review per citizen per consultation or case
+reviewSchema.index({ citizen: 1, source: 1, sourceId: 1 }, { unique: true });
+reviewSchema.index({ lawyer: 1, createdAt: -1 });
+
+// Update timestamps
+reviewSchema.pre("save", function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Recalculate the lawyer's average rating and review count
+reviewSchema.statics.updateLawyerRating = async function (lawyerId) {
+    const [result] = await this.aggregate([
+        { $match: { lawyer: new mongoose.Types.ObjectId(lawyerId) } },
+        {
+            $group: {
+                _id: "$lawyer",
+                average: { $avg: "$rating" },
+                count: { $sum: 1 },
+            },
+        },
+    ]);
+
+    const rating = {
+        average: result ? Math.round(result.average * 10) / 10 : 0,
+        count: result ? result.count : 0,
+    };
+
+    await mongoose.model("User").updateOne(
+        { _id: lawyerId },
+        { $set: { "lawyerDetails.rating": rating } }
+    );
+
+    return rating;
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
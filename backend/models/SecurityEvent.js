@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+export const SECURITY_EVENT_TYPES = [
+    "two_factor_enabled",
+    "two_factor_disabled",
+    "two_factor_reset",
+    "backup_codes_regenerated",
+    "backup_code_used",
+    "session_revoked",
+    "all_sessions_revoked",
+    "refresh_token_reused",
+    "account_locked",
+    "suspicious_login_reported",
+];
+
+// Audit trail of security changes to an account. `actor` is whoever made the
+// change: the account holder, or an admin (e.g. resetting two-factor
+// authentication for a user who lost their device).
+const securityEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: SECURITY_EVENT_TYPES,
+        required: true,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    reason: String,
+    ipAddress: String,
+    userAgent: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+// Record an event for `userId` from the request that caused it. The actor is
+// the signed-in user, or the account holder during login.
+securityEventSchema.statics.record = function (req, userId, type, reason) {
+    return this.create({
+        user: userId,
+        type,
+        actor: req.user?._id || userId,
+        reason,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+    });
+};
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const SESSION_REVOKE_REASONS = [
+    "logout",
+    "logout_all",
+    "revoked_by_user",
+    "refresh_token_reused",
+    "login_reported",
+    "password_changed",
+    "password_reset",
+    "two_factor_reset",
+    "account_deactivated",
+];
+
+// A signed-in device. Each refresh rotates the refresh token, and only the
+// hash of the current one is kept: presenting an older token means it was
+// copied, so the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    userAgent: String,
+    ipAddress: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // When the current refresh token expires; MongoDB deletes the session then
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: SESSION_REVOKE_REASONS,
+    },
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens are stored as SHA-256 hashes
+sessionSchema.statics.hashToken = function (token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Active (not revoked, not expired) sessions for a user, most recent first
+sessionSchema.statics.findActiveForUser = function (userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+};
+
+// The active session an access token was issued for, or null
+sessionSchema.statics.findActiveForToken = function (decoded) {
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+        return Promise.resolve(null);
+    }
+    return this.findOne({
+        _id: decoded.sid,
+        user: decoded.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+// Revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
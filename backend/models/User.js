@@ -1,6 +1,42 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+export const VERIFICATION_DOCUMENT_TYPES = ["bar_certificate", "enrollment_id", "photo_id"];
+
+// Hide where a stored file lives whenever a user is serialized
+const hideStoredFile = (doc, ret) => {
+    delete ret.filename;
+    delete ret.path;
+    return ret;
+};
+
+// A file a lawyer submits to get verified (one per type)
+const verificationDocumentSchema = new mongoose.Schema(
+    {
+        documentType: {
+            type: String,
+            enum: VERIFICATION_DOCUMENT_TYPES,
+            required: true,
+        },
+        filename: {
+            type: String,
+            required: true,
+        },
+        originalName: String,
+        path: String,
+        mimeType: String,
+        size: Number,
+        uploadedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        toJSON: { transform: hideStoredFile },
+        toObject: { transform: hideStoredFile },
+    }
+);
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -60,10 +96,70 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true,
     },
-    refreshToken: {
+    // Email address ownership, confirmed through the link sent on registration
+    isEmailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerificationToken: {
         type: String,
         select: false,
     },
+    emailVerificationExpires: {
+        type: Date,
+        select: false,
+    },
+    // TOTP two-factor authentication (optional for lawyers, required for admins)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false,
+        },
+        // Secret being enrolled, until it is confirmed with a first code
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        // Time step of the last accepted code, so a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        // One-time backup codes (SHA-256 hashes)
+        backupCodes: {
+            type: [
+                {
+                    codeHash: String,
+                    usedAt: Date,
+                },
+            ],
+            select: false,
+        },
+    },
+    // Failed sign-in tracking for account lockout
+    loginSecurity: {
+        // Failed attempts since the last successful sign-in or lockout
+        failedAttempts: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+        lockedUntil: {
+            type: Date,
+            select: false,
+        },
+        // Lockouts since the last successful sign-in; each one lasts longer
+        lockoutCount: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+    },
     // Password reset fields
     passwordResetToken: {
         type: String,
@@ -73,6 +169,12 @@ const userSchema = new mongoose.Schema({
         type: Date,
         select: false,
     },
+    // Secret token for the subscribable iCal feed
+    calendarFeedToken: {
+        type: String,
+        select: false,
+        index: { unique: true, sparse: true },
+    },
     // Profile completion tracking
     profileCompletion: {
         basicInfo: {
@@ -130,7 +232,7 @@ const userSchema = new mongoose.Schema({
                 enum: ["pending", "verified", "rejected"],
                 default: "pending",
             },
-            verificationDocuments: [String],
+            verificationDocuments: [verificationDocumentSchema],
             verificationNotes: {
                 type: String,
                 trim: true,
@@ -144,6 +246,17 @@ const userSchema = new mongoose.Schema({
             licenseNumber: String,
             practiceAreas: [String],
             courtAdmissions: [String],
+            // Aggregated from reviews (see Review.updateLawyerRating)
+            rating: {
+                average: {
+                    type: Number,
+                    default: 0,
+                },
+                count: {
+                    type: Number,
+                    default: 0,
+                },
+            },
         },
         default: undefined // Only create this object for lawyers
     },
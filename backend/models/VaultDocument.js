@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import documentVersionSchema from "./documentVersionSchema.js";
+
+const vaultDocumentSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    // null for documents at the root of the vault
+    folder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "VaultFolder",
+        default: null,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    filename: {
+        type: String,
+        required: true,
+    },
+    path: {
+        type: String,
+        required: true,
+    },
+    mimeType: String,
+    size: Number,
+    // SHA-256 of the current file, hex encoded
+    checksum: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Uploading a file with the same name to the same folder adds a new version
+    version: {
+        type: Number,
+        default: 1,
+    },
+    versions: [documentVersionSchema],
+    // Lawyers this document has been shared with directly
+    sharedWith: [
+        {
+            lawyer: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            sharedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+vaultDocumentSchema.index({ owner: 1, folder: 1 });
+vaultDocumentSchema.index({ "sharedWith.lawyer": 1 });
+
+// Update timestamps
+vaultDocumentSchema.pre("save", function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Check if a lawyer has been given this document directly
+vaultDocumentSchema.methods.isSharedWith = function (lawyerId) {
+    return this.sharedWith.some((share) => share.lawyer._id.toString() === lawyerId.toString());
+};
+
+const VaultDocument = mongoose.model("VaultDocument", vaultDocumentSchema);
+
+export default VaultDocument;
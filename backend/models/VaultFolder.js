@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+export const MAX_FOLDER_DEPTH = 10;
+
+const vaultFolderSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    name: {
+        type: String,
+        required: [true, "Please provide a folder name"],
+        trim: true,
+        maxlength: [100, "Folder name cannot be more than 100 characters"],
+    },
+    // null for folders at the root of the vault
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "VaultFolder",
+        default: null,
+    },
+    // Every folder above this one, root first (used for paths and subtree queries)
+    ancestors: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "VaultFolder",
+        },
+    ],
+    // Lawyers who may open this folder and everything inside it
+    sharedWith: [
+        {
+            lawyer: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            sharedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+vaultFolderSchema.index({ owner: 1, parent: 1, name: 1 }, { unique: true });
+vaultFolderSchema.index({ ancestors: 1 });
+vaultFolderSchema.index({ "sharedWith.lawyer": 1 });
+
+// Update timestamps
+vaultFolderSchema.pre("save", function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Check if a lawyer has been given this folder
+vaultFolderSchema.methods.isSharedWith = function (lawyerId) {
+    return this.sharedWith.some((share) => share.lawyer._id.toString() === lawyerId.toString());
+};
+
+const VaultFolder = mongoose.model("VaultFolder", vaultFolderSchema);
+
+export default VaultFolder;
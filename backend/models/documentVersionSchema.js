@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A superseded file of a case or vault document. The document itself always
+// holds the current version; older ones are kept here, newest last.
+const documentVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+    },
+    filename: {
+        type: String,
+        required: true,
+    },
+    originalName: String,
+    path: String,
+    mimeType: String,
+    size: Number,
+    // SHA-256 of the file contents, hex encoded
+    checksum: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+export default documentVersionSchema;
@@ -5,9 +5,19 @@ import {
     getPendingLawyerVerifications,
     updateLawyerVerification,
     toggleUserStatus,
+    resetUserTwoFactor,
+    getUserSecurityEvents,
     getSystemStats,
 } from "../controllers/adminController.js";
+import { viewLawyerVerificationDocument } from "../controllers/verificationController.js";
+import {
+    getQuarantinedFiles,
+    downloadQuarantinedFile,
+    releaseQuarantinedFile,
+    deleteQuarantinedFile,
+} from "../controllers/quarantineController.js";
 import { protect, authorize } from "../middleware/auth.js";
+import { validateTwoFactorReset } from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -22,9 +32,21 @@ router.get("/system/stats", getSystemStats);
 // User management
 router.get("/users", getAllUsers);
 router.patch("/users/:userId/toggle-status", toggleUserStatus);
+router.post("/users/:userId/reset-2fa", validateTwoFactorReset, resetUserTwoFactor);
+router.get("/users/:userId/security-events", getUserSecurityEvents);
 
 // Lawyer verification
 router.get("/lawyers/pending-verifications", getPendingLawyerVerifications);
 router.patch("/lawyers/:lawyerId/verification", updateLawyerVerification);
+router.get(
+    "/lawyers/:lawyerId/verification-documents/:documentId",
+    viewLawyerVerificationDocument
+);
+
+// Quarantined uploads
+router.get("/quarantine", getQuarantinedFiles);
+router.get("/quarantine/:fileId/download", downloadQuarantinedFile);
+router.post("/quarantine/:fileId/release", releaseQuarantinedFile);
+router.delete("/quarantine/:fileId", deleteQuarantinedFile);
 
 export default router;
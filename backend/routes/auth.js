@@ -3,12 +3,25 @@ import {
     register,
     login,
     logout,
+    logoutAll,
     refreshToken,
+    getSessions,
+    revokeSession,
+    getLoginHistory,
+    reportLogin,
     getCurrentUser,
     updateProfile,
     forgotPassword,
     resetPassword,
     updatePassword,
+    verifyEmail,
+    resendVerificationEmail,
+    verifyTwoFactorLogin,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
 } from "../controllers/authController.js";
 import {
     validateRegister,
@@ -17,9 +30,14 @@ import {
     validateForgotPassword,
     validateResetPassword,
     validatePasswordChange,
+    validateVerifyEmail,
+    validateReportLogin,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validateTwoFactorDisable,
 } from "../middleware/validation.js";
-import { protect } from "../middleware/auth.js";
-import { authLimiter } from "../middleware/rateLimiter.js";
+import { protect, protectOrTwoFactorSetup, authorize } from "../middleware/auth.js";
+import { authLimiter, verificationEmailLimiter } from "../middleware/rateLimiter.js";
 
 const router = express.Router();
 
@@ -29,13 +47,34 @@ router.post("/login", authLimiter, validateLogin, login);
 router.post("/refresh-token", refreshToken);
 router.post("/forgot-password", authLimiter, validateForgotPassword, forgotPassword);
 router.post("/reset-password", authLimiter, validateResetPassword, resetPassword);
+router.post("/verify-email", authLimiter, validateVerifyEmail, verifyEmail);
+router.post("/report-login", authLimiter, validateReportLogin, reportLogin);
+router.post("/2fa/verify", authLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+
+// Two-factor enrollment (also reachable with the setup challenge admins get at login)
+router.post("/2fa/setup", protectOrTwoFactorSetup, authorize("lawyer", "admin"), setupTwoFactor);
+router.post(
+    "/2fa/enable",
+    protectOrTwoFactorSetup,
+    authorize("lawyer", "admin"),
+    validateTwoFactorCode,
+    enableTwoFactor
+);
 
 // Protected routes
 router.use(protect); // All routes below require authentication
 
 router.post("/logout", logout);
+router.post("/logout-all", logoutAll);
+router.get("/sessions", getSessions);
+router.delete("/sessions/:sessionId", revokeSession);
+router.get("/login-history", getLoginHistory);
 router.get("/me", getCurrentUser);
 router.put("/profile", validateProfileUpdate, updateProfile);
 router.put("/update-password", validatePasswordChange, updatePassword);
+router.post("/resend-verification", verificationEmailLimiter, resendVerificationEmail);
+router.get("/2fa", getTwoFactorStatus);
+router.post("/2fa/disable", validateTwoFactorDisable, disableTwoFactor);
+router.post("/2fa/backup-codes", validateTwoFactorCode, regenerateBackupCodes);
 
 export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+    getCalendarFeedInfo,
+    regenerateCalendarFeed,
+    getCalendarFeed,
+    downloadConsultationIcs,
+} from "../controllers/calendarController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Public route (secret token in the URL, used by calendar apps)
+router.get("/feed/:token.ics", getCalendarFeed);
+
+// Protected routes
+router.use(protect);
+
+router.get("/feed", getCalendarFeedInfo);
+router.post("/feed/regenerate", regenerateCalendarFeed);
+router.get("/consultations/:consultationId.ics", downloadConsultationIcs);
+
+export default router;
@@ -6,10 +6,13 @@ import {
     getChatMessages,
     getCaseChat,
     getCaseChatMessages,
+    uploadChatAttachments,
+    downloadChatAttachment,
 } from "../controllers/chatController.js";
 import { validateMessage } from "../middleware/validation.js";
-import { protect } from "../middleware/auth.js";
-import { messageLimiter } from "../middleware/rateLimiter.js";
+import { protect, requireVerifiedEmail } from "../middleware/auth.js";
+import { messageLimiter, uploadLimiter } from "../middleware/rateLimiter.js";
+import { handleChatAttachmentUpload } from "../middleware/upload.js";
 
 const router = express.Router();
 
@@ -20,7 +23,7 @@ router.use(protect);
 router.get("/", getUserChats);
 
 // Create or get direct chat with another user
-router.post("/direct/:userId", createDirectChat);
+router.post("/direct/:userId", requireVerifiedEmail, createDirectChat);
 
 // Case-specific chats
 router.get("/case/:caseType/:caseId", getCaseChat);
@@ -32,6 +35,15 @@ router.get("/:chatId", getChatById);
 // Get chat messages with pagination
 router.get("/:chatId/messages", getChatMessages);
 
+// Attachments: upload first, then send the returned tokens with send_message
+router.post(
+    "/:chatId/attachments",
+    uploadLimiter,
+    handleChatAttachmentUpload,
+    uploadChatAttachments
+);
+router.get("/:chatId/attachments/:attachmentId", downloadChatAttachment);
+
 // Messages are sent via Socket.io real-time events, not HTTP endpoints
 // Real-time messaging provides better user experience and instant delivery
 
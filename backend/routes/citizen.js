@@ -18,8 +18,26 @@ import {
     getMyDirectChats,
     verifyAllLawyers,
 } from "../controllers/citizenController.js";
-import { protect, authorize } from "../middleware/auth.js";
-import { messageLimiter } from "../middleware/rateLimiter.js";
+import {
+    getVaultContents,
+    createVaultFolder,
+    deleteVaultFolder,
+    uploadVaultDocuments,
+    downloadVaultDocument,
+    deleteVaultDocument,
+    getVaultDocumentVersions,
+    downloadVaultDocumentVersion,
+    restoreVaultDocumentVersion,
+    getShareableVaultLawyers,
+    shareVaultDocument,
+    revokeVaultDocumentShare,
+    shareVaultFolder,
+    revokeVaultFolderShare,
+} from "../controllers/vaultController.js";
+import { protect, authorize, requireVerifiedEmail } from "../middleware/auth.js";
+import { messageLimiter, uploadLimiter } from "../middleware/rateLimiter.js";
+import { handleVaultUpload } from "../middleware/upload.js";
+import { validateVaultFolder, validateVaultShare } from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -41,6 +59,7 @@ router.get("/my-cases", getMyCases);
 router.post(
     "/message-request/:lawyerId",
     messageLimiter,
+    requireVerifiedEmail,
     sendDirectMessageRequest
 );
 
@@ -67,8 +86,24 @@ router.post("/accept-case-offer/:offerId", acceptCaseOffer);
 router.post("/reject-case-offer/:offerId", rejectCaseOffer);
 
 // Direct connection management
-router.post("/direct-connection-request/:lawyerId", messageLimiter, sendDirectConnectionRequest);
+router.post("/direct-connection-request/:lawyerId", messageLimiter, requireVerifiedEmail, sendDirectConnectionRequest);
 router.get("/connected-lawyers", getMyConnectedLawyers);
 router.get("/direct-chats", getMyDirectChats);
 
+// Document vault
+router.get("/documents", getVaultContents);
+router.get("/documents/lawyers", getShareableVaultLawyers);
+router.post("/documents/upload", uploadLimiter, handleVaultUpload, uploadVaultDocuments);
+router.post("/documents/folders", validateVaultFolder, createVaultFolder);
+router.delete("/documents/folders/:folderId", deleteVaultFolder);
+router.post("/documents/folders/:folderId/share", validateVaultShare, shareVaultFolder);
+router.delete("/documents/folders/:folderId/share/:lawyerId", revokeVaultFolderShare);
+router.get("/documents/:documentId/download", downloadVaultDocument);
+router.delete("/documents/:documentId", deleteVaultDocument);
+router.get("/documents/:documentId/versions", getVaultDocumentVersions);
+router.get("/documents/:documentId/versions/:versionId/download", downloadVaultDocumentVersion);
+router.post("/documents/:documentId/versions/:versionId/restore", restoreVaultDocumentVersion);
+router.post("/documents/:documentId/share", validateVaultShare, shareVaultDocument);
+router.delete("/documents/:documentId/share/:lawyerId", revokeVaultDocumentShare);
+
 export default router;
@@ -0,0 +1,76 @@
+import express from "express";
+import {
+    requestConsultation,
+    getMyConsultations,
+    getConsultationById,
+    confirmConsultation,
+    declineConsultation,
+    cancelConsultation,
+    proposeReschedule,
+    acceptReschedule,
+    declineReschedule,
+    completeConsultation,
+    acceptFollowUp,
+    declineFollowUp,
+    getCaseConsultations,
+    getJoinableConsultations,
+} from "../controllers/consultationController.js";
+import {
+    validateConsultation,
+    validateReschedule,
+    validateConsultationCompletion,
+} from "../middleware/validation.js";
+import {
+    protect,
+    authorize,
+    requireVerifiedLawyer,
+} from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Citizen routes
+router.post("/", authorize("citizen"), validateConsultation, requestConsultation);
+router.patch(
+    "/:consultationId/follow-up/accept",
+    authorize("citizen"),
+    acceptFollowUp
+);
+router.patch(
+    "/:consultationId/follow-up/decline",
+    authorize("citizen"),
+    declineFollowUp
+);
+
+// Lawyer routes
+router.patch(
+    "/:consultationId/confirm",
+    authorize("lawyer"),
+    requireVerifiedLawyer,
+    confirmConsultation
+);
+router.patch(
+    "/:consultationId/decline",
+    authorize("lawyer"),
+    declineConsultation
+);
+router.patch(
+    "/:consultationId/complete",
+    authorize("lawyer"),
+    validateConsultationCompletion,
+    completeConsultation
+);
+
+// Common routes (with participant check in controller)
+router.get("/", getMyConsultations);
+router.get("/joinable", getJoinableConsultations);
+router.get("/case/:caseType/:caseId", getCaseConsultations);
+router.get("/:consultationId", getConsultationById);
+router.patch("/:consultationId/cancel", cancelConsultation);
+router.post("/:consultationId/reschedule", validateReschedule, proposeReschedule);
+router.patch("/:consultationId/reschedule/accept", acceptReschedule);
+router.patch("/:consultationId/reschedule/decline", declineReschedule);
+
+export default router;
@@ -9,13 +9,37 @@ import {
     respondToDisputeRequest,
     respondToLawyerRequest,
     updateDisputeStatus,
+    addHearing,
+    postponeHearing,
+    completeHearing,
+    cancelHearing,
 } from "../controllers/disputeController.js";
-import { validateDispute } from "../middleware/validation.js";
+import {
+    uploadCaseDocuments,
+    getCaseDocuments,
+    downloadCaseDocument,
+    deleteCaseDocument,
+    getCaseDocumentVersions,
+    downloadCaseDocumentVersion,
+    restoreCaseDocumentVersion,
+} from "../controllers/documentController.js";
+import { getCaseLedger } from "../controllers/verifyController.js";
+import { downloadCaseDossier } from "../controllers/dossierController.js";
+import {
+    validateDispute,
+    validateHearing,
+    validateHearingPostpone,
+    validateHearingUpdate,
+} from "../middleware/validation.js";
 import {
     protect,
     authorize,
     requireVerifiedLawyer,
+    requireVerifiedEmail,
+    requireCaseAccess,
 } from "../middleware/auth.js";
+import { uploadLimiter } from "../middleware/rateLimiter.js";
+import { handleDocumentUpload } from "../middleware/upload.js";
 
 const router = express.Router();
 
@@ -23,7 +47,7 @@ const router = express.Router();
 router.use(protect);
 
 // Citizen routes
-router.post("/", authorize("citizen"), validateDispute, createDispute);
+router.post("/", authorize("citizen"), requireVerifiedEmail, validateDispute, createDispute);
 
 // Bidirectional request routes (both citizen and lawyer can use)
 router.post(
@@ -54,4 +78,71 @@ router.get("/", getDisputes);
 router.get("/:disputeId", getDisputeById);
 router.patch("/:disputeId/status", updateDisputeStatus);
 
+// Hearing management (assigned lawyer only, checked in controller)
+router.post(
+    "/:disputeId/hearings",
+    authorize("lawyer"),
+    validateHearing,
+    addHearing
+);
+router.patch(
+    "/:disputeId/hearings/:hearingId/postpone",
+    authorize("lawyer"),
+    validateHearingPostpone,
+    postponeHearing
+);
+router.patch(
+    "/:disputeId/hearings/:hearingId/complete",
+    authorize("lawyer"),
+    validateHearingUpdate,
+    completeHearing
+);
+router.patch(
+    "/:disputeId/hearings/:hearingId/cancel",
+    authorize("lawyer"),
+    validateHearingUpdate,
+    cancelHearing
+);
+
+// Documents (citizen, assigned lawyer or admin)
+router.get("/:disputeId/documents", requireCaseAccess("dispute"), getCaseDocuments);
+router.post(
+    "/:disputeId/documents",
+    uploadLimiter,
+    requireCaseAccess("dispute"),
+    handleDocumentUpload,
+    uploadCaseDocuments
+);
+router.get(
+    "/:disputeId/documents/:documentId/download",
+    requireCaseAccess("dispute"),
+    downloadCaseDocument
+);
+router.delete(
+    "/:disputeId/documents/:documentId",
+    requireCaseAccess("dispute"),
+    deleteCaseDocument
+);
+router.get(
+    "/:disputeId/documents/:documentId/versions",
+    requireCaseAccess("dispute"),
+    getCaseDocumentVersions
+);
+router.get(
+    "/:disputeId/documents/:documentId/versions/:versionId/download",
+    requireCaseAccess("dispute"),
+    downloadCaseDocumentVersion
+);
+router.post(
+    "/:disputeId/documents/:documentId/versions/:versionId/restore",
+    requireCaseAccess("dispute"),
+    restoreCaseDocumentVersion
+);
+
+// Tamper-evident ledger of the case timeline and documents
+router.get("/:disputeId/ledger", requireCaseAccess("dispute"), getCaseLedger);
+
+// Printable PDF of the whole case
+router.get("/:disputeId/dossier", requireCaseAccess("dispute"), downloadCaseDossier);
+
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { downloadSignedFile } from "../controllers/fileController.js";
+
+const router = express.Router();
+
+// Public route: the signed token in the URL is the authorization
+router.get("/:token", downloadSignedFile);
+
+export default router;
@@ -21,17 +21,36 @@ import {
     acceptCaseRequest,
     rejectCaseRequest,
 } from "../controllers/lawyerController.js";
+import {
+    getMyAvailability,
+    updateMyAvailability,
+    getLawyerSlots,
+} from "../controllers/availabilityController.js";
+import {
+    getSharedVaultDocuments,
+    downloadSharedVaultDocument,
+} from "../controllers/vaultController.js";
+import {
+    getMyVerificationDocuments,
+    uploadVerificationDocument,
+    viewMyVerificationDocument,
+    deleteVerificationDocument,
+} from "../controllers/verificationController.js";
 import {
     protect,
     authorize,
     requireVerifiedLawyer,
 } from "../middleware/auth.js";
+import { validateAvailability } from "../middleware/validation.js";
+import { handleVerificationUpload } from "../middleware/upload.js";
+import { uploadLimiter } from "../middleware/rateLimiter.js";
 
 const router = express.Router();
 
 // Public routes
 router.get("/verified", getVerifiedLawyers);
 router.get("/:lawyerId/profile", getLawyerProfile);
+router.get("/:lawyerId/availability/slots", getLawyerSlots);
 
 // Protected routes - Lawyer only
 router.use(protect);
@@ -40,6 +59,10 @@ router.use(authorize("lawyer"));
 // Dashboard and stats
 router.get("/dashboard/stats", getLawyerDashboardStats);
 
+// Availability calendar
+router.get("/availability", getMyAvailability);
+router.put("/availability", validateAvailability, updateMyAvailability);
+
 // Case management
 router.get("/available-cases", getAvailableCases);
 router.get("/my-cases", getMyAssignedCases);
@@ -75,4 +98,19 @@ router.get("/received-case-requests", getReceivedCaseRequests);
 router.post("/accept-case-request/:requestId", requireVerifiedLawyer, acceptCaseRequest);
 router.post("/reject-case-request/:requestId", requireVerifiedLawyer, rejectCaseRequest);
 
+// Documents citizens have shared from their vault
+router.get("/shared-documents", getSharedVaultDocuments);
+router.get("/shared-documents/:documentId/download", downloadSharedVaultDocument);
+
+// Verification documents (bar certificate, enrollment ID, photo ID)
+router.get("/verification-documents", getMyVerificationDocuments);
+router.post(
+    "/verification-documents",
+    uploadLimiter,
+    handleVerificationUpload,
+    uploadVerificationDocument
+);
+router.get("/verification-documents/:documentId/file", viewMyVerificationDocument);
+router.delete("/verification-documents/:documentId", deleteVerificationDocument);
+
 export default router;
@@ -0,0 +1,58 @@
+import express from "express";
+import dotenv from "dotenv";
+import {
+    createConsultationPayment,
+    requestCaseFee,
+    startCheckout,
+    completeFakePayment,
+    handleGatewayWebhook,
+    refundPayment,
+    getMyPayments,
+    getPaymentById,
+    getLedger,
+} from "../controllers/paymentController.js";
+import {
+    validateCaseFeeRequest,
+    validateRefund,
+} from "../middleware/validation.js";
+import { protect, authorize } from "../middleware/auth.js";
+
+dotenv.config();
+
+const router = express.Router();
+
+// Gateway webhooks (public, verified by signature)
+router.post("/webhooks/:gateway", handleGatewayWebhook);
+
+// All other routes require authentication
+router.use(protect);
+
+// Citizen routes
+router.post(
+    "/consultation/:consultationId",
+    authorize("citizen"),
+    createConsultationPayment
+);
+router.post("/:paymentId/checkout", authorize("citizen"), startCheckout);
+// Lets the payer settle a payment without paying, so development only
+if (process.env.NODE_ENV === "development") {
+    router.post("/:paymentId/fake-complete", authorize("citizen"), completeFakePayment);
+}
+
+// Lawyer routes
+router.post("/case-fee", authorize("lawyer"), validateCaseFeeRequest, requestCaseFee);
+
+// Admin routes
+router.get("/ledger", authorize("admin"), getLedger);
+
+// Common routes (with participant check in controller)
+router.get("/", getMyPayments);
+router.get("/:paymentId", getPaymentById);
+router.post(
+    "/:paymentId/refund",
+    authorize("lawyer", "admin"),
+    validateRefund,
+    refundPayment
+);
+
+export default router;
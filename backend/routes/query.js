@@ -10,12 +10,27 @@ import {
     respondToLawyerRequest,
     updateQueryStatus,
 } from "../controllers/queryController.js";
+import {
+    uploadCaseDocuments,
+    getCaseDocuments,
+    downloadCaseDocument,
+    deleteCaseDocument,
+    getCaseDocumentVersions,
+    downloadCaseDocumentVersion,
+    restoreCaseDocumentVersion,
+} from "../controllers/documentController.js";
+import { getCaseLedger } from "../controllers/verifyController.js";
+import { downloadCaseDossier } from "../controllers/dossierController.js";
 import { validateQuery } from "../middleware/validation.js";
 import {
     protect,
     authorize,
     requireVerifiedLawyer,
+    requireVerifiedEmail,
+    requireCaseAccess,
 } from "../middleware/auth.js";
+import { uploadLimiter } from "../middleware/rateLimiter.js";
+import { handleDocumentUpload } from "../middleware/upload.js";
 
 const router = express.Router();
 
@@ -23,7 +38,7 @@ const router = express.Router();
 router.use(protect);
 
 // Citizen routes
-router.post("/", authorize("citizen"), validateQuery, createQuery);
+router.post("/", authorize("citizen"), requireVerifiedEmail, validateQuery, createQuery);
 
 // Bidirectional request routes (both citizen and lawyer can use)
 router.post(
@@ -54,4 +69,45 @@ router.get("/", getQueries);
 router.get("/:queryId", getQueryById);
 router.patch("/:queryId/status", updateQueryStatus);
 
+// Documents (citizen, assigned lawyer or admin)
+router.get("/:queryId/documents", requireCaseAccess("query"), getCaseDocuments);
+router.post(
+    "/:queryId/documents",
+    uploadLimiter,
+    requireCaseAccess("query"),
+    handleDocumentUpload,
+    uploadCaseDocuments
+);
+router.get(
+    "/:queryId/documents/:documentId/download",
+    requireCaseAccess("query"),
+    downloadCaseDocument
+);
+router.delete(
+    "/:queryId/documents/:documentId",
+    requireCaseAccess("query"),
+    deleteCaseDocument
+);
+router.get(
+    "/:queryId/documents/:documentId/versions",
+    requireCaseAccess("query"),
+    getCaseDocumentVersions
+);
+router.get(
+    "/:queryId/documents/:documentId/versions/:versionId/download",
+    requireCaseAccess("query"),
+    downloadCaseDocumentVersion
+);
+router.post(
+    "/:queryId/documents/:documentId/versions/:versionId/restore",
+    requireCaseAccess("query"),
+    restoreCaseDocumentVersion
+);
+
+// Tamper-evident ledger of the case timeline and documents
+router.get("/:queryId/ledger", requireCaseAccess("query"), getCaseLedger);
+
+// Printable PDF of the whole case
+router.get("/:queryId/dossier", requireCaseAccess("query"), downloadCaseDossier);
+
 export default router;
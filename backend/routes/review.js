@@ -0,0 +1,36 @@
+import express from "express";
+import {
+    createReview,
+    getLawyerReviews,
+    getReceivedReviews,
+    getPendingReviews,
+    replyToReview,
+} from "../controllers/reviewController.js";
+import {
+    validateReview,
+    validateReviewReply,
+} from "../middleware/validation.js";
+import { protect, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/lawyer/:lawyerId", getLawyerReviews);
+
+// Protected routes
+router.use(protect);
+
+// Citizen routes
+router.get("/pending", authorize("citizen"), getPendingReviews);
+router.post("/", authorize("citizen"), validateReview, createReview);
+
+// Lawyer routes
+router.get("/received", authorize("lawyer"), getReceivedReviews);
+router.post(
+    "/:reviewId/reply",
+    authorize("lawyer"),
+    validateReviewReply,
+    replyToReview
+);
+
+export default router;
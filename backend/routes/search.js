@@ -0,0 +1,12 @@
+import express from "express";
+import { searchDocuments } from "../controllers/searchController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes are protected; results only cover cases the user can access
+router.use(protect);
+
+router.get("/documents", searchDocuments);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import {
+    getChainStatus,
+    verifyChainEntry,
+    verifyDocumentChecksum,
+} from "../controllers/verifyController.js";
+
+const router = express.Router();
+
+// Public routes: anyone can check the case ledger
+router.get("/", getChainStatus);
+router.get("/entries/:entryId", verifyChainEntry);
+router.get("/documents/:checksum", verifyDocumentChecksum);
+
+export default router;
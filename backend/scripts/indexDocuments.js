@@ -0,0 +1,53 @@
+import dotenv from "dotenv";
+import connectDB from "../config/database.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import { reindexCaseDocument } from "../utils/documentIndex.js";
+
+// Load environment variables
+dotenv.config();
+
+// Rebuild the search index entry of every query and dispute document from
+// its stored file, e.g. for documents uploaded before search existed.
+//
+//   npm run index-documents
+
+const indexDocuments = async () => {
+    try {
+        await connectDB();
+        console.log("Connected to database");
+
+        let indexedCount = 0;
+        let failedCount = 0;
+
+        for (const [caseType, CaseModel] of [
+            ["query", Query],
+            ["dispute", Dispute],
+        ]) {
+            const cursor = CaseModel.find({ "documents.0": { $exists: true } }).cursor();
+            for await (const caseDoc of cursor) {
+                for (const document of caseDoc.documents) {
+                    try {
+                        await reindexCaseDocument(caseType, caseDoc, document);
+                        indexedCount++;
+                    } catch (error) {
+                        failedCount++;
+                        console.error(`   ❌ ${caseType} ${caseDoc._id} / ${document.originalName}:`, error.message);
+                    }
+                }
+            }
+        }
+
+        console.log("\n📊 Summary:");
+        console.log(`   ✅ Indexed: ${indexedCount}`);
+        console.log(`   ❌ Failed: ${failedCount}`);
+
+        process.exit(failedCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error("❌ Document indexing failed:", error);
+        process.exit(1);
+    }
+};
+
+// Run the indexing
+indexDocuments();
@@ -0,0 +1,36 @@
+import dotenv from "dotenv";
+import connectDB from "../config/database.js";
+import User from "../models/User.js";
+
+// Load environment variables
+dotenv.config();
+
+// Accounts created before email verification was introduced have no
+// isEmailVerified field and would otherwise be treated as unverified.
+// Marks them as verified; accounts registered since then are left alone.
+const markExistingEmailsVerified = async () => {
+    try {
+        // Connect to database
+        await connectDB();
+        console.log("Connected to database");
+
+        const result = await User.updateMany(
+            { isEmailVerified: { $exists: false } },
+            { $set: { isEmailVerified: true } }
+        );
+
+        console.log(`\n✅ Migration completed!`);
+        console.log(`🔄 Users marked as verified: ${result.modifiedCount}`);
+
+        const unverifiedCount = await User.countDocuments({ isEmailVerified: false });
+        console.log(`⏳ Users still waiting to verify their email: ${unverifiedCount}`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Migration failed:", error);
+        process.exit(1);
+    }
+};
+
+// Run the migration
+markExistingEmailsVerified();
@@ -0,0 +1,83 @@
+import dotenv from "dotenv";
+import { getStorageByName, readStoredFile, STORAGE_AREAS } from "../utils/storage.js";
+
+// Load environment variables
+dotenv.config();
+
+// Copy every uploaded file from one storage driver to another. Keys are the
+// same in every driver, so no database records need to change; switch
+// STORAGE_DRIVER once the copy has finished.
+//
+//   npm run migrate-storage -- --from local --to s3 [--dry-run] [--delete-source]
+
+const USAGE = "Usage: npm run migrate-storage -- --from <driver> --to <driver> [--dry-run] [--delete-source]";
+
+const parseArgs = (args) => {
+    const options = { dryRun: false, deleteSource: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--from") options.from = args[++i];
+        else if (args[i] === "--to") options.to = args[++i];
+        else if (args[i] === "--dry-run") options.dryRun = true;
+        else if (args[i] === "--delete-source") options.deleteSource = true;
+        else throw new Error(`Unknown option: ${args[i]}`);
+    }
+    return options;
+};
+
+const isUploadKey = (key) =>
+    Object.values(STORAGE_AREAS).some((area) => key.startsWith(`${area}/`));
+
+const migrateStorage = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const source = getStorageByName(options.from);
+        const target = getStorageByName(options.to);
+
+        if (!source || !target || source === target) {
+            console.error(USAGE);
+            process.exit(1);
+        }
+
+        console.log(`📦 Copying uploads from ${source.name} to ${target.name}${options.dryRun ? " (dry run)" : ""}`);
+
+        let copiedCount = 0;
+        let skippedCount = 0;
+        let failedCount = 0;
+
+        for await (const key of source.list()) {
+            if (!isUploadKey(key)) continue;
+
+            try {
+                if (await target.exists(key)) {
+                    skippedCount++;
+                } else {
+                    if (!options.dryRun) {
+                        await target.put(key, await readStoredFile(key, source));
+                    }
+                    copiedCount++;
+                    console.log(`   ➡️  ${key}`);
+                }
+
+                if (options.deleteSource && !options.dryRun) {
+                    await source.remove(key);
+                }
+            } catch (error) {
+                failedCount++;
+                console.error(`   ❌ ${key}:`, error.message);
+            }
+        }
+
+        console.log("\n📊 Summary:");
+        console.log(`   ✅ Copied: ${copiedCount}`);
+        console.log(`   ⏭️  Already in ${target.name}: ${skippedCount}`);
+        console.log(`   ❌ Failed: ${failedCount}`);
+
+        process.exit(failedCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error("❌ Storage migration failed:", error);
+        process.exit(1);
+    }
+};
+
+// Run the migration
+migrateStorage();
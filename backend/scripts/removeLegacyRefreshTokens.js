@@ -0,0 +1,33 @@
+import dotenv from "dotenv";
+import connectDB from "../config/database.js";
+import User from "../models/User.js";
+
+// Load environment variables
+dotenv.config();
+
+// Refresh tokens used to be stored on the user document. They now live in the
+// sessions collection, so the old field is no longer in the schema and would
+// be returned as-is with user documents. Removes it from every user.
+const removeLegacyRefreshTokens = async () => {
+    try {
+        // Connect to database
+        await connectDB();
+        console.log("Connected to database");
+
+        const result = await User.collection.updateMany(
+            { refreshToken: { $exists: true } },
+            { $unset: { refreshToken: "" } }
+        );
+
+        console.log(`\n✅ Migration completed!`);
+        console.log(`🔄 Users updated: ${result.modifiedCount}`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Migration failed:", error);
+        process.exit(1);
+    }
+};
+
+// Run the migration
+removeLegacyRefreshTokens();
@@ -28,6 +28,7 @@ const seedAdmin = async () => {
             role: "admin",
             phone: "9999999999",
             isVerified: true,
+            isEmailVerified: true,
             isActive: true,
             address: {
                 street: "Admin Office",
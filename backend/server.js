@@ -6,6 +6,9 @@ import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import { createServer } from "http";
 import { initializeSocket } from "./config/socket.js";
+import { startReminderDispatcher } from "./utils/reminderDispatcher.js";
+import { startChainSealer } from "./utils/hashChain.js";
+import { validatePaymentGateways } from "./utils/paymentGateways.js";
 
 // Import configurations and middleware
 import connectDB from "./config/database.js";
@@ -19,10 +22,20 @@ import citizenRoutes from "./routes/citizen.js";
 import queryRoutes from "./routes/query.js";
 import disputeRoutes from "./routes/dispute.js";
 import chatRoutes from "./routes/chat.js";
+import consultationRoutes from "./routes/consultation.js";
+import calendarRoutes from "./routes/calendar.js";
+import reviewRoutes from "./routes/review.js";
+import paymentRoutes from "./routes/payment.js";
+import verifyRoutes from "./routes/verify.js";
+import fileRoutes from "./routes/files.js";
+import searchRoutes from "./routes/search.js";
 
 // Load environment variables
 dotenv.config();
 
+// Fail fast on missing payment gateway settings
+validatePaymentGateways();
+
 // Create Express app
 const app = express();
 const server = createServer(app);
@@ -52,7 +65,17 @@ app.use(
 );
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+    express.json({
+        limit: "10mb",
+        // Keep the raw body so payment webhook signatures can be checked
+        verify: (req, res, buf) => {
+            if (req.originalUrl.startsWith("/api/payments/webhooks")) {
+                req.rawBody = buf;
+            }
+        },
+    })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 
@@ -72,6 +95,13 @@ app.use("/api/citizens", citizenRoutes);
 app.use("/api/queries", queryRoutes);
 app.use("/api/disputes", disputeRoutes);
 app.use("/api/chats", chatRoutes);
+app.use("/api/consultations", consultationRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/verify", verifyRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/search", searchRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -117,6 +147,10 @@ server.listen(PORT, () => {
         `Server running in ${process.env.NODE_ENV} mode on port ${PORT}`
     );
     console.log(`Socket.io server ready for connections`);
+
+    // Background jobs
+    startReminderDispatcher(io);
+    startChainSealer();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,219 @@
+import Consultation from "../models/Consultation.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Consultation statuses that block a lawyer's time
+export const BLOCKING_STATUSES = [
+    "requested",
+    "proposed",
+    "scheduled",
+    "confirmed",
+    "in-progress",
+];
+
+// Offset (in minutes) of a timezone from UTC at a given instant
+const getTimezoneOffset = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        timeZoneName: "longOffset",
+    }).formatToParts(date);
+    const offsetName = parts.find((part) => part.type === "timeZoneName").value;
+    const match = offsetName.match(/GMT([+-])(\d{2}):(\d{2})/);
+
+    if (!match) {
+        return 0; // "GMT" means UTC
+    }
+
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+    return match[1] === "-" ? -minutes : minutes;
+};
+
+// Convert a wall-clock date ("YYYY-MM-DD") and time ("HH:mm") in a timezone to a UTC Date
+export const zonedTimeToUtc = (dateStr, timeStr, timeZone) => {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    const [hours, minutes] = timeStr.split(":").map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Re-check the offset at the resulting instant to handle DST transitions
+    let utc = wallClock - getTimezoneOffset(new Date(wallClock), timeZone) * MINUTE;
+    utc = wallClock - getTimezoneOffset(new Date(utc), timeZone) * MINUTE;
+
+    return new Date(utc);
+};
+
+// Calendar date ("YYYY-MM-DD") of an instant in a timezone
+export const formatDateInZone = (date, timeZone) => {
+    return new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+    }).format(date);
+};
+
+const addDays = (dateStr, days) => {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY)
+        .toISOString()
+        .slice(0, 10);
+};
+
+const getDayOfWeek = (dateStr) => {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Working windows (as UTC Dates) for a single calendar date
+export const getWindowsForDate = (availability, dateStr) => {
+    const isHoliday = availability.holidays.some(
+        (holiday) => holiday.startDate <= dateStr && dateStr <= holiday.endDate
+    );
+    if (isHoliday) {
+        return [];
+    }
+
+    const exception = availability.exceptions.find(
+        (entry) => entry.date === dateStr
+    );
+
+    let windows;
+    if (exception) {
+        windows = exception.isAvailable
+            ? [{ startTime: exception.startTime, endTime: exception.endTime }]
+            : [];
+    } else {
+        const dayOfWeek = getDayOfWeek(dateStr);
+        windows = availability.weeklyHours.filter(
+            (window) => window.dayOfWeek === dayOfWeek
+        );
+    }
+
+    return windows.map((window) => ({
+        start: zonedTimeToUtc(dateStr, window.startTime, availability.timezone),
+        end: zonedTimeToUtc(dateStr, window.endTime, availability.timezone),
+    }));
+};
+
+// Check whether [start, end) collides with a booking, padded by the buffer
+const overlapsBooking = (start, end, bookings, bufferMinutes = 0) => {
+    return bookings.some((booking) => {
+        const bookingStart = new Date(booking.scheduledDateTime).getTime();
+        const bookingEnd = bookingStart + booking.duration * MINUTE;
+
+        return (
+            start.getTime() < bookingEnd + bufferMinutes * MINUTE &&
+            end.getTime() > bookingStart - bufferMinutes * MINUTE
+        );
+    });
+};
+
+const countBookingsOnDate = (bookings, dateStr, timeZone) => {
+    return bookings.filter(
+        (booking) =>
+            formatDateInZone(new Date(booking.scheduledDateTime), timeZone) === dateStr
+    ).length;
+};
+
+// Load a lawyer's bookings that block time in a range
+export const getLawyerBookings = async (lawyerId, from, to, excludeId = null) => {
+    const query = {
+        lawyer: lawyerId,
+        status: { $in: BLOCKING_STATUSES },
+        // Widen by the maximum duration so bookings starting before "from" are included
+        scheduledDateTime: {
+            $gte: new Date(from.getTime() - DAY),
+            $lte: to,
+        },
+    };
+
+    if (excludeId) {
+        query._id = { $ne: excludeId };
+    }
+
+    return Consultation.find(query).select("scheduledDateTime duration status");
+};
+
+// Generate free slots between two calendar dates (inclusive)
+export const generateSlots = (
+    availability,
+    bookings,
+    { fromDate, toDate, duration, now = new Date() }
+) => {
+    const slotLength = duration || availability.slotDuration;
+    const days = [];
+
+    if (!availability.isAcceptingBookings) {
+        return days;
+    }
+
+    for (let dateStr = fromDate; dateStr <= toDate; dateStr = addDays(dateStr, 1)) {
+        const slots = [];
+
+        const bookedCount = countBookingsOnDate(bookings, dateStr, availability.timezone);
+        if (bookedCount < availability.maxConsultationsPerDay) {
+            getWindowsForDate(availability, dateStr).forEach((window) => {
+                for (
+                    let start = window.start.getTime();
+                    start + slotLength * MINUTE <= window.end.getTime();
+                    start += availability.slotDuration * MINUTE
+                ) {
+                    const slotStart = new Date(start);
+                    const slotEnd = new Date(start + slotLength * MINUTE);
+
+                    if (slotStart <= now) {
+                        continue;
+                    }
+
+                    if (
+                        overlapsBooking(slotStart, slotEnd, bookings, availability.bufferMinutes)
+                    ) {
+                        continue;
+                    }
+
+                    slots.push({ start: slotStart, end: slotEnd });
+                }
+            });
+        }
+
+        days.push({ date: dateStr, slots });
+    }
+
+    return days;
+};
+
+// Explain why a lawyer cannot take a booking, or return null when the time is free
+export const getBookingConflict = (availability, bookings, start, duration) => {
+    const end = new Date(start.getTime() + duration * MINUTE);
+
+    if (!availability) {
+        return overlapsBooking(start, end, bookings)
+            ? "Lawyer already has a consultation at this time"
+            : null;
+    }
+
+    if (!availability.isAcceptingBookings) {
+        return "Lawyer is not accepting bookings at the moment";
+    }
+
+    const dateStr = formatDateInZone(start, availability.timezone);
+    const fitsWindow = getWindowsForDate(availability, dateStr).some(
+        (window) => start >= window.start && end <= window.end
+    );
+    if (!fitsWindow) {
+        return "Requested time is outside the lawyer's working hours";
+    }
+
+    if (
+        countBookingsOnDate(bookings, dateStr, availability.timezone) >=
+        availability.maxConsultationsPerDay
+    ) {
+        return "Lawyer is fully booked on this day";
+    }
+
+    if (overlapsBooking(start, end, bookings, availability.bufferMinutes)) {
+        return "Lawyer already has a consultation at this time";
+    }
+
+    return null;
+};
@@ -0,0 +1,208 @@
+import { createPdfDocument } from "./pdfWriter.js";
+
+// Case dossier: a printable PDF of a query or dispute with its parties,
+// timeline, notes, hearings, resolution and an index of its documents.
+
+const DOSSIER_TIMEZONE = "Asia/Kolkata";
+
+const formatDateTime = (date) =>
+    date
+        ? new Date(date).toLocaleString("en-IN", {
+              day: "numeric",
+              month: "short",
+              year: "numeric",
+              hour: "2-digit",
+              minute: "2-digit",
+              timeZone: DOSSIER_TIMEZONE,
+          })
+        : "-";
+
+// Hearing dates are entered as calendar dates, stored at UTC midnight
+const formatHearingDate = (date) =>
+    date
+        ? new Date(date).toLocaleDateString("en-IN", {
+              day: "numeric",
+              month: "short",
+              year: "numeric",
+              timeZone: "UTC",
+          })
+        : "-";
+
+const formatSize = (bytes) => {
+    if (!bytes) return "-";
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatLabel = (value) =>
+    value ? value.replace(/[_-]/g, " ").replace(/^\w/, (char) => char.toUpperCase()) : "-";
+
+const formatPerson = (user) => (user?.name ? `${user.name} (${user.role})` : "System");
+
+const formatContact = (user) =>
+    user ? [user.name, user.email, user.phone].filter(Boolean).join(", ") : "Not assigned";
+
+// Populate everything the dossier shows names for
+export const populateCaseForDossier = (caseDoc, caseType) => {
+    const populate = [
+        { path: "citizen", select: "name email phone role" },
+        { path: "assignedLawyer", select: "name email phone role" },
+        { path: "timeline.performedBy", select: "name role" },
+        { path: "notes.author", select: "name role" },
+        { path: "documents.uploadedBy", select: "name role" },
+        { path: "resolution.resolvedBy", select: "name role" },
+    ];
+    if (caseType === "dispute") {
+        populate.push({ path: "hearingDates.createdBy", select: "name role" });
+    }
+    return caseDoc.populate(populate);
+};
+
+// Render a populated query or dispute to a PDF Buffer
+export const renderCaseDossier = (caseDoc, caseType) => {
+    const isDispute = caseType === "dispute";
+    const label = isDispute ? "Dispute" : "Query";
+    const pdf = createPdfDocument({
+        title: `${label} dossier: ${caseDoc.title}`,
+        header: `${label} dossier - ${caseDoc.title} - ${caseDoc._id}`,
+    });
+
+    pdf.title(caseDoc.title);
+    pdf.text(`${label} dossier generated on ${formatDateTime(new Date())}`, { gray: 0.4, spaceAfter: 8 });
+
+    pdf.heading("Summary");
+    pdf.field("Reference", caseDoc._id.toString());
+    pdf.field("Status", formatLabel(caseDoc.status));
+    pdf.field("Priority", formatLabel(caseDoc.priority));
+    pdf.field("Category", formatLabel(caseDoc.category));
+    if (isDispute) {
+        pdf.field("Dispute type", formatLabel(caseDoc.disputeType));
+        pdf.field(
+            "Dispute value",
+            caseDoc.disputeValue != null ? `₹${caseDoc.disputeValue.toLocaleString("en-IN")}` : "Not specified"
+        );
+    }
+    pdf.field("Opened", formatDateTime(caseDoc.createdAt));
+    pdf.field("Last updated", formatDateTime(caseDoc.updatedAt));
+    pdf.space(4);
+    pdf.subheading("Description");
+    pdf.text(caseDoc.description);
+
+    pdf.heading("Parties");
+    pdf.field("Citizen", formatContact(caseDoc.citizen));
+    pdf.field("Assigned lawyer", formatContact(caseDoc.assignedLawyer));
+    if (isDispute) {
+        const opposingParty = caseDoc.opposingParty || {};
+        pdf.field("Opposing party", opposingParty.name || "Not specified");
+        if (opposingParty.contact) pdf.field("Contact", opposingParty.contact);
+        if (opposingParty.address) pdf.field("Address", opposingParty.address);
+    }
+
+    if (isDispute) {
+        pdf.heading("Hearings");
+        const hearings = [...caseDoc.hearingDates].sort((a, b) => a.date - b.date);
+        if (hearings.length === 0) {
+            pdf.text("No hearings scheduled.", { gray: 0.4 });
+        } else {
+            pdf.table(
+                [
+                    { header: "Date", width: 0.18 },
+                    { header: "Venue", width: 0.22 },
+                    { header: "Purpose", width: 0.22 },
+                    { header: "Status", width: 0.13 },
+                    { header: "Notes", width: 0.25 },
+                ],
+                hearings.map((hearing) => [
+                    hearing.time
+                        ? `${formatHearingDate(hearing.date)} at ${hearing.time}`
+                        : formatHearingDate(hearing.date),
+                    hearing.venue,
+                    hearing.purpose,
+                    formatLabel(hearing.status),
+                    [hearing.outcome, hearing.reason].filter(Boolean).join(" ") || "-",
+                ])
+            );
+        }
+    }
+
+    pdf.heading("Timeline");
+    if (caseDoc.timeline.length === 0) {
+        pdf.text("No timeline events.", { gray: 0.4 });
+    } else {
+        pdf.table(
+            [
+                { header: "When", width: 0.2 },
+                { header: "Event", width: 0.18 },
+                { header: "Details", width: 0.4 },
+                { header: "By", width: 0.22 },
+            ],
+            [...caseDoc.timeline]
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .map((event) => [
+                    formatDateTime(event.timestamp),
+                    formatLabel(event.action),
+                    event.description,
+                    formatPerson(event.performedBy),
+                ])
+        );
+    }
+
+    pdf.heading("Notes");
+    const notes = caseDoc.notes.filter((note) => !note.isPrivate);
+    if (notes.length === 0) {
+        pdf.text("No notes.", { gray: 0.4 });
+    }
+    notes.forEach((note) => {
+        pdf.text(`${formatPerson(note.author)} - ${formatDateTime(note.createdAt)}`, {
+            size: 9,
+            bold: true,
+            spaceAfter: 1,
+        });
+        pdf.text(note.content, { indent: 10, spaceAfter: 8 });
+    });
+
+    pdf.heading("Resolution");
+    const resolution = caseDoc.resolution || {};
+    if (!resolution.resolvedAt && !resolution.summary) {
+        pdf.text("Not resolved yet.", { gray: 0.4 });
+    } else {
+        if (isDispute) {
+            pdf.field("Type", formatLabel(resolution.type));
+            if (resolution.isSuccessful != null) {
+                pdf.field("Successful", resolution.isSuccessful ? "Yes" : "No");
+            }
+        }
+        pdf.field("Resolved by", resolution.resolvedBy ? formatPerson(resolution.resolvedBy) : "-");
+        pdf.field("Resolved on", formatDateTime(resolution.resolvedAt));
+        pdf.field("Summary", resolution.summary);
+        if (isDispute && resolution.terms) pdf.field("Terms", resolution.terms);
+    }
+
+    pdf.heading("Document index");
+    if (caseDoc.documents.length === 0) {
+        pdf.text("No documents uploaded.", { gray: 0.4 });
+    } else {
+        pdf.table(
+            [
+                { header: "#", width: 0.05 },
+                { header: "Document", width: 0.27 },
+                { header: "Type", width: 0.13 },
+                { header: "Version", width: 0.08 },
+                { header: "Size", width: 0.09 },
+                { header: "Uploaded", width: 0.38 },
+            ],
+            caseDoc.documents.map((document, index) => [
+                String(index + 1),
+                document.originalName,
+                formatLabel(document.documentType),
+                `v${document.version || 1}`,
+                formatSize(document.size),
+                `${formatPerson(document.uploadedBy)}, ${formatDateTime(document.uploadedAt)}` +
+                    (document.checksum ? `\nSHA-256 ${document.checksum}` : ""),
+            ])
+        );
+    }
+
+    return pdf.toBuffer();
+};
@@ -0,0 +1,165 @@
+import DocumentIndex from "../models/DocumentIndex.js";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import { extractText } from "./textExtraction.js";
+import { getStorage, getStorageKey, readStoredFile, STORAGE_AREAS } from "./storage.js";
+
+// Keeps the DocumentIndex search entries of case documents in step with
+// their current versions, and builds highlighted snippets for search results.
+
+const SNIPPET_CONTEXT = 80;
+const MAX_SNIPPETS = 3;
+const MAX_SNIPPET_LENGTH = 320;
+
+// Save the search entry for the current version of a case document
+export const indexCaseDocument = (caseType, caseDoc, document, text) =>
+    DocumentIndex.findOneAndUpdate(
+        { caseType, documentId: document._id },
+        {
+            caseId: caseDoc._id,
+            filename: document.filename,
+            version: document.version,
+            originalName: document.originalName,
+            documentType: document.documentType,
+            mimeType: document.mimeType,
+            uploadedBy: document.uploadedBy?._id || document.uploadedBy,
+            uploadedAt: document.uploadedAt,
+            caseTitle: caseDoc.title,
+            caseCategory: caseDoc.category,
+            text,
+            indexedAt: new Date(),
+        },
+        { upsert: true }
+    );
+
+export const removeCaseDocumentIndex = (caseType, documentId) =>
+    DocumentIndex.deleteOne({ caseType, documentId });
+
+// Index a document from its stored file (after a restore, a release from
+// quarantine or when backfilling). A file that isn't in storage, such as one
+// still in quarantine, is taken out of the index.
+export const reindexCaseDocument = async (caseType, caseDoc, document) => {
+    const key = getStorageKey(STORAGE_AREAS.cases, document.filename);
+    if (!(await getStorage().exists(key))) {
+        return removeCaseDocumentIndex(caseType, document._id);
+    }
+
+    const text = extractText(await readStoredFile(key), document.mimeType);
+    return indexCaseDocument(caseType, caseDoc, document, text);
+};
+
+// Index documents whose current version was just uploaded, using the text
+// the upload middleware extracted. Quarantined uploads stay out of the index
+// until they are released. Failures are logged, never thrown.
+export const indexUploadedDocuments = async (caseType, caseDoc, documents, files) => {
+    try {
+        await Promise.all(
+            documents.map((document) => {
+                const file = files.find((uploaded) => uploaded.filename === document.filename);
+                if (!file || file.quarantinedFileId) {
+                    return removeCaseDocumentIndex(caseType, document._id);
+                }
+                return indexCaseDocument(caseType, caseDoc, document, file.extractedText || "");
+            })
+        );
+    } catch (error) {
+        console.error("Index case documents error:", error);
+    }
+};
+
+// Index a case file an admin released from quarantine, if it is still the
+// current version of its document
+export const indexReleasedCaseFile = async (file) => {
+    if (file.area !== STORAGE_AREAS.cases || !file.caseType || !file.caseId) return;
+
+    const CaseModel = file.caseType === "query" ? Query : Dispute;
+    const caseDoc = await CaseModel.findById(file.caseId);
+    const document = caseDoc?.documents.find((d) => d.filename === file.filename);
+    if (document) {
+        await reindexCaseDocument(file.caseType, caseDoc, document);
+    }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Drop common English endings so "agreements" also highlights "agreement"
+const stemTerm = (term) => {
+    const stem = term.replace(/(ings?|ed|es|s)$/, "");
+    return stem.length >= 3 ? stem : term;
+};
+
+// Pattern matching the words and "quoted phrases" of a search (not -excluded ones)
+export const buildHighlightPattern = (search) => {
+    const terms = [];
+    const remainder = search.replace(/-?"([^"]+)"/g, (match, phrase) => {
+        if (!match.startsWith("-")) terms.push(phrase.trim().split(/\s+/).map(escapeRegExp).join("\\s+"));
+        return " ";
+    });
+    remainder
+        .split(/\s+/)
+        .filter((word) => word && !word.startsWith("-"))
+        .map((word) => word.replace(/^\W+|\W+$/g, ""))
+        .filter((word) => word.length > 1)
+        .forEach((word) => terms.push(escapeRegExp(stemTerm(word.toLowerCase()))));
+
+    if (terms.length === 0) return null;
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join("|")})[\\p{L}\\p{N}]*`, "giu");
+};
+
+// Up to MAX_SNIPPETS passages of text around the matches of a search, each
+// with the character ranges to highlight. Without a match in the text (the
+// name or case title matched) the start of the text is returned.
+export const buildSnippets = (text, pattern) => {
+    if (!text) return [];
+
+    const matches = pattern
+        ? [...text.matchAll(pattern)].map((match) => ({ start: match.index, end: match.index + match[0].length }))
+        : [];
+    if (matches.length === 0) {
+        const end = Math.min(text.length, SNIPPET_CONTEXT * 2);
+        return [{ text: text.slice(0, end) + (end < text.length ? "…" : ""), highlights: [] }];
+    }
+
+    // Merge the windows around nearby matches
+    const windows = [];
+    for (const match of matches) {
+        const last = windows[windows.length - 1];
+        if (
+            last &&
+            match.start - SNIPPET_CONTEXT <= last.end &&
+            match.end + SNIPPET_CONTEXT - last.start <= MAX_SNIPPET_LENGTH
+        ) {
+            last.end = Math.min(text.length, match.end + SNIPPET_CONTEXT);
+            last.matches.push(match);
+            continue;
+        }
+        if (windows.length === MAX_SNIPPETS) break;
+        windows.push({
+            start: Math.max(0, match.start - SNIPPET_CONTEXT),
+            end: Math.min(text.length, match.end + SNIPPET_CONTEXT),
+            matches: [match],
+        });
+    }
+
+    return windows.map((window) => {
+        // Start and end on word boundaries
+        let { start, end } = window;
+        if (start > 0) {
+            const space = text.indexOf(" ", start);
+            if (space !== -1 && space < window.matches[0].start) start = space + 1;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(" ", end);
+            if (space > window.matches[window.matches.length - 1].end) end = space;
+        }
+
+        const prefix = start > 0 ? "…" : "";
+        return {
+            text: prefix + text.slice(start, end) + (end < text.length ? "…" : ""),
+            highlights: window.matches.map((match) => ({
+                start: match.start - start + prefix.length,
+                end: match.end - start + prefix.length,
+            })),
+        };
+    });
+};
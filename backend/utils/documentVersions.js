@@ -0,0 +1,71 @@
+// Case documents keep the upload name in originalName, vault documents in name
+const getDocumentName = (document) => document.originalName ?? document.name;
+
+// Archive the document's current file and make `file` the new current version.
+// `file` holds filename, path, mimeType, size, checksum and uploadedBy.
+export const addDocumentVersion = (document, file) => {
+    document.versions.push({
+        version: document.version,
+        filename: document.filename,
+        originalName: getDocumentName(document),
+        path: document.path,
+        mimeType: document.mimeType,
+        size: document.size,
+        checksum: document.checksum,
+        uploadedBy: document.uploadedBy,
+        uploadedAt: document.uploadedAt,
+    });
+
+    Object.assign(document, file, {
+        version: document.version + 1,
+        uploadedAt: new Date(),
+    });
+};
+
+// Make an older version current again by adding it as a new version, so the
+// history is never rewritten. Returns the restored version, or null.
+export const restoreDocumentVersion = (document, versionId, userId) => {
+    const previous = document.versions.id(versionId);
+    if (!previous) return null;
+
+    addDocumentVersion(document, {
+        filename: previous.filename,
+        path: previous.path,
+        mimeType: previous.mimeType,
+        size: previous.size,
+        checksum: previous.checksum,
+        uploadedBy: userId,
+    });
+    return previous;
+};
+
+// Current version first, then older ones newest to oldest
+export const formatVersionHistory = (document) => [
+    {
+        _id: null,
+        version: document.version,
+        originalName: getDocumentName(document),
+        mimeType: document.mimeType,
+        size: document.size,
+        checksum: document.checksum,
+        uploadedBy: document.uploadedBy,
+        uploadedAt: document.uploadedAt,
+        isCurrent: true,
+    },
+    ...[...document.versions].reverse().map((version) => ({
+        _id: version._id,
+        version: version.version,
+        originalName: version.originalName,
+        mimeType: version.mimeType,
+        size: version.size,
+        checksum: version.checksum,
+        uploadedBy: version.uploadedBy,
+        uploadedAt: version.uploadedAt,
+        isCurrent: false,
+    })),
+];
+
+// Every stored file behind a document (restored versions share files)
+export const getStoredFilenames = (document) => [
+    ...new Set([document.filename, ...document.versions.map((version) => version.filename)]),
+];
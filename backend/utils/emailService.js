@@ -0,0 +1,140 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import User from "../models/User.js";
+import { renderEmail } from "./emailTemplates.js";
+
+// Transactional email. With SMTP_HOST set, mail is sent over SMTP; point it
+// at a local catcher such as Mailpit or MailHog (SMTP_HOST=localhost,
+// SMTP_PORT=1025) to read emails in development. Without SMTP_HOST every
+// message is written as an .eml file to EMAIL_MAILBOX_DIR instead.
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+// nodemailer errors that retrying won't fix
+const PERMANENT_ERROR_CODES = ["EENVELOPE", "EMESSAGE", "EAUTH"];
+
+let transporter = null;
+
+const getMailboxDir = () => path.resolve(process.env.EMAIL_MAILBOX_DIR || "mailbox");
+
+// nodemailer transport that saves each message to the mailbox folder
+const mailboxTransport = {
+    name: "mailbox",
+    version: "1.0.0",
+    send: (mail, callback) => {
+        mail.message.build(async (error, message) => {
+            if (error) return callback(error);
+            try {
+                const dir = getMailboxDir();
+                const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+                await fs.promises.mkdir(dir, { recursive: true });
+                await fs.promises.writeFile(file, message);
+                callback(null, {
+                    envelope: mail.message.getEnvelope(),
+                    messageId: mail.message.messageId(),
+                    path: file,
+                });
+            } catch (writeError) {
+                callback(writeError);
+            }
+        });
+    },
+};
+
+const getTransporter = () => {
+    if (!transporter) {
+        if (process.env.SMTP_HOST) {
+            transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === "true",
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+            });
+        } else {
+            if (process.env.NODE_ENV === "production") {
+                console.warn(`⚠️  SMTP_HOST is not set; emails are only written to ${getMailboxDir()}`);
+            }
+            transporter = nodemailer.createTransport(mailboxTransport);
+        }
+    }
+    return transporter;
+};
+
+// Connection problems, timeouts and 4xx SMTP replies are worth retrying
+const isTransientError = (error) => {
+    if (PERMANENT_ERROR_CODES.includes(error.code)) return false;
+    return !error.responseCode || error.responseCode < 500;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Absolute URL of a frontend page, for links in emails
+export const getClientUrl = (pathname) =>
+    `${(process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "")}${pathname}`;
+
+// Render a template and send it, retrying transient failures with a growing
+// delay (EMAIL_MAX_ATTEMPTS, EMAIL_RETRY_DELAY_MS). Throws once every attempt
+// has failed.
+export const sendEmail = async ({ to, template, data }) => {
+    const { subject, html, text } = renderEmail(template, data);
+    const maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const retryDelay = parseInt(process.env.EMAIL_RETRY_DELAY_MS) || DEFAULT_RETRY_DELAY_MS;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const info = await getTransporter().sendMail({
+                from: process.env.EMAIL_FROM || "no-reply@casemanagement.com",
+                to,
+                subject,
+                html,
+                text,
+            });
+
+            if (info.path) {
+                console.log(`📧 [dev] "${subject}" to ${[].concat(to).join(", ")} saved to ${info.path}`);
+            }
+            return info;
+        } catch (error) {
+            if (attempt >= maxAttempts || !isTransientError(error)) {
+                throw error;
+            }
+            console.warn(`Email "${subject}" failed (attempt ${attempt} of ${maxAttempts}), retrying:`, error.message);
+            await wait(retryDelay * 2 ** (attempt - 1));
+        }
+    }
+};
+
+// Email a user without holding up the request: failures are logged, not
+// thrown. `user` is a user document with name and email, or a user ID; the
+// user's name is passed to the template as `name`.
+export const emailUser = (user, template, data = {}) => {
+    const send = async () => {
+        const recipient = user?.email ? user : await User.findById(user).select("name email");
+        if (!recipient?.email) return;
+
+        await sendEmail({
+            to: recipient.email,
+            template,
+            data: { name: recipient.name, ...data },
+        });
+    };
+
+    send().catch((error) => {
+        console.error(`Send ${template} email error:`, error);
+    });
+};
+
+// Tell a citizen that a lawyer has offered to take their query or dispute
+export const emailCaseOffer = (caseDoc, caseType, lawyer, { message, proposedFee } = {}) =>
+    emailUser(caseDoc.citizen, "caseOfferReceived", {
+        lawyerName: lawyer.name,
+        caseType,
+        caseTitle: caseDoc.title,
+        message,
+        proposedFee,
+        offersUrl: getClientUrl("/citizen/my-case-offers"),
+    });
@@ -0,0 +1,183 @@
+// Transactional email templates. Each template turns its data into a subject
+// and the parts of a message (greeting, paragraphs, an optional button and a
+// closing note), which renderEmail lays out as both HTML and plain text.
+
+const APP_NAME = "Case Management System";
+
+const escapeHtml = (value) =>
+    String(value ?? "").replace(
+        /[&<>"']/g,
+        (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+    );
+
+const templates = {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+        subject: "Reset your password",
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            "We received a request to reset the password of your account.",
+            `Use the button below to choose a new password. The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        ],
+        action: { label: "Reset password", url: resetUrl },
+        note: "If you didn't ask to reset your password, you can ignore this email; your password stays the same.",
+    }),
+
+    verifyEmail: ({ name, verifyUrl, expiresInHours }) => ({
+        subject: "Verify your email address",
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            `Thanks for signing up to ${APP_NAME}. Please confirm that this is your email address.`,
+            `Until you do, you won't be able to file cases or send connection requests to lawyers. The link expires in ${expiresInHours} hours.`,
+        ],
+        action: { label: "Verify email address", url: verifyUrl },
+        note: "If you didn't create an account, you can ignore this email.",
+    }),
+
+    welcome: ({ name, role, dashboardUrl }) => ({
+        subject: `Welcome to ${APP_NAME}`,
+        greeting: `Welcome, ${name}!`,
+        paragraphs:
+            role === "lawyer"
+                ? [
+                      "Your email address is verified and your lawyer account is ready.",
+                      "Before you can take on cases, an administrator needs to verify your credentials. Upload your bar council certificate and other verification documents from your dashboard; we'll email you once they have been reviewed.",
+                  ]
+                : [
+                      "Your email address is verified and your account is ready.",
+                      "You can now file legal queries and disputes, find verified lawyers and keep your documents in one place.",
+                  ],
+        action: { label: "Go to your dashboard", url: dashboardUrl },
+    }),
+
+    lawyerVerified: ({ name, casesUrl }) => ({
+        subject: "Your lawyer account has been verified",
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            "Good news: an administrator has verified your credentials.",
+            "Your profile is now visible to citizens, and you can offer help on open cases and accept client requests.",
+        ],
+        action: { label: "Browse available cases", url: casesUrl },
+    }),
+
+    lawyerRejected: ({ name, reason, profileUrl }) => ({
+        subject: "Your lawyer verification was not approved",
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            "An administrator has reviewed your verification documents and could not approve your account yet.",
+            reason ? `Reason given: ${reason}` : null,
+            "You can update your details and upload new documents from your profile to be reviewed again.",
+        ],
+        action: { label: "Update your profile", url: profileUrl },
+    }),
+
+    twoFactorReset: ({ name, loginUrl }) => ({
+        subject: "Your two-factor authentication was reset",
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            "An administrator has reset two-factor authentication on your account, and you have been signed out everywhere.",
+            "Sign in again with your password and set up your authenticator app from your profile to turn it back on.",
+        ],
+        action: { label: "Sign in", url: loginUrl },
+        note: "If you didn't ask for this, contact support straight away.",
+    }),
+
+    newDeviceLogin: ({ name, device, ipAddress, time, reportUrl }) => ({
+        subject: "New sign-in to your account",
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            `Your account was just signed in to from a device we haven't seen before: ${device}, IP address ${ipAddress}, at ${time}.`,
+            "If this was you, there's nothing to do.",
+        ],
+        action: { label: "This wasn't me", url: reportUrl },
+        note: "\"This wasn't me\" signs your account out everywhere. Then reset your password to keep whoever signed in out.",
+    }),
+
+    connectionAccepted: ({ name, lawyerName, responseMessage, chatUrl }) => ({
+        subject: `${lawyerName} accepted your connection request`,
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            `${lawyerName} has accepted your request to connect. You can now message them directly.`,
+            responseMessage ? `Their message: "${responseMessage}"` : null,
+        ],
+        action: { label: "Open chat", url: chatUrl },
+    }),
+
+    caseOfferReceived: ({ name, lawyerName, caseType, caseTitle, message, proposedFee, offersUrl }) => ({
+        subject: `New offer on your ${caseType}: ${caseTitle}`,
+        greeting: `Hi ${name},`,
+        paragraphs: [
+            `${lawyerName} has offered to help with your ${caseType} "${caseTitle}".`,
+            message ? `Their message: "${message}"` : null,
+            proposedFee ? `Proposed fee: ₹${Number(proposedFee).toLocaleString("en-IN")}` : null,
+        ],
+        action: { label: "Review the offer", url: offersUrl },
+        note: "You can accept or decline offers from your case offers page.",
+    }),
+
+    consultationReminder: ({
+        title,
+        consultationType,
+        citizenName,
+        lawyerName,
+        startsAt,
+        duration,
+        timeLeft,
+        meetingLink,
+    }) => ({
+        subject: `Reminder: "${title}" starts in ${timeLeft}`,
+        paragraphs: [
+            `Your ${consultationType} consultation "${title}" with ${citizenName} and ${lawyerName} starts at ${startsAt.toUTCString()} (${duration} minutes).`,
+        ],
+        action: meetingLink ? { label: "Join the meeting", url: meetingLink } : null,
+    }),
+};
+
+const renderHtml = ({ subject, greeting, paragraphs, action, note }) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:20px 32px;border-bottom:1px solid #e5e7eb;font-size:18px;font-weight:bold;color:#4f46e5;">${APP_NAME}</td></tr>
+<tr><td style="padding:24px 32px;font-size:15px;line-height:1.6;">
+${greeting ? `<p style="margin:0 0 16px;">${escapeHtml(greeting)}</p>` : ""}
+${paragraphs.map((paragraph) => `<p style="margin:0 0 16px;">${escapeHtml(paragraph)}</p>`).join("\n")}
+${
+    action
+        ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#4f46e5;color:#ffffff;text-decoration:none;border-radius:6px;font-weight:bold;">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:13px;color:#6b7280;">Or open this link: <a href="${escapeHtml(action.url)}" style="color:#4f46e5;">${escapeHtml(action.url)}</a></p>`
+        : ""
+}
+${note ? `<p style="margin:0;font-size:13px;color:#6b7280;">${escapeHtml(note)}</p>` : ""}
+</td></tr>
+<tr><td style="padding:16px 32px;border-top:1px solid #e5e7eb;font-size:12px;color:#9ca3af;">This is an automated message from ${APP_NAME}.</td></tr>
+</table>
+</body>
+</html>`;
+
+const renderText = ({ greeting, paragraphs, action, note }) =>
+    [
+        greeting,
+        ...paragraphs,
+        action ? `${action.label}: ${action.url}` : null,
+        note,
+        `-- \nThis is an automated message from ${APP_NAME}.`,
+    ]
+        .filter(Boolean)
+        .join("\n\n");
+
+// Render a template to { subject, html, text }
+export const renderEmail = (templateName, data = {}) => {
+    const template = templates[templateName];
+    if (!template) {
+        throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const message = template(data);
+    message.paragraphs = message.paragraphs.filter(Boolean);
+
+    return {
+        subject: message.subject,
+        html: renderHtml(message),
+        text: renderText(message),
+    };
+};
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+
+// Local stand-in for a real payment provider, for development only (it is
+// refused in any other NODE_ENV, see paymentGateways.js). Nothing is charged:
+// checkout is completed by calling simulatePayment(), which produces the same
+// signed webhook a real provider would send.
+
+const SIGNATURE_HEADER = "x-fake-gateway-signature";
+
+// Read lazily so dotenv has loaded by the time it is used. There is no
+// default: anyone who knew it could forge webhooks.
+const getWebhookSecret = () => {
+    const secret = process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error("FAKE_GATEWAY_WEBHOOK_SECRET is not set");
+    }
+    return secret;
+};
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+const sign = (rawBody) =>
+    crypto.createHmac("sha256", getWebhookSecret()).update(rawBody).digest("hex");
+
+// Build a signed webhook request for an event
+const buildWebhook = (event) => {
+    const rawBody = JSON.stringify({
+        id: generateId("evt"),
+        createdAt: new Date().toISOString(),
+        ...event,
+    });
+    return {
+        headers: { [SIGNATURE_HEADER]: sign(rawBody) },
+        rawBody: Buffer.from(rawBody),
+    };
+};
+
+const fakePaymentGateway = {
+    name: "fake",
+    developmentOnly: true,
+
+    // Called at startup
+    validateConfig() {
+        getWebhookSecret();
+    },
+
+    async createPaymentIntent({ amount, currency }) {
+        return {
+            gatewayPaymentId: generateId("fake_pi"),
+            // Client-side data needed to show the checkout
+            checkout: {
+                type: "fake",
+                amount,
+                currency,
+            },
+        };
+    },
+
+    // Refunds settle immediately on the fake gateway
+    async refund({ gatewayPaymentId, amount }) {
+        return {
+            gatewayRefundId: generateId("fake_re"),
+            gatewayPaymentId,
+            amount,
+            status: "succeeded",
+        };
+    },
+
+    verifyWebhook({ headers, rawBody }) {
+        const signature = headers[SIGNATURE_HEADER];
+        if (!signature || !rawBody) {
+            throw new Error("Missing webhook signature");
+        }
+
+        const expected = Buffer.from(sign(rawBody));
+        const received = Buffer.from(String(signature));
+        if (
+            expected.length !== received.length ||
+            !crypto.timingSafeEqual(expected, received)
+        ) {
+            throw new Error("Invalid webhook signature");
+        }
+
+        const event = JSON.parse(rawBody.toString());
+        return {
+            id: event.id,
+            type: event.type,
+            gatewayPaymentId: event.gatewayPaymentId,
+            gatewayRefundId: event.gatewayRefundId,
+            amount: event.amount,
+            failureReason: event.failureReason,
+        };
+    },
+
+    // Dev only: produce the webhook for a checkout outcome ("succeeded" or "failed")
+    simulatePayment({ gatewayPaymentId, amount, outcome }) {
+        return buildWebhook(
+            outcome === "failed"
+                ? {
+                      type: "payment.failed",
+                      gatewayPaymentId,
+                      amount,
+                      failureReason: "Card declined (simulated)",
+                  }
+                : { type: "payment.succeeded", gatewayPaymentId, amount }
+        );
+    },
+};
+
+export default fakePaymentGateway;
@@ -0,0 +1,118 @@
+// Checks on the actual bytes of an upload. The client's MIME type and file
+// name are never trusted for what a file is.
+
+const PDF_SIGNATURE = Buffer.from("%PDF-");
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+// Compound File Binary, the container of legacy .doc files
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// PNG chunks that carry EXIF data or free text (which may include locations)
+const PNG_METADATA_CHUNKS = ["eXIf", "tEXt", "zTXt", "iTXt"];
+// JPEG APP1 (EXIF/XMP, where GPS lives), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe];
+
+const isUtf8Text = (content) => {
+    if (content.includes(0)) return false;
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(content);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// MIME type of a file from its leading bytes, or null if it isn't an accepted type
+export const detectFileType = (content) => {
+    const startsWith = (signature) => content.subarray(0, signature.length).equals(signature);
+
+    if (startsWith(PDF_SIGNATURE)) return "application/pdf";
+    if (startsWith(PNG_SIGNATURE)) return "image/png";
+    if (startsWith(JPEG_SIGNATURE)) return "image/jpeg";
+    if (startsWith(OLE_SIGNATURE)) return "application/msword";
+    if (startsWith(ZIP_SIGNATURE)) {
+        // Entry names are stored uncompressed, so a Word document is recognisable from them
+        const names = content.toString("latin1");
+        return names.includes("[Content_Types].xml") && names.includes("word/")
+            ? "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+            : null;
+    }
+    if (isUtf8Text(content)) return "text/plain";
+    return null;
+};
+
+// Reason a file of an accepted type should still be held for review, or null
+export const findActiveContent = (content, mimeType) => {
+    const text = content.toString("latin1");
+
+    if (mimeType === "application/pdf" && /\/(JavaScript|JS|Launch|EmbeddedFile)\b/.test(text)) {
+        return "PDF contains scripts, launch actions or embedded files";
+    }
+    if (mimeType.includes("wordprocessingml") && text.includes("vbaProject.bin")) {
+        return "Word document contains macros";
+    }
+    return null;
+};
+
+const stripPngMetadata = (content) => {
+    const parts = [content.subarray(0, PNG_SIGNATURE.length)];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset < content.length) {
+        if (offset + 12 > content.length) return null;
+        const length = content.readUInt32BE(offset);
+        const end = offset + 12 + length;
+        if (end > content.length) return null;
+
+        const type = content.toString("latin1", offset + 4, offset + 8);
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            parts.push(content.subarray(offset, end));
+        }
+        offset = end;
+        if (type === "IEND") break;
+    }
+
+    return Buffer.concat(parts);
+};
+
+const stripJpegMetadata = (content) => {
+    const parts = [content.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset < content.length) {
+        if (content[offset] !== 0xff || offset + 2 > content.length) return null;
+        const marker = content[offset + 1];
+
+        // Start of scan: the compressed image data follows, copy the rest as-is
+        if (marker === 0xda) {
+            parts.push(content.subarray(offset));
+            break;
+        }
+        // Markers without a length
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            parts.push(content.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+
+        if (offset + 4 > content.length) return null;
+        const end = offset + 2 + content.readUInt16BE(offset + 2);
+        if (end > content.length) return null;
+
+        if (!JPEG_METADATA_MARKERS.includes(marker)) {
+            parts.push(content.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    return Buffer.concat(parts);
+};
+
+// Remove EXIF (including GPS), XMP, IPTC and text metadata from JPEG and PNG
+// images. Other types are returned unchanged; null means the image is malformed.
+export const stripImageMetadata = (content, mimeType) => {
+    if (mimeType === "image/jpeg") return stripJpegMetadata(content);
+    if (mimeType === "image/png") return stripPngMetadata(content);
+    return content;
+};
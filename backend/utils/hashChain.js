@@ -0,0 +1,298 @@
+import crypto from "crypto";
+import ChainEntry from "../models/ChainEntry.js";
+import ChainSeal from "../models/ChainSeal.js";
+
+// previousHash of the first entry and previousSealHash of the first seal
+export const GENESIS_HASH = "0".repeat(64);
+
+const DEFAULT_SEAL_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_ENTRIES_PER_SEAL = 1024;
+const MAX_APPEND_ATTEMPTS = 5;
+
+let appendQueue = Promise.resolve();
+let timer = null;
+let isSealing = false;
+
+export const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// JSON with sorted keys, so the same payload always hashes the same way
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        const fields = Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+export const hashPayload = (payload) => sha256(canonicalJson(payload));
+
+export const computeEntryHash = ({ sequence, previousHash, payloadHash, recordedAt }) =>
+    sha256(`${sequence}|${previousHash}|${payloadHash}|${new Date(recordedAt).toISOString()}`);
+
+export const computeSealHash = ({ sealNumber, previousSealHash, merkleRoot, fromSequence, toSequence, sealedAt }) =>
+    sha256(
+        `${sealNumber}|${previousSealHash}|${merkleRoot}|${fromSequence}|${toSequence}|${new Date(sealedAt).toISOString()}`
+    );
+
+const toId = (value) => (value ? (value._id || value).toString() : null);
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Payloads only hold strings, numbers and nulls so they survive a round trip
+// through MongoDB unchanged
+export const buildTimelinePayload = (caseType, caseId, entry) => ({
+    caseType,
+    caseId: toId(caseId),
+    entryId: toId(entry._id),
+    action: entry.action ?? null,
+    description: entry.description ?? null,
+    performedBy: toId(entry.performedBy),
+    timestamp: toIso(entry.timestamp),
+});
+
+// `file` is either a case document (its current version) or one of its archived versions
+export const buildDocumentPayload = (caseType, caseId, documentId, file) => ({
+    caseType,
+    caseId: toId(caseId),
+    documentId: toId(documentId),
+    originalName: file.originalName ?? null,
+    version: file.version ?? 1,
+    checksum: file.checksum ?? null,
+    mimeType: file.mimeType ?? null,
+    size: file.size ?? null,
+    uploadedBy: toId(file.uploadedBy),
+    uploadedAt: toIso(file.uploadedAt),
+});
+
+// Timeline events and document versions a query or dispute is about to save
+// for the first time. Call from a pre("save") hook, after any hook that adds
+// timeline entries.
+export const collectChainRecords = (caseType, caseDoc) => {
+    const records = [];
+
+    caseDoc.timeline.forEach((entry) => {
+        if (entry.isNew) {
+            records.push({
+                entryType: "timeline_event",
+                refId: entry._id,
+                payload: buildTimelinePayload(caseType, caseDoc._id, entry),
+            });
+        }
+    });
+
+    caseDoc.documents.forEach((document) => {
+        const isNewVersion =
+            document.isNew || document.isModified("checksum") || document.isModified("version");
+        if (document.checksum && isNewVersion) {
+            records.push({
+                entryType: "document_version",
+                refId: document._id,
+                checksum: document.checksum,
+                payload: buildDocumentPayload(caseType, caseDoc._id, document._id, document),
+            });
+        }
+    });
+
+    return records;
+};
+
+const writeEntry = async (caseType, caseId, record) => {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+        const last = await ChainEntry.findOne().sort({ sequence: -1 }).select("sequence hash");
+        const entry = {
+            ...record,
+            caseType,
+            caseId,
+            sequence: (last?.sequence || 0) + 1,
+            previousHash: last?.hash || GENESIS_HASH,
+            payloadHash: hashPayload(record.payload),
+            recordedAt: new Date(),
+        };
+        entry.hash = computeEntryHash(entry);
+
+        try {
+            return await ChainEntry.create(entry);
+        } catch (error) {
+            // Another server appended the same sequence first; link to that one instead
+            if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+// Append records to the chain one at a time, in order. Appends never fail the
+// save that produced them; errors are logged.
+export const appendChainRecords = (caseType, caseId, records = []) => {
+    if (records.length === 0) {
+        return appendQueue;
+    }
+
+    appendQueue = appendQueue
+        .then(async () => {
+            for (const record of records) {
+                await writeEntry(caseType, caseId, record);
+            }
+        })
+        .catch((error) => {
+            console.error("Hash chain append error:", error);
+        });
+    return appendQueue;
+};
+
+const hashPair = (left, right) => sha256(left + right);
+
+// Merkle tree over hex hashes; an odd node out is paired with itself
+const nextLevel = (level) => {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+        next.push(hashPair(level[i], level[i + 1] ?? level[i]));
+    }
+    return next;
+};
+
+export const computeMerkleRoot = (leaves) => {
+    let level = leaves;
+    while (level.length > 1) {
+        level = nextLevel(level);
+    }
+    return level[0];
+};
+
+// Sibling hashes from the leaf at `index` up to the root
+export const getMerkleProof = (leaves, index) => {
+    const proof = [];
+    let level = leaves;
+    let position = index;
+
+    while (level.length > 1) {
+        const isRight = position % 2 === 1;
+        const sibling = isRight ? level[position - 1] : level[position + 1] ?? level[position];
+        proof.push({ position: isRight ? "left" : "right", hash: sibling });
+        level = nextLevel(level);
+        position = Math.floor(position / 2);
+    }
+
+    return proof;
+};
+
+export const verifyMerkleProof = (leaf, proof, root) =>
+    proof.reduce(
+        (hash, step) => (step.position === "left" ? hashPair(step.hash, hash) : hashPair(hash, step.hash)),
+        leaf
+    ) === root;
+
+// Seal every unsealed entry into Merkle roots, oldest first
+export const sealPendingEntries = async () => {
+    let sealedCount = 0;
+
+    for (;;) {
+        const entries = await ChainEntry.find({ seal: null })
+            .sort({ sequence: 1 })
+            .limit(MAX_ENTRIES_PER_SEAL)
+            .select("sequence hash");
+        if (entries.length === 0) {
+            return sealedCount;
+        }
+
+        const last = await ChainSeal.findOne().sort({ sealNumber: -1 });
+        const seal = {
+            sealNumber: (last?.sealNumber || 0) + 1,
+            merkleRoot: computeMerkleRoot(entries.map((entry) => entry.hash)),
+            fromSequence: entries[0].sequence,
+            toSequence: entries[entries.length - 1].sequence,
+            entryCount: entries.length,
+            previousSealHash: last?.sealHash || GENESIS_HASH,
+            sealedAt: new Date(),
+        };
+        seal.sealHash = computeSealHash(seal);
+
+        const created = await ChainSeal.create(seal);
+        await ChainEntry.updateMany(
+            { _id: { $in: entries.map((entry) => entry._id) } },
+            { seal: created._id }
+        );
+        sealedCount += entries.length;
+    }
+};
+
+// Integrity checks for one entry that only need the chain itself
+export const checkChainEntry = async (entry) => {
+    const [previous, next, seal] = await Promise.all([
+        entry.sequence > 1
+            ? ChainEntry.findOne({ sequence: entry.sequence - 1 }).select("hash")
+            : null,
+        ChainEntry.findOne({ sequence: entry.sequence + 1 }).select("previousHash"),
+        entry.seal ? ChainSeal.findById(entry.seal) : null,
+    ]);
+
+    const checks = {
+        payloadIntact: hashPayload(entry.payload) === entry.payloadHash,
+        hashValid: computeEntryHash(entry) === entry.hash,
+        linkedToPrevious:
+            entry.sequence === 1 ? entry.previousHash === GENESIS_HASH : previous?.hash === entry.previousHash,
+        // null while this is the newest entry
+        linkedToNext: next ? next.previousHash === entry.hash : null,
+        sealed: Boolean(seal),
+        merkleProofValid: null,
+    };
+
+    let sealInfo = null;
+    if (seal) {
+        const sealedEntries = await ChainEntry.find({ seal: seal._id }).sort({ sequence: 1 }).select("hash");
+        const leaves = sealedEntries.map((sealed) => sealed.hash);
+        const proof = getMerkleProof(leaves, sealedEntries.findIndex((sealed) => sealed._id.equals(entry._id)));
+
+        checks.merkleProofValid =
+            computeSealHash(seal) === seal.sealHash &&
+            computeMerkleRoot(leaves) === seal.merkleRoot &&
+            verifyMerkleProof(entry.hash, proof, seal.merkleRoot);
+
+        sealInfo = {
+            sealNumber: seal.sealNumber,
+            merkleRoot: seal.merkleRoot,
+            sealHash: seal.sealHash,
+            previousSealHash: seal.previousSealHash,
+            fromSequence: seal.fromSequence,
+            toSequence: seal.toSequence,
+            sealedAt: seal.sealedAt,
+            proof,
+        };
+    }
+
+    return { checks, seal: sealInfo };
+};
+
+// Start sealing unsealed entries on an interval
+export const startChainSealer = () => {
+    if (timer) {
+        return;
+    }
+
+    const tick = async () => {
+        if (isSealing) {
+            return;
+        }
+
+        isSealing = true;
+        try {
+            const sealedCount = await sealPendingEntries();
+            if (sealedCount > 0) {
+                console.log(`🔗 Sealed ${sealedCount} case ledger entr${sealedCount === 1 ? "y" : "ies"}`);
+            }
+        } catch (error) {
+            console.error("Chain sealer error:", error);
+        } finally {
+            isSealing = false;
+        }
+    };
+
+    const interval = parseInt(process.env.CHAIN_SEAL_INTERVAL_MS) || DEFAULT_SEAL_INTERVAL_MS;
+    timer = setInterval(tick, interval);
+    tick();
+    console.log("🔗 Case ledger sealer started");
+};
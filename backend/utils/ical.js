@@ -0,0 +1,111 @@
+// Minimal iCalendar (RFC 5545) writer for consultation and hearing events
+
+const PRODUCT_ID = "-//Case Management System//Consultations and Hearings//EN";
+const UID_DOMAIN = "casemanagement.local";
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+const escapeText = (value = "") => {
+    return String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+};
+
+// Format a Date as a UTC DATE-TIME (e.g. 20250101T093000Z)
+const formatDateTime = (date) => {
+    return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+};
+
+// Format a "YYYY-MM-DD" string as a DATE value
+const formatDate = (dateStr) => dateStr.replace(/-/g, "");
+
+// Fold lines longer than 75 octets, as required by the spec
+const foldLine = (line) => {
+    const chunks = [];
+    let current = "";
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (currentBytes + charBytes > limit) {
+            chunks.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+
+    return chunks.join("\r\n ");
+};
+
+// Build a unique, stable event identifier
+export const buildUid = (...parts) => `${parts.join("-")}@${UID_DOMAIN}`;
+
+/**
+ * Build a VEVENT block.
+ * Pass either `start`/`end` (Dates) for timed events or `allDayDate` ("YYYY-MM-DD").
+ * `status` is one of TENTATIVE, CONFIRMED or CANCELLED.
+ */
+export const buildEvent = ({
+    uid,
+    start,
+    end,
+    allDayDate,
+    summary,
+    description,
+    location,
+    url,
+    status = "CONFIRMED",
+    sequence = 0,
+    lastModified = new Date(),
+}) => {
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:${uid}`,
+        `DTSTAMP:${formatDateTime(lastModified)}`,
+        `LAST-MODIFIED:${formatDateTime(lastModified)}`,
+        `SEQUENCE:${sequence}`,
+        `STATUS:${status}`,
+        `SUMMARY:${escapeText(summary)}`,
+    ];
+
+    if (allDayDate) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(allDayDate)}`);
+    } else {
+        lines.push(`DTSTART:${formatDateTime(start)}`);
+        lines.push(`DTEND:${formatDateTime(end)}`);
+    }
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (location) {
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+    if (url) {
+        lines.push(`URL:${url}`);
+    }
+
+    lines.push("END:VEVENT");
+    return lines;
+};
+
+// Wrap events into a complete VCALENDAR document
+export const buildCalendar = (name, events) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flat(),
+        "END:VCALENDAR",
+    ];
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
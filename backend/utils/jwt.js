@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -10,10 +11,12 @@ export const generateAccessToken = (payload) => {
     });
 };
 
-// Generate refresh token
+// Generate refresh token. Each one gets a unique ID, so a rotated token never
+// matches the one it replaced.
 export const generateRefreshToken = (payload) => {
     return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
         expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
+        jwtid: crypto.randomUUID(),
     });
 };
 
@@ -42,3 +45,35 @@ export const generateTokenPair = (payload) => {
 
     return { accessToken, refreshToken };
 };
+
+// When a token expires (as a Date), without verifying it
+export const getTokenExpiry = (token) => {
+    return new Date(jwt.decode(token).exp * 1000);
+};
+
+// Two-factor login challenges are signed with a key derived from JWT_SECRET,
+// so they can never pass as access tokens
+const getTwoFactorChallengeSecret = () =>
+    crypto.createHmac("sha256", process.env.JWT_SECRET).update("two-factor-challenge").digest();
+
+// Generate a short-lived token for the second login step. `purpose` is
+// "login" (enter a code) or "setup" (enrol before signing in).
+export const generateTwoFactorChallengeToken = (userId, purpose) => {
+    return jwt.sign({ id: userId, purpose }, getTwoFactorChallengeSecret(), {
+        expiresIn: "5m",
+    });
+};
+
+// Verify a two-factor challenge token issued for `purpose`
+export const verifyTwoFactorChallengeToken = (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getTwoFactorChallengeSecret());
+    } catch (error) {
+        throw new Error("Invalid two-factor challenge");
+    }
+    if (decoded.purpose !== purpose) {
+        throw new Error("Invalid two-factor challenge");
+    }
+    return decoded;
+};
@@ -0,0 +1,32 @@
+// Shared sorting and filtering for the public lawyer listings
+
+// Sort keys accepted from the client, mapped to User fields
+const SORT_FIELDS = {
+    createdAt: "createdAt",
+    name: "name",
+    experience: "lawyerDetails.experience",
+    rating: "lawyerDetails.rating.average",
+    reviews: "lawyerDetails.rating.count",
+};
+
+// Build a Mongo sort from `sortBy`/`sortOrder` query params
+export const buildLawyerSort = (sortBy = "createdAt", sortOrder = "desc") => {
+    const field = SORT_FIELDS[sortBy] || SORT_FIELDS.createdAt;
+    const sort = { [field]: sortOrder === "asc" ? 1 : -1 };
+
+    // Among equally rated lawyers, prefer the one with more reviews
+    if (sortBy === "rating") {
+        sort["lawyerDetails.rating.count"] = -1;
+    }
+
+    return sort;
+};
+
+// Restrict a lawyer query to an average rating of at least `minRating`
+export const applyRatingFilter = (query, minRating) => {
+    const value = parseFloat(minRating);
+    if (value > 0 && value <= 5) {
+        query["lawyerDetails.rating.average"] = { $gte: value };
+    }
+    return query;
+};
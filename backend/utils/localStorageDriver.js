@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Stores files on the server's disk under UPLOAD_DIR, one folder per area
+// (e.g. UPLOAD_DIR/cases/<file>). Signed URLs point at the API's
+// /api/files/:token route, which streams the file back.
+
+const TEMP_FOLDER = "tmp";
+
+// Read lazily so dotenv has loaded by the time it is used
+const getRoot = () => path.resolve(process.env.UPLOAD_DIR || "uploads");
+const getUrlSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+// Map a storage key to a path inside the upload root, refusing anything that escapes it
+const resolveKey = (key) => {
+    const root = getRoot();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+const sign = (data) => crypto.createHmac("sha256", getUrlSecret()).update(data).digest("base64url");
+
+// Token for a signed download URL: the file details plus an expiry, HMAC signed
+export const createFileToken = ({ key, downloadName, mimeType, inline, expiresAt }) => {
+    const data = Buffer.from(
+        JSON.stringify({
+            key,
+            name: downloadName,
+            type: mimeType,
+            inline: Boolean(inline),
+            exp: expiresAt.getTime(),
+        })
+    ).toString("base64url");
+    return `${data}.${sign(data)}`;
+};
+
+// Returns the token's file details, or null if it was tampered with or has expired
+export const verifyFileToken = (token) => {
+    const [data, signature] = String(token).split(".");
+    if (!data || !signature) return null;
+
+    const expected = sign(data);
+    if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+        return null;
+    }
+
+    try {
+        const details = JSON.parse(Buffer.from(data, "base64url").toString());
+        return details.exp > Date.now() ? details : null;
+    } catch {
+        return null;
+    }
+};
+
+const listFiles = async function* (dir, prefix) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+    }
+
+    for (const entry of entries) {
+        const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            // Unfinished uploads are not stored files
+            if (!prefix && entry.name === TEMP_FOLDER) continue;
+            yield* listFiles(path.join(dir, entry.name), key);
+        } else if (entry.isFile()) {
+            yield key;
+        }
+    }
+};
+
+const localStorageDriver = {
+    name: "local",
+
+    // Move an uploaded temp file into storage
+    async putFile(key, filePath) {
+        const target = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        try {
+            await fs.promises.rename(filePath, target);
+        } catch (error) {
+            // The temp folder may be on another device
+            if (error.code !== "EXDEV") throw error;
+            await fs.promises.copyFile(filePath, target);
+            await fs.promises.unlink(filePath);
+        }
+    },
+
+    async put(key, body) {
+        const target = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, body);
+    },
+
+    async getStream(key) {
+        return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+        try {
+            await fs.promises.access(resolveKey(key));
+            return true;
+        } catch {
+            return false;
+        }
+    },
+
+    // Removing a file that is already gone is not an error
+    async remove(key) {
+        try {
+            await fs.promises.unlink(resolveKey(key));
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+    },
+
+    // Every stored key
+    list() {
+        return listFiles(getRoot(), "");
+    },
+
+    async getSignedUrl(key, { baseUrl, downloadName, mimeType, inline, expiresAt }) {
+        const token = createFileToken({ key, downloadName, mimeType, inline, expiresAt });
+        return `${baseUrl}/api/files/${token}`;
+    },
+};
+
+export default localStorageDriver;
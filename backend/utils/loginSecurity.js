@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import { emailUser, getClientUrl } from "./emailService.js";
+
+// Failed attempts (wrong password or two-factor code) before an account locks
+const MAX_FAILED_ATTEMPTS = 5;
+// The first lockout lasts this long, and each further one twice as long as
+// the last, up to a day. A successful sign-in starts over.
+const BASE_LOCKOUT_MINUTES = 5;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// How long the "this wasn't me" link in a new-device alert works
+const REPORT_TOKEN_TTL_DAYS = 7;
+
+// Browser families and operating systems, by a token in the user agent. Order
+// matters: Edge, Opera and Samsung Internet also say Chrome, Chrome says
+// Safari, Android says Linux, and iOS says Mac OS X.
+const BROWSER_FAMILIES = [
+    [/Edg(A|iOS)?\//, "edge"],
+    [/OPR\/|Opera/, "opera"],
+    [/SamsungBrowser\//, "samsung"],
+    [/Firefox\/|FxiOS\//, "firefox"],
+    [/Chrome\/|CriOS\//, "chrome"],
+    [/Safari\//, "safari"],
+];
+const OPERATING_SYSTEMS = [
+    [/Android/, "android"],
+    [/iPhone|iPad|iPod/, "ios"],
+    [/Windows/, "windows"],
+    [/CrOS/, "chromeos"],
+    [/Mac OS X|Macintosh/, "macos"],
+    [/Linux/, "linux"],
+];
+
+// Fields to select when loading a user to sign in
+export const LOGIN_SECURITY_FIELDS = "+loginSecurity.lockedUntil";
+
+export const hashReportToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Minutes left on an account lockout, or 0 when the account isn't locked
+export const getLockoutMinutesLeft = (user) => {
+    const lockedUntil = user.loginSecurity?.lockedUntil;
+    if (!lockedUntil || lockedUntil <= Date.now()) return 0;
+    return Math.ceil((lockedUntil - Date.now()) / (60 * 1000));
+};
+
+// What identifies a device for new-device alerts: browser family, operating
+// system and device class, e.g. "chrome/windows/desktop". Versions are left
+// out so that browser and OS updates don't count as a new device.
+const getDeviceFingerprint = (userAgent) => {
+    const agent = userAgent || "";
+    const find = (patterns) => patterns.find(([pattern]) => pattern.test(agent))?.[1] || "unknown";
+
+    let deviceClass = "desktop";
+    if (/iPad|Tablet/.test(agent) || (/Android/.test(agent) && !/Mobile/.test(agent))) {
+        deviceClass = "tablet";
+    } else if (/Mobile|iPhone|iPod/.test(agent)) {
+        deviceClass = "mobile";
+    }
+
+    return [find(BROWSER_FAMILIES), find(OPERATING_SYSTEMS), deviceClass].join("/");
+};
+
+const recordAttempt = (req, user, fields) =>
+    LoginAttempt.create({
+        user: user._id,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+        deviceFingerprint: getDeviceFingerprint(req.get("user-agent")),
+        ...fields,
+    });
+
+// Record a failed sign-in. Wrong passwords and codes count towards a lockout;
+// returns how many minutes the account is now locked for when this attempt
+// locked it, otherwise 0.
+export const recordFailedLogin = async (req, user, reason) => {
+    await recordAttempt(req, user, { success: false, failureReason: reason });
+    if (reason !== "invalid_password" && reason !== "invalid_two_factor_code") return 0;
+
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { "loginSecurity.failedAttempts": 1 } },
+        { new: true, runValidators: false }
+    ).select("+loginSecurity.failedAttempts +loginSecurity.lockoutCount");
+    if (updated.loginSecurity.failedAttempts < MAX_FAILED_ATTEMPTS) return 0;
+
+    const minutes = Math.min(
+        BASE_LOCKOUT_MINUTES * 2 ** (updated.loginSecurity.lockoutCount || 0),
+        MAX_LOCKOUT_MINUTES
+    );
+    // Concurrent failures can pass the limit together; only one locks
+    const result = await User.updateOne(
+        { _id: user._id, "loginSecurity.failedAttempts": { $gte: MAX_FAILED_ATTEMPTS } },
+        {
+            "loginSecurity.failedAttempts": 0,
+            "loginSecurity.lockedUntil": new Date(Date.now() + minutes * 60 * 1000),
+            $inc: { "loginSecurity.lockoutCount": 1 },
+        }
+    );
+    if (result.modifiedCount === 0) return 0;
+
+    await SecurityEvent.record(req, user._id, "account_locked", `Locked for ${minutes} minutes`);
+    return minutes;
+};
+
+// Email and notify the user about a sign-in from a new device, with a
+// one-click link to sign out everywhere
+const alertNewDevice = (req, user, attempt, reportToken) => {
+    emailUser(user, "newDeviceLogin", {
+        device: attempt.userAgent || "Unknown device",
+        ipAddress: attempt.ipAddress || "unknown",
+        time: attempt.createdAt.toUTCString(),
+        reportUrl: getClientUrl(`/report-login?token=${reportToken}`),
+    });
+
+    const io = req.app.get("socketio");
+    io?.to(`user_${user._id}`).emit("new_device_login", {
+        attemptId: attempt._id,
+        userAgent: attempt.userAgent,
+        ipAddress: attempt.ipAddress,
+        reportToken,
+        timestamp: attempt.createdAt,
+    });
+};
+
+// Record a successful sign-in that started `session`: clears failed attempts,
+// and alerts the user when they have signed in before but never from this
+// device (see getDeviceFingerprint)
+export const recordSuccessfulLogin = async (req, user, session) => {
+    const userAgent = req.get("user-agent") || null;
+    const [hasSignedInBefore, isKnownDevice] = await Promise.all([
+        LoginAttempt.exists({ user: user._id, success: true }),
+        LoginAttempt.exists({
+            user: user._id,
+            success: true,
+            $or: [
+                { deviceFingerprint: getDeviceFingerprint(userAgent) },
+                // Attempts recorded before fingerprints were, matched on the exact user agent
+                { deviceFingerprint: null, userAgent },
+            ],
+        }),
+    ]);
+    const newDevice = Boolean(hasSignedInBefore) && !isKnownDevice;
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            "loginSecurity.failedAttempts": 0,
+            "loginSecurity.lockoutCount": 0,
+            $unset: { "loginSecurity.lockedUntil": 1 },
+        }
+    );
+
+    const reportToken = newDevice ? crypto.randomBytes(32).toString("hex") : null;
+    const attempt = await recordAttempt(req, user, {
+        success: true,
+        newDevice,
+        session: session._id,
+        ...(reportToken && {
+            reportTokenHash: hashReportToken(reportToken),
+            reportTokenExpires: Date.now() + REPORT_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+        }),
+    });
+
+    if (newDevice) {
+        alertNewDevice(req, user, attempt, reportToken);
+    }
+};
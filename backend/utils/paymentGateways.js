@@ -0,0 +1,55 @@
+import fakePaymentGateway from "./fakePaymentGateway.js";
+
+// Payment gateway adapters. Each adapter wraps one provider behind the same
+// interface, so the payment controller never talks to a provider directly:
+//
+//   name                                  - key used in PAYMENT_GATEWAY and webhook URLs
+//   developmentOnly                       - optional; only usable when NODE_ENV is "development"
+//   validateConfig()                      - optional; throws at startup if settings are missing
+//   createPaymentIntent({ paymentId, amount, currency, description })
+//       -> { gatewayPaymentId, checkout }  - checkout is passed to the client as-is
+//   refund({ gatewayPaymentId, amount, reason })
+//       -> { gatewayRefundId, status }     - status "succeeded" or "pending" (settled by webhook)
+//   verifyWebhook({ headers, rawBody })
+//       -> { id, type, gatewayPaymentId, gatewayRefundId, amount, failureReason }
+//          type is one of WEBHOOK_EVENT_TYPES; throws if the signature is invalid
+//
+// To add a provider, write an adapter with these methods and register it below.
+
+export const WEBHOOK_EVENT_TYPES = [
+    "payment.succeeded",
+    "payment.failed",
+    "refund.succeeded",
+    "refund.failed",
+];
+
+const gateways = {
+    [fakePaymentGateway.name]: fakePaymentGateway,
+};
+
+const isAvailable = (gateway) =>
+    !gateway.developmentOnly || process.env.NODE_ENV === "development";
+
+// Look up an adapter by name (e.g. from a webhook URL). Development-only
+// adapters are not found in other environments.
+export const getGatewayByName = (name) => {
+    const gateway = gateways[name];
+    return gateway && isAvailable(gateway) ? gateway : null;
+};
+
+// The adapter new payments are created with
+export const getPaymentGateway = () => {
+    const name = process.env.PAYMENT_GATEWAY || "fake";
+    const gateway = getGatewayByName(name);
+    if (!gateway) {
+        throw new Error(`Payment gateway "${name}" is unknown or not available in this environment`);
+    }
+    return gateway;
+};
+
+// Check the settings of every gateway usable in this environment (at startup)
+export const validatePaymentGateways = () => {
+    Object.values(gateways)
+        .filter(isAvailable)
+        .forEach((gateway) => gateway.validateConfig?.());
+};
@@ -0,0 +1,298 @@
+import zlib from "zlib";
+
+// Minimal PDF writer for text documents: headings, wrapped paragraphs,
+// label/value fields and simple tables on A4 pages, using the built-in
+// Helvetica fonts. Every page gets a running header and "Page n of N".
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const HEADER_Y = PAGE_HEIGHT - 30;
+const FOOTER_Y = 25;
+const BODY_TOP = PAGE_HEIGHT - MARGIN - 10;
+const BODY_BOTTOM = MARGIN + 10;
+const LINE_GAP = 1.35;
+
+// Glyph widths (1/1000 em) of characters 32-126, from the standard Helvetica AFM files
+const REGULAR_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278,
+    500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469,
+    556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500,
+    278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278,
+    556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584,
+    556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556,
+    333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI_EXTRAS = {
+    "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+    "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99,
+};
+const REPLACEMENTS = { "₹": "Rs. ", "\t": "    " };
+
+// Text as WinAnsi bytes (one char per byte); anything unsupported becomes "?"
+const toWinAnsi = (text) =>
+    Array.from(String(text ?? ""))
+        .map((char) => REPLACEMENTS[char] ?? char)
+        .join("")
+        .replace(/[^\n]/g, (char) => {
+            const code = char.charCodeAt(0);
+            if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return char;
+            return WIN_ANSI_EXTRAS[char] ? String.fromCharCode(WIN_ANSI_EXTRAS[char]) : "?";
+        });
+
+const escapePdfString = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+const measure = (text, size, bold) => {
+    const widths = bold ? BOLD_WIDTHS : REGULAR_WIDTHS;
+    let total = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+};
+
+// Break (already WinAnsi) text into lines no wider than maxWidth
+const wrapText = (text, size, bold, maxWidth) => {
+    const lines = [];
+    text.split("\n").forEach((paragraph) => {
+        let line = "";
+        paragraph.split(" ").forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+
+            // A word wider than the line is split wherever it runs out of room
+            line = "";
+            for (const char of word) {
+                if (line && measure(line + char, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = "";
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+const formatPdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+
+// Create a document. `header` is printed at the top of every page.
+export const createPdfDocument = ({ title, header = title }) => {
+    const pages = [];
+    let page = null;
+    let y = 0;
+
+    const addPage = () => {
+        page = [];
+        pages.push(page);
+        y = BODY_TOP;
+    };
+
+    // Start a new page unless `height` still fits on this one
+    const ensureSpace = (height) => {
+        if (!page || y - height < BODY_BOTTOM) addPage();
+    };
+
+    const drawText = (text, x, baseline, { size = 10, bold = false, gray = 0 } = {}) => {
+        page.push(
+            `BT ${gray} g /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${baseline.toFixed(2)} Td (${escapePdfString(text)}) Tj ET`
+        );
+    };
+
+    const drawRule = (x1, x2, at, gray = 0.75) => {
+        page.push(`${gray} G 0.5 w ${x1.toFixed(2)} ${at.toFixed(2)} m ${x2.toFixed(2)} ${at.toFixed(2)} l S`);
+    };
+
+    const doc = {
+        // Wrapped paragraph
+        text(value, { size = 10, bold = false, gray = 0, indent = 0, spaceAfter = 4 } = {}) {
+            const lineHeight = size * LINE_GAP;
+            wrapText(toWinAnsi(value), size, bold, CONTENT_WIDTH - indent).forEach((line) => {
+                ensureSpace(lineHeight);
+                y -= lineHeight;
+                drawText(line, MARGIN + indent, y, { size, bold, gray });
+            });
+            y -= spaceAfter;
+            return doc;
+        },
+
+        title(value) {
+            return doc.text(value, { size: 18, bold: true, spaceAfter: 6 });
+        },
+
+        // Section heading with a rule under it; kept on the same page as what follows
+        heading(value) {
+            ensureSpace(60);
+            y -= 10;
+            doc.text(value, { size: 13, bold: true, spaceAfter: 2 });
+            drawRule(MARGIN, MARGIN + CONTENT_WIDTH, y);
+            y -= 8;
+            return doc;
+        },
+
+        subheading(value) {
+            ensureSpace(40);
+            return doc.text(value, { size: 11, bold: true, spaceAfter: 2 });
+        },
+
+        // "Label   value" row, the value wrapping in its own column
+        field(label, value, { labelWidth = 130 } = {}) {
+            const size = 10;
+            const lineHeight = size * LINE_GAP;
+            const lines = wrapText(toWinAnsi(value || "-"), size, false, CONTENT_WIDTH - labelWidth);
+            lines.forEach((line, index) => {
+                ensureSpace(lineHeight);
+                y -= lineHeight;
+                if (index === 0) drawText(toWinAnsi(label), MARGIN, y, { size, bold: true });
+                drawText(line, MARGIN + labelWidth, y, { size });
+            });
+            y -= 2;
+            return doc;
+        },
+
+        // Table with wrapped cells. columns: [{ header, width }] with widths as
+        // fractions of the page width; rows: arrays of cell strings. The header
+        // row is repeated on every page the table spans.
+        table(columns, rows, { size = 9 } = {}) {
+            const lineHeight = size * LINE_GAP;
+            const padding = 3;
+            const widths = columns.map((column) => column.width * CONTENT_WIDTH);
+
+            const drawRow = (cells, bold) => {
+                const wrapped = cells.map((cell, i) =>
+                    wrapText(toWinAnsi(cell ?? "-"), size, bold, widths[i] - 2 * padding)
+                );
+                const height = Math.max(...wrapped.map((lines) => lines.length)) * lineHeight + 2 * padding;
+                return { wrapped, height, bold };
+            };
+
+            const paint = ({ wrapped, height, bold }) => {
+                let x = MARGIN;
+                wrapped.forEach((lines, i) => {
+                    lines.forEach((line, lineIndex) => {
+                        drawText(line, x + padding, y - padding - (lineIndex + 1) * lineHeight + 2, { size, bold });
+                    });
+                    x += widths[i];
+                });
+                y -= height;
+                drawRule(MARGIN, MARGIN + CONTENT_WIDTH, y, bold ? 0.4 : 0.85);
+            };
+
+            const headerRow = drawRow(columns.map((column) => column.header), true);
+            ensureSpace(headerRow.height + lineHeight * 2);
+            paint(headerRow);
+
+            rows.forEach((cells) => {
+                const row = drawRow(cells, false);
+                if (y - row.height < BODY_BOTTOM) {
+                    addPage();
+                    paint(headerRow);
+                }
+                paint(row);
+            });
+            y -= 6;
+            return doc;
+        },
+
+        space(height = 8) {
+            y -= height;
+            return doc;
+        },
+
+        // Serialise the document to a PDF file
+        toBuffer() {
+            if (pages.length === 0) addPage();
+
+            const objects = [];
+            const addObject = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = addObject(null);
+            const pagesId = addObject(null);
+            const regularFontId = addObject(
+                "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+            );
+            const boldFontId = addObject(
+                "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+            );
+            const infoId = addObject(
+                `<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (Case Management System) ` +
+                    `/CreationDate (${formatPdfDate(new Date())}) >>`
+            );
+
+            const pageIds = pages.map((operations, index) => {
+                page = operations;
+                drawText(toWinAnsi(header), MARGIN, HEADER_Y, { size: 8, gray: 0.45 });
+                drawRule(MARGIN, MARGIN + CONTENT_WIDTH, HEADER_Y - 5);
+                const pageLabel = `Page ${index + 1} of ${pages.length}`;
+                drawText(pageLabel, MARGIN + CONTENT_WIDTH - measure(pageLabel, 8, false), FOOTER_Y, {
+                    size: 8,
+                    gray: 0.45,
+                });
+
+                const content = zlib.deflateSync(Buffer.from(operations.join("\n"), "latin1"));
+                const contentId = addObject({ dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, content });
+                return addObject(
+                    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> ` +
+                        `/Contents ${contentId} 0 R >>`
+                );
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] =
+                `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+            const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+            let length = chunks[0].length;
+            const offsets = [];
+            const push = (chunk) => {
+                chunks.push(chunk);
+                length += chunk.length;
+            };
+
+            objects.forEach((object, index) => {
+                offsets.push(length);
+                if (typeof object === "string") {
+                    push(Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, "latin1"));
+                } else {
+                    push(Buffer.from(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`, "latin1"));
+                    push(object.content);
+                    push(Buffer.from("\nendstream\nendobj\n", "latin1"));
+                }
+            });
+
+            const xrefOffset = length;
+            push(
+                Buffer.from(
+                    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+                        offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("") +
+                        `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n` +
+                        `startxref\n${xrefOffset}\n%%EOF\n`,
+                    "latin1"
+                )
+            );
+
+            return Buffer.concat(chunks);
+        },
+    };
+
+    return doc;
+};
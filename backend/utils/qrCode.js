@@ -0,0 +1,317 @@
+// Minimal QR code encoder for short text such as otpauth:// URIs: byte mode,
+// error correction level M, versions 1-10 (up to 213 bytes). Renders to SVG.
+
+// Per version: EC codewords per block and the data codewords of each block
+const VERSIONS = [
+    null,
+    { ecPerBlock: 10, blocks: [16] },
+    { ecPerBlock: 16, blocks: [28] },
+    { ecPerBlock: 26, blocks: [44] },
+    { ecPerBlock: 18, blocks: [32, 32] },
+    { ecPerBlock: 24, blocks: [43, 43] },
+    { ecPerBlock: 16, blocks: [27, 27, 27, 27] },
+    { ecPerBlock: 18, blocks: [31, 31, 31, 31] },
+    { ecPerBlock: 22, blocks: [38, 38, 39, 39] },
+    { ecPerBlock: 22, blocks: [36, 36, 36, 37, 37] },
+    { ecPerBlock: 26, blocks: [43, 43, 43, 43, 44] },
+];
+
+const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+// Format bits for error correction level M
+const EC_LEVEL_M_BITS = 0;
+const QUIET_ZONE = 4;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Multiplication in GF(2^8) with the QR polynomial 0x11D
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+};
+
+// Mode, length, data and padding, split into blocks with their error
+// correction codewords and interleaved
+const buildCodewords = (bytes, version) => {
+    const { ecPerBlock, blocks } = VERSIONS[version];
+    const capacity = blocks.reduce((sum, size) => sum + size, 0);
+
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    append(0b0100, 4); // byte mode
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+    append(0, Math.min(4, capacity * 8 - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+        data.push(pad);
+    }
+
+    const divisor = reedSolomonDivisor(ecPerBlock);
+    let offset = 0;
+    const split = blocks.map((size) => {
+        const blockData = data.slice(offset, offset + size);
+        offset += size;
+        return { data: blockData, ec: reedSolomonRemainder(blockData, divisor) };
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i++) {
+        split.forEach((block) => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        split.forEach((block) => result.push(block.ec[i]));
+    }
+    return result;
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const createSymbol = (version) => {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+    return { version, size, modules, isFunction, setFunction };
+};
+
+const drawFormatBits = (symbol, mask) => {
+    const { size, setFunction } = symbol;
+    const data = (EC_LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true); // dark module
+};
+
+const drawFunctionPatterns = (symbol) => {
+    const { version, size, setFunction } = symbol;
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format areas; the real bits are drawn once the mask is chosen
+    drawFormatBits(symbol, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    }
+};
+
+// Zigzag through the symbol in two-module columns from the bottom right
+const drawCodewords = (symbol, codewords) => {
+    const { size, modules, isFunction } = symbol;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+};
+
+const applyMask = (symbol, mask) => {
+    const { size, modules, isFunction } = symbol;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+};
+
+// Penalty score of the masked symbol (lower scans more reliably)
+const penaltyScore = ({ size, modules }) => {
+    let penalty = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map((row) => row[i]));
+    }
+
+    const finderLike = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+        // Runs of five or more modules of the same colour
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+        // Finder-like patterns with four light modules on either side
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+            const lightBefore = [1, 2, 3, 4].every((k) => i - k < 0 || !line[i - k]);
+            const lightAfter = [0, 1, 2, 3].every((k) => i + 7 + k >= size || !line[i + 7 + k]);
+            if (lightBefore || lightAfter) penalty += 40;
+        }
+    }
+
+    // 2x2 blocks of the same colour
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const colour = modules[y][x];
+            if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+};
+
+// Encode text as a QR code. Returns the module matrix (true = dark).
+export const encodeQrCode = (text) => {
+    const bytes = [...Buffer.from(text, "utf8")];
+    const version = VERSIONS.findIndex((spec, v) => {
+        if (!spec) return false;
+        const capacityBits = spec.blocks.reduce((sum, size) => sum + size, 0) * 8;
+        return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= capacityBits;
+    });
+    if (version === -1) {
+        throw new Error("Text is too long for a QR code");
+    }
+
+    const codewords = buildCodewords(bytes, version);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const symbol = createSymbol(version);
+        drawFunctionPatterns(symbol);
+        drawCodewords(symbol, codewords);
+        applyMask(symbol, mask);
+        drawFormatBits(symbol, mask);
+        const penalty = penaltyScore(symbol);
+        if (!best || penalty < best.penalty) best = { penalty, modules: symbol.modules };
+    }
+    return best.modules;
+};
+
+// Encode text as a QR code SVG image
+export const renderQrCodeSvg = (text) => {
+    const modules = encodeQrCode(text);
+    const size = modules.length + QUIET_ZONE * 2;
+    const path = modules
+        .flatMap((row, y) =>
+            row.map((dark, x) => (dark ? `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z` : ""))
+        )
+        .join("");
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+};
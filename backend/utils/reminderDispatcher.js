@@ -0,0 +1,173 @@
+import Consultation from "../models/Consultation.js";
+import { sendEmail } from "./emailService.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 3;
+
+let timer = null;
+let isRunning = false;
+
+// Data for the consultationReminder email template
+const describeConsultation = (consultation) => {
+    const startsAt = new Date(consultation.scheduledDateTime);
+    const minutesLeft = Math.round((startsAt - Date.now()) / 60000);
+    const timeLeft =
+        minutesLeft >= 120
+            ? `${Math.round(minutesLeft / 60)} hours`
+            : `${minutesLeft} minutes`;
+
+    return {
+        title: consultation.title,
+        consultationType: consultation.consultationType,
+        citizenName: consultation.citizen.name,
+        lawyerName: consultation.lawyer.name,
+        startsAt,
+        duration: consultation.duration,
+        timeLeft,
+        meetingLink: consultation.meetingDetails?.meetingLink,
+    };
+};
+
+// Delivery channels, keyed by Consultation.reminders.type
+const channels = {
+    notification: async (consultation, io) => {
+        const payload = {
+            consultationId: consultation._id,
+            title: consultation.title,
+            scheduledDateTime: consultation.scheduledDateTime,
+            meetingLink: consultation.meetingDetails?.meetingLink,
+            timestamp: new Date(),
+        };
+
+        [consultation.citizen._id, consultation.lawyer._id].forEach((userId) => {
+            io.to(`user_${userId}`).emit("consultation_reminder", payload);
+        });
+    },
+
+    email: async (consultation) => {
+        await sendEmail({
+            to: [consultation.citizen.email, consultation.lawyer.email],
+            template: "consultationReminder",
+            data: describeConsultation(consultation),
+        });
+    },
+
+    // No SMS provider is integrated, so these fail like any other undeliverable
+    // reminder instead of being marked sent
+    sms: async () => {
+        throw new Error("SMS reminders are not supported");
+    },
+};
+
+// Atomically mark a reminder as sent so it is delivered at most once,
+// even with several backend instances or after a restart
+const claimReminder = async (consultationId, reminderId) => {
+    const result = await Consultation.updateOne(
+        {
+            _id: consultationId,
+            reminders: { $elemMatch: { _id: reminderId, sent: false } },
+        },
+        {
+            $set: {
+                "reminders.$.sent": true,
+                "reminders.$.sentAt": new Date(),
+            },
+        }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Release a claimed reminder after a failed delivery so it is retried
+const releaseReminder = async (consultationId, reminderId, error) => {
+    await Consultation.updateOne(
+        { _id: consultationId, "reminders._id": reminderId },
+        {
+            $set: {
+                "reminders.$.sent": false,
+                "reminders.$.sentAt": null,
+                "reminders.$.lastError": error.message,
+            },
+            $inc: { "reminders.$.attempts": 1 },
+        }
+    );
+};
+
+// Send every reminder that is due
+export const processDueReminders = async (io) => {
+    const now = new Date();
+    const dueReminder = {
+        sent: false,
+        scheduledFor: { $lte: now },
+        attempts: { $not: { $gte: MAX_ATTEMPTS } },
+    };
+
+    // Reminders for sessions that already started (e.g. while the server was down) are skipped
+    const consultations = await Consultation.find({
+        status: { $in: ["scheduled", "confirmed"] },
+        scheduledDateTime: { $gt: now },
+        reminders: { $elemMatch: dueReminder },
+    })
+        .populate("citizen", "name email phone")
+        .populate("lawyer", "name email phone")
+        .limit(BATCH_SIZE);
+
+    let sentCount = 0;
+
+    for (const consultation of consultations) {
+        const reminders = consultation.reminders.filter(
+            (reminder) =>
+                !reminder.sent &&
+                reminder.scheduledFor <= now &&
+                (reminder.attempts || 0) < MAX_ATTEMPTS
+        );
+
+        for (const reminder of reminders) {
+            const send = channels[reminder.type];
+            if (!send || !(await claimReminder(consultation._id, reminder._id))) {
+                continue;
+            }
+
+            try {
+                await send(consultation, io);
+                sentCount++;
+            } catch (error) {
+                console.error(`Reminder ${reminder._id} (${reminder.type}) failed:`, error.message);
+                await releaseReminder(consultation._id, reminder._id, error);
+            }
+        }
+    }
+
+    return sentCount;
+};
+
+// Start polling for due reminders
+export const startReminderDispatcher = (io) => {
+    if (timer) {
+        return;
+    }
+
+    const tick = async () => {
+        if (isRunning) {
+            return;
+        }
+
+        isRunning = true;
+        try {
+            const sentCount = await processDueReminders(io);
+            if (sentCount > 0) {
+                console.log(`⏰ Sent ${sentCount} consultation reminder(s)`);
+            }
+        } catch (error) {
+            console.error("Reminder dispatcher error:", error);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    const interval =
+        parseInt(process.env.REMINDER_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    timer = setInterval(tick, interval);
+    tick();
+    console.log("⏰ Reminder dispatcher started");
+};
@@ -0,0 +1,221 @@
+import fs from "fs";
+import crypto from "crypto";
+import { Readable } from "stream";
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...). Requests are
+// signed with AWS Signature Version 4, and signed URLs are presigned GETs
+// that go straight to the bucket.
+//
+//   S3_BUCKET             - bucket name (required)
+//   S3_REGION             - defaults to us-east-1
+//   S3_ENDPOINT           - e.g. http://localhost:9000 for MinIO; AWS when unset
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_FORCE_PATH_STYLE   - "true" for bucket-in-path URLs; the default with S3_ENDPOINT
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+// Read lazily so dotenv has loaded by the time it is used
+const getConfig = () => {
+    const config = {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    };
+    config.forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(config.endpoint);
+
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+    return config;
+};
+
+// RFC 3986 encoding as SigV4 expects it
+const encode = (value) =>
+    encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = (key) => key.split("/").map(encode).join("/");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// URL of the bucket, or of one object in it
+const getObjectUrl = (config, key = "") => {
+    const path = encodeKey(key);
+    if (!config.endpoint) {
+        return config.forcePathStyle
+            ? new URL(`https://s3.${config.region}.amazonaws.com/${config.bucket}/${path}`)
+            : new URL(`https://${config.bucket}.s3.${config.region}.amazonaws.com/${path}`);
+    }
+
+    const endpoint = new URL(config.endpoint);
+    return config.forcePathStyle
+        ? new URL(`${endpoint.origin}/${config.bucket}/${path}`)
+        : new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${path}`);
+};
+
+const canonicalQuery = (params) =>
+    Object.keys(params)
+        .sort()
+        .map((name) => `${encode(name)}=${encode(params[name])}`)
+        .join("&");
+
+// amzDate is YYYYMMDDTHHMMSSZ
+const getSignature = (config, amzDate, canonicalRequest) => {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${config.region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region)
+    );
+    return { scope, signature: crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex") };
+};
+
+const getAmzDate = () => new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Send a request signed in the Authorization header
+const sendRequest = async (config, method, url, { body, params = {} } = {}) => {
+    const amzDate = getAmzDate();
+    const payloadHash = body ? sha256(body) : EMPTY_PAYLOAD_HASH;
+    const headers = {
+        host: url.host,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate,
+    };
+    const signedHeaders = Object.keys(headers).sort();
+    const query = canonicalQuery(params);
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        query,
+        signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+        signedHeaders.join(";"),
+        payloadHash,
+    ].join("\n");
+    const { scope, signature } = getSignature(config, amzDate, canonicalRequest);
+
+    delete headers.host;
+    headers.authorization =
+        `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`;
+
+    return fetch(query ? `${url.origin}${url.pathname}?${query}` : url, { method, headers, body });
+};
+
+const ensureOk = async (response, action, key) => {
+    if (!response.ok) {
+        const detail = await response.text().catch(() => "");
+        throw new Error(`S3 ${action} ${key} failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+    return response;
+};
+
+const decodeXml = (value) =>
+    value
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+
+const listObjects = async function* () {
+    const config = getConfig();
+    let continuationToken = null;
+
+    do {
+        const params = { "list-type": "2" };
+        if (continuationToken) params["continuation-token"] = continuationToken;
+
+        const response = await ensureOk(
+            await sendRequest(config, "GET", getObjectUrl(config), { params }),
+            "list",
+            config.bucket
+        );
+        const xml = await response.text();
+
+        for (const [, key] of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+            yield decodeXml(key);
+        }
+        continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+            ? decodeXml(xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)[1])
+            : null;
+    } while (continuationToken);
+};
+
+const s3StorageDriver = {
+    name: "s3",
+
+    // Upload a temp file and remove it once stored
+    async putFile(key, filePath) {
+        await this.put(key, await fs.promises.readFile(filePath));
+        await fs.promises.unlink(filePath);
+    },
+
+    async put(key, body) {
+        const config = getConfig();
+        await ensureOk(await sendRequest(config, "PUT", getObjectUrl(config, key), { body }), "put", key);
+    },
+
+    async getStream(key) {
+        const config = getConfig();
+        const response = await ensureOk(await sendRequest(config, "GET", getObjectUrl(config, key)), "get", key);
+        return Readable.fromWeb(response.body);
+    },
+
+    async exists(key) {
+        const config = getConfig();
+        const response = await sendRequest(config, "HEAD", getObjectUrl(config, key));
+        if (response.status === 404) return false;
+        await ensureOk(response, "head", key);
+        return true;
+    },
+
+    // S3 deletes succeed whether or not the object exists
+    async remove(key) {
+        const config = getConfig();
+        await ensureOk(await sendRequest(config, "DELETE", getObjectUrl(config, key)), "delete", key);
+    },
+
+    // Every stored key
+    list() {
+        return listObjects();
+    },
+
+    // Presigned GET that S3 serves with the given name and type
+    async getSignedUrl(key, { downloadName, mimeType, inline, expiresAt }) {
+        const config = getConfig();
+        const url = getObjectUrl(config, key);
+        const amzDate = getAmzDate();
+        const expiresIn = Math.max(1, Math.round((expiresAt.getTime() - Date.now()) / 1000));
+
+        const params = {
+            "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+            "X-Amz-Credential": `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+            "X-Amz-Date": amzDate,
+            "X-Amz-Expires": String(expiresIn),
+            "X-Amz-SignedHeaders": "host",
+        };
+        if (downloadName) {
+            params["response-content-disposition"] =
+                `${inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(downloadName)}`;
+        }
+        if (mimeType) {
+            params["response-content-type"] = mimeType;
+        }
+
+        const query = canonicalQuery(params);
+        const canonicalRequest = ["GET", url.pathname, query, `host:${url.host}\n`, "host", "UNSIGNED-PAYLOAD"].join(
+            "\n"
+        );
+        const { signature } = getSignature(config, amzDate, canonicalRequest);
+
+        return `${url.origin}${url.pathname}?${query}&X-Amz-Signature=${signature}`;
+    },
+};
+
+export default s3StorageDriver;
@@ -1,5 +1,7 @@
 import Chat from "../models/Chat.js";
 import User from "../models/User.js";
+import Consultation from "../models/Consultation.js";
+import ChatAttachment, { ATTACHMENT_TOKEN_TTL_MS } from "../models/ChatAttachment.js";
 
 // Rate limiting for socket messages (per user)
 const userMessageLimits = new Map();
@@ -39,11 +41,42 @@ export const validateChatAccess = async (chatId, userId) => {
     }
 };
 
+// Exchange attachment tokens from an upload for the files they stand for.
+// Returns null if any token is unknown, expired, from another chat or user, or already sent.
+export const claimChatAttachments = async (chatId, userId, tokens) => {
+    const pending = await ChatAttachment.find({
+        token: { $in: tokens },
+        chatId,
+        uploadedBy: userId,
+        createdAt: { $gte: new Date(Date.now() - ATTACHMENT_TOKEN_TTL_MS) },
+    });
+    if (pending.length !== new Set(tokens).size) {
+        return null;
+    }
+
+    // Deleting the records is the claim; a second send of the same tokens finds nothing to delete
+    const { deletedCount } = await ChatAttachment.deleteMany({
+        _id: { $in: pending.map((attachment) => attachment._id) },
+    });
+    if (deletedCount !== pending.length) {
+        return null;
+    }
+
+    return pending.map(({ filename, originalName, path, size, mimetype }) => ({
+        filename,
+        originalName,
+        path,
+        size,
+        mimetype,
+    }));
+};
+
 export const saveMessageToDatabase = async (
     chatId,
     userId,
     content,
-    messageType = "text"
+    messageType = "text",
+    attachments = []
 ) => {
     try {
         const chat = await Chat.findOne({ chatId });
@@ -51,7 +84,7 @@ export const saveMessageToDatabase = async (
             throw new Error("Chat not found");
         }
 
-        const message = chat.addMessage(userId, content, messageType);
+        const message = chat.addMessage(userId, content, messageType, attachments);
         await chat.save();
 
         // Populate sender information
@@ -95,7 +128,43 @@ export const createChatRoom = async (
     }
 };
 
+// Load a consultation whose call the user may join now; null otherwise
+export const validateCallAccess = async (consultationId, userId) => {
+    try {
+        const consultation = await Consultation.findOne({
+            _id: consultationId,
+            $or: [{ citizen: userId }, { lawyer: userId }],
+        });
 
+        if (!consultation || !consultation.isCallWindowOpen()) {
+            return null;
+        }
+        return consultation;
+    } catch (error) {
+        console.error("Call access validation error:", error);
+        return null;
+    }
+};
+
+// STUN/TURN servers handed to call clients (read lazily, after dotenv)
+export const getIceServers = () => {
+    const stunUrls = (process.env.WEBRTC_STUN_URLS || "stun:stun.l.google.com:19302")
+        .split(",")
+        .map((url) => url.trim())
+        .filter(Boolean);
+
+    const iceServers = [{ urls: stunUrls }];
+
+    if (process.env.WEBRTC_TURN_URL) {
+        iceServers.push({
+            urls: process.env.WEBRTC_TURN_URL,
+            username: process.env.WEBRTC_TURN_USERNAME,
+            credential: process.env.WEBRTC_TURN_CREDENTIAL,
+        });
+    }
+
+    return iceServers;
+};
 
 // Clean up old rate limit data periodically
 setInterval(() => {
@@ -0,0 +1,157 @@
+import path from "path";
+import localStorageDriver from "./localStorageDriver.js";
+import s3StorageDriver from "./s3StorageDriver.js";
+import QuarantinedFile from "../models/QuarantinedFile.js";
+
+// Storage drivers for uploaded files. Each driver keeps files under string
+// keys ("<area>/<file name>") behind the same interface, so controllers never
+// touch the disk or a bucket directly:
+//
+//   name                           - key used in STORAGE_DRIVER
+//   putFile(key, filePath)         - store a local temp file (and remove the temp file)
+//   put(key, body)                 - store a Buffer
+//   getStream(key)  -> Readable
+//   exists(key)     -> boolean
+//   remove(key)                    - no error if the file is already gone
+//   list()          -> async iterable of every stored key
+//   getSignedUrl(key, { baseUrl, downloadName, mimeType, inline, expiresAt })
+//       -> short-lived URL anyone holding it can download the file from
+//
+// To add a backend, write a driver with these methods and register it below.
+
+// Folders (key prefixes) files are grouped under
+export const STORAGE_AREAS = {
+    cases: "cases",
+    vault: "vault",
+    chats: "chats",
+    verification: "verification",
+    // Suspicious uploads awaiting admin review (see QuarantinedFile)
+    quarantine: "quarantine",
+};
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+const drivers = {
+    [localStorageDriver.name]: localStorageDriver,
+    [s3StorageDriver.name]: s3StorageDriver,
+};
+
+// Look up a driver by name (e.g. from the migration script)
+export const getStorageByName = (name) => drivers[name] || null;
+
+// The driver uploads are stored with
+export const getStorage = () => {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const storage = getStorageByName(name);
+    if (!storage) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return storage;
+};
+
+// Key of a stored file; only the base name of `filename` is used
+export const getStorageKey = (area, filename) => `${area}/${path.basename(filename)}`;
+
+// Remove stored files, including copies still held in quarantine, logging
+// (not throwing) failures
+export const removeStoredFiles = async (area, filenames = []) => {
+    if (filenames.length === 0) return;
+
+    const storage = getStorage();
+    const held = await QuarantinedFile.find({ area, filename: { $in: filenames }, status: "pending" });
+    const keys = [
+        ...filenames.map((filename) => getStorageKey(area, filename)),
+        ...held.map((file) => getStorageKey(STORAGE_AREAS.quarantine, file.filename)),
+    ];
+
+    await Promise.all(
+        keys.map((key) =>
+            storage.remove(key).catch((error) => {
+                console.error("Remove stored file error:", error);
+            })
+        )
+    );
+    if (held.length > 0) {
+        await QuarantinedFile.updateMany(
+            { _id: { $in: held.map((file) => file._id) } },
+            { status: "deleted", reviewedAt: new Date() }
+        );
+    }
+};
+
+// Read a whole stored file into a Buffer
+export const readStoredFile = async (key, storage = getStorage()) => {
+    const chunks = [];
+    for await (const chunk of await storage.getStream(key)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// Build the Content-Disposition header for a download name
+export const getContentDisposition = (downloadName, inline) =>
+    `${inline ? "inline" : "attachment"}; filename="${downloadName.replace(/[^\x20-\x7e]|["\\]/g, "_")}"; ` +
+    `filename*=UTF-8''${encodeURIComponent(downloadName)}`;
+
+// Stream a stored file as the response
+export const streamStoredFile = async (res, { key, downloadName, mimeType, inline = false }) => {
+    const stream = await getStorage().getStream(key);
+
+    res.setHeader("Content-Type", mimeType || "application/octet-stream");
+    res.setHeader("Content-Disposition", getContentDisposition(downloadName, inline));
+    stream.on("error", (error) => {
+        console.error("Stream stored file error:", error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
+// Send a stored file, or with ?link=true a short-lived signed URL to it.
+// Responds 403 while the file is quarantined and 404 with notFoundMessage
+// when it is missing from storage.
+export const sendStoredFile = async (
+    req,
+    res,
+    { area, filename, downloadName, mimeType, inline = false, notFoundMessage = "File not found" }
+) => {
+    const storage = getStorage();
+    const key = getStorageKey(area, filename);
+
+    if (!(await storage.exists(key))) {
+        const isHeld = await QuarantinedFile.exists({
+            area,
+            filename: path.basename(filename),
+            status: "pending",
+        });
+        if (isHeld) {
+            return res.status(403).json({
+                success: false,
+                message: "This file is being held for a security review",
+            });
+        }
+
+        return res.status(404).json({
+            success: false,
+            message: notFoundMessage,
+        });
+    }
+
+    if (req.query.link === "true") {
+        const ttl = parseInt(process.env.FILE_URL_TTL_SECONDS) || DEFAULT_SIGNED_URL_TTL_SECONDS;
+        const expiresAt = new Date(Date.now() + ttl * 1000);
+        const url = await storage.getSignedUrl(key, {
+            baseUrl: `${req.protocol}://${req.get("host")}`,
+            downloadName,
+            mimeType,
+            inline,
+            expiresAt,
+        });
+
+        return res.json({
+            success: true,
+            data: { url, expiresAt },
+        });
+    }
+
+    await streamStoredFile(res, { key, downloadName, mimeType, inline });
+};
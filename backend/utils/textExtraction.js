@@ -0,0 +1,488 @@
+import zlib from "zlib";
+
+// Plain text of uploaded documents for the search index. Extraction is best
+// effort: text a file doesn't expose (scanned PDFs, legacy .doc files,
+// fonts without a Unicode mapping) is simply not indexed.
+
+// Longest text kept per document
+export const MAX_EXTRACTED_TEXT_LENGTH = 200000;
+
+// Compressed streams can expand a thousandfold, so inflating is capped per
+// stream and per file. A file past either limit is not indexed.
+const MAX_INFLATED_STREAM_LENGTH = MAX_EXTRACTED_TEXT_LENGTH * 4;
+const MAX_INFLATED_FILE_LENGTH = MAX_INFLATED_STREAM_LENGTH * 8;
+
+const WORD_MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Collapse whitespace so phrases match across line breaks, and drop control characters
+const normalizeText = (text) =>
+    text
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f�]/g, "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, MAX_EXTRACTED_TEXT_LENGTH);
+
+// Error zlib throws when output would pass maxOutputLength
+const isTooLarge = (error) => error.code === "ERR_BUFFER_TOO_LARGE";
+
+// Inflater for the streams of one file: (inflateSync, data, options) => Buffer,
+// throwing a "too large" RangeError past the stream or file limit
+const createInflater = () => {
+    let remaining = MAX_INFLATED_FILE_LENGTH;
+    return (inflateSync, data, options) => {
+        if (remaining <= 0) {
+            throw Object.assign(new RangeError("File inflates past the size limit"), {
+                code: "ERR_BUFFER_TOO_LARGE",
+            });
+        }
+        const output = inflateSync(data, {
+            ...options,
+            maxOutputLength: Math.min(MAX_INFLATED_STREAM_LENGTH, remaining),
+        });
+        remaining -= output.length;
+        return output;
+    };
+};
+
+// --- PDF ---
+
+// Inflate a FlateDecode stream, keeping what can be read of a damaged one
+const inflate = (inflater, data) => {
+    try {
+        return inflater(zlib.inflateSync, data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch (error) {
+        if (isTooLarge(error)) throw error;
+        return null;
+    }
+};
+
+// Raw text of the value stored under /key in a dictionary: a nested
+// dictionary, an array, a reference ("12 0 R") or a single token
+const getDictValue = (dict, key) => {
+    const match = new RegExp(`/${key}(?![\\w.-])\\s*`).exec(dict);
+    if (!match) return null;
+
+    const start = match.index + match[0].length;
+    const rest = dict.slice(start);
+    const reference = /^\d+\s+\d+\s+R/.exec(rest);
+    if (reference) return reference[0];
+
+    const [open, close] = rest.startsWith("<<") ? ["<<", ">>"] : rest.startsWith("[") ? ["[", "]"] : [];
+    if (!open) return /^\/?[^\s/<>[\]()]*/.exec(rest)[0];
+
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+        if (rest.startsWith(open, i)) {
+            depth++;
+            i += open.length - 1;
+        } else if (rest.startsWith(close, i)) {
+            depth--;
+            i += close.length - 1;
+            if (depth === 0) return rest.slice(0, i + 1);
+        }
+    }
+    return rest;
+};
+
+const getReferences = (value) => [...(value || "").matchAll(/(\d+)\s+\d+\s+R/g)].map((match) => match[1]);
+
+// Every object in the file, including those packed in object streams:
+// number -> { dict, data } where data is the decoded stream (or null). Streams
+// are only decoded when read, so fonts and images don't count towards the
+// inflate limit.
+const readPdfObjects = (content) => {
+    const source = content.toString("latin1");
+    const inflater = createInflater();
+    const objects = new Map();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(source))) {
+        const start = match.index + match[0].length;
+        const endObject = source.indexOf("endobj", start);
+        if (endObject === -1) break;
+
+        let dict = source.slice(start, endObject);
+        const streamMatch = /stream\r?\n/.exec(dict);
+        let decode = () => null;
+        let end = endObject;
+
+        if (streamMatch) {
+            dict = dict.slice(0, streamMatch.index);
+            const dataStart = start + streamMatch.index + streamMatch[0].length;
+            const dataEnd = source.indexOf("endstream", dataStart);
+            if (dataEnd === -1) break;
+
+            const raw = content.subarray(dataStart, dataEnd);
+            const filter = getDictValue(dict, "Filter");
+            if (!filter) decode = () => raw;
+            else if (/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) decode = () => inflate(inflater, raw);
+            end = source.indexOf("endobj", dataEnd);
+            if (end === -1) end = dataEnd;
+        }
+
+        let data;
+        objects.set(match[1], {
+            dict,
+            get data() {
+                if (data === undefined) data = decode();
+                return data;
+            },
+        });
+        objectPattern.lastIndex = end;
+    }
+
+    // Object streams: a header of "number offset" pairs, then the objects
+    for (const object of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm/.test(object.dict) || !object.data) continue;
+
+        const { dict, data } = object;
+        const text = data.toString("latin1");
+        const first = parseInt(getDictValue(dict, "First"));
+        const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < header.length; i += 2) {
+            const bodyStart = first + header[i + 1];
+            const bodyEnd = i + 3 < header.length ? first + header[i + 3] : text.length;
+            if (!objects.has(String(header[i]))) {
+                objects.set(String(header[i]), { dict: text.slice(bodyStart, bodyEnd), data: null });
+            }
+        }
+    }
+
+    return objects;
+};
+
+// Dictionary text of a value that is either inline or a reference
+const resolveDict = (objects, value) => {
+    if (!value) return "";
+    const [reference] = getReferences(value);
+    return /^\d+\s+\d+\s+R$/.test(value) ? objects.get(reference)?.dict || "" : value;
+};
+
+const hexToBytes = (hex) => {
+    const digits = hex.replace(/[^0-9a-fA-F]/g, "");
+    return Buffer.from(digits.length % 2 ? `${digits}0` : digits, "hex");
+};
+
+const decodeUtf16 = (bytes) => {
+    let text = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode(bytes.readUInt16BE(i));
+    }
+    return text;
+};
+
+// Character code -> Unicode text from a ToUnicode CMap
+const parseToUnicode = (cmap) => {
+    const map = new Map();
+    let codeLength = 1;
+
+    for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            codeLength = Math.max(codeLength, source.length / 2);
+            map.set(parseInt(source, 16), decodeUtf16(hexToBytes(target)));
+        }
+    }
+
+    for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        const ranges = block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g);
+        for (const [, low, high, target] of ranges) {
+            codeLength = Math.max(codeLength, low.length / 2);
+            const from = parseInt(low, 16);
+            const to = Math.min(parseInt(high, 16), from + 0xffff);
+
+            if (target.startsWith("[")) {
+                [...target.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], i) => {
+                    if (from + i <= to) map.set(from + i, decodeUtf16(hexToBytes(hex)));
+                });
+                continue;
+            }
+
+            const base = hexToBytes(target.slice(1, -1));
+            if (base.length < 2) continue;
+            for (let code = from; code <= to; code++) {
+                const bytes = Buffer.from(base);
+                bytes.writeUInt16BE((bytes.readUInt16BE(bytes.length - 2) + code - from) & 0xffff, bytes.length - 2);
+                map.set(code, decodeUtf16(bytes));
+            }
+        }
+    }
+
+    return { map, codeLength };
+};
+
+// Turn the bytes of a shown string into text using the current font
+const decodeShownString = (bytes, font) => {
+    if (!font?.toUnicode) {
+        // Two-byte CID fonts can't be read without a ToUnicode map
+        return font?.isComposite ? "" : bytes.toString("latin1");
+    }
+
+    const { map, codeLength } = font.toUnicode;
+    let text = "";
+    for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+        text += map.get(bytes.readUIntBE(i, codeLength)) ?? "";
+    }
+    return text;
+};
+
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// Split a content stream into operands and operators
+function* tokenizeContent(source) {
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === "%") {
+            while (i < source.length && source[i] !== "\n" && source[i] !== "\r") i++;
+        } else if (char === "(") {
+            let depth = 1;
+            let text = "";
+            i++;
+            while (i < source.length && depth > 0) {
+                const c = source[i];
+                if (c === "\\") {
+                    const next = source[i + 1];
+                    if (/[0-7]/.test(next)) {
+                        const octal = /^[0-7]{1,3}/.exec(source.slice(i + 1, i + 4))[0];
+                        text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                        i += 1 + octal.length;
+                        continue;
+                    }
+                    if (next === "\r" || next === "\n") {
+                        i += next === "\r" && source[i + 2] === "\n" ? 3 : 2;
+                        continue;
+                    }
+                    text += PDF_ESCAPES[next] ?? next;
+                    i += 2;
+                    continue;
+                }
+                if (c === "(") depth++;
+                if (c === ")") depth--;
+                if (depth > 0) text += c;
+                i++;
+            }
+            yield { type: "string", bytes: Buffer.from(text, "latin1") };
+        } else if (char === "<" && source[i + 1] !== "<") {
+            const end = source.indexOf(">", i);
+            yield { type: "string", bytes: hexToBytes(source.slice(i + 1, end)) };
+            i = end === -1 ? source.length : end + 1;
+        } else if (char === "[" || char === "]") {
+            yield { type: char };
+            i++;
+        } else if (char === "<" || char === ">") {
+            // Inline dictionaries (marked content properties) carry no text
+            i += 2;
+        } else {
+            const token = /^\/?[^\s()<>[\]{}/%]*/.exec(source.slice(i, i + 256))[0] || char;
+            i += token.length;
+            if (token === "ID") {
+                // Inline image data runs up to EI
+                const end = source.indexOf("EI", i);
+                i = end === -1 ? source.length : end + 2;
+                continue;
+            }
+            if (token.startsWith("/")) yield { type: "name", value: token.slice(1) };
+            else if (/^[-+.\d]/.test(token)) yield { type: "number", value: parseFloat(token) };
+            else yield { type: "operator", value: token };
+        }
+    }
+}
+
+// Text shown by one page content stream
+const extractContentText = (source, fonts) => {
+    let text = "";
+    let operands = [];
+    let array = null;
+    let font = null;
+
+    const show = (bytes) => {
+        text += decodeShownString(bytes, font);
+    };
+
+    for (const token of tokenizeContent(source)) {
+        if (token.type === "[") {
+            array = [];
+            continue;
+        }
+        if (token.type === "]") {
+            operands.push({ type: "array", items: array || [] });
+            array = null;
+            continue;
+        }
+        if (array) {
+            array.push(token);
+            continue;
+        }
+        if (token.type !== "operator") {
+            operands.push(token);
+            continue;
+        }
+
+        const last = operands[operands.length - 1];
+        switch (token.value) {
+            case "Tf":
+                font = fonts.get(operands.find((operand) => operand.type === "name")?.value) || null;
+                break;
+            case "Tj":
+                if (last?.type === "string") show(last.bytes);
+                break;
+            case "'":
+            case '"':
+                text += "\n";
+                if (last?.type === "string") show(last.bytes);
+                break;
+            case "TJ":
+                (last?.items || []).forEach((item) => {
+                    if (item.type === "string") show(item.bytes);
+                    // A large negative adjustment is a word gap
+                    else if (item.type === "number" && item.value < -200) text += " ";
+                });
+                break;
+            case "Td":
+            case "TD":
+                text += operands[1]?.value ? "\n" : " ";
+                break;
+            case "T*":
+            case "Tm":
+            case "ET":
+                text += "\n";
+                break;
+        }
+        operands = [];
+    }
+
+    return text;
+};
+
+// Fonts by resource name for a page, inheriting resources from parent nodes
+const getPageFonts = (objects, pageDict, fontCache) => {
+    let node = pageDict;
+    let resources = getDictValue(node, "Resources");
+    while (!resources && getDictValue(node, "Parent")) {
+        node = resolveDict(objects, getDictValue(node, "Parent"));
+        resources = getDictValue(node, "Resources");
+    }
+
+    const fonts = new Map();
+    const fontDict = resolveDict(objects, getDictValue(resolveDict(objects, resources), "Font"));
+    for (const [, name, number] of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        if (!fontCache.has(number)) {
+            const dict = objects.get(number)?.dict || "";
+            const [toUnicodeRef] = getReferences(getDictValue(dict, "ToUnicode"));
+            const cmap = toUnicodeRef && objects.get(toUnicodeRef)?.data;
+            fontCache.set(number, {
+                isComposite: /\/Subtype\s*\/Type0/.test(dict),
+                toUnicode: cmap ? parseToUnicode(cmap.toString("latin1")) : null,
+            });
+        }
+        fonts.set(name, fontCache.get(number));
+    }
+    return fonts;
+};
+
+// Page dictionaries in reading order, following the page tree from its root
+const getPages = (objects) => {
+    const pages = [];
+    const visited = new Set();
+    const visit = (number) => {
+        if (visited.has(number)) return;
+        visited.add(number);
+        const dict = objects.get(number)?.dict || "";
+        if (/\/Type\s*\/Pages\b/.test(dict)) getReferences(getDictValue(dict, "Kids")).forEach(visit);
+        else if (/\/Type\s*\/Page\b/.test(dict)) pages.push(dict);
+    };
+
+    for (const [number, { dict }] of objects) {
+        if (/\/Type\s*\/Pages\b/.test(dict) && !getDictValue(dict, "Parent")) visit(number);
+    }
+    return pages;
+};
+
+const extractPdfText = (content) => {
+    const objects = readPdfObjects(content);
+    const fontCache = new Map();
+
+    return getPages(objects)
+        .map((pageDict) => {
+            const fonts = getPageFonts(objects, pageDict, fontCache);
+            return getReferences(getDictValue(pageDict, "Contents"))
+                .map((number) => objects.get(number)?.data)
+                .filter(Boolean)
+                .map((data) => extractContentText(data.toString("latin1"), fonts))
+                .join("\n");
+        })
+        .join("\n");
+};
+
+// --- DOCX ---
+
+// Read one entry of a ZIP archive, or null if it isn't there
+const readZipEntry = (content, entryName, inflater) => {
+    // End of central directory record, searching back past a possible comment
+    let end = content.length - 22;
+    const searchLimit = Math.max(0, end - 0xffff);
+    while (end >= searchLimit && content.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < searchLimit) return null;
+
+    const entryCount = content.readUInt16LE(end + 10);
+    let offset = content.readUInt32LE(end + 16);
+
+    for (let i = 0; i < entryCount && offset + 46 <= content.length; i++) {
+        if (content.readUInt32LE(offset) !== 0x02014b50) return null;
+
+        const method = content.readUInt16LE(offset + 10);
+        const compressedSize = content.readUInt32LE(offset + 20);
+        const nameLength = content.readUInt16LE(offset + 28);
+        const extraLength = content.readUInt16LE(offset + 30);
+        const commentLength = content.readUInt16LE(offset + 32);
+        const localOffset = content.readUInt32LE(offset + 42);
+        const name = content.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            const dataStart =
+                localOffset + 30 + content.readUInt16LE(localOffset + 26) + content.readUInt16LE(localOffset + 28);
+            const data = content.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return inflater(zlib.inflateRawSync, data);
+            return null;
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const extractDocxText = (content) => {
+    const xml = readZipEntry(content, "word/document.xml", createInflater());
+    if (!xml) return "";
+
+    return xml
+        .toString("utf8")
+        .replace(/<w:(tab|br|cr)\b[^>]*\/>/g, " ")
+        .replace(/<\/w:p>/g, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+            if (code.startsWith("#x")) return String.fromCodePoint(parseInt(code.slice(2), 16));
+            if (code.startsWith("#")) return String.fromCodePoint(parseInt(code.slice(1), 10));
+            return XML_ENTITIES[code] ?? entity;
+        });
+};
+
+// Searchable text of a PDF, Word (.docx) or plain text file ("" for other
+// types, or when nothing can be read)
+export const extractText = (content, mimeType) => {
+    try {
+        if (mimeType === "application/pdf") return normalizeText(extractPdfText(content));
+        if (mimeType === WORD_MIME_TYPE) return normalizeText(extractDocxText(content));
+        if (mimeType === "text/plain") return normalizeText(content.toString("utf8"));
+    } catch (error) {
+        // Past the inflate limit means no text, not an error
+        if (!isTooLarge(error)) console.error("Text extraction error:", error);
+    }
+    return "";
+};
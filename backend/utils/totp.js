@@ -0,0 +1,118 @@
+import crypto from "crypto";
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1 over 30-second time steps, 6 digits, base32 secrets.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const SECRET_BYTES = 20;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes one step either side of now, for clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_LENGTH = 10;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 secret");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// One-time password for a time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// New random secret, base32-encoded
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// Current code for a secret
+export const generateTotp = (secret, time = Date.now()) => generateCode(secret, currentStep(time));
+
+// Check a code against the steps around now. Returns the matching time step,
+// or null. Steps at or before `lastUsedStep` are rejected so a code can't be
+// replayed.
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const now = currentStep();
+    for (let step = now - ALLOWED_DRIFT_STEPS; step <= now + ALLOWED_DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    // Spaces must be %20, not "+", for authenticator apps
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = Object.entries({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: DIGITS,
+        period: STEP_SECONDS,
+    })
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join("&");
+    return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeBackupCode = (code) => String(code || "").toUpperCase().replace(/[\s-]/g, "");
+
+export const hashBackupCode = (code) =>
+    crypto.createHash("sha256").update(normalizeBackupCode(code)).digest("hex");
+
+// New set of one-time backup codes, formatted XXXXX-XXXXX
+export const generateBackupCodes = () =>
+    Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const code = base32Encode(crypto.randomBytes(8)).slice(0, BACKUP_CODE_LENGTH);
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+// Whether a submitted code looks like a backup code rather than a TOTP code
+export const isBackupCodeFormat = (code) =>
+    new RegExp(`^[${BASE32_ALPHABET}]{${BACKUP_CODE_LENGTH}}$`).test(normalizeBackupCode(code));
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import Query from "../models/Query.js";
+import Dispute from "../models/Dispute.js";
+import VaultDocument from "../models/VaultDocument.js";
+import Chat from "../models/Chat.js";
+import ChatAttachment from "../models/ChatAttachment.js";
+import User from "../models/User.js";
+
+// Storage quotas for uploads. Usage is the size of every stored file,
+// including older document versions; a file shared by several versions
+// (after a restore) is counted once.
+
+const MB = 1024 * 1024;
+const DEFAULT_USER_QUOTA_MB = 500;
+const DEFAULT_CASE_QUOTA_MB = 200;
+
+// Read lazily so dotenv has loaded by the time they are used
+export const getUserStorageQuota = () =>
+    (parseInt(process.env.USER_STORAGE_QUOTA_MB) || DEFAULT_USER_QUOTA_MB) * MB;
+export const getCaseStorageQuota = () =>
+    (parseInt(process.env.CASE_STORAGE_QUOTA_MB) || DEFAULT_CASE_QUOTA_MB) * MB;
+
+export const formatMegabytes = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+const sumUniqueFiles = (files) => {
+    const sizes = new Map();
+    files.forEach((file) => sizes.set(file.filename, file.size || 0));
+    return [...sizes.values()].reduce((total, size) => total + size, 0);
+};
+
+// Group file records by stored name so shared files count once, then total them
+const sumFilesStages = [
+    { $group: { _id: "$file.filename", size: { $first: "$file.size" } } },
+    { $group: { _id: null, total: { $sum: "$size" } } },
+];
+
+const getTotal = async (Model, pipeline) => (await Model.aggregate(pipeline))[0]?.total || 0;
+
+// Case document files (all versions) a user uploaded to queries or disputes
+const getCaseDocumentUsage = (Model, userId) =>
+    getTotal(Model, [
+        { $match: { $or: [{ "documents.uploadedBy": userId }, { "documents.versions.uploadedBy": userId }] } },
+        { $unwind: "$documents" },
+        {
+            $project: {
+                files: {
+                    $concatArrays: [
+                        [
+                            {
+                                filename: "$documents.filename",
+                                size: "$documents.size",
+                                uploadedBy: "$documents.uploadedBy",
+                            },
+                        ],
+                        { $ifNull: ["$documents.versions", []] },
+                    ],
+                },
+            },
+        },
+        { $unwind: "$files" },
+        { $match: { "files.uploadedBy": userId } },
+        { $project: { file: "$files" } },
+        ...sumFilesStages,
+    ]);
+
+const getVaultUsage = (userId) =>
+    getTotal(VaultDocument, [
+        { $match: { owner: userId } },
+        {
+            $project: {
+                files: {
+                    $concatArrays: [[{ filename: "$filename", size: "$size" }], { $ifNull: ["$versions", []] }],
+                },
+            },
+        },
+        { $unwind: "$files" },
+        { $project: { file: "$files" } },
+        ...sumFilesStages,
+    ]);
+
+// Files the user sent in chats, and uploads still waiting to be sent
+const getChatUsage = async (userId) => {
+    const [sent, pending] = await Promise.all([
+        getTotal(Chat, [
+            { $match: { "messages.sender": userId } },
+            { $unwind: "$messages" },
+            { $match: { "messages.sender": userId } },
+            { $unwind: "$messages.attachments" },
+            { $project: { file: "$messages.attachments" } },
+            ...sumFilesStages,
+        ]),
+        getTotal(ChatAttachment, [
+            { $match: { uploadedBy: userId } },
+            { $group: { _id: null, total: { $sum: "$size" } } },
+        ]),
+    ]);
+    return sent + pending;
+};
+
+const getVerificationUsage = async (userId) => {
+    const user = await User.findById(userId).select("lawyerDetails.verificationDocuments");
+    return sumUniqueFiles(user?.lawyerDetails?.verificationDocuments || []);
+};
+
+// Bytes stored for files a user uploaded, across cases, their vault, chats
+// and verification documents
+export const getUserStorageUsage = async (userId) => {
+    const id = new mongoose.Types.ObjectId(userId.toString());
+    const totals = await Promise.all([
+        getCaseDocumentUsage(Query, id),
+        getCaseDocumentUsage(Dispute, id),
+        getVaultUsage(id),
+        getChatUsage(id),
+        getVerificationUsage(id),
+    ]);
+    return totals.reduce((total, size) => total + size, 0);
+};
+
+// Bytes stored for all documents (and their versions) of a query or dispute
+export const getCaseStorageUsage = (caseDoc) =>
+    sumUniqueFiles(caseDoc.documents.flatMap((document) => [document, ...document.versions]));
@@ -0,0 +1,53 @@
+import fs from "fs";
+import net from "net";
+
+// Scans uploads with a ClamAV daemon (clamd) over TCP using its INSTREAM
+// command. Scanning is off unless CLAMAV_HOST is set.
+
+const DEFAULT_PORT = 3310;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+export const isVirusScanEnabled = () => Boolean(process.env.CLAMAV_HOST);
+
+// Stream a file to clamd. Resolves { infected, signature }; rejects when the
+// daemon can't be reached or gives an unexpected answer.
+export const scanFile = (filePath) =>
+    new Promise((resolve, reject) => {
+        const socket = net.createConnection({
+            host: process.env.CLAMAV_HOST,
+            port: parseInt(process.env.CLAMAV_PORT) || DEFAULT_PORT,
+        });
+        const chunks = [];
+
+        socket.setTimeout(parseInt(process.env.CLAMAV_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS, () => {
+            socket.destroy(new Error("ClamAV scan timed out"));
+        });
+        socket.on("error", reject);
+        socket.on("data", (chunk) => chunks.push(chunk));
+        socket.on("end", () => {
+            const reply = Buffer.concat(chunks).toString().replace(/\0/g, "").trim();
+            const found = reply.match(/^stream: (.+) FOUND$/);
+
+            if (found) {
+                resolve({ infected: true, signature: found[1] });
+            } else if (reply === "stream: OK") {
+                resolve({ infected: false, signature: null });
+            } else {
+                reject(new Error(`Unexpected ClamAV reply: ${reply}`));
+            }
+        });
+
+        socket.on("connect", () => {
+            socket.write("zINSTREAM\0");
+            fs.createReadStream(filePath)
+                .on("error", (error) => socket.destroy(error))
+                .on("data", (chunk) => {
+                    // Each chunk is prefixed with its length; a zero length ends the stream
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length);
+                    socket.write(size);
+                    socket.write(chunk);
+                })
+                .on("end", () => socket.write(Buffer.alloc(4)));
+        });
+    });
@@ -10,10 +10,13 @@ import SignupPage from './pages/SignupPage';
 import HomePage from './pages/HomePage';
 import AboutPage from './pages/AboutPage';
 import ContactPage from './pages/ContactPage';
+import VerifyPage from './pages/VerifyPage';
 import LoadingSpinner from './components/common/LoadingSpinner';
 import './App.css';
 import ForgotPasswordPage from './pages/ForgotPasswordPage';
 import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import ReportLoginPage from './pages/ReportLoginPage';
 import FeaturesPage from './pages/FeaturesPage';
 import ProfilePage from './pages/ProfilePage';
 import CitizenDashboard from './pages/CitizenDashboard';
@@ -24,6 +27,10 @@ import ReceivedCaseRequests from './pages/lawyer/ReceivedCaseRequests';
 import LawyerMyCaseRequests from './pages/lawyer/MyCaseRequests';
 import DirectClients from './pages/lawyer/DirectClients';
 import PendingConnectionRequests from './pages/lawyer/PendingConnectionRequests';
+import AvailabilitySettings from './pages/lawyer/AvailabilitySettings';
+import AssignedDisputes from './pages/lawyer/AssignedDisputes';
+import LawyerReviews from './pages/lawyer/LawyerReviews';
+import SharedDocuments from './pages/lawyer/SharedDocuments';
 import FindLawyers from './pages/FindLawyers';
 import ConnectedLawyers from './pages/ConnectedLawyers';
 import IncomingRequests from './pages/IncomingRequests';
@@ -32,12 +39,16 @@ import ReceivedOffers from './pages/citizen/ReceivedOffers';
 import PendingRequests from './pages/citizen/PendingRequests';
 import MyCaseRequests from './pages/citizen/MyCaseRequests';
 import MyCaseOffers from './pages/citizen/MyCaseOffers';
+import DocumentVault from './pages/citizen/DocumentVault';
 import ChatPage from './pages/ChatPage';
 import CreateQuery from './pages/CreateQuery';
 import CreateDispute from './pages/CreateDispute';
 import MyQueries from './pages/MyQueries';
 import MyDisputes from './pages/MyDisputes';
 import MyCases from './pages/MyCases';
+import MyConsultations from './pages/MyConsultations';
+import ConsultationCall from './pages/ConsultationCall';
+import Payments from './pages/Payments';
 
 import ProtectedRoute from './components/ProtectedRoute';
 
@@ -83,12 +94,15 @@ function App() {
                 <Route path="/vision" element={<Layout><OurVisionPage /></Layout>} />
                 <Route path="/about" element={<Layout><AboutPage /></Layout>} />
                 <Route path="/contact" element={<Layout><ContactPage /></Layout>} />
+                <Route path="/verify" element={<Layout><VerifyPage /></Layout>} />
 
                 {/* Auth Routes */}
                 <Route path="/login" element={<Layout><LoginPage /></Layout>} />
                 <Route path="/signup" element={<Layout><SignupPage /></Layout>} />
                 <Route path="/forgot-password" element={<Layout><ForgotPasswordPage /></Layout>} />
                 <Route path="/reset-password" element={<Layout><ResetPasswordPage /></Layout>} />
+                <Route path="/verify-email" element={<Layout><VerifyEmailPage /></Layout>} />
+                <Route path="/report-login" element={<Layout><ReportLoginPage /></Layout>} />
 
 
 
@@ -110,6 +124,7 @@ function App() {
                 <Route path="/citizen/pending-requests" element={<Layout><PendingRequests /></Layout>} />
                 <Route path="/citizen/my-case-requests" element={<Layout><MyCaseRequests /></Layout>} />
                 <Route path="/citizen/my-case-offers" element={<Layout><MyCaseOffers /></Layout>} />
+                <Route path="/citizen/documents" element={<Layout><DocumentVault /></Layout>} />
 
                 {/* Lawyer Routes */}
                 <Route path="/lawyer/dashboard" element={<Layout><LawyerDashboard /></Layout>} />
@@ -121,6 +136,17 @@ function App() {
                 <Route path="/lawyer/pending-connection-requests" element={<Layout><PendingConnectionRequests /></Layout>} />
                 <Route path="/lawyer/incoming-requests" element={<Layout><IncomingRequests /></Layout>} />
                 <Route path="/lawyer/connected-clients" element={<Layout><ConnectedClients /></Layout>} />
+                <Route path="/lawyer/availability" element={<Layout><AvailabilitySettings /></Layout>} />
+                <Route path="/lawyer/assigned-disputes" element={<Layout><AssignedDisputes /></Layout>} />
+                <Route path="/lawyer/reviews" element={<Layout><LawyerReviews /></Layout>} />
+                <Route path="/lawyer/shared-documents" element={<Layout><SharedDocuments /></Layout>} />
+
+                {/* Consultation Routes */}
+                <Route path="/consultations" element={<Layout><MyConsultations /></Layout>} />
+                <Route path="/consultations/:consultationId/call" element={<Layout><ConsultationCall /></Layout>} />
+
+                {/* Payment Routes */}
+                <Route path="/payments" element={<Layout><Payments /></Layout>} />
 
                 {/* Chat Routes */}
                 <Route path="/chat/:chatId" element={<Layout><ChatPage /></Layout>} />
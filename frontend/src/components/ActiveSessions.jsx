@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Laptop, Smartphone, LogOut } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { authAPI } from '../services/api';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+
+const PLATFORMS = [
+  ['Android', 'Android'],
+  ['iPhone', 'iPhone'],
+  ['iPad', 'iPad'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// "Chrome on Windows" from a user agent string
+export const describeUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+  if (!browser && !platform) return userAgent || 'Unknown device';
+  return [browser || 'Unknown browser', platform].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+// Signed-in devices, with per-session and all-session logout
+const ActiveSessions = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const { success, error } = useToast();
+  const [sessions, setSessions] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    authAPI.getSessions().then((response) => {
+      if (response.success) {
+        setSessions(response.data.sessions);
+      } else {
+        error('Failed to load sessions');
+      }
+    });
+  }, []);
+
+  const endLocalSession = async (message) => {
+    await logout({ sessionEnded: true });
+    success(message);
+    navigate('/login');
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('Log out of this device?')) return;
+
+    setBusyId(session._id);
+    const response = await authAPI.revokeSession(session._id);
+    setBusyId(null);
+
+    if (!response.success) {
+      error(response.error || 'Failed to log out session');
+      return;
+    }
+
+    if (response.data.current) {
+      await endLocalSession('Logged out');
+    } else {
+      success('Session logged out');
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all sessions, including this one?')) return;
+
+    const response = await authAPI.logoutAll();
+    if (response.success) {
+      await endLocalSession('Logged out of all sessions');
+    } else {
+      error(response.error || 'Failed to log out of all sessions');
+    }
+  };
+
+  if (!sessions) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {sessions.map((session) => {
+        const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Laptop;
+        return (
+          <div
+            key={session._id}
+            className="flex items-center justify-between p-4 bg-white/5 border border-white/10 rounded-lg"
+          >
+            <div className="flex items-center min-w-0">
+              <DeviceIcon className="h-5 w-5 mr-3 text-gray-300 flex-shrink-0" />
+              <div className="min-w-0">
+                <p className="text-white font-medium truncate" title={session.userAgent}>
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 bg-green-500/20 text-green-300 text-xs rounded-full">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-400">
+                  {session.ipAddress || 'Unknown IP'} · last seen {new Date(session.lastSeenAt).toLocaleString()}
+                  {' '}· signed in {new Date(session.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => handleRevoke(session)}
+              disabled={busyId === session._id}
+              className="ml-4 px-3 py-1 bg-white/10 hover:bg-white/20 border border-white/20 text-white text-sm rounded-lg transition-colors disabled:opacity-50 flex-shrink-0"
+            >
+              Log out
+            </button>
+          </div>
+        );
+      })}
+
+      <div className="flex justify-end pt-2">
+        <button
+          onClick={handleLogoutAll}
+          className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors text-sm flex items-center"
+        >
+          <LogOut className="h-4 w-4 mr-2" />
+          Log out of all sessions
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,95 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X, FileText, AlertCircle } from 'lucide-react';
+import { ACCEPTED_DOCUMENT_TYPES, formatFileSize } from './CaseDocuments';
+
+const MAX_FILES = 5;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Pick files to attach to a new query or dispute; they are uploaded once it is created
+const AttachmentPicker = ({ files, onChange }) => {
+  const fileInputRef = useRef(null);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const allowedExtensions = ACCEPTED_DOCUMENT_TYPES.split(',');
+
+  const handleSelect = (e) => {
+    const selected = Array.from(e.target.files);
+    e.target.value = '';
+
+    const invalidType = selected.find(
+      (file) => !allowedExtensions.some((ext) => file.name.toLowerCase().endsWith(ext))
+    );
+    const tooLarge = selected.find((file) => file.size > MAX_FILE_SIZE);
+
+    if (invalidType) {
+      setErrorMessage(`${invalidType.name}: only PDF, Word, text and JPEG/PNG image files are allowed`);
+    } else if (tooLarge) {
+      setErrorMessage(`${tooLarge.name} is larger than 10 MB`);
+    } else if (files.length + selected.length > MAX_FILES) {
+      setErrorMessage(`You can attach up to ${MAX_FILES} files`);
+    } else {
+      setErrorMessage('');
+      onChange([...files, ...selected]);
+    }
+  };
+
+  const handleRemove = (index) => {
+    onChange(files.filter((_, i) => i !== index));
+    setErrorMessage('');
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Supporting Documents
+      </label>
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={files.length >= MAX_FILES}
+        className="w-full px-3 py-4 border-2 border-dashed border-gray-300 rounded-md text-gray-600 hover:border-gray-400 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+      >
+        <Upload className="h-5 w-5 mr-2" />
+        Attach evidence (PDF, Word, text or images, up to {MAX_FILES} files of 10 MB)
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_DOCUMENT_TYPES}
+        onChange={handleSelect}
+        className="hidden"
+      />
+
+      {errorMessage && (
+        <p className="mt-1 text-sm text-red-600 flex items-center">
+          <AlertCircle className="h-4 w-4 mr-1" />
+          {errorMessage}
+        </p>
+      )}
+
+      {files.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center justify-between p-2 bg-gray-50 rounded-md text-sm">
+              <div className="flex items-center min-w-0">
+                <FileText className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                <span className="truncate text-gray-900">{file.name}</span>
+                <span className="ml-2 text-gray-500 flex-shrink-0">{formatFileSize(file.size)}</span>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                className="text-gray-400 hover:text-red-600 ml-2"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Calendar, User, Video, Phone, MapPin, AlertCircle } from 'lucide-react';
+import SlotPicker from './SlotPicker';
+
+const BookConsultationModal = ({ lawyer, onClose, onSubmit }) => {
+  const [formData, setFormData] = useState({
+    title: '',
+    consultationType: 'video',
+    scheduledDateTime: '',
+    duration: 30,
+    citizenNotes: '',
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const consultationTypes = [
+    { value: 'video', label: 'Video Call', icon: Video },
+    { value: 'audio', label: 'Audio Call', icon: Phone },
+    { value: 'in-person', label: 'In Person', icon: MapPin },
+  ];
+
+  const durations = [15, 30, 45, 60, 90, 120];
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    // Clear error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (formData.title.trim().length < 5) {
+      newErrors.title = 'Title must be at least 5 characters long';
+    } else if (formData.title.trim().length > 100) {
+      newErrors.title = 'Title cannot exceed 100 characters';
+    }
+
+    if (!formData.scheduledDateTime) {
+      newErrors.scheduledDateTime = 'Please pick a date and time';
+    } else if (new Date(formData.scheduledDateTime) <= new Date()) {
+      newErrors.scheduledDateTime = 'Scheduled time must be in the future';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({
+        lawyerId: lawyer._id,
+        title: formData.title.trim(),
+        consultationType: formData.consultationType,
+        scheduledDateTime: formData.scheduledDateTime,
+        duration: parseInt(formData.duration),
+        citizenNotes: formData.citizenNotes.trim(),
+      });
+    } catch (error) {
+      console.error('Submit error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">Book Consultation</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Lawyer Info */}
+          <div className="p-6 border-b border-gray-200 bg-gray-50">
+            <div className="flex items-center space-x-4">
+              <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
+                <User className="h-6 w-6 text-blue-600" />
+              </div>
+              <div>
+                <h3 className="font-semibold text-gray-900">{lawyer?.name}</h3>
+                <p className="text-sm text-gray-600">{lawyer?.email}</p>
+                {lawyer?.lawyerDetails?.consultationFee > 0 && (
+                  <p className="text-sm text-blue-600">
+                    Fee: ₹{lawyer.lawyerDetails.consultationFee}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="space-y-4">
+              {/* Title */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Topic <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="text"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Review of rental agreement"
+                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.title ? 'border-red-300' : 'border-gray-300'
+                  }`}
+                />
+                {errors.title && (
+                  <div className="flex items-center space-x-1 text-red-600 mt-1">
+                    <AlertCircle className="h-4 w-4" />
+                    <span className="text-sm">{errors.title}</span>
+                  </div>
+                )}
+              </div>
+
+              {/* Consultation Type */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Consultation Type
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                  {consultationTypes.map(({ value, label, icon: Icon }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setFormData(prev => ({ ...prev, consultationType: value }))}
+                      className={`p-3 border rounded-lg text-sm flex flex-col items-center space-y-1 transition-colors ${
+                        formData.consultationType === value
+                          ? 'border-blue-500 bg-blue-50 text-blue-700'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <Icon className="h-5 w-5" />
+                      <span>{label}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Duration */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Duration (minutes)
+                </label>
+                <select
+                  name="duration"
+                  value={formData.duration}
+                  onChange={handleInputChange}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {durations.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Date & Time */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Date & Time <span className="text-red-500">*</span>
+                </label>
+                <SlotPicker
+                  lawyerId={lawyer._id}
+                  duration={formData.duration}
+                  value={formData.scheduledDateTime}
+                  onChange={(value) => {
+                    setFormData(prev => ({ ...prev, scheduledDateTime: value }));
+                    setErrors(prev => ({ ...prev, scheduledDateTime: '' }));
+                  }}
+                  hasError={!!errors.scheduledDateTime}
+                />
+              </div>
+              {errors.scheduledDateTime && (
+                <div className="flex items-center space-x-1 text-red-600">
+                  <AlertCircle className="h-4 w-4" />
+                  <span className="text-sm">{errors.scheduledDateTime}</span>
+                </div>
+              )}
+
+              {/* Notes */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Notes for the lawyer
+                </label>
+                <textarea
+                  name="citizenNotes"
+                  value={formData.citizenNotes}
+                  onChange={handleInputChange}
+                  placeholder="Anything the lawyer should know before the session..."
+                  rows={3}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                />
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                {isSubmitting ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                    <span>Requesting...</span>
+                  </>
+                ) : (
+                  <>
+                    <Calendar className="h-4 w-4" />
+                    <span>Request Consultation</span>
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default BookConsultationModal;
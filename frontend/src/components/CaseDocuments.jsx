@@ -0,0 +1,295 @@
+import React, { useState, useRef } from 'react';
+import { ChevronDown, ChevronUp, Paperclip, Download, Trash2, Upload, FileText, History, RotateCcw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { documentAPI } from '../services/api';
+
+export const DOCUMENT_TYPES = [
+  { value: 'evidence', label: 'Evidence' },
+  { value: 'contract', label: 'Contract' },
+  { value: 'notice', label: 'Notice' },
+  { value: 'correspondence', label: 'Correspondence' },
+  { value: 'other', label: 'Other' },
+];
+
+export const ACCEPTED_DOCUMENT_TYPES = '.pdf,.doc,.docx,.txt,.jpg,.jpeg,.png';
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Collapsible list of the files attached to a query or dispute, with upload
+const CaseDocuments = ({ caseType, caseId }) => {
+  const { user } = useAuth();
+  const { success, error } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+  const [documents, setDocuments] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [documentType, setDocumentType] = useState('evidence');
+  const [historyFor, setHistoryFor] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const userId = user?._id || user?.id;
+
+  const fetchDocuments = async () => {
+    setIsLoading(true);
+    const response = await documentAPI.getCaseDocuments(caseType, caseId);
+    setDocuments(response.success ? response.data.documents : []);
+    setIsLoading(false);
+  };
+
+  const handleToggle = async () => {
+    if (!isOpen && documents === null) {
+      await fetchDocuments();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const handleUpload = async (e) => {
+    const files = e.target.files;
+    if (!files.length) return;
+
+    setIsUploading(true);
+    const response = await documentAPI.uploadCaseDocuments(caseType, caseId, files, documentType);
+    setIsUploading(false);
+    e.target.value = '';
+
+    if (response.success) {
+      success(response.message || 'Documents uploaded');
+      fetchDocuments();
+    } else {
+      error(response.error || 'Failed to upload documents');
+    }
+  };
+
+  const saveDownload = (response, filename) => {
+    if (!response.success) {
+      error(response.error || 'Failed to download document');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownload = async (document_) => {
+    const response = await documentAPI.downloadCaseDocument(caseType, caseId, document_._id);
+    saveDownload(response, document_.originalName);
+  };
+
+  const fetchVersions = async (documentId) => {
+    const response = await documentAPI.getCaseDocumentVersions(caseType, caseId, documentId);
+    if (response.success) {
+      setVersions(response.data.versions);
+    } else {
+      error(response.error || 'Failed to load version history');
+    }
+  };
+
+  const handleToggleHistory = (document_) => {
+    if (historyFor === document_._id) {
+      setHistoryFor(null);
+      return;
+    }
+    setVersions([]);
+    setHistoryFor(document_._id);
+    fetchVersions(document_._id);
+  };
+
+  const handleDownloadVersion = async (document_, version) => {
+    if (version.isCurrent) {
+      handleDownload(document_);
+      return;
+    }
+    const response = await documentAPI.downloadCaseDocumentVersion(caseType, caseId, document_._id, version._id);
+    saveDownload(response, version.originalName);
+  };
+
+  const handleRestore = async (document_, version) => {
+    if (!window.confirm(`Restore version ${version.version} of ${document_.originalName}? It will become the newest version.`)) return;
+
+    const response = await documentAPI.restoreCaseDocumentVersion(caseType, caseId, document_._id, version._id);
+    if (response.success) {
+      success(response.message || 'Version restored');
+      fetchDocuments();
+      fetchVersions(document_._id);
+    } else {
+      error(response.error || 'Failed to restore version');
+    }
+  };
+
+  const handleDelete = async (document_) => {
+    if (!window.confirm(`Delete ${document_.originalName}?`)) return;
+
+    const response = await documentAPI.deleteCaseDocument(caseType, caseId, document_._id);
+    if (response.success) {
+      success('Document deleted');
+      setDocuments((prev) => prev.filter((d) => d._id !== document_._id));
+    } else {
+      error(response.error || 'Failed to delete document');
+    }
+  };
+
+  // Mirrors the server: uploader, case owner (citizen) or admin
+  const canDelete = (document_) =>
+    user?.role === 'citizen' || user?.role === 'admin' || document_.uploadedBy?._id === userId;
+
+  return (
+    <div className="mb-4">
+      <button
+        onClick={handleToggle}
+        className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+      >
+        <Paperclip className="h-4 w-4 mr-1" />
+        Documents
+        {isOpen ? <ChevronUp className="h-4 w-4 ml-1" /> : <ChevronDown className="h-4 w-4 ml-1" />}
+      </button>
+
+      {isOpen && (
+        <div className="mt-3">
+          {isLoading ? (
+            <div className="flex justify-center py-2">
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+            </div>
+          ) : documents.length === 0 ? (
+            <p className="text-sm text-gray-500">No documents yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {documents.map((document_) => (
+                <li key={document_._id} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center min-w-0">
+                      <FileText className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-900 truncate">
+                          {document_.originalName}
+                          {document_.version > 1 && (
+                            <span className="ml-2 px-1.5 py-0.5 bg-blue-100 text-blue-700 rounded text-xs">
+                              v{document_.version}
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500 capitalize">
+                          {document_.documentType} · {formatFileSize(document_.size)} · {document_.uploadedBy?.name} ·{' '}
+                          {new Date(document_.uploadedAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex items-center flex-shrink-0 ml-2">
+                      <button
+                        onClick={() => handleToggleHistory(document_)}
+                        className={`p-1 ${historyFor === document_._id ? 'text-blue-600' : 'text-gray-500 hover:text-blue-600'}`}
+                        title="Version history"
+                      >
+                        <History className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDownload(document_)}
+                        className="text-gray-500 hover:text-blue-600 p-1"
+                        title="Download"
+                      >
+                        <Download className="h-4 w-4" />
+                      </button>
+                      {canDelete(document_) && (
+                        <button
+                          onClick={() => handleDelete(document_)}
+                          className="text-gray-500 hover:text-red-600 p-1"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Version history */}
+                  {historyFor === document_._id && (
+                    <ul className="mt-3 ml-6 space-y-1 border-l border-gray-200 pl-3">
+                      {versions.length === 0 ? (
+                        <li className="text-xs text-gray-500">Loading versions...</li>
+                      ) : (
+                        versions.map((version) => (
+                          <li key={version._id || 'current'} className="flex items-center justify-between text-xs text-gray-600">
+                            <span className="truncate">
+                              <span className="font-medium text-gray-900">v{version.version}</span>
+                              {version.isCurrent && <span className="ml-1 text-green-700">(current)</span>}
+                              {' '}· {version.uploadedBy?.name || 'Unknown'} · {new Date(version.uploadedAt).toLocaleString()}
+                              {version.checksum && (
+                                <span className="ml-1 font-mono text-gray-400" title={`SHA-256 ${version.checksum}`}>
+                                  · {version.checksum.slice(0, 12)}
+                                </span>
+                              )}
+                            </span>
+                            <span className="flex items-center flex-shrink-0 ml-2">
+                              <button
+                                onClick={() => handleDownloadVersion(document_, version)}
+                                className="text-gray-500 hover:text-blue-600 p-1"
+                                title="Download this version"
+                              >
+                                <Download className="h-3 w-3" />
+                              </button>
+                              {!version.isCurrent && (
+                                <button
+                                  onClick={() => handleRestore(document_, version)}
+                                  className="text-gray-500 hover:text-blue-600 p-1"
+                                  title="Restore this version"
+                                >
+                                  <RotateCcw className="h-3 w-3" />
+                                </button>
+                              )}
+                            </span>
+                          </li>
+                        ))
+                      )}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Upload */}
+          <div className="mt-3 flex items-center space-x-2">
+            <select
+              value={documentType}
+              onChange={(e) => setDocumentType(e.target.value)}
+              className="text-sm p-2 border border-gray-300 rounded-lg"
+            >
+              {DOCUMENT_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isUploading}
+              className="text-sm border border-blue-600 text-blue-600 hover:bg-blue-50 disabled:opacity-50 px-3 py-2 rounded-lg transition-colors flex items-center space-x-1"
+            >
+              <Upload className="h-4 w-4" />
+              <span>{isUploading ? 'Uploading...' : 'Upload'}</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_DOCUMENT_TYPES}
+              onChange={handleUpload}
+              className="hidden"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaseDocuments;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { FileDown } from 'lucide-react';
+import { useToast } from '../contexts/ToastContext';
+import { documentAPI } from '../services/api';
+
+// Downloads a query or dispute as a PDF dossier. `compact` renders an icon-only button.
+const CaseDossierButton = ({ caseType, caseId, compact = false }) => {
+  const { error } = useToast();
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    const response = await documentAPI.downloadCaseDossier(caseType, caseId);
+    setIsDownloading(false);
+
+    if (!response.success) {
+      error(response.error || 'Failed to download case dossier');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${caseType}-dossier-${caseId}.pdf`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (compact) {
+    return (
+      <button
+        onClick={handleDownload}
+        disabled={isDownloading}
+        className="text-indigo-600 hover:text-indigo-700 p-2 disabled:opacity-50"
+        title="Download case dossier (PDF)"
+      >
+        <FileDown className="h-5 w-5" />
+      </button>
+    );
+  }
+
+  return (
+    <button
+      onClick={handleDownload}
+      disabled={isDownloading}
+      className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-lg text-gray-700 bg-white hover:bg-gray-50 hover:border-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all disabled:opacity-50"
+      title="Download case dossier (PDF)"
+    >
+      <FileDown className="h-4 w-4 mr-1.5" />
+      {isDownloading ? 'Preparing...' : 'Dossier'}
+    </button>
+  );
+};
+
+export default CaseDossierButton;
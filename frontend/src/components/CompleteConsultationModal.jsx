@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, ClipboardCheck, AlertCircle } from 'lucide-react';
+import SlotPicker from './SlotPicker';
+
+// Lets the lawyer close a consultation with its outcome and, if needed,
+// propose a follow-up session for the client to confirm
+const CompleteConsultationModal = ({ consultation, onClose, onSubmit }) => {
+  const [summary, setSummary] = useState('');
+  const [lawyerNotes, setLawyerNotes] = useState('');
+  const [needsFollowUp, setNeedsFollowUp] = useState(false);
+  const [followUpDateTime, setFollowUpDateTime] = useState('');
+  const [duration, setDuration] = useState(consultation.duration);
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const durations = [15, 30, 45, 60, 90, 120];
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (summary.trim().length < 10) {
+      newErrors.summary = 'Summary must be at least 10 characters';
+    }
+    if (needsFollowUp) {
+      if (!followUpDateTime) {
+        newErrors.followUpDateTime = 'Please pick a time for the follow-up';
+      } else if (new Date(followUpDateTime) <= new Date()) {
+        newErrors.followUpDateTime = 'Follow-up time must be in the future';
+      }
+      if (reason.trim().length < 3) {
+        newErrors.reason = 'Please tell the client why a follow-up is needed';
+      }
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({
+        summary: summary.trim(),
+        lawyerNotes: lawyerNotes.trim() || undefined,
+        followUp: needsFollowUp
+          ? {
+              required: true,
+              scheduledDateTime: followUpDateTime,
+              duration: parseInt(duration),
+              reason: reason.trim(),
+            }
+          : { required: false },
+      });
+    } catch (error) {
+      console.error('Submit error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">Complete Consultation</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium text-gray-900">{consultation.title}</p>
+            <p>
+              {consultation.citizen?.name} · {new Date(consultation.scheduledDateTime).toLocaleString()}
+            </p>
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Summary <span className="text-red-500">*</span>
+                </label>
+                <textarea
+                  value={summary}
+                  onChange={(e) => setSummary(e.target.value)}
+                  placeholder="What was discussed and the advice given. The client will see this."
+                  rows={4}
+                  maxLength={2000}
+                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none ${
+                    errors.summary ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.summary && (
+                  <div className="flex items-center space-x-1 text-red-600 mt-1">
+                    <AlertCircle className="h-4 w-4" />
+                    <span className="text-sm">{errors.summary}</span>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Private notes
+                </label>
+                <textarea
+                  value={lawyerNotes}
+                  onChange={(e) => setLawyerNotes(e.target.value)}
+                  placeholder="Only visible to you"
+                  rows={3}
+                  maxLength={2000}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                />
+              </div>
+
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={needsFollowUp}
+                  onChange={(e) => setNeedsFollowUp(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Propose a follow-up consultation</span>
+              </label>
+
+              {needsFollowUp && (
+                <div className="space-y-4 p-4 bg-blue-50 rounded-lg">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Duration (minutes)
+                    </label>
+                    <select
+                      value={duration}
+                      onChange={(e) => setDuration(e.target.value)}
+                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      {durations.map((minutes) => (
+                        <option key={minutes} value={minutes}>
+                          {minutes}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Follow-up Date & Time <span className="text-red-500">*</span>
+                    </label>
+                    <SlotPicker
+                      lawyerId={consultation.lawyer._id || consultation.lawyer}
+                      duration={duration}
+                      value={followUpDateTime}
+                      onChange={(value) => {
+                        setFollowUpDateTime(value);
+                        setErrors((prev) => ({ ...prev, followUpDateTime: '' }));
+                      }}
+                      hasError={!!errors.followUpDateTime}
+                    />
+                    {errors.followUpDateTime && (
+                      <div className="flex items-center space-x-1 text-red-600 mt-1">
+                        <AlertCircle className="h-4 w-4" />
+                        <span className="text-sm">{errors.followUpDateTime}</span>
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Reason <span className="text-red-500">*</span>
+                    </label>
+                    <textarea
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      placeholder="e.g. Review the documents you will collect"
+                      rows={2}
+                      maxLength={500}
+                      className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none ${
+                        errors.reason ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.reason && (
+                      <div className="flex items-center space-x-1 text-red-600 mt-1">
+                        <AlertCircle className="h-4 w-4" />
+                        <span className="text-sm">{errors.reason}</span>
+                      </div>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-600">
+                    The client has to confirm the follow-up before it is booked.
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <ClipboardCheck className="h-4 w-4" />
+                <span>{isSubmitting ? 'Saving...' : 'Complete'}</span>
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default CompleteConsultationModal;
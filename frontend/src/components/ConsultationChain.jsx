@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, CornerDownRight, Video } from 'lucide-react';
+import { consultationAPI } from '../services/api';
+
+const STATUS_COLORS = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  proposed: 'bg-purple-100 text-purple-800',
+  scheduled: 'bg-green-100 text-green-800',
+  confirmed: 'bg-green-100 text-green-800',
+  completed: 'bg-blue-100 text-blue-800',
+  cancelled: 'bg-red-100 text-red-800',
+};
+
+// Collapsible list of the consultations held about a query or dispute,
+// with follow-ups shown under the consultation that led to them
+const ConsultationChain = ({ caseType, caseId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [consultations, setConsultations] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleToggle = async () => {
+    if (!isOpen && consultations === null) {
+      setIsLoading(true);
+      const response = await consultationAPI.getCaseConsultations(caseType, caseId);
+      setConsultations(response.success ? response.data.consultations : []);
+      setIsLoading(false);
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const followUpIds = new Set(
+    (consultations || [])
+      .filter((consultation) => consultation.previousConsultation)
+      .map((consultation) => consultation._id)
+  );
+
+  return (
+    <div className="mb-4">
+      <button
+        onClick={handleToggle}
+        className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+      >
+        <Video className="h-4 w-4 mr-1" />
+        Consultations
+        {isOpen ? <ChevronUp className="h-4 w-4 ml-1" /> : <ChevronDown className="h-4 w-4 ml-1" />}
+      </button>
+
+      {isOpen && (
+        <div className="mt-3">
+          {isLoading ? (
+            <div className="flex justify-center py-2">
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+            </div>
+          ) : consultations.length === 0 ? (
+            <p className="text-sm text-gray-500">No consultations about this case yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {consultations.map((consultation) => (
+                <li
+                  key={consultation._id}
+                  className={`p-3 bg-gray-50 rounded-lg ${followUpIds.has(consultation._id) ? 'ml-6' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center text-sm text-gray-900 min-w-0">
+                      {followUpIds.has(consultation._id) && (
+                        <CornerDownRight className="h-4 w-4 mr-1 text-gray-400 flex-shrink-0" />
+                      )}
+                      <span className="truncate">{consultation.title}</span>
+                    </div>
+                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium capitalize flex-shrink-0 ${STATUS_COLORS[consultation.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {consultation.status === 'proposed' ? 'follow-up proposed' : consultation.status}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {new Date(consultation.scheduledDateTime).toLocaleString()} · {consultation.lawyer?.name}
+                  </p>
+                  {consultation.notes?.summary && (
+                    <p className="text-xs text-gray-700 mt-2 whitespace-pre-line">{consultation.notes.summary}</p>
+                  )}
+                  {consultation.followUp?.required && consultation.followUp.reason && (
+                    <p className="text-xs text-purple-700 mt-1">Follow-up: {consultation.followUp.reason}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsultationChain;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { MailWarning, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { authAPI } from '../services/api';
+
+// Reminds signed-in users with an unverified email address to verify it, and lets them resend the link
+const EmailVerificationBanner = () => {
+  const { isAuthenticated, user } = useAuth();
+  const { success, error } = useToast();
+  const [dismissed, setDismissed] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  if (!isAuthenticated || user?.isEmailVerified !== false || dismissed) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setIsSending(true);
+    const response = await authAPI.resendVerificationEmail();
+    setIsSending(false);
+
+    if (response.success) {
+      success(response.message || 'Verification email sent');
+    } else {
+      error(response.error || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 w-[95%] max-w-3xl z-40 flex items-center gap-3 rounded-xl border border-amber-300 bg-amber-50 px-4 py-3 shadow-lg">
+      <MailWarning className="h-5 w-5 flex-shrink-0 text-amber-600" />
+      <p className="flex-1 text-sm text-amber-800">
+        Please verify your email address ({user.email}). Until you do, you can't file cases or send connection requests.
+      </p>
+      <button
+        onClick={handleResend}
+        disabled={isSending}
+        className="flex-shrink-0 rounded-lg bg-amber-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-amber-700 disabled:opacity-50"
+      >
+        {isSending ? 'Sending...' : 'Resend link'}
+      </button>
+      <button
+        onClick={() => setDismissed(true)}
+        className="flex-shrink-0 p-1 text-amber-600 hover:text-amber-800"
+        title="Dismiss"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Gavel, AlertCircle } from 'lucide-react';
+
+const getToday = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Schedules a new hearing, or postpones `hearing` when one is given
+const HearingFormModal = ({ dispute, hearing, onClose, onSubmit }) => {
+  const isPostpone = !!hearing;
+  const [formData, setFormData] = useState({
+    date: '',
+    time: hearing?.time || '',
+    venue: hearing?.venue || '',
+    purpose: '',
+    reason: '',
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (isPostpone) {
+      if (formData.reason.trim().length < 3) {
+        newErrors.reason = 'Please give a reason for postponing';
+      }
+    } else {
+      if (!formData.date) {
+        newErrors.date = 'Hearing date is required';
+      }
+      if (formData.venue.trim().length < 2) {
+        newErrors.venue = 'Venue is required';
+      }
+    }
+    if (formData.date && formData.date < getToday()) {
+      newErrors.date = 'Hearing date cannot be in the past';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      return;
+    }
+
+    const data = isPostpone
+      ? {
+          reason: formData.reason.trim(),
+          newDate: formData.date || undefined,
+          newTime: formData.time.trim() || undefined,
+          venue: formData.venue.trim() || undefined,
+        }
+      : {
+          date: formData.date,
+          time: formData.time.trim() || undefined,
+          venue: formData.venue.trim(),
+          purpose: formData.purpose.trim() || undefined,
+        };
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(data);
+    } catch (error) {
+      console.error('Submit error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = (field) =>
+    `w-full p-3 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent ${
+      errors[field] ? 'border-red-300' : 'border-gray-300'
+    }`;
+
+  const renderError = (field) =>
+    errors[field] && (
+      <div className="flex items-center space-x-1 mt-1 text-red-600">
+        <AlertCircle className="h-4 w-4" />
+        <span className="text-sm">{errors[field]}</span>
+      </div>
+    );
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isPostpone ? 'Postpone Hearing' : 'Schedule Hearing'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Dispute */}
+          <div className="p-6 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium text-gray-900">{dispute.title}</p>
+            {isPostpone && (
+              <p>
+                Currently: {new Date(hearing.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                {hearing.time && ` at ${hearing.time}`}
+              </p>
+            )}
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="space-y-4">
+              {isPostpone && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reason <span className="text-red-500">*</span>
+                  </label>
+                  <textarea
+                    name="reason"
+                    value={formData.reason}
+                    onChange={handleChange}
+                    placeholder="e.g. Judge on leave, adjournment sought by opposing counsel..."
+                    rows={3}
+                    maxLength={500}
+                    className={`${inputClass('reason')} resize-none`}
+                  />
+                  {renderError('reason')}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {isPostpone ? 'New Date' : 'Date'}{' '}
+                  {isPostpone ? (
+                    <span className="text-gray-400 font-normal">(leave empty if not fixed yet)</span>
+                  ) : (
+                    <span className="text-red-500">*</span>
+                  )}
+                </label>
+                <input
+                  type="date"
+                  name="date"
+                  value={formData.date}
+                  min={getToday()}
+                  onChange={handleChange}
+                  className={inputClass('date')}
+                />
+                {renderError('date')}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Time</label>
+                <input
+                  type="time"
+                  name="time"
+                  value={formData.time}
+                  onChange={handleChange}
+                  className={inputClass('time')}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Venue {!isPostpone && <span className="text-red-500">*</span>}
+                </label>
+                <input
+                  type="text"
+                  name="venue"
+                  value={formData.venue}
+                  onChange={handleChange}
+                  placeholder="e.g. District Court, Courtroom 4"
+                  maxLength={200}
+                  className={inputClass('venue')}
+                />
+                {renderError('venue')}
+              </div>
+
+              {!isPostpone && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Purpose</label>
+                  <input
+                    type="text"
+                    name="purpose"
+                    value={formData.purpose}
+                    onChange={handleChange}
+                    placeholder="e.g. Framing of issues, Final arguments"
+                    maxLength={200}
+                    className={inputClass('purpose')}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <Gavel className="h-4 w-4" />
+                <span>
+                  {isSubmitting ? 'Saving...' : isPostpone ? 'Postpone Hearing' : 'Schedule Hearing'}
+                </span>
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default HearingFormModal;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, MessageSquare } from 'lucide-react';
+import { reviewAPI } from '../services/api';
+import StarRating from './StarRating';
+
+// Public reviews of a lawyer with the rating breakdown
+const LawyerReviewsModal = ({ lawyer, onClose }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [sort, setSort] = useState('recent');
+  const [pagination, setPagination] = useState({ current: 1, pages: 1 });
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReviews(1);
+  }, [sort]);
+
+  const fetchReviews = async (page) => {
+    setIsLoading(true);
+    const response = await reviewAPI.getLawyerReviews(lawyer._id, { page, limit: 10, sort });
+
+    if (response.success) {
+      setReviews((prev) =>
+        page === 1 ? response.data.reviews : [...prev, ...response.data.reviews]
+      );
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    }
+    setIsLoading(false);
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">Reviews for {lawyer.name}</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Summary */}
+          {summary && (
+            <div className="p-6 border-b border-gray-200 flex items-center space-x-6">
+              <div className="text-center">
+                <p className="text-4xl font-bold text-gray-900">
+                  {summary.count ? summary.average.toFixed(1) : '–'}
+                </p>
+                <StarRating value={summary.average} />
+                <p className="text-xs text-gray-500 mt-1">
+                  {summary.count} review{summary.count === 1 ? '' : 's'}
+                </p>
+              </div>
+              <div className="flex-1 space-y-1">
+                {[5, 4, 3, 2, 1].map((star) => {
+                  const count = summary.distribution[star] || 0;
+                  const percent = summary.count ? (count / summary.count) * 100 : 0;
+                  return (
+                    <div key={star} className="flex items-center text-xs text-gray-600">
+                      <span className="w-3">{star}</span>
+                      <div className="flex-1 h-2 mx-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }} />
+                      </div>
+                      <span className="w-6 text-right">{count}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Reviews */}
+          <div className="p-6">
+            {summary?.count > 1 && (
+              <div className="flex justify-end mb-4">
+                <select
+                  value={sort}
+                  onChange={(e) => setSort(e.target.value)}
+                  className="p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="recent">Most recent</option>
+                  <option value="highest">Highest rated</option>
+                  <option value="lowest">Lowest rated</option>
+                </select>
+              </div>
+            )}
+
+            {!isLoading && reviews.length === 0 ? (
+              <div className="text-center py-8">
+                <MessageSquare className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+                <p className="text-gray-500">No reviews yet</p>
+              </div>
+            ) : (
+              <ul className="space-y-4">
+                {reviews.map((review) => (
+                  <li key={review._id} className="border-b border-gray-100 pb-4 last:border-0">
+                    <div className="flex items-center justify-between">
+                      <StarRating value={review.rating} />
+                      <span className="text-xs text-gray-500">
+                        {new Date(review.createdAt).toLocaleDateString()}
+                      </span>
+                    </div>
+                    {review.comment && (
+                      <p className="text-sm text-gray-700 mt-2">{review.comment}</p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      {review.reviewerName} · after a {review.source}
+                    </p>
+                    {review.reply && (
+                      <div className="mt-3 ml-4 p-3 bg-gray-50 border-l-2 border-blue-300 rounded">
+                        <p className="text-xs font-medium text-gray-900">Response from {lawyer.name}</p>
+                        <p className="text-sm text-gray-700 mt-1">{review.reply.content}</p>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {isLoading && (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+              </div>
+            )}
+
+            {!isLoading && pagination.current < pagination.pages && (
+              <button
+                onClick={() => fetchReviews(pagination.current + 1)}
+                className="w-full mt-4 py-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+              >
+                Show more reviews
+              </button>
+            )}
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default LawyerReviewsModal;
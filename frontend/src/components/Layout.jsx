@@ -1,11 +1,13 @@
 import React from 'react';
 import Navbar from './Navbar';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Layout = ({ children }) => {
   return (
     <>
       <Navbar />
       {children}
+      <EmailVerificationBanner />
     </>
   );
 };
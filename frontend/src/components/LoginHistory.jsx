@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { authAPI } from '../services/api';
+import { describeUserAgent } from './ActiveSessions';
+
+const FAILURE_REASON_LABELS = {
+  invalid_password: 'Wrong password',
+  invalid_two_factor_code: 'Wrong authentication code',
+  account_locked: 'Account locked',
+  account_deactivated: 'Account deactivated',
+};
+
+// Recent sign-in attempts on the profile page
+const LoginHistory = () => {
+  const [attempts, setAttempts] = useState(null);
+
+  useEffect(() => {
+    authAPI.getLoginHistory().then((response) => {
+      setAttempts(response.success ? response.data.attempts : []);
+    });
+  }, []);
+
+  if (!attempts) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  if (attempts.length === 0) {
+    return <p className="text-gray-400 text-sm">No sign-ins recorded yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {attempts.map((attempt) => (
+        <div key={attempt._id} className="flex items-start p-3 bg-white/5 border border-white/10 rounded-lg">
+          {attempt.success ? (
+            <CheckCircle className="h-5 w-5 mr-3 mt-0.5 text-green-400 flex-shrink-0" />
+          ) : (
+            <XCircle className="h-5 w-5 mr-3 mt-0.5 text-red-400 flex-shrink-0" />
+          )}
+          <div className="min-w-0">
+            <p className="text-white text-sm truncate" title={attempt.userAgent}>
+              {attempt.success ? 'Signed in' : FAILURE_REASON_LABELS[attempt.failureReason] || 'Failed'}
+              {' '}· {describeUserAgent(attempt.userAgent)}
+              {attempt.newDevice && (
+                <span className="ml-2 px-2 py-0.5 bg-yellow-500/20 text-yellow-300 text-xs rounded-full">New device</span>
+              )}
+              {attempt.reportedAt && (
+                <span className="ml-2 px-2 py-0.5 bg-red-500/20 text-red-300 text-xs rounded-full">Reported</span>
+              )}
+            </p>
+            <p className="text-xs text-gray-400">
+              {attempt.ipAddress || 'Unknown IP'} · {new Date(attempt.createdAt).toLocaleString()}
+            </p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LoginHistory;
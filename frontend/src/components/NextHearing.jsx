@@ -0,0 +1,66 @@
+import React from 'react';
+import { Gavel, MapPin, Clock } from 'lucide-react';
+
+// Hearing dates are calendar dates stored at UTC midnight
+const formatHearingDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+const getCountdown = (date) => {
+  const hearingDay = new Date(date).toISOString().slice(0, 10);
+  const today = new Date();
+  const todayDay = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+  const days = Math.round((new Date(hearingDay) - todayDay) / (24 * 60 * 60 * 1000));
+
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return `In ${days} days`;
+};
+
+// Highlights the next scheduled hearing of a dispute
+const NextHearing = ({ hearing }) => {
+  if (!hearing) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-start p-3 mb-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+      <Gavel className="h-5 w-5 text-indigo-600 mr-3 mt-0.5 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center justify-between">
+          <p className="text-xs font-semibold uppercase tracking-wide text-indigo-700">
+            Next Hearing
+          </p>
+          <span className="text-xs font-medium text-indigo-700 bg-indigo-100 px-2 py-0.5 rounded-full">
+            {getCountdown(hearing.date)}
+          </span>
+        </div>
+        <p className="text-sm font-semibold text-gray-900 mt-1">
+          {formatHearingDate(hearing.date)}
+          {hearing.time && (
+            <span className="inline-flex items-center ml-2 font-normal text-gray-700">
+              <Clock className="h-3 w-3 mr-1" />
+              {hearing.time}
+            </span>
+          )}
+        </p>
+        {hearing.venue && (
+          <p className="flex items-center text-sm text-gray-600 mt-1">
+            <MapPin className="h-3 w-3 mr-1 flex-shrink-0" />
+            <span className="truncate">{hearing.venue}</span>
+          </p>
+        )}
+        {hearing.purpose && (
+          <p className="text-xs text-gray-500 mt-1">{hearing.purpose}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NextHearing;
@@ -9,10 +9,18 @@ import {
   AlertCircle,
   Info,
   CheckCircle,
+  Calendar,
+  Gavel,
+  Star,
+  PhoneIncoming,
+  Wallet,
+  FolderOpen,
+  ShieldAlert,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 import { useSocket } from '../hooks/useSocket';
+import { describeUserAgent } from './ActiveSessions';
 
 const NotificationSystem = () => {
   const [notifications, setNotifications] = useState([]);
@@ -31,6 +39,16 @@ const NotificationSystem = () => {
       socket.on('new_message', handleNewMessage);
       socket.on('new_lawyer_offer', handleLawyerOffer);
       socket.on('case_request_accepted', handleCaseRequestAccepted);
+      socket.on('consultation_reminder', handleConsultationReminder);
+      socket.on('hearing_updated', handleHearingUpdated);
+      socket.on('new_review', handleNewReview);
+      socket.on('review_replied', handleReviewReplied);
+      socket.on('consultation_updated', handleConsultationUpdated);
+      socket.on('incoming_call', handleIncomingCall);
+      socket.on('payment_requested', handlePaymentRequested);
+      socket.on('payment_updated', handlePaymentUpdated);
+      socket.on('document_shared', handleDocumentShared);
+      socket.on('new_device_login', handleNewDeviceLogin);
 
       return () => {
         socket.off('new_connection_request');
@@ -39,6 +57,17 @@ const NotificationSystem = () => {
         socket.off('new_message');
         socket.off('new_lawyer_offer');
         socket.off('case_request_accepted');
+        socket.off('consultation_reminder');
+        socket.off('hearing_updated');
+        socket.off('new_review');
+        socket.off('review_replied');
+        socket.off('incoming_call');
+        // Pages listen to this event too, so only drop our own handler
+        socket.off('consultation_updated', handleConsultationUpdated);
+        socket.off('payment_requested', handlePaymentRequested);
+        socket.off('payment_updated', handlePaymentUpdated);
+        socket.off('document_shared', handleDocumentShared);
+        socket.off('new_device_login', handleNewDeviceLogin);
       };
     }
   }, [socket]);
@@ -144,6 +173,187 @@ const NotificationSystem = () => {
     }, 2000);
   };
 
+  const handleConsultationReminder = (data) => {
+    const startsAt = new Date(data.scheduledDateTime);
+    const notification = {
+      id: Date.now(),
+      type: 'consultation_reminder',
+      title: 'Upcoming Consultation',
+      message: `"${data.title}" starts at ${startsAt.toLocaleString()}`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`Reminder: "${data.title}" starts at ${startsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+  };
+
+  const handleHearingUpdated = (data) => {
+    const hearingDate = new Date(data.hearing.date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+    const notification = {
+      id: Date.now(),
+      type: 'hearing_updated',
+      title: `Hearing ${data.action}`,
+      message: `"${data.disputeTitle}" hearing on ${hearingDate} was ${data.action} by ${data.updatedBy.name}`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`Hearing for "${data.disputeTitle}" was ${data.action}`);
+  };
+
+  const handleNewReview = (data) => {
+    const notification = {
+      id: Date.now(),
+      type: 'new_review',
+      title: 'New Review',
+      message: `${data.citizen.name} rated you ${data.rating}/5 for "${data.sourceTitle}"`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`${data.citizen.name} left you a ${data.rating}-star review`);
+  };
+
+  const handleReviewReplied = (data) => {
+    const notification = {
+      id: Date.now(),
+      type: 'review_replied',
+      title: 'Review Reply',
+      message: `${data.lawyer.name} replied to your review of "${data.sourceTitle}"`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`${data.lawyer.name} replied to your review`);
+  };
+
+  // Only follow-up proposals need attention outside the consultations page
+  const handleConsultationUpdated = (data) => {
+    if (data.action !== 'completed_with_follow_up' || data.updatedBy.role !== 'lawyer') {
+      return;
+    }
+    if (user?.role !== 'citizen') {
+      return;
+    }
+
+    const startsAt = new Date(data.followUp.scheduledDateTime);
+    const notification = {
+      id: Date.now(),
+      type: 'follow_up_proposed',
+      title: 'Follow-up Proposed',
+      message: `${data.updatedBy.name} proposed a follow-up consultation on ${startsAt.toLocaleString()}`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`${data.updatedBy.name} proposed a follow-up consultation`);
+  };
+
+  const handleIncomingCall = (data) => {
+    // Already on the call page
+    if (window.location.pathname === `/consultations/${data.consultationId}/call`) {
+      return;
+    }
+
+    const notification = {
+      id: Date.now(),
+      type: 'incoming_call',
+      title: 'Incoming Call',
+      message: `${data.from.name} is waiting in the call for "${data.title}"`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`${data.from.name} is waiting for you in the consultation call`);
+  };
+
+  const handlePaymentRequested = (data) => {
+    const notification = {
+      id: Date.now(),
+      type: 'payment_requested',
+      title: 'Payment Requested',
+      message: `${data.requestedBy.name} requested ₹${data.amount.toLocaleString('en-IN')}: ${data.description}`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`${data.requestedBy.name} sent you a fee request`);
+  };
+
+  // Let the lawyer know about payments and the citizen about refunds
+  const handlePaymentUpdated = (data) => {
+    const isCitizen = user?.role === 'citizen';
+    let title;
+    if (data.event === 'payment_succeeded' && !isCitizen) {
+      title = 'Payment Received';
+    } else if (data.event === 'refund_succeeded' && isCitizen) {
+      title = 'Refund Issued';
+    } else {
+      return;
+    }
+
+    const notification = {
+      id: Date.now(),
+      type: 'payment_updated',
+      title,
+      message:
+        data.event === 'payment_succeeded'
+          ? `₹${data.amount.toLocaleString('en-IN')} received for ${data.description}`
+          : `₹${data.amountRefunded.toLocaleString('en-IN')} of ₹${data.amount.toLocaleString('en-IN')} refunded for ${data.description}`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(notification.title);
+  };
+
+  const handleDocumentShared = (data) => {
+    const notification = {
+      id: Date.now(),
+      type: 'document_shared',
+      title: data.itemType === 'folder' ? 'Folder Shared' : 'Document Shared',
+      message: `${data.sharedBy.name} shared "${data.name}" with you`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`${data.sharedBy.name} shared "${data.name}" with you`);
+  };
+
+  const handleNewDeviceLogin = (data) => {
+    const device = describeUserAgent(data.userAgent);
+    const notification = {
+      id: Date.now(),
+      type: 'new_device_login',
+      title: 'New Sign-in',
+      message: `Your account was signed in to from ${device} (${data.ipAddress}). Not you? Click to sign out everywhere.`,
+      data: data,
+      timestamp: new Date(),
+      read: false,
+    };
+
+    addNotification(notification);
+    info(`New sign-in from ${device}`);
+  };
+
   const addNotification = (notification) => {
     setNotifications(prev => [notification, ...prev.slice(0, 9)]); // Keep only 10 notifications
     setUnreadCount(prev => prev + 1);
@@ -183,6 +393,23 @@ const NotificationSystem = () => {
         return <MessageCircle className="h-5 w-5 text-purple-500" />;
       case 'lawyer_offer':
         return <Info className="h-5 w-5 text-orange-500" />;
+      case 'consultation_reminder':
+      case 'follow_up_proposed':
+        return <Calendar className="h-5 w-5 text-teal-500" />;
+      case 'hearing_updated':
+        return <Gavel className="h-5 w-5 text-indigo-500" />;
+      case 'new_review':
+      case 'review_replied':
+        return <Star className="h-5 w-5 text-yellow-500" />;
+      case 'incoming_call':
+        return <PhoneIncoming className="h-5 w-5 text-green-500" />;
+      case 'payment_requested':
+      case 'payment_updated':
+        return <Wallet className="h-5 w-5 text-green-500" />;
+      case 'document_shared':
+        return <FolderOpen className="h-5 w-5 text-blue-500" />;
+      case 'new_device_login':
+        return <ShieldAlert className="h-5 w-5 text-red-500" />;
       default:
         return <Bell className="h-5 w-5 text-gray-500" />;
     }
@@ -296,6 +523,31 @@ const NotificationItem = ({ notification, onMarkAsRead, onRemove, getIcon }) =>
       case 'lawyer_offer':
         window.location.href = '/citizen/my-cases';
         break;
+      case 'consultation_reminder':
+      case 'follow_up_proposed':
+        window.location.href = '/consultations';
+        break;
+      case 'hearing_updated':
+        window.location.href = '/citizen/my-disputes';
+        break;
+      case 'new_review':
+        window.location.href = '/lawyer/reviews';
+        break;
+      case 'incoming_call':
+        window.location.href = `/consultations/${notification.data.consultationId}/call${
+          notification.data.consultationType === 'audio' ? '?audio=1' : ''
+        }`;
+        break;
+      case 'payment_requested':
+      case 'payment_updated':
+        window.location.href = '/payments';
+        break;
+      case 'document_shared':
+        window.location.href = '/lawyer/shared-documents';
+        break;
+      case 'new_device_login':
+        window.location.href = `/report-login?token=${notification.data.reportToken}`;
+        break;
       default:
         break;
     }
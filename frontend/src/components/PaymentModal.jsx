@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, CreditCard, AlertCircle, RefreshCw } from 'lucide-react';
+import { paymentAPI } from '../services/api';
+
+// Checkout for a payment. Only the fake (development) gateway has a client
+// checkout so far; it completes the payment without charging anything.
+const PaymentModal = ({ payment, onClose, onPaid }) => {
+  const [checkout, setCheckout] = useState(null);
+  const [isStarting, setIsStarting] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    startCheckout();
+  }, [payment._id]);
+
+  const startCheckout = async () => {
+    setIsStarting(true);
+    setErrorMessage('');
+    const response = await paymentAPI.startCheckout(payment._id);
+    if (response.success) {
+      setCheckout(response.data.checkout);
+    } else {
+      setErrorMessage(response.error || 'Failed to start checkout');
+    }
+    setIsStarting(false);
+  };
+
+  const handleFakeOutcome = async (outcome) => {
+    setIsSubmitting(true);
+    const response = await paymentAPI.completeFakePayment(payment._id, outcome);
+    setIsSubmitting(false);
+
+    if (!response.success) {
+      setErrorMessage(response.error || 'Payment failed');
+      return;
+    }
+
+    const updated = response.data.payment;
+    if (updated.status === 'succeeded') {
+      onPaid(updated);
+    } else {
+      setCheckout(null);
+      setErrorMessage(updated.failureReason || 'Payment failed');
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">Payment</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Summary */}
+          <div className="p-6 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium text-gray-900">{payment.description}</p>
+            <p>To: {payment.payee?.name}</p>
+            <p className="text-2xl font-semibold text-gray-900 mt-2">
+              ₹{payment.amount.toLocaleString('en-IN')}
+            </p>
+          </div>
+
+          <div className="p-6">
+            {isStarting ? (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+              </div>
+            ) : checkout?.type === 'fake' ? (
+              <p className="text-sm text-gray-600">
+                Test mode: no money will be charged. Choose how this payment should end.
+              </p>
+            ) : checkout ? (
+              <p className="text-sm text-gray-600">
+                This payment gateway's checkout is not available in the web app yet.
+              </p>
+            ) : null}
+
+            {errorMessage && (
+              <div className="flex items-center space-x-1 text-red-600 mt-4">
+                <AlertCircle className="h-4 w-4" />
+                <span className="text-sm">{errorMessage}</span>
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              {checkout?.type === 'fake' ? (
+                <>
+                  <button
+                    onClick={() => handleFakeOutcome('failed')}
+                    disabled={isSubmitting}
+                    className="flex-1 px-4 py-2 border border-red-600 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Simulate Failure
+                  </button>
+                  <button
+                    onClick={() => handleFakeOutcome('succeeded')}
+                    disabled={isSubmitting}
+                    className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+                  >
+                    <CreditCard className="h-4 w-4" />
+                    <span>{isSubmitting ? 'Paying...' : 'Pay'}</span>
+                  </button>
+                </>
+              ) : (
+                !isStarting && !checkout && (
+                  <button
+                    onClick={startCheckout}
+                    className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                    <span>Try Again</span>
+                  </button>
+                )
+              )}
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default PaymentModal;
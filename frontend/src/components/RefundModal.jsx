@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Undo2, AlertCircle } from 'lucide-react';
+
+const RefundModal = ({ payment, onClose, onSubmit }) => {
+  const refundable = payment.amount - (payment.amountRefunded || 0);
+  const [amount, setAmount] = useState(String(refundable));
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const value = parseFloat(amount);
+    if (!(value >= 1) || value > refundable) {
+      setErrorMessage(`Enter an amount between ₹1 and ₹${refundable}`);
+      return;
+    }
+    if (reason.trim().length < 3) {
+      setErrorMessage('Please give a reason for the refund');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({ amount: value, reason: reason.trim() });
+    } catch (error) {
+      console.error('Submit error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">Refund Payment</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Payment */}
+          <div className="p-6 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium text-gray-900">{payment.description}</p>
+            <p>From: {payment.payer?.name}</p>
+            <p>
+              Paid ₹{payment.amount.toLocaleString('en-IN')}
+              {payment.amountRefunded > 0 && `, ₹${payment.amountRefunded.toLocaleString('en-IN')} already refunded`}
+            </p>
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Amount (₹) <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max={refundable}
+                  value={amount}
+                  onChange={(e) => {
+                    setAmount(e.target.value);
+                    setErrorMessage('');
+                  }}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason <span className="text-red-500">*</span>
+                </label>
+                <textarea
+                  value={reason}
+                  onChange={(e) => {
+                    setReason(e.target.value);
+                    setErrorMessage('');
+                  }}
+                  placeholder="Let the client know why..."
+                  rows={3}
+                  maxLength={500}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                />
+              </div>
+              {errorMessage && (
+                <div className="flex items-center space-x-1 text-red-600">
+                  <AlertCircle className="h-4 w-4" />
+                  <span className="text-sm">{errorMessage}</span>
+                </div>
+              )}
+            </div>
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <Undo2 className="h-4 w-4" />
+                <span>{isSubmitting ? 'Refunding...' : 'Refund'}</span>
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default RefundModal;
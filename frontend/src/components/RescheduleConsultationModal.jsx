@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, CalendarClock, AlertCircle } from 'lucide-react';
+import SlotPicker from './SlotPicker';
+
+const RescheduleConsultationModal = ({ consultation, isCounter, onClose, onSubmit }) => {
+  const [proposedDateTime, setProposedDateTime] = useState('');
+  const [duration, setDuration] = useState(consultation.duration);
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const durations = [15, 30, 45, 60, 90, 120];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!proposedDateTime) {
+      setErrorMessage('Please pick a new date and time');
+      return;
+    }
+    if (new Date(proposedDateTime) <= new Date()) {
+      setErrorMessage('Proposed time must be in the future');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({
+        proposedDateTime,
+        duration: parseInt(duration),
+        reason: reason.trim(),
+      });
+    } catch (error) {
+      console.error('Submit error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isCounter ? 'Suggest Another Time' : 'Reschedule Consultation'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Current Time */}
+          <div className="p-6 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium text-gray-900">{consultation.title}</p>
+            <p>Currently: {new Date(consultation.scheduledDateTime).toLocaleString()}</p>
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Duration (minutes)
+                </label>
+                <select
+                  value={duration}
+                  onChange={(e) => setDuration(e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {durations.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  New Date & Time <span className="text-red-500">*</span>
+                </label>
+                <SlotPicker
+                  lawyerId={consultation.lawyer._id}
+                  duration={duration}
+                  value={proposedDateTime}
+                  onChange={(value) => {
+                    setProposedDateTime(value);
+                    setErrorMessage('');
+                  }}
+                  hasError={!!errorMessage}
+                />
+              </div>
+              {errorMessage && (
+                <div className="flex items-center space-x-1 text-red-600">
+                  <AlertCircle className="h-4 w-4" />
+                  <span className="text-sm">{errorMessage}</span>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason
+                </label>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Let the other side know why..."
+                  rows={3}
+                  maxLength={500}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                />
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <CalendarClock className="h-4 w-4" />
+                <span>{isSubmitting ? 'Sending...' : 'Send Proposal'}</span>
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default RescheduleConsultationModal;
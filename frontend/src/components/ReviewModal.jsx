@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Send, AlertCircle } from 'lucide-react';
+import StarRating from './StarRating';
+
+const RATING_LABELS = ['', 'Poor', 'Fair', 'Good', 'Very good', 'Excellent'];
+
+const SOURCE_LABELS = {
+  consultation: 'consultation',
+  query: 'legal query',
+  dispute: 'dispute',
+};
+
+// Lets a citizen rate the lawyer after a consultation or resolved case.
+// `item` is an entry from reviewAPI.getPendingReviews().
+const ReviewModal = ({ item, onClose, onSubmit }) => {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!rating) {
+      setErrorMessage('Please choose a rating');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({
+        source: item.source,
+        sourceId: item.sourceId,
+        rating,
+        comment: comment.trim() || undefined,
+      });
+    } catch (error) {
+      console.error('Submit error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Rate {item.lawyer?.name || 'your lawyer'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium text-gray-900">{item.title}</p>
+            <p className="capitalize">{SOURCE_LABELS[item.source]}</p>
+          </div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="space-y-4">
+              <div className="flex flex-col items-center">
+                <StarRating
+                  value={rating}
+                  onChange={(value) => {
+                    setRating(value);
+                    setErrorMessage('');
+                  }}
+                  size="h-8 w-8"
+                />
+                <p className="text-sm text-gray-600 mt-2 h-5">{RATING_LABELS[rating]}</p>
+              </div>
+              {errorMessage && (
+                <div className="flex items-center justify-center space-x-1 text-red-600">
+                  <AlertCircle className="h-4 w-4" />
+                  <span className="text-sm">{errorMessage}</span>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Your review
+                </label>
+                <textarea
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="How did the lawyer help you? Other citizens will see this."
+                  rows={4}
+                  maxLength={1000}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Only your first name and last initial are shown publicly.
+                </p>
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="flex space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Later
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <Send className="h-4 w-4" />
+                <span>{isSubmitting ? 'Submitting...' : 'Submit Review'}</span>
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default ReviewModal;
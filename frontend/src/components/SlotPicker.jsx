@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { lawyerAPI } from '../services/api';
+
+// Picks an open slot from the lawyer's calendar. Falls back to a free
+// date/time input when the lawyer has not set up availability.
+// `value` and `onChange` use ISO date strings.
+const SlotPicker = ({ lawyerId, duration, value, onChange, hasError }) => {
+  const [slotData, setSlotData] = useState({ configured: false, days: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedDate, setSelectedDate] = useState('');
+  const [manualValue, setManualValue] = useState('');
+
+  useEffect(() => {
+    fetchSlots();
+  }, [lawyerId, duration]);
+
+  const fetchSlots = async () => {
+    setIsLoading(true);
+    const response = await lawyerAPI.getAvailableSlots(lawyerId, { duration });
+
+    if (response.success) {
+      const data = response.data;
+      const openDays = (data.days || []).filter((day) => day.slots.length > 0);
+      setSlotData({ ...data, days: openDays });
+      setSelectedDate((current) =>
+        openDays.some((day) => day.date === current) ? current : openDays[0]?.date || ''
+      );
+      if (data.configured) {
+        onChange('');
+      }
+    } else {
+      // Fall back to free date/time entry when slots cannot be loaded
+      setSlotData({ configured: false, days: [] });
+    }
+    setIsLoading(false);
+  };
+
+  const handleManualChange = (e) => {
+    setManualValue(e.target.value);
+    onChange(e.target.value ? new Date(e.target.value).toISOString() : '');
+  };
+
+  const formatDay = (dateStr) =>
+    new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+    });
+
+  const formatTime = (iso) =>
+    new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!slotData.configured) {
+    return (
+      <input
+        type="datetime-local"
+        value={manualValue}
+        onChange={handleManualChange}
+        className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+          hasError ? 'border-red-300' : 'border-gray-300'
+        }`}
+      />
+    );
+  }
+
+  if (slotData.days.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        {slotData.isAcceptingBookings === false
+          ? 'This lawyer is not accepting bookings right now.'
+          : 'No open slots in the next two weeks. Try a shorter session.'}
+      </p>
+    );
+  }
+
+  const slotsForDate = slotData.days.find((day) => day.date === selectedDate)?.slots || [];
+
+  return (
+    <div>
+      <div className="flex space-x-2 overflow-x-auto pb-2">
+        {slotData.days.map((day) => (
+          <button
+            key={day.date}
+            type="button"
+            onClick={() => {
+              setSelectedDate(day.date);
+              onChange('');
+            }}
+            className={`px-3 py-2 border rounded-lg text-sm whitespace-nowrap transition-colors ${
+              selectedDate === day.date
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {formatDay(day.date)}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-3 gap-2 mt-2 max-h-40 overflow-y-auto">
+        {slotsForDate.map((slot) => (
+          <button
+            key={slot.start}
+            type="button"
+            onClick={() => onChange(slot.start)}
+            className={`p-2 border rounded-lg text-sm transition-colors ${
+              value === slot.start
+                ? 'border-blue-500 bg-blue-600 text-white'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {formatTime(slot.start)}
+          </button>
+        ))}
+      </div>
+      {slotData.timezone && (
+        <p className="text-xs text-gray-500 mt-2">
+          Times shown in your local time. Lawyer works in {slotData.timezone}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SlotPicker;
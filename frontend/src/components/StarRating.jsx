@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+// Shows a 1-5 star rating; becomes a picker when `onChange` is given
+const StarRating = ({ value = 0, onChange, size = 'h-4 w-4' }) => {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  return (
+    <div className="flex items-center" onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map((star) => {
+        const icon = (
+          <Star
+            className={`${size} ${
+              star <= Math.round(shown) ? 'text-yellow-400 fill-current' : 'text-gray-300'
+            }`}
+          />
+        );
+
+        return onChange ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            onMouseEnter={() => setHovered(star)}
+            className="p-0.5 focus:outline-none"
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
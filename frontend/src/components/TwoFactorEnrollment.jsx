@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Smartphone, Copy, Download } from 'lucide-react';
+import { useToast } from '../contexts/ToastContext';
+import { authAPI } from '../services/api';
+
+const inputClass =
+  'w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Backup codes are only shown once, so offer to copy or save them
+export const BackupCodesList = ({ codes }) => {
+  const { success, error } = useToast();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      success('Backup codes copied');
+    } catch {
+      error('Could not copy to the clipboard');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-300">
+        Keep these backup codes somewhere safe. Each one can be used once to sign in if you lose
+        access to your authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-black/30 rounded-lg font-mono text-white text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex space-x-3">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="px-3 py-2 bg-white/10 hover:bg-white/20 border border-white/20 text-white rounded-lg transition-colors text-sm flex items-center"
+        >
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="px-3 py-2 bg-white/10 hover:bg-white/20 border border-white/20 text-white rounded-lg transition-colors text-sm flex items-center"
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// QR code + first-code confirmation. `challengeToken` is set when an admin
+// enrolls during sign-in; onComplete receives the enable response data.
+const TwoFactorEnrollment = ({ challengeToken, onComplete, onCancel }) => {
+  const { error } = useToast();
+  const [setup, setSetup] = useState(null);
+  const [setupError, setSetupError] = useState('');
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  // Each setup call issues a new secret, so only request one (effects run twice in StrictMode)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    authAPI.setupTwoFactor(challengeToken).then((response) => {
+      if (response.success) {
+        setSetup(response.data);
+      } else {
+        setSetupError(response.error || 'Failed to start two-factor setup');
+      }
+    });
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const response = await authAPI.enableTwoFactor(code, challengeToken);
+    setIsSubmitting(false);
+
+    if (response.success) {
+      setResult(response.data);
+    } else {
+      error(response.error || 'Invalid authentication code');
+    }
+  };
+
+  if (setupError) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-red-300">{setupError}</p>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+          >
+            Back
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <BackupCodesList codes={result.backupCodes} />
+        <button
+          type="button"
+          onClick={() => onComplete(result)}
+          className="w-full px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors"
+        >
+          I've saved my backup codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-300 flex items-start">
+        <Smartphone className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+        Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password...),
+        then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img
+          src={`data:image/svg+xml;utf8,${encodeURIComponent(setup.qrCodeSvg)}`}
+          alt="Two-factor authentication QR code"
+          className="w-48 h-48 bg-white rounded-lg p-2"
+        />
+      </div>
+      <div>
+        <p className="text-xs text-gray-400 mb-1">Can't scan it? Enter this key instead:</p>
+        <p className="font-mono text-sm text-white break-all bg-black/30 rounded-lg px-3 py-2">{setup.secret}</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Authentication code</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          className={inputClass}
+          placeholder="123456"
+          required
+        />
+      </div>
+      <div className="flex justify-end space-x-3">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting || code.length !== 6}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white rounded-lg transition-colors"
+        >
+          {isSubmitting ? 'Verifying...' : 'Enable'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import { useToast } from '../contexts/ToastContext';
+import { authAPI } from '../services/api';
+import TwoFactorEnrollment, { BackupCodesList } from './TwoFactorEnrollment';
+
+const inputClass =
+  'w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Two-factor authentication section of the profile page (lawyers and admins)
+const TwoFactorSettings = () => {
+  const { success, error } = useToast();
+  const [status, setStatus] = useState(null);
+  // null | 'enroll' | 'disable' | 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadStatus = async () => {
+    const response = await authAPI.getTwoFactorStatus();
+    if (response.success) {
+      setStatus(response.data);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const closeForm = () => {
+    setMode(null);
+    setPassword('');
+    setCode('');
+  };
+
+  const handleEnrolled = () => {
+    closeForm();
+    success('Two-factor authentication enabled');
+    loadStatus();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const response = await authAPI.disableTwoFactor(password, code);
+    setIsSubmitting(false);
+
+    if (response.success) {
+      closeForm();
+      success(response.message || 'Two-factor authentication disabled');
+      loadStatus();
+    } else {
+      error(response.error || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const response = await authAPI.regenerateBackupCodes(code);
+    setIsSubmitting(false);
+
+    if (response.success) {
+      closeForm();
+      setNewBackupCodes(response.data.backupCodes);
+      loadStatus();
+    } else {
+      error(response.error || 'Failed to generate backup codes');
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  if (mode === 'enroll') {
+    return <TwoFactorEnrollment onComplete={handleEnrolled} onCancel={closeForm} />;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          {status.enabled ? (
+            <ShieldCheck className="h-5 w-5 mr-2 text-green-400" />
+          ) : (
+            <ShieldOff className="h-5 w-5 mr-2 text-yellow-400" />
+          )}
+          <div>
+            <p className="text-white font-medium">
+              Two-factor authentication is {status.enabled ? 'on' : 'off'}
+            </p>
+            <p className="text-sm text-gray-400">
+              {status.enabled
+                ? `Enabled ${new Date(status.enabledAt).toLocaleDateString()} · ${status.backupCodesRemaining} backup codes left`
+                : 'Require a code from an authenticator app when you sign in'}
+            </p>
+          </div>
+        </div>
+        {!mode && !status.enabled && (
+          <button
+            onClick={() => setMode('enroll')}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors text-sm"
+          >
+            Enable
+          </button>
+        )}
+        {!mode && status.enabled && (
+          <div className="flex space-x-2">
+            <button
+              onClick={() => {
+                setNewBackupCodes(null);
+                setMode('regenerate');
+              }}
+              className="px-4 py-2 bg-white/10 hover:bg-white/20 border border-white/20 text-white rounded-lg transition-colors text-sm flex items-center"
+            >
+              <KeyRound className="h-4 w-4 mr-2" />
+              New backup codes
+            </button>
+            {!status.required && (
+              <button
+                onClick={() => {
+                  setNewBackupCodes(null);
+                  setMode('disable');
+                }}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors text-sm"
+              >
+                Disable
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {status.required && (
+        <p className="text-xs text-gray-400">Two-factor authentication is required for admin accounts.</p>
+      )}
+
+      {newBackupCodes && <BackupCodesList codes={newBackupCodes} />}
+
+      {(mode === 'disable' || mode === 'regenerate') && (
+        <form onSubmit={mode === 'disable' ? handleDisable : handleRegenerate} className="space-y-4">
+          {mode === 'disable' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClass}
+                placeholder="Enter your password"
+                required
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Authentication code</label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClass}
+              placeholder="6-digit code or backup code"
+              required
+            />
+          </div>
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className={`px-4 py-2 disabled:bg-gray-600 text-white rounded-lg transition-colors ${
+                mode === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+              }`}
+            >
+              {isSubmitting ? 'Please wait...' : mode === 'disable' ? 'Disable' : 'Generate codes'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileCheck, Upload, Trash2, Eye, EyeOff, AlertCircle } from 'lucide-react';
+import { useToast } from '../contexts/ToastContext';
+import { verificationAPI } from '../services/api';
+import { formatFileSize } from './CaseDocuments';
+
+export const VERIFICATION_DOCUMENT_LABELS = {
+  bar_certificate: 'Bar Council Certificate',
+  enrollment_id: 'Enrollment ID Card',
+  photo_id: 'Government Photo ID',
+};
+
+const ACCEPTED_VERIFICATION_TYPES = '.pdf,.jpg,.jpeg,.png';
+
+// Inline PDF/image preview; files need the auth header, so they are loaded as blobs
+export const VerificationDocumentPreview = ({ document, loadDocument }) => {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    loadDocument().then((response) => {
+      if (cancelled) return;
+      if (response.success) {
+        url = URL.createObjectURL(response.data);
+        setSrc(url);
+      } else {
+        setFailed(true);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [document._id]);
+
+  if (failed) {
+    return <p className="text-sm text-red-600">Could not load this document.</p>;
+  }
+
+  if (!src) {
+    return (
+      <div className="h-40 rounded-lg bg-gray-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (document.mimeType?.startsWith('image/')) {
+    return (
+      <img
+        src={src}
+        alt={document.originalName}
+        className="max-h-96 w-full object-contain rounded-lg bg-gray-100"
+      />
+    );
+  }
+
+  return (
+    <iframe
+      src={src}
+      title={document.originalName}
+      className="w-full h-96 rounded-lg border border-gray-200 bg-white"
+    />
+  );
+};
+
+// Lawyer's verification document checklist: one upload slot per required type
+const VerificationDocuments = ({ onChange }) => {
+  const { success, error } = useToast();
+  const [summary, setSummary] = useState(null);
+  const [busyType, setBusyType] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const fileInputRef = useRef(null);
+  const pendingTypeRef = useRef(null);
+
+  const fetchDocuments = async () => {
+    const response = await verificationAPI.getDocuments();
+    if (response.success) {
+      setSummary(response.data);
+    } else {
+      error(response.error || 'Failed to load verification documents');
+    }
+  };
+
+  useEffect(() => {
+    fetchDocuments();
+  }, []);
+
+  const applyUpdate = (data) => {
+    setSummary(data);
+    onChange?.();
+  };
+
+  const chooseFile = (documentType) => {
+    pendingTypeRef.current = documentType;
+    fileInputRef.current?.click();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    const documentType = pendingTypeRef.current;
+    if (!file || !documentType) return;
+
+    setBusyType(documentType);
+    const response = await verificationAPI.uploadDocument(documentType, file);
+    if (response.success) {
+      success(response.message || 'Document uploaded');
+      applyUpdate(response.data);
+    } else {
+      error(response.error || 'Failed to upload document');
+    }
+    setBusyType(null);
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Remove ${document.originalName}?`)) return;
+
+    setBusyType(document.documentType);
+    const response = await verificationAPI.deleteDocument(document._id);
+    if (response.success) {
+      success('Document removed');
+      if (previewId === document._id) setPreviewId(null);
+      applyUpdate(response.data);
+    } else {
+      error(response.error || 'Failed to remove document');
+    }
+    setBusyType(null);
+  };
+
+  if (!summary) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  const isLocked = summary.isVerified;
+
+  return (
+    <div className="space-y-4">
+      {summary.verificationStatus === 'rejected' && (
+        <div className="flex items-start p-3 rounded-lg bg-red-500/20 border border-red-500/30 text-red-200 text-sm">
+          <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+          <span>
+            Your verification was rejected
+            {summary.verificationNotes ? `: ${summary.verificationNotes}` : '.'} Upload
+            corrected documents to be reviewed again.
+          </span>
+        </div>
+      )}
+
+      {!isLocked && !summary.documentsUploaded && (
+        <p className="text-sm text-gray-300">
+          Upload all three documents (PDF, JPEG or PNG) so an admin can verify your account.
+        </p>
+      )}
+
+      {summary.requiredTypes.map((type) => {
+        const document = summary.documents.find((d) => d.documentType === type);
+        const isBusy = busyType === type;
+
+        return (
+          <div key={type} className="p-4 rounded-lg bg-white/5 border border-white/10">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center min-w-0">
+                <FileCheck className={`h-5 w-5 mr-3 flex-shrink-0 ${document ? 'text-green-400' : 'text-gray-500'}`} />
+                <div className="min-w-0">
+                  <p className="text-white font-medium">{VERIFICATION_DOCUMENT_LABELS[type]}</p>
+                  <p className="text-sm text-gray-400 truncate">
+                    {document
+                      ? `${document.originalName} · ${formatFileSize(document.size)} · ${new Date(document.uploadedAt).toLocaleDateString()}`
+                      : 'Not uploaded'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex items-center space-x-2 ml-4">
+                {document && (
+                  <button
+                    onClick={() => setPreviewId(previewId === document._id ? null : document._id)}
+                    title={previewId === document._id ? 'Hide preview' : 'Preview'}
+                    className="p-2 text-gray-300 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+                  >
+                    {previewId === document._id ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  </button>
+                )}
+                {!isLocked && (
+                  <>
+                    <button
+                      onClick={() => chooseFile(type)}
+                      disabled={Boolean(busyType)}
+                      className="flex items-center px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg text-sm transition-colors"
+                    >
+                      {isBusy ? (
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                      ) : (
+                        <Upload className="h-4 w-4 mr-2" />
+                      )}
+                      {document ? 'Replace' : 'Upload'}
+                    </button>
+                    {document && (
+                      <button
+                        onClick={() => handleDelete(document)}
+                        disabled={Boolean(busyType)}
+                        title="Remove"
+                        className="p-2 text-red-300 hover:text-red-200 hover:bg-red-500/20 disabled:opacity-50 rounded-lg transition-colors"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+
+            {document && previewId === document._id && (
+              <div className="mt-4">
+                <VerificationDocumentPreview
+                  document={document}
+                  loadDocument={() => verificationAPI.viewDocument(document._id)}
+                />
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ACCEPTED_VERIFICATION_TYPES}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+export default VerificationDocuments;
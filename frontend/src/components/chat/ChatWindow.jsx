@@ -37,6 +37,8 @@ const ChatWindow = ({
   const [chat, setChat] = useState(null);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isSending, setIsSending] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
@@ -129,7 +131,12 @@ const ChatWindow = ({
     console.log('💬 FRONTEND: Received new_message:', messageData);
     if (messageData.chatId === chatId) {
       console.log('   ✅ Message is for current chat, adding to messages');
-      setMessages(prev => [...prev, messageData]);
+      setMessages(prev =>
+        // Replace our own optimistic copy once the server has saved it
+        prev.some(msg => msg.tempId && msg.tempId === messageData.tempId)
+          ? prev.map(msg => (msg.tempId === messageData.tempId ? { ...messageData, status: 'sent' } : msg))
+          : [...prev, messageData]
+      );
       
       // Mark message as read if it's not from current user
       if (messageData.sender._id !== user._id) {
@@ -192,14 +199,38 @@ const ChatWindow = ({
     }
   };
 
+  // Upload picked files straight away; they are sent with the next message
+  const handleAttach = async (files) => {
+    if (pendingAttachments.length + files.length > 5) {
+      error('You can attach up to 5 files to a message');
+      return;
+    }
+
+    setIsUploading(true);
+    const response = await chatAPI.uploadAttachments(chatId, files);
+    setIsUploading(false);
+
+    if (response.success) {
+      setPendingAttachments(prev => [...prev, ...response.data.attachments]);
+    } else {
+      error(response.error || 'Failed to upload files');
+    }
+  };
+
+  const handleRemoveAttachment = (index) => {
+    setPendingAttachments(prev => prev.filter((_, i) => i !== index));
+  };
+
   const sendMessage = async () => {
-    if (!newMessage.trim() || isSending) return;
+    if ((!newMessage.trim() && pendingAttachments.length === 0) || isSending || isUploading) return;
 
     const tempId = Date.now().toString();
+    const attachments = pendingAttachments;
     const messageData = {
       tempId,
       chatId,
       content: newMessage.trim(),
+      attachments: attachments.map(({ originalName, size, mimetype }) => ({ originalName, size, mimetype })),
       sender: {
         _id: user._id,
         name: user.name,
@@ -212,6 +243,7 @@ const ChatWindow = ({
     // Add message to UI immediately
     setMessages(prev => [...prev, messageData]);
     setNewMessage('');
+    setPendingAttachments([]);
     setIsSending(true);
 
     // Stop typing indicator
@@ -224,6 +256,7 @@ const ChatWindow = ({
         const emitData = {
           chatId,
           content: messageData.content,
+          attachmentTokens: attachments.map(a => a.token),
           tempId,
         };
         console.log('📤 FRONTEND: Sending message via socket:', emitData);
@@ -321,6 +354,7 @@ const ChatWindow = ({
             <MessageBubble
               key={message._id || message.tempId}
               message={message}
+              chatId={chatId}
               isOwn={message.sender._id === user._id}
               showAvatar={
                 index === 0 || 
@@ -357,6 +391,10 @@ const ChatWindow = ({
         onKeyDown={handleKeyPress}
         onSend={sendMessage}
         isSending={isSending}
+        attachments={pendingAttachments}
+        onAttach={handleAttach}
+        onRemoveAttachment={handleRemoveAttachment}
+        isUploading={isUploading}
       />
     </div>
   );
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Download, Image } from 'lucide-react';
+import { chatAPI } from '../../services/api';
+import { formatFileSize } from '../CaseDocuments';
+
+// Attachment-only messages are stored with the file names as their text
+export const getMessageCaption = (message) => {
+  const names = (message.attachments || []).map((a) => a.originalName).join(', ');
+  return message.attachments?.length && message.content === names ? '' : message.content;
+};
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Images need the auth header, so they are fetched as blobs rather than linked
+const ImagePreview = ({ chatId, attachment }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    chatAPI.downloadAttachment(chatId, attachment._id).then((response) => {
+      if (response.success && !cancelled) {
+        url = URL.createObjectURL(response.data);
+        setSrc(url);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [chatId, attachment._id]);
+
+  if (!src) {
+    return (
+      <div className="w-48 h-32 rounded-lg bg-gray-200 flex items-center justify-center">
+        <Image className="h-6 w-6 text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <a
+      href={src}
+      download={attachment.originalName}
+      title={`Download ${attachment.originalName}`}
+    >
+      <img
+        src={src}
+        alt={attachment.originalName}
+        className="max-w-[12rem] max-h-48 rounded-lg object-cover"
+      />
+    </a>
+  );
+};
+
+// Image previews and file chips for a chat message
+const MessageAttachments = ({ chatId, attachments = [], isOwn }) => {
+  if (attachments.length === 0) return null;
+
+  const handleDownload = async (attachment) => {
+    const response = await chatAPI.downloadAttachment(chatId, attachment._id);
+    if (response.success) {
+      saveBlob(response.data, attachment.originalName);
+    }
+  };
+
+  return (
+    <div className="space-y-2 mb-1">
+      {attachments.map((attachment, index) => {
+        // Messages still being sent have no stored attachment to fetch yet
+        const isSent = Boolean(attachment._id);
+
+        if (isSent && attachment.mimetype?.startsWith('image/')) {
+          return <ImagePreview key={attachment._id} chatId={chatId} attachment={attachment} />;
+        }
+
+        return (
+          <button
+            key={attachment._id || `${attachment.originalName}-${index}`}
+            type="button"
+            onClick={() => isSent && handleDownload(attachment)}
+            disabled={!isSent}
+            className={`flex items-center w-full text-left px-3 py-2 rounded-lg text-sm ${
+              isOwn ? 'bg-blue-500 hover:bg-blue-400' : 'bg-gray-100 hover:bg-gray-200'
+            }`}
+          >
+            <FileText className="h-4 w-4 mr-2 flex-shrink-0" />
+            <span className="truncate flex-1">{attachment.originalName}</span>
+            <span className={`ml-2 text-xs flex-shrink-0 ${isOwn ? 'text-blue-100' : 'text-gray-500'}`}>
+              {formatFileSize(attachment.size)}
+            </span>
+            {isSent && <Download className="h-4 w-4 ml-2 flex-shrink-0" />}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MessageAttachments;
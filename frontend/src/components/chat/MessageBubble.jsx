@@ -1,8 +1,11 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { Check, CheckCheck, Clock, User, Shield } from 'lucide-react';
+import MessageAttachments, { getMessageCaption } from './MessageAttachments';
+
+const MessageBubble = ({ message, isOwn, showAvatar, chatId }) => {
+  const caption = getMessageCaption(message);
 
-const MessageBubble = ({ message, isOwn, showAvatar }) => {
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
       hour: '2-digit', 
@@ -59,10 +62,19 @@ const MessageBubble = ({ message, isOwn, showAvatar }) => {
               ${message.status === 'sending' ? 'opacity-70' : ''}
             `}
           >
+            {/* Attachments */}
+            <MessageAttachments
+              chatId={chatId || message.chatId}
+              attachments={message.attachments}
+              isOwn={isOwn}
+            />
+
             {/* Message Text */}
-            <p className="text-sm whitespace-pre-wrap break-words">
-              {message.content}
-            </p>
+            {caption && (
+              <p className="text-sm whitespace-pre-wrap break-words">
+                {caption}
+              </p>
+            )}
 
             {/* Message Time and Status */}
             <div className={`flex items-center justify-end space-x-1 mt-1 ${isOwn ? 'text-blue-100' : 'text-gray-400'}`}>
@@ -1,5 +1,6 @@
-import React from 'react';
-import { Send, Paperclip, Smile } from 'lucide-react';
+import React, { useRef } from 'react';
+import { Send, Paperclip, Smile, X, FileText } from 'lucide-react';
+import { ACCEPTED_DOCUMENT_TYPES } from '../CaseDocuments';
 
 const MessageInput = ({
   value,
@@ -9,16 +10,70 @@ const MessageInput = ({
   isSending,
   placeholder = "Type a message...",
   showAttachments = true,
-  showEmoji = true
+  showEmoji = true,
+  attachments = [],
+  onAttach,
+  onRemoveAttachment,
+  isUploading = false
 }) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length && onAttach) {
+      onAttach(files);
+    }
+  };
+
   return (
     <div className="bg-white border-t border-gray-200 p-4">
+      {/* Files uploaded and waiting to be sent */}
+      {attachments.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {attachments.map((attachment, index) => (
+            <span
+              key={attachment.token}
+              className="inline-flex items-center max-w-xs px-2 py-1 bg-gray-100 rounded-lg text-sm text-gray-700"
+            >
+              <FileText className="h-4 w-4 mr-1 flex-shrink-0" />
+              <span className="truncate">{attachment.originalName}</span>
+              <button
+                onClick={() => onRemoveAttachment?.(index)}
+                className="ml-1 text-gray-400 hover:text-red-600"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
       <div className="flex items-end space-x-3">
         {/* Attachment Button */}
         {showAttachments && (
-          <button className="p-2 hover:bg-gray-100 rounded-full transition-colors">
-            <Paperclip className="h-5 w-5 text-gray-600" />
-          </button>
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isUploading || !onAttach}
+              title="Attach files"
+              className="p-2 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50"
+            >
+              {isUploading ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-gray-600"></div>
+              ) : (
+                <Paperclip className="h-5 w-5 text-gray-600" />
+              )}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_DOCUMENT_TYPES}
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </>
         )}
 
         {/* Message Input */}
@@ -47,7 +102,7 @@ const MessageInput = ({
         {/* Send Button */}
         <button
           onClick={onSend}
-          disabled={!value.trim() || isSending}
+          disabled={(!value.trim() && attachments.length === 0) || isSending || isUploading}
           className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white p-2 rounded-full transition-colors"
         >
           <Send className="h-5 w-5" />
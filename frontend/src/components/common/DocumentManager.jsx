@@ -3,7 +3,6 @@ import {
   Box,
   Button,
   Card,
-  Grid,
   Typography,
   IconButton,
   Menu,
@@ -15,34 +14,42 @@ import {
   DialogActions,
   List,
   ListItem,
+  ListItemButton,
   ListItemText,
   ListItemIcon,
-  ListItemSecondaryAction,
   Breadcrumbs,
   Link,
-  LinearProgress
+  LinearProgress,
+  Divider
 } from '@mui/material';
 import {
   CreateNewFolder,
   UploadFile,
   Delete,
-  Edit,
   Download,
   Share,
   MoreVert,
   Folder,
+  FolderShared,
   Description,
-  ArrowBack
+  Check,
+  PersonRemove,
+  History,
+  Restore
 } from '@mui/icons-material';
-import api from '../../utils/api';
+import { vaultAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+import { ACCEPTED_DOCUMENT_TYPES, formatFileSize } from '../CaseDocuments';
 
+// Citizen document vault: nested folders, uploads and per-lawyer sharing
 const DocumentManager = () => {
+  const { success, error } = useToast();
   const [documents, setDocuments] = useState([]);
   const [folders, setFolders] = useState([]);
   const [currentFolder, setCurrentFolder] = useState(null);
   const [path, setPath] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploading, setUploading] = useState(false);
   const [menuAnchor, setMenuAnchor] = useState(null);
   const [selectedItem, setSelectedItem] = useState(null);
   const [newFolderDialog, setNewFolderDialog] = useState(false);
@@ -50,149 +57,190 @@ const DocumentManager = () => {
   const [shareDialog, setShareDialog] = useState(false);
   const [selectedLawyers, setSelectedLawyers] = useState([]);
   const [availableLawyers, setAvailableLawyers] = useState([]);
+  const [historyDialog, setHistoryDialog] = useState(false);
+  const [versions, setVersions] = useState([]);
 
   useEffect(() => {
     fetchDocuments();
-    fetchLawyers();
   }, [currentFolder]);
 
+  useEffect(() => {
+    fetchLawyers();
+  }, []);
+
   const fetchDocuments = async () => {
-    try {
-      setLoading(true);
-      const response = await api.get('/api/citizen/documents', {
-        params: { folderId: currentFolder }
-      });
+    setLoading(true);
+    const response = await vaultAPI.getContents(currentFolder);
+    if (response.success) {
       setDocuments(response.data.documents);
       setFolders(response.data.folders);
-    } catch (error) {
-      console.error('Error fetching documents:', error);
-    } finally {
-      setLoading(false);
+      setPath(response.data.path);
+    } else {
+      error(response.error || 'Failed to load documents');
     }
+    setLoading(false);
   };
 
   const fetchLawyers = async () => {
-    try {
-      const response = await api.get('/api/citizen/lawyers');
-      setAvailableLawyers(response.data);
-    } catch (error) {
-      console.error('Error fetching lawyers:', error);
+    const response = await vaultAPI.getShareableLawyers();
+    if (response.success) {
+      setAvailableLawyers(response.data.lawyers);
     }
   };
 
   const handleUpload = async (event) => {
     const files = event.target.files;
-    const formData = new FormData();
-    
-    for (let file of files) {
-      formData.append('documents', file);
-    }
-    if (currentFolder) {
-      formData.append('folderId', currentFolder);
-    }
+    if (!files.length) return;
+
+    setUploading(true);
+    const response = await vaultAPI.uploadDocuments(files, currentFolder);
+    setUploading(false);
+    event.target.value = '';
 
-    try {
-      await api.post('/api/citizen/documents/upload', formData, {
-        onUploadProgress: (progressEvent) => {
-          const progress = (progressEvent.loaded / progressEvent.total) * 100;
-          setUploadProgress(progress);
-        }
-      });
+    if (response.success) {
+      success(response.message || 'Documents uploaded');
       fetchDocuments();
-    } catch (error) {
-      console.error('Error uploading documents:', error);
-    } finally {
-      setUploadProgress(0);
+    } else {
+      error(response.error || 'Failed to upload documents');
     }
   };
 
   const handleCreateFolder = async () => {
-    try {
-      await api.post('/api/citizen/documents/folders', {
-        name: folderName,
-        parentId: currentFolder
-      });
+    const response = await vaultAPI.createFolder(folderName.trim(), currentFolder);
+    if (response.success) {
       setNewFolderDialog(false);
       setFolderName('');
       fetchDocuments();
-    } catch (error) {
-      console.error('Error creating folder:', error);
+    } else {
+      error(response.error || 'Failed to create folder');
     }
   };
 
   const handleDelete = async () => {
-    try {
-      if (selectedItem.type === 'folder') {
-        await api.delete(`/api/citizen/documents/folders/${selectedItem.id}`);
-      } else {
-        await api.delete(`/api/citizen/documents/${selectedItem.id}`);
-      }
-      setMenuAnchor(null);
+    setMenuAnchor(null);
+    const isFolder = selectedItem.type === 'folder';
+    const prompt = isFolder
+      ? `Delete the folder "${selectedItem.name}" and everything inside it?`
+      : `Delete ${selectedItem.name}?`;
+    if (!window.confirm(prompt)) return;
+
+    const response = isFolder
+      ? await vaultAPI.deleteFolder(selectedItem._id)
+      : await vaultAPI.deleteDocument(selectedItem._id);
+
+    if (response.success) {
+      success(response.message || 'Deleted');
       fetchDocuments();
-    } catch (error) {
-      console.error('Error deleting item:', error);
+    } else {
+      error(response.error || 'Failed to delete');
     }
   };
 
+  const openShareDialog = () => {
+    setMenuAnchor(null);
+    setSelectedLawyers([]);
+    setShareDialog(true);
+  };
+
   const handleShare = async () => {
-    try {
-      await api.post(`/api/citizen/documents/${selectedItem.id}/share`, {
-        lawyerIds: selectedLawyers
-      });
+    const response = await vaultAPI.share(selectedItem.type, selectedItem._id, selectedLawyers);
+    if (response.success) {
+      success(response.message || 'Shared');
       setShareDialog(false);
       setSelectedLawyers([]);
-    } catch (error) {
-      console.error('Error sharing document:', error);
+      fetchDocuments();
+    } else {
+      error(response.error || 'Failed to share');
+    }
+  };
+
+  const handleRevoke = async (lawyer) => {
+    const response = await vaultAPI.revokeShare(selectedItem.type, selectedItem._id, lawyer._id);
+    if (response.success) {
+      success(`${lawyer.name} can no longer open this ${selectedItem.type}`);
+      setSelectedItem({ ...selectedItem, sharedWith: response.data.sharedWith });
+      fetchDocuments();
+    } else {
+      error(response.error || 'Failed to revoke access');
     }
   };
 
-  const handleDownload = async (document) => {
-    try {
-      const response = await api.get(`/api/citizen/documents/${document.id}/download`, {
-        responseType: 'blob'
-      });
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', document.name);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-    } catch (error) {
-      console.error('Error downloading document:', error);
+  const saveDownload = (response, filename) => {
+    if (!response.success) {
+      error(response.error || 'Failed to download document');
+      return;
     }
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
-  const handleFolderClick = (folder) => {
-    setCurrentFolder(folder.id);
-    setPath([...path, folder]);
+  const handleDownload = async (item) => {
+    setMenuAnchor(null);
+    const response = await vaultAPI.downloadDocument(item._id);
+    saveDownload(response, item.name);
+  };
+
+  const fetchVersions = async (documentId) => {
+    const response = await vaultAPI.getVersions(documentId);
+    if (response.success) {
+      setVersions(response.data.versions);
+    } else {
+      error(response.error || 'Failed to load version history');
+    }
   };
 
-  const handlePathClick = (index) => {
-    const newPath = path.slice(0, index + 1);
-    setPath(newPath);
-    setCurrentFolder(newPath[newPath.length - 1]?.id || null);
+  const openHistoryDialog = () => {
+    setMenuAnchor(null);
+    setVersions([]);
+    setHistoryDialog(true);
+    fetchVersions(selectedItem._id);
+  };
+
+  const handleDownloadVersion = async (version) => {
+    if (version.isCurrent) {
+      handleDownload(selectedItem);
+      return;
+    }
+    const response = await vaultAPI.downloadVersion(selectedItem._id, version._id);
+    saveDownload(response, version.originalName);
+  };
+
+  const handleRestore = async (version) => {
+    const response = await vaultAPI.restoreVersion(selectedItem._id, version._id);
+    if (response.success) {
+      success(response.message || 'Version restored');
+      fetchVersions(selectedItem._id);
+      fetchDocuments();
+    } else {
+      error(response.error || 'Failed to restore version');
+    }
   };
 
+  const sharedIds = (selectedItem?.sharedWith || []).map((share) => share.lawyer?._id);
+
+  const describeSharing = (item) =>
+    item.sharedWith?.length
+      ? ` • Shared with ${item.sharedWith.map((share) => share.lawyer?.name).join(', ')}`
+      : '';
+
   return (
     <Card sx={{ p: 3 }}>
       <Box sx={{ mb: 3 }}>
-        <Typography variant="h5" gutterBottom>Document Manager</Typography>
+        <Typography variant="h5" gutterBottom>Document Vault</Typography>
         <Breadcrumbs>
-          <Link 
-            component="button" 
-            onClick={() => {
-              setCurrentFolder(null);
-              setPath([]);
-            }}
-          >
-            Root
+          <Link component="button" onClick={() => setCurrentFolder(null)}>
+            My Documents
           </Link>
-          {path.map((folder, index) => (
+          {path.map((folder) => (
             <Link
-              key={folder.id}
+              key={folder._id}
               component="button"
-              onClick={() => handlePathClick(index)}
+              onClick={() => setCurrentFolder(folder._id)}
             >
               {folder.name}
             </Link>
@@ -205,12 +253,14 @@ const DocumentManager = () => {
           variant="contained"
           startIcon={<UploadFile />}
           component="label"
+          disabled={uploading}
         >
-          Upload Files
+          {uploading ? 'Uploading...' : 'Upload Files'}
           <input
             type="file"
             hidden
             multiple
+            accept={ACCEPTED_DOCUMENT_TYPES}
             onChange={handleUpload}
           />
         </Button>
@@ -223,25 +273,27 @@ const DocumentManager = () => {
         </Button>
       </Box>
 
-      {uploadProgress > 0 && (
+      {uploading && (
         <Box sx={{ mb: 3 }}>
-          <LinearProgress variant="determinate" value={uploadProgress} />
+          <LinearProgress />
         </Box>
       )}
 
       {loading ? (
         <LinearProgress />
+      ) : folders.length === 0 && documents.length === 0 ? (
+        <Typography color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+          This folder is empty. Upload files or create a folder to get started.
+        </Typography>
       ) : (
         <List>
           {folders.map(folder => (
             <ListItem
-              key={folder.id}
-              button
-              onClick={() => handleFolderClick(folder)}
+              key={folder._id}
+              disablePadding
               secondaryAction={
                 <IconButton
                   onClick={(e) => {
-                    e.stopPropagation();
                     setSelectedItem({ ...folder, type: 'folder' });
                     setMenuAnchor(e.currentTarget);
                   }}
@@ -250,22 +302,24 @@ const DocumentManager = () => {
                 </IconButton>
               }
             >
-              <ListItemIcon>
-                <Folder />
-              </ListItemIcon>
-              <ListItemText 
-                primary={folder.name}
-                secondary={`${folder.itemCount || 0} items`}
-              />
+              <ListItemButton onClick={() => setCurrentFolder(folder._id)}>
+                <ListItemIcon>
+                  {folder.sharedWith?.length ? <FolderShared /> : <Folder />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={folder.name}
+                  secondary={`${folder.itemCount} item${folder.itemCount === 1 ? '' : 's'}${describeSharing(folder)}`}
+                />
+              </ListItemButton>
             </ListItem>
           ))}
-          {documents.map(document => (
+          {documents.map(item => (
             <ListItem
-              key={document.id}
+              key={item._id}
               secondaryAction={
                 <IconButton
                   onClick={(e) => {
-                    setSelectedItem({ ...document, type: 'document' });
+                    setSelectedItem({ ...item, type: 'document' });
                     setMenuAnchor(e.currentTarget);
                   }}
                 >
@@ -276,9 +330,9 @@ const DocumentManager = () => {
               <ListItemIcon>
                 <Description />
               </ListItemIcon>
-              <ListItemText 
-                primary={document.name}
-                secondary={`Size: ${(document.size / 1024 / 1024).toFixed(2)} MB • Updated: ${new Date(document.updatedAt).toLocaleDateString()}`}
+              <ListItemText
+                primary={item.name}
+                secondary={`${item.version > 1 ? `Version ${item.version} • ` : ''}${formatFileSize(item.size)} • Updated: ${new Date(item.updatedAt).toLocaleDateString()}${describeSharing(item)}`}
               />
             </ListItem>
           ))}
@@ -299,7 +353,15 @@ const DocumentManager = () => {
             Download
           </MenuItem>
         )}
-        <MenuItem onClick={() => setShareDialog(true)}>
+        {selectedItem?.type === 'document' && (
+          <MenuItem onClick={openHistoryDialog}>
+            <ListItemIcon>
+              <History fontSize="small" />
+            </ListItemIcon>
+            Version History
+          </MenuItem>
+        )}
+        <MenuItem onClick={openShareDialog}>
           <ListItemIcon>
             <Share fontSize="small" />
           </ListItemIcon>
@@ -324,50 +386,141 @@ const DocumentManager = () => {
             fullWidth
             value={folderName}
             onChange={(e) => setFolderName(e.target.value)}
+            inputProps={{ maxLength: 100 }}
           />
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setNewFolderDialog(false)}>Cancel</Button>
-          <Button onClick={handleCreateFolder} variant="contained">Create</Button>
+          <Button onClick={handleCreateFolder} variant="contained" disabled={!folderName.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Version History Dialog */}
+      <Dialog open={historyDialog} onClose={() => setHistoryDialog(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Version History: {selectedItem?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Uploading a file with the same name to this folder adds a new version. Restoring an
+            older version makes it the newest one; nothing is deleted.
+          </Typography>
+          {versions.length === 0 ? (
+            <LinearProgress />
+          ) : (
+            <List dense>
+              {versions.map(version => (
+                <ListItem
+                  key={version._id || 'current'}
+                  secondaryAction={
+                    <>
+                      <IconButton title="Download this version" onClick={() => handleDownloadVersion(version)}>
+                        <Download fontSize="small" />
+                      </IconButton>
+                      {!version.isCurrent && (
+                        <IconButton edge="end" title="Restore this version" onClick={() => handleRestore(version)}>
+                          <Restore fontSize="small" />
+                        </IconButton>
+                      )}
+                    </>
+                  }
+                >
+                  <ListItemText
+                    primary={`Version ${version.version}${version.isCurrent ? ' (current)' : ''}`}
+                    secondary={`${new Date(version.uploadedAt).toLocaleString()} • ${formatFileSize(version.size)}${version.checksum ? ` • SHA-256 ${version.checksum.slice(0, 12)}` : ''}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryDialog(false)}>Close</Button>
         </DialogActions>
       </Dialog>
 
       {/* Share Dialog */}
-      <Dialog open={shareDialog} onClose={() => setShareDialog(false)}>
-        <DialogTitle>Share Document</DialogTitle>
+      <Dialog open={shareDialog} onClose={() => setShareDialog(false)} fullWidth maxWidth="xs">
+        <DialogTitle>
+          Share {selectedItem?.type === 'folder' ? 'Folder' : 'Document'}
+        </DialogTitle>
         <DialogContent>
-          <List>
-            {availableLawyers.map(lawyer => (
-              <ListItem
-                key={lawyer.id}
-                button
-                onClick={() => {
-                  const selected = selectedLawyers.includes(lawyer.id);
-                  setSelectedLawyers(
-                    selected
-                      ? selectedLawyers.filter(id => id !== lawyer.id)
-                      : [...selectedLawyers, lawyer.id]
-                  );
-                }}
-              >
-                <ListItemText 
-                  primary={lawyer.name}
-                  secondary={lawyer.specialization}
-                />
-                <ListItemIcon>
-                  {selectedLawyers.includes(lawyer.id) && <Check />}
-                </ListItemIcon>
-              </ListItem>
-            ))}
-          </List>
+          {selectedItem?.type === 'folder' && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Lawyers you share a folder with can open everything inside it, including subfolders.
+            </Typography>
+          )}
+
+          {selectedItem?.sharedWith?.length > 0 && (
+            <>
+              <Typography variant="subtitle2" sx={{ mt: 1 }}>Who has access</Typography>
+              <List dense>
+                {selectedItem.sharedWith.map(share => (
+                  <ListItem
+                    key={share.lawyer?._id}
+                    secondaryAction={
+                      <IconButton
+                        edge="end"
+                        title="Revoke access"
+                        onClick={() => handleRevoke(share.lawyer)}
+                      >
+                        <PersonRemove fontSize="small" />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemText
+                      primary={share.lawyer?.name}
+                      secondary={`Since ${new Date(share.sharedAt).toLocaleDateString()}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+              <Divider sx={{ my: 1 }} />
+            </>
+          )}
+
+          <Typography variant="subtitle2" sx={{ mt: 1 }}>Share with</Typography>
+          {availableLawyers.filter(lawyer => !sharedIds.includes(lawyer._id)).length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+              No other lawyers to share with. Connect with a lawyer or get one assigned to a case first.
+            </Typography>
+          ) : (
+            <List>
+              {availableLawyers
+                .filter(lawyer => !sharedIds.includes(lawyer._id))
+                .map(lawyer => (
+                  <ListItemButton
+                    key={lawyer._id}
+                    onClick={() => {
+                      const selected = selectedLawyers.includes(lawyer._id);
+                      setSelectedLawyers(
+                        selected
+                          ? selectedLawyers.filter(id => id !== lawyer._id)
+                          : [...selectedLawyers, lawyer._id]
+                      );
+                    }}
+                  >
+                    <ListItemText
+                      primary={lawyer.name}
+                      secondary={lawyer.lawyerDetails?.specialization?.join(', ')}
+                    />
+                    <ListItemIcon>
+                      {selectedLawyers.includes(lawyer._id) && <Check />}
+                    </ListItemIcon>
+                  </ListItemButton>
+                ))}
+            </List>
+          )}
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setShareDialog(false)}>Cancel</Button>
-          <Button onClick={handleShare} variant="contained">Share</Button>
+          <Button onClick={() => setShareDialog(false)}>Close</Button>
+          <Button onClick={handleShare} variant="contained" disabled={selectedLawyers.length === 0}>
+            Share
+          </Button>
         </DialogActions>
       </Dialog>
     </Card>
   );
 };
 
-export default DocumentManager; 
\ No newline at end of file
+export default DocumentManager;
@@ -204,6 +204,7 @@ const Footer = () => {
               </div>
               
               <div className="flex items-center space-x-6">
+                <Link to="/verify" className="text-gray-400 hover:text-white transition-colors text-sm">Verify a Record</Link>
                 <Link to="/privacy" className="text-gray-400 hover:text-white transition-colors text-sm">Privacy Policy</Link>
                 <Link to="/terms" className="text-gray-400 hover:text-white transition-colors text-sm">Terms of Service</Link>
                 <Link to="/cookies" className="text-gray-400 hover:text-white transition-colors text-sm">Cookie Policy</Link>
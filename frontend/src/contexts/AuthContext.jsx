@@ -192,8 +192,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = async () => {
+  // Pass { sessionEnded: true } when the server has already ended this session
+  // (e.g. after logging out of all sessions)
+  const logout = async ({ sessionEnded = false } = {}) => {
     try {
+      // End this device's session on the server
+      if (!sessionEnded) {
+        await authAPI.logout();
+      }
+
       // Clear stored data
       setStoredToken(null);
       setStoredUser(null);
@@ -0,0 +1,236 @@
+import { useEffect, useRef, useState } from 'react';
+import { useSocket } from './useSocket';
+
+// Peer-to-peer call for a consultation. Media flows directly between the two
+// browsers; the socket server only relays offer/answer/ICE messages.
+// status: connecting | waiting | connected | ended | error
+export const useConsultationCall = (consultationId, { video = true } = {}) => {
+  const { socket, isConnected } = useSocket();
+  const [status, setStatus] = useState('connecting');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [callInfo, setCallInfo] = useState(null);
+  const [localStream, setLocalStream] = useState(null);
+  const [remoteStream, setRemoteStream] = useState(null);
+  const [audioEnabled, setAudioEnabled] = useState(true);
+  const [videoEnabled, setVideoEnabled] = useState(video);
+  const [remoteMedia, setRemoteMedia] = useState({ audioEnabled: true, videoEnabled: true });
+
+  const peerRef = useRef(null);
+  const localStreamRef = useRef(null);
+  const iceServersRef = useRef([]);
+  // ICE candidates that arrive before the remote description is set
+  const pendingCandidatesRef = useRef([]);
+
+  const closePeer = () => {
+    if (peerRef.current) {
+      peerRef.current.ontrack = null;
+      peerRef.current.onicecandidate = null;
+      peerRef.current.onconnectionstatechange = null;
+      peerRef.current.close();
+      peerRef.current = null;
+    }
+    pendingCandidatesRef.current = [];
+    setRemoteStream(null);
+  };
+
+  const createPeer = () => {
+    closePeer();
+
+    const peer = new RTCPeerConnection({ iceServers: iceServersRef.current });
+    localStreamRef.current?.getTracks().forEach((track) => {
+      peer.addTrack(track, localStreamRef.current);
+    });
+
+    peer.ontrack = (event) => {
+      setRemoteStream(event.streams[0]);
+    };
+    peer.onicecandidate = (event) => {
+      if (event.candidate) {
+        socket.emit('call_ice_candidate', { consultationId, candidate: event.candidate });
+      }
+    };
+    peer.onconnectionstatechange = () => {
+      if (peer.connectionState === 'connected') {
+        setStatus('connected');
+      } else if (peer.connectionState === 'failed') {
+        setStatus('waiting');
+      }
+    };
+
+    peerRef.current = peer;
+    return peer;
+  };
+
+  const flushPendingCandidates = async () => {
+    const candidates = pendingCandidatesRef.current;
+    pendingCandidatesRef.current = [];
+    for (const candidate of candidates) {
+      await peerRef.current.addIceCandidate(candidate);
+    }
+  };
+
+  const sendMediaState = (state) => {
+    socket?.emit('call_media_state', { consultationId, ...state });
+  };
+
+  // Get camera/microphone, then join the call room
+  useEffect(() => {
+    if (!socket || !isConnected || !consultationId) return;
+
+    let cancelled = false;
+
+    const handleJoined = (data) => {
+      if (data.consultationId !== consultationId) return;
+      iceServersRef.current = data.iceServers || [];
+      setCallInfo(data);
+      createPeer();
+      // The participant who was already waiting sends the offer
+      setStatus(data.peerPresent ? 'connecting' : 'waiting');
+    };
+
+    const handlePeerJoined = async (data) => {
+      if (data.consultationId !== consultationId) return;
+      const peer = createPeer();
+      const offer = await peer.createOffer();
+      await peer.setLocalDescription(offer);
+      socket.emit('call_offer', { consultationId, sdp: peer.localDescription });
+      sendMediaState({
+        audioEnabled: localStreamRef.current?.getAudioTracks()[0]?.enabled ?? false,
+        videoEnabled: localStreamRef.current?.getVideoTracks()[0]?.enabled ?? false,
+      });
+    };
+
+    const handleOffer = async (data) => {
+      if (data.consultationId !== consultationId) return;
+      const peer = peerRef.current || createPeer();
+      await peer.setRemoteDescription(data.sdp);
+      await flushPendingCandidates();
+      const answer = await peer.createAnswer();
+      await peer.setLocalDescription(answer);
+      socket.emit('call_answer', { consultationId, sdp: peer.localDescription });
+      sendMediaState({
+        audioEnabled: localStreamRef.current?.getAudioTracks()[0]?.enabled ?? false,
+        videoEnabled: localStreamRef.current?.getVideoTracks()[0]?.enabled ?? false,
+      });
+    };
+
+    const handleAnswer = async (data) => {
+      if (data.consultationId !== consultationId || !peerRef.current) return;
+      await peerRef.current.setRemoteDescription(data.sdp);
+      await flushPendingCandidates();
+    };
+
+    const handleIceCandidate = async (data) => {
+      if (data.consultationId !== consultationId || !peerRef.current) return;
+      if (peerRef.current.remoteDescription) {
+        await peerRef.current.addIceCandidate(data.candidate);
+      } else {
+        pendingCandidatesRef.current.push(data.candidate);
+      }
+    };
+
+    const handleMediaState = (data) => {
+      if (data.consultationId !== consultationId) return;
+      setRemoteMedia({ audioEnabled: data.audioEnabled, videoEnabled: data.videoEnabled });
+    };
+
+    const handlePeerLeft = (data) => {
+      if (data.consultationId !== consultationId) return;
+      createPeer();
+      setStatus('waiting');
+    };
+
+    const handleEnded = (data) => {
+      if (data.consultationId !== consultationId) return;
+      closePeer();
+      setStatus('ended');
+    };
+
+    const handleError = (data) => {
+      if (data.consultationId !== consultationId) return;
+      setErrorMessage(data.message);
+      setStatus('error');
+    };
+
+    socket.on('call_joined', handleJoined);
+    socket.on('call_peer_joined', handlePeerJoined);
+    socket.on('call_offer', handleOffer);
+    socket.on('call_answer', handleAnswer);
+    socket.on('call_ice_candidate', handleIceCandidate);
+    socket.on('call_media_state', handleMediaState);
+    socket.on('call_peer_left', handlePeerLeft);
+    socket.on('call_ended', handleEnded);
+    socket.on('call_error', handleError);
+
+    navigator.mediaDevices
+      .getUserMedia({ audio: true, video })
+      .then((stream) => {
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        localStreamRef.current = stream;
+        setLocalStream(stream);
+        socket.emit('call_join', { consultationId });
+      })
+      .catch((err) => {
+        console.error('Get user media error:', err);
+        setErrorMessage('Could not access your camera or microphone. Check the browser permissions.');
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+      socket.emit('call_leave', { consultationId });
+      socket.off('call_joined', handleJoined);
+      socket.off('call_peer_joined', handlePeerJoined);
+      socket.off('call_offer', handleOffer);
+      socket.off('call_answer', handleAnswer);
+      socket.off('call_ice_candidate', handleIceCandidate);
+      socket.off('call_media_state', handleMediaState);
+      socket.off('call_peer_left', handlePeerLeft);
+      socket.off('call_ended', handleEnded);
+      socket.off('call_error', handleError);
+      closePeer();
+      localStreamRef.current?.getTracks().forEach((track) => track.stop());
+      localStreamRef.current = null;
+    };
+  }, [socket, isConnected, consultationId]);
+
+  const toggleAudio = () => {
+    const track = localStreamRef.current?.getAudioTracks()[0];
+    if (!track) return;
+    track.enabled = !track.enabled;
+    setAudioEnabled(track.enabled);
+    sendMediaState({ audioEnabled: track.enabled, videoEnabled });
+  };
+
+  const toggleVideo = () => {
+    const track = localStreamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    track.enabled = !track.enabled;
+    setVideoEnabled(track.enabled);
+    sendMediaState({ audioEnabled, videoEnabled: track.enabled });
+  };
+
+  const hangUp = () => {
+    socket?.emit('call_leave', { consultationId });
+    closePeer();
+    localStreamRef.current?.getTracks().forEach((track) => track.stop());
+    setStatus('ended');
+  };
+
+  return {
+    status,
+    errorMessage,
+    callInfo,
+    localStream,
+    remoteStream,
+    audioEnabled,
+    videoEnabled,
+    remoteMedia,
+    toggleAudio,
+    toggleVideo,
+    hangUp,
+  };
+};
@@ -14,8 +14,20 @@ import {
   PieChart,
   Activity,
   DollarSign,
+  Eye,
+  EyeOff,
+  ShieldAlert,
+  Download,
+  Trash2,
+  ShieldCheck,
+  Search,
+  History,
 } from 'lucide-react';
 import { adminAPI } from '../services/api';
+import {
+  VERIFICATION_DOCUMENT_LABELS,
+  VerificationDocumentPreview,
+} from '../components/VerificationDocuments';
 import { useToast } from '../contexts/ToastContext';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 
@@ -92,6 +104,7 @@ const AdminDashboard = () => {
   const stats = analytics?.counts || {};
   const monthlyStats = analytics?.monthlyStats || [];
   const recentActivities = analytics?.recentActivities || {};
+  const revenue = analytics?.revenue || {};
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -147,11 +160,21 @@ const AdminDashboard = () => {
 
           {/* Quick Stats */}
           <div className="space-y-6">
-            <QuickStatsCard stats={stats} />
+            <QuickStatsCard stats={stats} revenue={revenue} />
             <RecentActivitiesCard activities={recentActivities} />
           </div>
         </div>
 
+        {/* Quarantined Uploads */}
+        <div className="mt-8">
+          <QuarantineSection />
+        </div>
+
+        {/* Account Security */}
+        <div className="mt-8">
+          <UserSecuritySection />
+        </div>
+
         {/* Charts Section */}
         {monthlyStats.length > 0 && (
           <div className="mt-8">
@@ -233,6 +256,15 @@ const PendingLawyersSection = ({ lawyers = [], onVerify, isProcessing = {} }) =>
 // Individual Lawyer Verification Card
 const LawyerVerificationCard = ({ lawyer, onVerify, isProcessing = {} }) => {
   const [showDetails, setShowDetails] = useState(false);
+  const [previewId, setPreviewId] = useState(null);
+
+  const documents = lawyer.lawyerDetails?.verificationDocuments || [];
+
+  const handleReject = () => {
+    const reason = window.prompt('Reason for rejection (shown to the lawyer):', 'Documents verification failed');
+    if (reason === null) return;
+    onVerify(lawyer._id, 'reject', reason.trim() || 'Documents verification failed');
+  };
 
   const isApproving = isProcessing[`${lawyer._id}-approve`] || false;
   const isRejecting = isProcessing[`${lawyer._id}-reject`] || false;
@@ -283,6 +315,47 @@ const LawyerVerificationCard = ({ lawyer, onVerify, isProcessing = {} }) => {
             </div>
           </div>
 
+          {/* Submitted verification documents */}
+          <div className="mb-3">
+            <p className="text-sm font-medium text-gray-700 mb-2">Verification Documents</p>
+            {documents.length === 0 ? (
+              <p className="flex items-center text-sm text-yellow-700">
+                <AlertCircle className="h-4 w-4 mr-1" />
+                No documents submitted yet
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {documents.map((document) => (
+                  <div key={document._id}>
+                    <button
+                      onClick={() => setPreviewId(previewId === document._id ? null : document._id)}
+                      className="flex items-center w-full text-left px-3 py-2 bg-gray-50 hover:bg-gray-100 rounded-lg text-sm"
+                    >
+                      <FileText className="h-4 w-4 mr-2 text-blue-600 flex-shrink-0" />
+                      <span className="font-medium text-gray-900 mr-2">
+                        {VERIFICATION_DOCUMENT_LABELS[document.documentType] || document.documentType}
+                      </span>
+                      <span className="text-gray-500 truncate flex-1">{document.originalName}</span>
+                      {previewId === document._id ? (
+                        <EyeOff className="h-4 w-4 ml-2 text-gray-500 flex-shrink-0" />
+                      ) : (
+                        <Eye className="h-4 w-4 ml-2 text-gray-500 flex-shrink-0" />
+                      )}
+                    </button>
+                    {previewId === document._id && (
+                      <div className="mt-2">
+                        <VerificationDocumentPreview
+                          document={document}
+                          loadDocument={() => adminAPI.getLawyerVerificationDocument(lawyer._id, document._id)}
+                        />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           <button
             onClick={() => setShowDetails(!showDetails)}
             className="text-blue-600 hover:text-blue-800 text-sm font-medium"
@@ -322,7 +395,7 @@ const LawyerVerificationCard = ({ lawyer, onVerify, isProcessing = {} }) => {
           </button>
 
           <button
-            onClick={() => onVerify(lawyer._id, 'reject', 'Documents verification failed')}
+            onClick={handleReject}
             disabled={isApproving || isRejecting}
             className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center text-sm"
           >
@@ -339,8 +412,302 @@ const LawyerVerificationCard = ({ lawyer, onVerify, isProcessing = {} }) => {
   );
 };
 
+const QUARANTINE_REASON_LABELS = {
+  malware_detected: 'Malware detected',
+  scan_failed: 'Virus scan failed',
+  active_content: 'Active content',
+};
+
+const QUARANTINE_AREA_LABELS = {
+  cases: 'Case document',
+  vault: 'Document vault',
+  chats: 'Chat attachment',
+  verification: 'Verification document',
+};
+
+// Quarantined Uploads Section Component
+const QuarantineSection = () => {
+  const [files, setFiles] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const { success, error } = useToast();
+
+  useEffect(() => {
+    adminAPI.getQuarantinedFiles().then((response) => {
+      if (response.success) {
+        setFiles(response.data.files);
+      } else {
+        error('Failed to load quarantined files');
+      }
+    });
+  }, []);
+
+  const handleDownload = async (file) => {
+    const response = await adminAPI.downloadQuarantinedFile(file._id);
+    if (!response.success) {
+      error(response.error || 'Failed to download file');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.originalName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleReview = async (file, action) => {
+    if (action === 'delete' && !window.confirm(`Delete ${file.originalName} permanently?`)) {
+      return;
+    }
+
+    setBusyId(file._id);
+    const response = action === 'release'
+      ? await adminAPI.releaseQuarantinedFile(file._id)
+      : await adminAPI.deleteQuarantinedFile(file._id);
+    setBusyId(null);
+
+    if (response.success) {
+      success(response.message);
+      setFiles(prev => prev.filter(f => f._id !== file._id));
+    } else {
+      error(response.error || `Failed to ${action} file`);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-lg shadow-sm border border-gray-200"
+    >
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <ShieldAlert className="h-5 w-5 mr-2 text-red-500" />
+          Quarantined Uploads ({files.length})
+        </h2>
+      </div>
+
+      <div className="p-6">
+        {files.length === 0 ? (
+          <div className="text-center py-8">
+            <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+            <p className="text-gray-500">No uploads awaiting review</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {files.map((file) => (
+              <div key={file._id} className="border border-gray-200 rounded-lg p-4 flex items-start justify-between">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{file.originalName}</p>
+                  <p className="text-sm text-gray-600">
+                    {QUARANTINE_AREA_LABELS[file.area] || file.area} · uploaded by {file.uploadedBy?.name || 'unknown'} ·{' '}
+                    {new Date(file.createdAt).toLocaleString()}
+                  </p>
+                  <p className="text-sm text-red-600 mt-1">
+                    {QUARANTINE_REASON_LABELS[file.reason]}
+                    {file.details && `: ${file.details}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+                  <button
+                    onClick={() => handleDownload(file)}
+                    title="Download for inspection"
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                  >
+                    <Download className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleReview(file, 'release')}
+                    disabled={busyId === file._id}
+                    className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Release
+                  </button>
+                  <button
+                    onClick={() => handleReview(file, 'delete')}
+                    disabled={busyId === file._id}
+                    title="Delete"
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+const SECURITY_EVENT_LABELS = {
+  two_factor_enabled: 'Two-factor enabled',
+  two_factor_disabled: 'Two-factor disabled',
+  two_factor_reset: 'Two-factor reset by admin',
+  backup_codes_regenerated: 'Backup codes regenerated',
+  backup_code_used: 'Backup code used to sign in',
+  session_revoked: 'Logged out another session',
+  all_sessions_revoked: 'Logged out of all sessions',
+  refresh_token_reused: 'Session revoked: refresh token reused',
+  account_locked: 'Account locked after failed sign-ins',
+  suspicious_login_reported: 'Sign-in reported as not them',
+};
+
+// Account Security Section Component: reset two-factor authentication for
+// users who lost their device, and view their security audit trail
+const UserSecuritySection = () => {
+  const [search, setSearch] = useState('');
+  const [users, setUsers] = useState([]);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [eventsUserId, setEventsUserId] = useState(null);
+  const [events, setEvents] = useState([]);
+  const { success, error } = useToast();
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const response = await adminAPI.getAllUsers({ search: search.trim(), limit: 10 });
+    if (response.success) {
+      setUsers(response.data.docs);
+      setHasSearched(true);
+    } else {
+      error('Failed to search users');
+    }
+  };
+
+  const handleShowEvents = async (user) => {
+    if (eventsUserId === user._id) {
+      setEventsUserId(null);
+      return;
+    }
+
+    const response = await adminAPI.getUserSecurityEvents(user._id);
+    if (response.success) {
+      setEvents(response.data.events);
+      setEventsUserId(user._id);
+    } else {
+      error(response.error || 'Failed to load security events');
+    }
+  };
+
+  const handleReset = async (user) => {
+    const reason = window.prompt(
+      `Reset two-factor authentication for ${user.name}? They will need to set it up again. Reason (e.g. how their identity was confirmed):`
+    );
+    if (!reason?.trim()) return;
+
+    setBusyId(user._id);
+    const response = await adminAPI.resetUserTwoFactor(user._id, reason.trim());
+    setBusyId(null);
+
+    if (response.success) {
+      success(response.message);
+      setUsers(prev => prev.map(u => (
+        u._id === user._id ? { ...u, twoFactor: { ...u.twoFactor, enabled: false } } : u
+      )));
+      if (eventsUserId === user._id) setEventsUserId(null);
+    } else {
+      error(response.error || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-lg shadow-sm border border-gray-200"
+    >
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <ShieldCheck className="h-5 w-5 mr-2 text-blue-500" />
+          Account Security
+        </h2>
+      </div>
+
+      <div className="p-6">
+        <form onSubmit={handleSearch} className="flex space-x-2 mb-4">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search users by name or email"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center"
+          >
+            <Search className="h-4 w-4 mr-2" />
+            Search
+          </button>
+        </form>
+
+        {hasSearched && users.length === 0 && (
+          <p className="text-center text-gray-500 py-4">No users found</p>
+        )}
+
+        <div className="space-y-3">
+          {users.map((user) => (
+            <div key={user._id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{user.name}</p>
+                  <p className="text-sm text-gray-600">
+                    {user.email} · {user.role} · two-factor {user.twoFactor?.enabled ? 'on' : 'off'}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+                  <button
+                    onClick={() => handleShowEvents(user)}
+                    title="Security history"
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                  >
+                    <History className="h-4 w-4" />
+                  </button>
+                  {user.twoFactor?.enabled && (
+                    <button
+                      onClick={() => handleReset(user)}
+                      disabled={busyId === user._id}
+                      className="px-3 py-1 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Reset 2FA
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {eventsUserId === user._id && (
+                <div className="mt-3 pt-3 border-t border-gray-100 space-y-2">
+                  {events.length === 0 ? (
+                    <p className="text-sm text-gray-500">No security events</p>
+                  ) : (
+                    events.map((event) => (
+                      <div key={event._id} className="text-sm">
+                        <p className="text-gray-900">
+                          {SECURITY_EVENT_LABELS[event.type] || event.type}
+                          <span className="text-gray-500">
+                            {' '}· {new Date(event.createdAt).toLocaleString()}
+                            {event.actor && event.actor._id !== user._id && ` · by ${event.actor.name}`}
+                          </span>
+                        </p>
+                        {event.reason && <p className="text-gray-600">{event.reason}</p>}
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
 // Quick Stats Card Component
-const QuickStatsCard = ({ stats = {} }) => {
+const QuickStatsCard = ({ stats = {}, revenue = {} }) => {
   const completionRate = (stats.totalQueries || 0) > 0
     ? (((stats.completedQueries || 0) / (stats.totalQueries || 0)) * 100).toFixed(1)
     : 0;
@@ -376,10 +743,27 @@ const QuickStatsCard = ({ stats = {} }) => {
           <span className="font-semibold text-green-600">{completionRate}%</span>
         </div>
 
-        <div className="pt-2 border-t border-gray-200">
+        <div className="pt-2 border-t border-gray-200 space-y-4">
           <div className="flex justify-between items-center">
             <span className="text-gray-600">Total Revenue</span>
-            <span className="font-semibold text-gray-900">₹1,25,000</span>
+            <span className="font-semibold text-gray-900">
+              ₹{(revenue.totalRevenue || 0).toLocaleString('en-IN')}
+            </span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-600">This Month</span>
+            <span className="font-semibold text-gray-900">
+              ₹{(revenue.monthlyRevenue || 0).toLocaleString('en-IN')}
+              <span className={`ml-2 text-xs ${(revenue.growthRate || 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {(revenue.growthRate || 0) >= 0 ? '+' : ''}{revenue.growthRate || 0}%
+              </span>
+            </span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-600">Avg. Consultation Fee</span>
+            <span className="font-semibold text-gray-900">
+              ₹{(revenue.averageConsultationFee || 0).toLocaleString('en-IN')}
+            </span>
           </div>
         </div>
       </div>
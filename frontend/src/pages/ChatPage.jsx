@@ -2,7 +2,11 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket, useSocketEvent } from '../hooks/useSocket';
-import { Send, ArrowLeft, Phone, Video, MoreVertical } from 'lucide-react';
+import { Send, ArrowLeft, Phone, Video, MoreVertical, Paperclip, X, FileText } from 'lucide-react';
+import { consultationAPI, chatAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import MessageAttachments, { getMessageCaption } from '../components/chat/MessageAttachments';
+import { ACCEPTED_DOCUMENT_TYPES } from '../components/CaseDocuments';
 
 const ChatPage = () => {
   const { chatId } = useParams();
@@ -14,7 +18,14 @@ const ChatPage = () => {
   const [chatInfo, setChatInfo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isSending, setIsSending] = useState(false);
+  // Uploaded files waiting to go out with the next message
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const { error: showError } = useToast();
+  // Consultation with this participant whose call is open right now
+  const [joinableCall, setJoinableCall] = useState(null);
   const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -54,6 +65,23 @@ const ChatPage = () => {
     };
   }, [chatId, socket, isConnected, user]);
 
+  useEffect(() => {
+    const otherUserId = chatInfo?.data?.chat?.otherUser?._id;
+    if (otherUserId) {
+      fetchJoinableCall(otherUserId);
+    }
+  }, [chatInfo]);
+
+  const fetchJoinableCall = async (otherUserId) => {
+    const response = await consultationAPI.getJoinableConsultations();
+    if (response.success) {
+      const consultation = (response.data.consultations || []).find(
+        (item) => item.citizen._id === otherUserId || item.lawyer._id === otherUserId
+      );
+      setJoinableCall(consultation || null);
+    }
+  };
+
   const testTokenValidity = async () => {
     try {
       const token = getToken();
@@ -254,15 +282,38 @@ const ChatPage = () => {
     }
   };
 
+  const handleAttach = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (!files.length) return;
+
+    if (pendingAttachments.length + files.length > 5) {
+      showError('You can attach up to 5 files to a message');
+      return;
+    }
+
+    setIsUploading(true);
+    const response = await chatAPI.uploadAttachments(chatId, files);
+    setIsUploading(false);
+
+    if (response.success) {
+      setPendingAttachments(prev => [...prev, ...response.data.attachments]);
+    } else {
+      showError(response.error || 'Failed to upload files');
+    }
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
-    if (!newMessage.trim() || isSending || !socket || !isConnected) return;
+    if ((!newMessage.trim() && pendingAttachments.length === 0) || isSending || isUploading || !socket || !isConnected) return;
 
     const tempId = Date.now().toString();
+    const attachments = pendingAttachments;
     const messageData = {
       tempId,
       chatId,
       content: newMessage.trim(),
+      attachments: attachments.map(({ originalName, size, mimetype }) => ({ originalName, size, mimetype })),
       sender: {
         _id: user.id || user._id,
         name: user.name,
@@ -275,12 +326,14 @@ const ChatPage = () => {
     // Add message to UI immediately (optimistic update)
     setMessages(prev => [...prev, messageData]);
     setNewMessage('');
+    setPendingAttachments([]);
     setIsSending(true);
 
     try {
       const emitData = {
         chatId,
         content: messageData.content,
+        attachmentTokens: attachments.map(a => a.token),
         tempId,
       };
       console.log('📤 FRONTEND: Sending message via socket:', emitData);
@@ -369,11 +422,27 @@ const ChatPage = () => {
               Test Socket
             </button>
           )}
-          <button className="p-2 hover:bg-gray-100 rounded-full">
-            <Phone className="h-5 w-5 text-gray-600" />
+          <button
+            onClick={() => navigate(`/consultations/${joinableCall._id}/call?audio=1`)}
+            disabled={!joinableCall}
+            title={joinableCall ? 'Start audio call' : 'Calls open during a booked consultation'}
+            className="p-2 hover:bg-gray-100 rounded-full disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Phone className={`h-5 w-5 ${joinableCall ? 'text-green-600' : 'text-gray-600'}`} />
           </button>
-          <button className="p-2 hover:bg-gray-100 rounded-full">
-            <Video className="h-5 w-5 text-gray-600" />
+          <button
+            onClick={() => navigate(`/consultations/${joinableCall._id}/call`)}
+            disabled={joinableCall?.consultationType !== 'video'}
+            title={
+              joinableCall?.consultationType === 'video'
+                ? 'Start video call'
+                : 'Video calls open during a booked video consultation'
+            }
+            className="p-2 hover:bg-gray-100 rounded-full disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Video
+              className={`h-5 w-5 ${joinableCall?.consultationType === 'video' ? 'text-green-600' : 'text-gray-600'}`}
+            />
           </button>
           <button className="p-2 hover:bg-gray-100 rounded-full">
             <MoreVertical className="h-5 w-5 text-gray-600" />
@@ -417,7 +486,14 @@ const ChatPage = () => {
                     : 'bg-white text-gray-900 border border-gray-200'
                 }`}
               >
-                <p className="text-sm">{message.content}</p>
+                <MessageAttachments
+                  chatId={chatId}
+                  attachments={message.attachments}
+                  isOwn={(message.sender._id || message.sender.id) === (user.id || user._id)}
+                />
+                {getMessageCaption(message) && (
+                  <p className="text-sm">{getMessageCaption(message)}</p>
+                )}
                 <p
                   className={`text-xs mt-1 ${
                     (message.sender._id || message.sender.id) === (user.id || user._id) ? 'text-blue-100' : 'text-gray-500'
@@ -437,7 +513,48 @@ const ChatPage = () => {
 
       {/* Message Input */}
       <div className="bg-white border-t border-gray-200 p-4 text-black">
+        {pendingAttachments.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {pendingAttachments.map((attachment, index) => (
+              <span
+                key={attachment.token}
+                className="inline-flex items-center max-w-xs px-2 py-1 bg-gray-100 rounded-lg text-sm text-gray-700"
+              >
+                <FileText className="h-4 w-4 mr-1 flex-shrink-0" />
+                <span className="truncate">{attachment.originalName}</span>
+                <button
+                  type="button"
+                  onClick={() => setPendingAttachments(prev => prev.filter((_, i) => i !== index))}
+                  className="ml-1 text-gray-400 hover:text-red-600"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
         <form onSubmit={sendMessage} className="flex space-x-2">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+            title="Attach files"
+            className="p-2 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+          >
+            {isUploading ? (
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-gray-600"></div>
+            ) : (
+              <Paperclip className="h-5 w-5 text-gray-600" />
+            )}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ACCEPTED_DOCUMENT_TYPES}
+            onChange={handleAttach}
+            className="hidden"
+          />
           <input
             type="text"
             value={newMessage}
@@ -447,7 +564,7 @@ const ChatPage = () => {
           />
           <button
             type="submit"
-            disabled={!newMessage.trim() || isSending || !isConnected}
+            disabled={(!newMessage.trim() && pendingAttachments.length === 0) || isSending || isUploading || !isConnected}
             className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
           >
             {isSending ? (
@@ -17,6 +17,8 @@ import {
   ArrowRight,
   Send,
   Gift,
+  Calendar,
+  FolderLock,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
@@ -186,7 +188,7 @@ const CitizenDashboard = () => {
         {/* Secondary Actions */}
         <div className="mb-8">
           <h2 className="text-2xl font-bold text-gray-900 mb-6">Quick Access</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-6">
             {/* Find Lawyers */}
             <motion.div
               whileHover={{ y: -2 }}
@@ -266,6 +268,38 @@ const CitizenDashboard = () => {
               <h3 className="font-semibold text-gray-900 mb-2">My Queries</h3>
               <p className="text-sm text-gray-600">Manage legal questions</p>
             </motion.div>
+
+            {/* Consultations */}
+            <motion.div
+              whileHover={{ y: -2 }}
+              className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-300 cursor-pointer group"
+              onClick={() => navigate('/consultations')}
+            >
+              <div className="flex items-center justify-between mb-4">
+                <div className="p-2 bg-teal-100 rounded-lg">
+                  <Calendar className="h-5 w-5 text-teal-600" />
+                </div>
+                <ArrowRight className="h-4 w-4 text-gray-400 group-hover:text-teal-600 group-hover:translate-x-1 transition-all duration-300" />
+              </div>
+              <h3 className="font-semibold text-gray-900 mb-2">Consultations</h3>
+              <p className="text-sm text-gray-600">Upcoming and past sessions</p>
+            </motion.div>
+
+            {/* Document Vault */}
+            <motion.div
+              whileHover={{ y: -2 }}
+              className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-300 cursor-pointer group"
+              onClick={() => navigate('/citizen/documents')}
+            >
+              <div className="flex items-center justify-between mb-4">
+                <div className="p-2 bg-blue-100 rounded-lg">
+                  <FolderLock className="h-5 w-5 text-blue-600" />
+                </div>
+                <ArrowRight className="h-4 w-4 text-gray-400 group-hover:text-blue-600 group-hover:translate-x-1 transition-all duration-300" />
+              </div>
+              <h3 className="font-semibold text-gray-900 mb-2">Document Vault</h3>
+              <p className="text-sm text-gray-600">Store and share your files</p>
+            </motion.div>
           </div>
         </div>
 
@@ -13,14 +13,17 @@ import {
   Clock,
   CheckCircle,
   MessageSquare,
+  CalendarPlus,
 } from 'lucide-react';
 import { useToast } from '../contexts/ToastContext';
-import { citizenAPI } from '../services/api';
+import { citizenAPI, consultationAPI } from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import BookConsultationModal from '../components/BookConsultationModal';
 
 const ConnectedLawyers = () => {
   const [connections, setConnections] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [bookingLawyer, setBookingLawyer] = useState(null);
   const [pagination, setPagination] = useState({
     current: 1,
     pages: 1,
@@ -64,6 +67,16 @@ const ConnectedLawyers = () => {
     }
   };
 
+  const handleBookConsultation = async (consultationData) => {
+    const response = await consultationAPI.requestConsultation(consultationData);
+    if (response.success) {
+      success('Consultation requested. The lawyer will confirm shortly.');
+      setBookingLawyer(null);
+    } else {
+      error(response.error || 'Failed to request consultation');
+    }
+  };
+
   if (isLoading) {
     return <LoadingSpinner />;
   }
@@ -109,6 +122,7 @@ const ConnectedLawyers = () => {
                 key={connection._id}
                 connection={connection}
                 onStartChat={handleStartChat}
+                onBookConsultation={setBookingLawyer}
               />
             ))}
           </div>
@@ -137,6 +151,15 @@ const ConnectedLawyers = () => {
           </div>
         )}
       </div>
+
+      {/* Book Consultation Modal */}
+      {bookingLawyer && (
+        <BookConsultationModal
+          lawyer={bookingLawyer}
+          onClose={() => setBookingLawyer(null)}
+          onSubmit={handleBookConsultation}
+        />
+      )}
     </div>
   );
 };
@@ -169,7 +192,7 @@ const StatsCard = ({ title, value, icon: Icon, color }) => {
 };
 
 // Connected Lawyer Card Component
-const ConnectedLawyerCard = ({ connection, onStartChat }) => {
+const ConnectedLawyerCard = ({ connection, onStartChat, onBookConsultation }) => {
   const lawyer = connection.lawyer;
   const chatInfo = connection.chatInfo;
   const connectedAt = new Date(connection.connectedAt).toLocaleDateString();
@@ -208,7 +231,11 @@ const ConnectedLawyerCard = ({ connection, onStartChat }) => {
               </div>
               <div className="flex items-center">
                 <Star className="h-4 w-4 mr-2 text-yellow-400 fill-current" />
-                <span>4.8 rating</span>
+                <span>
+                  {lawyer.lawyerDetails?.rating?.count
+                    ? `${lawyer.lawyerDetails.rating.average.toFixed(1)} rating (${lawyer.lawyerDetails.rating.count} reviews)`
+                    : 'No reviews yet'}
+                </span>
               </div>
             </div>
           </div>
@@ -255,6 +282,13 @@ const ConnectedLawyerCard = ({ connection, onStartChat }) => {
               <MessageSquare className="h-4 w-4" />
               <span>Start Chat</span>
             </button>
+            <button
+              onClick={() => onBookConsultation(lawyer)}
+              className="border border-blue-600 text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <CalendarPlus className="h-4 w-4" />
+              <span>Book Consultation</span>
+            </button>
           </div>
         </div>
       </div>
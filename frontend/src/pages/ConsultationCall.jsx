@@ -0,0 +1,159 @@
+import React, { useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { Mic, MicOff, Video, VideoOff, PhoneOff, User, ArrowLeft } from 'lucide-react';
+import { useConsultationCall } from '../hooks/useConsultationCall';
+
+const STATUS_LABELS = {
+  connecting: 'Connecting...',
+  waiting: 'Waiting for the other participant to join',
+  connected: 'Connected',
+};
+
+// Attach a MediaStream to a <video> element
+const StreamVideo = ({ stream, muted, className }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  return <video ref={videoRef} autoPlay playsInline muted={muted} className={className} />;
+};
+
+const ConsultationCall = () => {
+  const { consultationId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const audioOnly = searchParams.get('audio') === '1';
+
+  const {
+    status,
+    errorMessage,
+    callInfo,
+    localStream,
+    remoteStream,
+    audioEnabled,
+    videoEnabled,
+    remoteMedia,
+    toggleAudio,
+    toggleVideo,
+    hangUp,
+  } = useConsultationCall(consultationId, { video: !audioOnly });
+
+  const handleHangUp = () => {
+    hangUp();
+    navigate('/consultations');
+  };
+
+  if (status === 'ended' || status === 'error') {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center p-6">
+        <div className="text-center text-white max-w-md">
+          <PhoneOff className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+          <h1 className="text-2xl font-semibold mb-2">
+            {status === 'error' ? 'Unable to join the call' : 'Call ended'}
+          </h1>
+          <p className="text-gray-400 mb-6">
+            {status === 'error'
+              ? errorMessage
+              : 'The call has ended. Calls are available from shortly before the booked time until just after it.'}
+          </p>
+          <button
+            onClick={() => navigate('/consultations')}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors inline-flex items-center space-x-2"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Back to consultations</span>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const showRemoteVideo = remoteStream && remoteMedia.videoEnabled && !audioOnly;
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex flex-col">
+      {/* Header */}
+      <div className="px-6 py-4 text-white flex items-center justify-between">
+        <div>
+          <h1 className="text-lg font-semibold">{callInfo?.title || 'Consultation call'}</h1>
+          <p className="text-sm text-gray-400">{STATUS_LABELS[status]}</p>
+        </div>
+        {callInfo?.closesAt && (
+          <p className="text-sm text-gray-400">
+            Available until{' '}
+            {new Date(callInfo.closesAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </p>
+        )}
+      </div>
+
+      {/* Video */}
+      <div className="flex-1 relative flex items-center justify-center p-4">
+        {showRemoteVideo ? (
+          <StreamVideo stream={remoteStream} className="max-h-full max-w-full rounded-lg bg-black" />
+        ) : (
+          <div className="text-center text-gray-400">
+            <div className="w-24 h-24 bg-gray-700 rounded-full flex items-center justify-center mx-auto mb-3">
+              <User className="h-12 w-12" />
+            </div>
+            <p>{remoteStream ? 'Camera off' : STATUS_LABELS[status]}</p>
+            {/* Keep remote audio playing when there is no video */}
+            {remoteStream && <StreamVideo stream={remoteStream} className="hidden" />}
+          </div>
+        )}
+        {remoteStream && !remoteMedia.audioEnabled && (
+          <div className="absolute top-6 left-6 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded flex items-center">
+            <MicOff className="h-3 w-3 mr-1" />
+            Muted
+          </div>
+        )}
+
+        {localStream && !audioOnly && (
+          <StreamVideo
+            stream={localStream}
+            muted
+            className={`absolute bottom-6 right-6 w-48 rounded-lg border-2 border-gray-700 bg-black ${
+              videoEnabled ? '' : 'opacity-0'
+            }`}
+          />
+        )}
+      </div>
+
+      {/* Controls */}
+      <div className="py-6 flex items-center justify-center space-x-4">
+        <button
+          onClick={toggleAudio}
+          title={audioEnabled ? 'Mute' : 'Unmute'}
+          className={`p-4 rounded-full transition-colors ${
+            audioEnabled ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-white text-gray-900'
+          }`}
+        >
+          {audioEnabled ? <Mic className="h-6 w-6" /> : <MicOff className="h-6 w-6" />}
+        </button>
+        {!audioOnly && (
+          <button
+            onClick={toggleVideo}
+            title={videoEnabled ? 'Turn camera off' : 'Turn camera on'}
+            className={`p-4 rounded-full transition-colors ${
+              videoEnabled ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-white text-gray-900'
+            }`}
+          >
+            {videoEnabled ? <Video className="h-6 w-6" /> : <VideoOff className="h-6 w-6" />}
+          </button>
+        )}
+        <button
+          onClick={handleHangUp}
+          title="Leave call"
+          className="p-4 rounded-full bg-red-600 hover:bg-red-700 text-white transition-colors"
+        >
+          <PhoneOff className="h-6 w-6" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConsultationCall;
@@ -11,6 +11,8 @@ import {
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
+import { documentAPI } from '../services/api';
+import AttachmentPicker from '../components/AttachmentPicker';
 
 const CreateDispute = () => {
   const navigate = useNavigate();
@@ -32,6 +34,7 @@ const CreateDispute = () => {
   });
   
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [attachments, setAttachments] = useState([]);
   const [errors, setErrors] = useState({});
 
   const disputeTypes = [
@@ -149,6 +152,17 @@ const CreateDispute = () => {
       const result = await response.json();
       
       if (result.success) {
+        if (attachments.length > 0) {
+          const upload = await documentAPI.uploadCaseDocuments(
+            'dispute',
+            result.data.dispute._id,
+            attachments,
+            'evidence'
+          );
+          if (!upload.success) {
+            error(`Dispute saved, but the documents could not be uploaded: ${upload.error}`);
+          }
+        }
         success('Dispute filed successfully!');
         navigate('/citizen/my-disputes');
       } else {
@@ -434,6 +448,9 @@ const CreateDispute = () => {
               </p>
             </div>
 
+            {/* Attachments */}
+            <AttachmentPicker files={attachments} onChange={setAttachments} />
+
             {/* Submit Button */}
             <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
               <button
@@ -11,6 +11,8 @@ import {
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
+import { documentAPI } from '../services/api';
+import AttachmentPicker from '../components/AttachmentPicker';
 
 const CreateQuery = () => {
   const navigate = useNavigate();
@@ -25,6 +27,7 @@ const CreateQuery = () => {
   });
   
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [attachments, setAttachments] = useState([]);
   const [errors, setErrors] = useState({});
 
   const categories = [
@@ -106,6 +109,17 @@ const CreateQuery = () => {
       const result = await response.json();
       
       if (result.success) {
+        if (attachments.length > 0) {
+          const upload = await documentAPI.uploadCaseDocuments(
+            'query',
+            result.data.query._id,
+            attachments,
+            'evidence'
+          );
+          if (!upload.success) {
+            error(`Query saved, but the documents could not be uploaded: ${upload.error}`);
+          }
+        }
         success('Legal query submitted successfully!');
         navigate('/citizen/my-queries');
       } else {
@@ -275,6 +289,9 @@ const CreateQuery = () => {
               </p>
             </div>
 
+            {/* Attachments */}
+            <AttachmentPicker files={attachments} onChange={setAttachments} />
+
             {/* Submit Button */}
             <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
               <button
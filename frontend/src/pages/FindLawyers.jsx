@@ -13,11 +13,14 @@ import {
   Users,
   Award,
   Briefcase,
+  CalendarPlus,
 } from 'lucide-react';
 import { useToast } from '../contexts/ToastContext';
-import { citizenAPI } from '../services/api';
+import { citizenAPI, consultationAPI } from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import LawyerRequestModal from '../components/LawyerRequestModal';
+import BookConsultationModal from '../components/BookConsultationModal';
+import LawyerReviewsModal from '../components/LawyerReviewsModal';
 
 const FindLawyers = () => {
   const [searchParams] = useSearchParams();
@@ -27,6 +30,7 @@ const FindLawyers = () => {
     search: '',
     specialization: 'all',
     experience: 'all',
+    minRating: 'all',
     sortBy: 'createdAt',
     sortOrder: 'desc',
   });
@@ -38,6 +42,8 @@ const FindLawyers = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [selectedLawyer, setSelectedLawyer] = useState(null);
   const [showRequestModal, setShowRequestModal] = useState(false);
+  const [bookingLawyer, setBookingLawyer] = useState(null);
+  const [reviewsLawyer, setReviewsLawyer] = useState(null);
   const { success, error } = useToast();
 
   // Get case information from URL parameters
@@ -58,6 +64,13 @@ const FindLawyers = () => {
     'Constitutional Law',
   ];
 
+  const ratingOptions = [
+    { value: 'all', label: 'Any Rating' },
+    { value: '4.5', label: '4.5 & up' },
+    { value: '4', label: '4.0 & up' },
+    { value: '3', label: '3.0 & up' },
+  ];
+
   const experienceRanges = [
     'All Experience',
     '0-2 years',
@@ -79,6 +92,7 @@ const FindLawyers = () => {
         ...filters,
         specialization: filters.specialization === 'all' ? undefined : filters.specialization,
         experience: filters.experience === 'all' ? undefined : filters.experience,
+        minRating: filters.minRating === 'all' ? undefined : filters.minRating,
       };
 
       console.log("🔍 Frontend: Fetching lawyers with params:", params);
@@ -143,6 +157,16 @@ const FindLawyers = () => {
     }
   };
 
+  const handleBookConsultation = async (consultationData) => {
+    const response = await consultationAPI.requestConsultation(consultationData);
+    if (response.success) {
+      success('Consultation requested. The lawyer will confirm shortly.');
+      setBookingLawyer(null);
+    } else {
+      error(response.error || 'Failed to request consultation');
+    }
+  };
+
   if (isLoading && lawyers.length === 0) {
     return <LoadingSpinner />;
   }
@@ -192,7 +216,7 @@ const FindLawyers = () => {
               exit={{ opacity: 0, height: 0 }}
               className="mt-4 pt-4 border-t border-gray-200"
             >
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Specialization
@@ -227,6 +251,23 @@ const FindLawyers = () => {
                   </select>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Rating
+                  </label>
+                  <select
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    value={filters.minRating}
+                    onChange={(e) => handleFilterChange('minRating', e.target.value)}
+                  >
+                    {ratingOptions.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Sort By
@@ -239,6 +280,8 @@ const FindLawyers = () => {
                     <option value="createdAt">Newest First</option>
                     <option value="name">Name</option>
                     <option value="experience">Experience</option>
+                    <option value="rating">Top Rated</option>
+                    <option value="reviews">Most Reviewed</option>
                   </select>
                 </div>
               </div>
@@ -266,6 +309,8 @@ const FindLawyers = () => {
               key={lawyer._id}
               lawyer={lawyer}
               onRequestLawyer={handleRequestLawyer}
+              onBookConsultation={caseType ? null : setBookingLawyer}
+              onShowReviews={setReviewsLawyer}
             />
           ))}
         </div>
@@ -314,12 +359,31 @@ const FindLawyers = () => {
           onSubmit={handleRequestSubmit}
         />
       )}
+
+      {/* Booking Modal */}
+      {bookingLawyer && (
+        <BookConsultationModal
+          lawyer={bookingLawyer}
+          onClose={() => setBookingLawyer(null)}
+          onSubmit={handleBookConsultation}
+        />
+      )}
+
+      {/* Reviews Modal */}
+      {reviewsLawyer && (
+        <LawyerReviewsModal
+          lawyer={reviewsLawyer}
+          onClose={() => setReviewsLawyer(null)}
+        />
+      )}
     </div>
   );
 };
 
 // Lawyer Card Component
-const LawyerCard = ({ lawyer, onRequestLawyer }) => {
+const LawyerCard = ({ lawyer, onRequestLawyer, onBookConsultation, onShowReviews }) => {
+  const rating = lawyer.lawyerDetails?.rating;
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -333,10 +397,22 @@ const LawyerCard = ({ lawyer, onRequestLawyer }) => {
         <div className="flex-1">
           <h3 className="text-lg font-semibold text-gray-900">{lawyer.name}</h3>
           <p className="text-sm text-gray-600">{lawyer.email}</p>
-          <div className="flex items-center mt-1">
-            <Star className="h-4 w-4 text-yellow-400 fill-current" />
-            <span className="text-sm text-gray-600 ml-1">4.8 (24 reviews)</span>
-          </div>
+          {rating?.count > 0 ? (
+            <button
+              onClick={() => onShowReviews(lawyer)}
+              className="flex items-center mt-1 hover:underline"
+            >
+              <Star className="h-4 w-4 text-yellow-400 fill-current" />
+              <span className="text-sm text-gray-600 ml-1">
+                {rating.average.toFixed(1)} ({rating.count} review{rating.count === 1 ? '' : 's'})
+              </span>
+            </button>
+          ) : (
+            <div className="flex items-center mt-1">
+              <Star className="h-4 w-4 text-gray-300" />
+              <span className="text-sm text-gray-500 ml-1">No reviews yet</span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -355,13 +431,23 @@ const LawyerCard = ({ lawyer, onRequestLawyer }) => {
         </div>
       </div>
 
-      <button
-        onClick={() => onRequestLawyer(lawyer)}
-        className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors flex items-center justify-center space-x-2"
-      >
-        <MessageCircle className="h-4 w-4" />
-        <span>Request Lawyer</span>
-      </button>
+      {lawyer.isConnected && onBookConsultation ? (
+        <button
+          onClick={() => onBookConsultation(lawyer)}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors flex items-center justify-center space-x-2"
+        >
+          <CalendarPlus className="h-4 w-4" />
+          <span>Book Consultation</span>
+        </button>
+      ) : (
+        <button
+          onClick={() => onRequestLawyer(lawyer)}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors flex items-center justify-center space-x-2"
+        >
+          <MessageCircle className="h-4 w-4" />
+          <span>Request Lawyer</span>
+        </button>
+      )}
     </motion.div>
   );
 };
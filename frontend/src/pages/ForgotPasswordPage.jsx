@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import { authAPI } from '../services/api';
 
 const ForgotPasswordPage = () => {
   const [email, setEmail] = useState('');
@@ -14,28 +15,22 @@ const ForgotPasswordPage = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
-    try {
-      // Static forgot password - simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    const response = await authAPI.forgotPassword(email);
+    setLoading(false);
 
-      const msg = 'Password reset email sent successfully!';
-      setMessage(msg);
-      setError('');
-      toast.success(msg, { duration: 4000 });
-    } catch (err) {
-      console.error('Forgot password error:', err);
+    if (!response.success) {
+      const errMsg = response.error || 'An error occurred';
       setMessage('');
-      // Extract error message from response
-      const errMsg = err.response?.data?.message || err.response?.data?.error?.message;
-      if (err.response?.status === 404) {
-        toast.error('No account found with that email. Please sign up first.', { duration: 4000 });
-      } else {
-        toast.error(errMsg || 'An error occurred', { duration: 4000 });
-      }
-      setError(errMsg || 'An error occurred');
-    } finally {
-      setLoading(false);
+      setError(errMsg);
+      toast.error(errMsg, { duration: 4000 });
+      return;
     }
+
+    // The API answers the same whether or not the account exists
+    const msg = 'If an account with that email exists, a password reset link has been sent.';
+    setMessage(msg);
+    setError('');
+    toast.success(msg, { duration: 4000 });
   };
 
   return (
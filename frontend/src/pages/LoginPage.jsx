@@ -2,12 +2,13 @@ import { useState, useEffect } from 'react';
 import ReCAPTCHA from 'react-google-recaptcha';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Eye, EyeOff, Mail, Lock, LogIn, ArrowRight, AlertCircle, Scale, Gavel } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, LogIn, ArrowRight, AlertCircle, Scale, Gavel, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 import { authAPI } from '../services/api';
 import { AuthBackground } from '../components/AuthBackground';
 import { AuthContent } from '../components/AuthContent';
+import TwoFactorEnrollment from '../components/TwoFactorEnrollment';
 
 const LoginPage = () => {
   const navigate = useNavigate();
@@ -26,6 +27,9 @@ const LoginPage = () => {
   const [apiError, setApiError] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [isSuccess, setIsSuccess] = useState(false);
+  // Second sign-in step: { type: 'verify' | 'setup', challengeToken }
+  const [twoFactorStep, setTwoFactorStep] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -81,6 +85,63 @@ const LoginPage = () => {
     return Object.keys(newErrors).length === 0;
   };
 
+  const finishLogin = async (data) => {
+    // Login to context
+    await login(data.tokens.accessToken, data.user);
+
+    // Show success message
+    success('Login successful! Welcome back.');
+
+    // Show success animation
+    setIsSuccess(true);
+    setIsLoading(false);
+
+    // Wait for success animation then redirect based on role
+    setTimeout(() => {
+      const userRole = data.user.role;
+      if (userRole === 'admin') {
+        navigate('/admin/dashboard');
+      } else if (userRole === 'lawyer') {
+        navigate('/lawyer/dashboard');
+      } else {
+        navigate('/citizen/dashboard');
+      }
+    }, 1500);
+  };
+
+  // Back to the password step (the reCAPTCHA response can't be reused)
+  const resetTwoFactorStep = () => {
+    setTwoFactorStep(null);
+    setTwoFactorCode('');
+    setFormData((prev) => ({ ...prev, password: '', captcha: '' }));
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setApiError('');
+
+    const response = await authAPI.verifyTwoFactorLogin(twoFactorStep.challengeToken, twoFactorCode);
+    if (response.success) {
+      if (!/^\d{6}$/.test(twoFactorCode.trim())) {
+        success(`Backup code used. ${response.data.backupCodesRemaining} backup codes left.`);
+      }
+      await finishLogin(response.data);
+      return;
+    }
+
+    setIsLoading(false);
+    const errorMessage = response.error || 'Invalid authentication code';
+    error(errorMessage);
+    if (errorMessage.includes('expired')) {
+      resetTwoFactorStep();
+      setApiError(errorMessage);
+    } else {
+      setApiError(errorMessage);
+      setTwoFactorCode('');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -103,27 +164,16 @@ const LoginPage = () => {
       });
 
       if (response.success) {
-        // Login to context
-        await login(response.data.tokens.accessToken, response.data.user);
-
-        // Show success message
-        success('Login successful! Welcome back.');
-
-        // Show success animation
-        setIsSuccess(true);
-        setIsLoading(false);
-
-        // Wait for success animation then redirect based on role
-        setTimeout(() => {
-          const userRole = response.data.user.role;
-          if (userRole === 'admin') {
-            navigate('/admin/dashboard');
-          } else if (userRole === 'lawyer') {
-            navigate('/lawyer/dashboard');
-          } else {
-            navigate('/citizen/dashboard');
-          }
-        }, 1500);
+        if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+          setTwoFactorStep({
+            type: response.data.twoFactorRequired ? 'verify' : 'setup',
+            challengeToken: response.data.challengeToken,
+          });
+          setIsLoading(false);
+          return;
+        }
+
+        await finishLogin(response.data);
       } else {
         throw new Error(response.error || 'Login failed');
       }
@@ -268,6 +318,68 @@ const LoginPage = () => {
                 </motion.div>
               )}
             </AnimatePresence>
+            {twoFactorStep?.type === 'setup' && (
+              <div className="space-y-6 relative z-10">
+                <div className="flex items-start gap-3">
+                  <ShieldCheck className="w-6 h-6 text-cyan-400 shrink-0" />
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Set up two-factor authentication</h3>
+                    <p className="text-sm text-gray-400">Admin accounts must use an authenticator app to sign in.</p>
+                  </div>
+                </div>
+                <TwoFactorEnrollment
+                  challengeToken={twoFactorStep.challengeToken}
+                  onComplete={finishLogin}
+                  onCancel={resetTwoFactorStep}
+                />
+              </div>
+            )}
+
+            {twoFactorStep?.type === 'verify' && (
+              <form onSubmit={handleTwoFactorSubmit} className="space-y-6 relative z-10">
+                <div className="flex items-start gap-3">
+                  <ShieldCheck className="w-6 h-6 text-cyan-400 shrink-0" />
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Two-factor authentication</h3>
+                    <p className="text-sm text-gray-400">
+                      Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                    </p>
+                  </div>
+                </div>
+                {apiError && (
+                  <div className="p-4 bg-red-500/10 border border-red-500/20 rounded-lg flex items-start gap-3">
+                    <AlertCircle className="w-5 h-5 text-red-400 shrink-0 mt-0.5" />
+                    <p className="text-red-400 text-sm">{apiError}</p>
+                  </div>
+                )}
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  className="w-full px-4 py-3 bg-[#181B2E]/80 border border-gray-600 rounded-lg text-white text-center tracking-widest placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                  placeholder="123456"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={isLoading || !twoFactorCode.trim()}
+                  className="w-full px-4 py-3 bg-gradient-to-r from-blue-700 via-cyan-500 to-purple-500 text-white rounded-lg font-medium disabled:opacity-70 disabled:cursor-not-allowed"
+                >
+                  {isLoading ? 'Verifying...' : 'Verify'}
+                </button>
+                <button
+                  type="button"
+                  onClick={resetTwoFactorStep}
+                  className="w-full text-sm text-gray-400 hover:text-white"
+                >
+                  Back to sign in
+                </button>
+              </form>
+            )}
+
+            {!twoFactorStep && (
             <form onSubmit={handleSubmit} className="space-y-6 relative z-10">
               <AnimatePresence>
                 {apiError && (
@@ -502,6 +614,7 @@ const LoginPage = () => {
                 </p>
               </motion.div>
             </form>
+            )}
 
             {/* Success Overlay */}
             <AnimatePresence>
@@ -16,16 +16,19 @@ import {
   DollarSign,
   MessageCircle,
   Send,
+  Star,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
-import { citizenAPI } from '../services/api';
+import { citizenAPI, reviewAPI } from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import ReviewModal from '../components/ReviewModal';
+import CaseDossierButton from '../components/CaseDossierButton';
 
 const MyCases = () => {
   const navigate = useNavigate();
   const { getToken } = useAuth();
-  const { error } = useToast(); // Only need error for fetchData
+  const { success, error } = useToast();
 
   // Test function for navigation
   const handleTestNavigation = () => {
@@ -39,11 +42,37 @@ const MyCases = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  // Resolved cases the citizen has not reviewed yet, keyed by "type-id"
+  const [pendingReviews, setPendingReviews] = useState({});
+  const [reviewTarget, setReviewTarget] = useState(null);
 
   useEffect(() => {
     fetchData();
+    fetchPendingReviews();
   }, []);
 
+  const fetchPendingReviews = async () => {
+    const response = await reviewAPI.getPendingReviews();
+    if (response.success) {
+      const pending = {};
+      (response.data.pending || []).forEach((item) => {
+        pending[`${item.source}-${item.sourceId}`] = item;
+      });
+      setPendingReviews(pending);
+    }
+  };
+
+  const handleSubmitReview = async (data) => {
+    const response = await reviewAPI.createReview(data);
+    if (response.success) {
+      success(response.message || 'Thank you for your review');
+      setReviewTarget(null);
+      fetchPendingReviews();
+    } else {
+      error(response.error || 'Failed to submit review');
+    }
+  };
+
   const fetchData = async () => {
     setIsLoading(true);
     try {
@@ -346,6 +375,11 @@ const MyCases = () => {
                 index={index}
                 onViewDetails={() => navigate(`/citizen/${item.type === 'query' ? 'queries' : 'disputes'}/${item._id}`)}
                 onFindLawyer={() => navigate(`/citizen/find-lawyers?${item.type}Id=${item._id}`)}
+                onReview={
+                  pendingReviews[`${item.type}-${item._id}`]
+                    ? () => setReviewTarget(pendingReviews[`${item.type}-${item._id}`])
+                    : null
+                }
                 getStatusIcon={getStatusIcon}
                 getStatusColor={getStatusColor}
                 getPriorityColor={getPriorityColor}
@@ -355,12 +389,21 @@ const MyCases = () => {
           </div>
         )}
       </div>
+
+      {/* Review Modal */}
+      {reviewTarget && (
+        <ReviewModal
+          item={reviewTarget}
+          onClose={() => setReviewTarget(null)}
+          onSubmit={handleSubmitReview}
+        />
+      )}
     </div>
   );
 };
 
 // Case Card Component
-const CaseCard = ({ item, index, onViewDetails, onFindLawyer, getStatusIcon, getStatusColor, getPriorityColor, fetchData }) => {
+const CaseCard = ({ item, index, onViewDetails, onFindLawyer, onReview, getStatusIcon, getStatusColor, getPriorityColor, fetchData }) => {
   const navigate = useNavigate();
   const { success, error } = useToast();
 
@@ -636,9 +679,18 @@ const CaseCard = ({ item, index, onViewDetails, onFindLawyer, getStatusIcon, get
             <Eye className="h-4 w-4 mr-1.5" />
             View Details
           </button>
+          <CaseDossierButton caseType={item.type} caseId={item._id} />
 
           {/* Show different buttons based on case status */}
-          {isAssigned && hasChatRoom ? (
+          {onReview ? (
+            <button
+              onClick={onReview}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg text-white bg-yellow-500 hover:bg-yellow-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500 transition-all shadow-sm"
+            >
+              <Star className="h-4 w-4 mr-1.5" />
+              Rate Lawyer
+            </button>
+          ) : isAssigned && hasChatRoom ? (
             <button
               onClick={handleStartChat}
               className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-all shadow-sm"
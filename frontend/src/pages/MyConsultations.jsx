@@ -0,0 +1,809 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import {
+  Calendar,
+  Clock,
+  Video,
+  Phone,
+  MapPin,
+  User,
+  CheckCircle,
+  XCircle,
+  ExternalLink,
+  Download,
+  Rss,
+  Copy,
+  RefreshCw,
+  CalendarClock,
+  Ban,
+  Star,
+  ClipboardCheck,
+  CornerDownRight,
+  CreditCard,
+  Wallet,
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { useSocket } from '../hooks/useSocket';
+import { consultationAPI, calendarAPI, reviewAPI, paymentAPI } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import RescheduleConsultationModal from '../components/RescheduleConsultationModal';
+import ReviewModal from '../components/ReviewModal';
+import CompleteConsultationModal from '../components/CompleteConsultationModal';
+import PaymentModal from '../components/PaymentModal';
+import StarRating from '../components/StarRating';
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const UPDATE_MESSAGES = {
+  confirmed: 'confirmed',
+  declined: 'declined',
+  cancelled: 'cancelled',
+  reschedule_proposed: 'proposed a new time for',
+  reschedule_countered: 'suggested another time for',
+  rescheduled: 'accepted the new time for',
+  reschedule_declined: 'declined the new time for',
+  reschedule_withdrawn: 'withdrew the new time for',
+  completed: 'completed',
+  completed_with_follow_up: 'completed and proposed a follow-up to',
+  follow_up_accepted: 'confirmed the follow-up for',
+  follow_up_declined: 'declined the follow-up for',
+};
+
+const MyConsultations = () => {
+  const { user } = useAuth();
+  const { success, error, info } = useToast();
+  const { socket } = useSocket();
+
+  const [consultations, setConsultations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('upcoming');
+  const [feedUrl, setFeedUrl] = useState('');
+  const [showFeed, setShowFeed] = useState(false);
+  const [rescheduleTarget, setRescheduleTarget] = useState(null);
+  // Past consultations the citizen has not reviewed yet, keyed by id
+  const [pendingReviews, setPendingReviews] = useState({});
+  const [reviewTarget, setReviewTarget] = useState(null);
+  const [completeTarget, setCompleteTarget] = useState(null);
+  const [paymentTarget, setPaymentTarget] = useState(null);
+
+  useEffect(() => {
+    fetchConsultations();
+    if (activeTab === 'past' && user?.role === 'citizen') {
+      fetchPendingReviews();
+    }
+  }, [activeTab]);
+
+  // Refresh when the other participant changes a consultation
+  useEffect(() => {
+    if (socket) {
+      const handleConsultationUpdated = (data) => {
+        if (data.updatedBy?._id !== (user?._id || user?.id)) {
+          const action = UPDATE_MESSAGES[data.action] || 'updated';
+          info(`${data.updatedBy?.name} ${action} a consultation`);
+        }
+        fetchConsultations();
+      };
+
+      socket.on('consultation_updated', handleConsultationUpdated);
+      return () => {
+        socket.off('consultation_updated', handleConsultationUpdated);
+      };
+    }
+  }, [socket, activeTab]);
+
+  const fetchConsultations = async () => {
+    setIsLoading(true);
+    try {
+      const response = await consultationAPI.getMyConsultations({
+        timeframe: activeTab,
+        limit: 50,
+      });
+      if (response.success) {
+        setConsultations(response.data.consultations || []);
+      } else {
+        error('Failed to load consultations');
+      }
+    } catch (err) {
+      console.error('Fetch consultations error:', err);
+      error('Failed to load consultations');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchPendingReviews = async () => {
+    const response = await reviewAPI.getPendingReviews();
+    if (response.success) {
+      const pending = {};
+      (response.data.pending || [])
+        .filter((item) => item.source === 'consultation')
+        .forEach((item) => {
+          pending[item.sourceId] = item;
+        });
+      setPendingReviews(pending);
+    }
+  };
+
+  const handleSubmitReview = async (data) => {
+    const response = await reviewAPI.createReview(data);
+    if (response.success) {
+      success(response.message || 'Thank you for your review');
+      setReviewTarget(null);
+      fetchConsultations();
+      fetchPendingReviews();
+    } else {
+      error(response.error || 'Failed to submit review');
+    }
+  };
+
+  const handleConfirm = async (consultationId) => {
+    const response = await consultationAPI.confirmConsultation(consultationId);
+    if (response.success) {
+      success('Consultation confirmed');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to confirm consultation');
+    }
+  };
+
+  const handleDecline = async (consultationId) => {
+    const reason = window.prompt('Reason for declining (optional)');
+    if (reason === null) return;
+
+    const response = await consultationAPI.declineConsultation(consultationId, { reason });
+    if (response.success) {
+      success('Consultation declined');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to decline consultation');
+    }
+  };
+
+  const handleCancel = async (consultationId) => {
+    const reason = window.prompt('Reason for cancelling (optional)');
+    if (reason === null) return;
+
+    const response = await consultationAPI.cancelConsultation(consultationId, { reason });
+    if (response.success) {
+      success('Consultation cancelled');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to cancel consultation');
+    }
+  };
+
+  const handleProposeReschedule = async (data) => {
+    const response = await consultationAPI.proposeReschedule(
+      rescheduleTarget.consultation._id,
+      data
+    );
+    if (response.success) {
+      success(response.message || 'Reschedule proposal sent');
+      setRescheduleTarget(null);
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to propose a new time');
+    }
+  };
+
+  const handleAcceptReschedule = async (consultationId) => {
+    const response = await consultationAPI.acceptReschedule(consultationId);
+    if (response.success) {
+      success('Consultation rescheduled');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to accept the new time');
+    }
+  };
+
+  const handleDeclineReschedule = async (consultationId) => {
+    const response = await consultationAPI.declineReschedule(consultationId);
+    if (response.success) {
+      success(response.message || 'Reschedule proposal declined');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to decline the new time');
+    }
+  };
+
+  const handleComplete = async (data) => {
+    const response = await consultationAPI.completeConsultation(completeTarget._id, data);
+    if (response.success) {
+      success(response.message || 'Consultation completed');
+      setCompleteTarget(null);
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to complete consultation');
+    }
+  };
+
+  const handleAcceptFollowUp = async (consultationId) => {
+    const response = await consultationAPI.acceptFollowUp(consultationId);
+    if (response.success) {
+      success('Follow-up consultation confirmed');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to confirm follow-up');
+    }
+  };
+
+  const handleDeclineFollowUp = async (consultationId) => {
+    const reason = window.prompt('Reason for declining (optional)');
+    if (reason === null) return;
+
+    const response = await consultationAPI.declineFollowUp(consultationId, { reason });
+    if (response.success) {
+      success('Follow-up declined');
+      fetchConsultations();
+    } else {
+      error(response.error || 'Failed to decline follow-up');
+    }
+  };
+
+  const handlePay = async (consultationId) => {
+    const response = await paymentAPI.createConsultationPayment(consultationId);
+    if (response.success) {
+      setPaymentTarget(response.data.payment);
+    } else {
+      error(response.error || 'Failed to start payment');
+    }
+  };
+
+  const handlePaid = () => {
+    success('Payment successful');
+    setPaymentTarget(null);
+    fetchConsultations();
+  };
+
+  const handleDownloadIcs = async (consultation) => {
+    const response = await calendarAPI.downloadConsultation(consultation._id);
+    if (!response.success) {
+      error(response.error || 'Failed to export consultation');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `consultation-${consultation._id}.ics`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleToggleFeed = async () => {
+    if (!showFeed && !feedUrl) {
+      const response = await calendarAPI.getFeed();
+      if (!response.success) {
+        error(response.error || 'Failed to load calendar feed');
+        return;
+      }
+      setFeedUrl(response.data.feedUrl);
+    }
+    setShowFeed(!showFeed);
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      success('Feed URL copied');
+    } catch (err) {
+      console.error('Copy feed URL error:', err);
+      error('Could not copy the feed URL');
+    }
+  };
+
+  const handleRegenerateFeed = async () => {
+    if (!window.confirm('Calendars subscribed to the current URL will stop updating. Continue?')) {
+      return;
+    }
+
+    const response = await calendarAPI.regenerateFeed();
+    if (response.success) {
+      setFeedUrl(response.data.feedUrl);
+      success('New feed URL generated');
+    } else {
+      error(response.error || 'Failed to regenerate feed URL');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">My Consultations</h1>
+            <p className="text-gray-600">
+              {user?.role === 'lawyer'
+                ? 'Consultation requests from your clients and your booked sessions'
+                : 'Consultations you have booked with your lawyers'}
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <Link
+              to="/payments"
+              className="border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <Wallet className="h-4 w-4" />
+              <span>Payments</span>
+            </Link>
+            <button
+              onClick={handleToggleFeed}
+              className="border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <Rss className="h-4 w-4" />
+              <span>Calendar Sync</span>
+            </button>
+          </div>
+        </div>
+
+        {/* Calendar Feed */}
+        {showFeed && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Subscribe in your calendar app</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Add this URL to Google Calendar, Outlook or Apple Calendar ("subscribe from URL") to see
+              your consultations and hearing dates. Keep it private: anyone with the link can read your schedule.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                readOnly
+                value={feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 p-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+              />
+              <button
+                onClick={handleCopyFeed}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <Copy className="h-4 w-4" />
+                <span>Copy</span>
+              </button>
+              <button
+                onClick={handleRegenerateFeed}
+                className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2"
+              >
+                <RefreshCw className="h-4 w-4" />
+                <span>Regenerate</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Tabs */}
+        <div className="flex space-x-2 mb-6">
+          {[
+            { id: 'upcoming', name: 'Upcoming' },
+            { id: 'past', name: 'Past' },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                activeTab === tab.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+              }`}
+            >
+              {tab.name}
+            </button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : consultations.length > 0 ? (
+          <div className="space-y-4">
+            {consultations.map((consultation) => (
+              <ConsultationCard
+                key={consultation._id}
+                consultation={consultation}
+                isLawyer={user?.role === 'lawyer'}
+                userId={user?._id || user?.id}
+                onConfirm={handleConfirm}
+                onDecline={handleDecline}
+                onCancel={handleCancel}
+                onReschedule={(isCounter) => setRescheduleTarget({ consultation, isCounter })}
+                onAcceptReschedule={handleAcceptReschedule}
+                onDeclineReschedule={handleDeclineReschedule}
+                onDownloadIcs={handleDownloadIcs}
+                onComplete={() => setCompleteTarget(consultation)}
+                onAcceptFollowUp={handleAcceptFollowUp}
+                onDeclineFollowUp={handleDeclineFollowUp}
+                onPay={handlePay}
+                onReview={
+                  pendingReviews[consultation._id]
+                    ? () => setReviewTarget(pendingReviews[consultation._id])
+                    : null
+                }
+              />
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <Calendar className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              No {activeTab} consultations
+            </h3>
+            <p className="text-gray-500">
+              {user?.role === 'lawyer'
+                ? 'Consultation requests from your connected clients will appear here.'
+                : 'Book a consultation from your connected lawyers page.'}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Reschedule Modal */}
+      {rescheduleTarget && (
+        <RescheduleConsultationModal
+          consultation={rescheduleTarget.consultation}
+          isCounter={rescheduleTarget.isCounter}
+          onClose={() => setRescheduleTarget(null)}
+          onSubmit={handleProposeReschedule}
+        />
+      )}
+
+      {/* Complete Modal */}
+      {completeTarget && (
+        <CompleteConsultationModal
+          consultation={completeTarget}
+          onClose={() => setCompleteTarget(null)}
+          onSubmit={handleComplete}
+        />
+      )}
+
+      {/* Payment Modal */}
+      {paymentTarget && (
+        <PaymentModal
+          payment={paymentTarget}
+          onClose={() => setPaymentTarget(null)}
+          onPaid={handlePaid}
+        />
+      )}
+
+      {/* Review Modal */}
+      {reviewTarget && (
+        <ReviewModal
+          item={reviewTarget}
+          onClose={() => setReviewTarget(null)}
+          onSubmit={handleSubmitReview}
+        />
+      )}
+    </div>
+  );
+};
+
+// Consultation Card Component
+const ConsultationCard = ({
+  consultation,
+  isLawyer,
+  userId,
+  onConfirm,
+  onDecline,
+  onCancel,
+  onReschedule,
+  onAcceptReschedule,
+  onDeclineReschedule,
+  onDownloadIcs,
+  onComplete,
+  onAcceptFollowUp,
+  onDeclineFollowUp,
+  onPay,
+  onReview,
+}) => {
+  const counterpart = isLawyer ? consultation.citizen : consultation.lawyer;
+  const scheduledAt = new Date(consultation.scheduledDateTime);
+  const timeLeft = scheduledAt - new Date();
+
+  // Mirrors Consultation.canBeCancelled / canBeRescheduled on the server
+  const isBooked = ['scheduled', 'confirmed'].includes(consultation.status);
+  const isProposedFollowUp = consultation.status === 'proposed';
+  const canCancel =
+    timeLeft >= 2 * HOUR &&
+    (isBooked ||
+      (consultation.status === 'requested' && !isLawyer) ||
+      (isProposedFollowUp && isLawyer));
+  const canReschedule = timeLeft >= 4 * HOUR && isBooked;
+  // The server accepts payment once the booking is confirmed
+  const canPay =
+    !isLawyer &&
+    consultation.fee?.amount > 0 &&
+    consultation.fee.paymentStatus === 'pending' &&
+    !['requested', 'proposed', 'cancelled'].includes(consultation.status);
+
+  // Mirrors Consultation.canBeCompleted
+  const canComplete =
+    isLawyer &&
+    (isBooked || consultation.status === 'in-progress') &&
+    timeLeft <= 0;
+  const followUp = consultation.followUp?.consultation;
+  // Mirrors Consultation.isCallWindowOpen (10 minutes early, 15 minutes overrun)
+  const isCallOpen =
+    (isBooked || consultation.status === 'in-progress') &&
+    consultation.consultationType !== 'in-person' &&
+    timeLeft <= 10 * MINUTE &&
+    -timeLeft <= (consultation.duration + 15) * MINUTE;
+  const hasExternalLink =
+    consultation.meetingDetails?.meetingLink && consultation.meetingDetails.platform !== 'in-app';
+
+  const pendingReschedule =
+    consultation.reschedule?.status === 'pending' ? consultation.reschedule : null;
+  const isOwnProposal = pendingReschedule?.requestedBy === userId;
+
+  const typeIcons = {
+    video: Video,
+    audio: Phone,
+    'in-person': MapPin,
+  };
+  const TypeIcon = typeIcons[consultation.consultationType] || Calendar;
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'requested':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'proposed':
+        return 'bg-purple-100 text-purple-800';
+      case 'confirmed':
+      case 'scheduled':
+        return 'bg-green-100 text-green-800';
+      case 'completed':
+        return 'bg-blue-100 text-blue-800';
+      case 'cancelled':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+    >
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between">
+        <div className="flex items-start space-x-4 mb-4 lg:mb-0">
+          <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
+            <TypeIcon className="h-6 w-6 text-blue-600" />
+          </div>
+          <div>
+            <div className="flex items-center space-x-2 mb-1">
+              <h3 className="text-lg font-semibold text-gray-900">{consultation.title}</h3>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(consultation.status)}`}>
+                {isProposedFollowUp ? 'follow-up proposed' : consultation.status}
+              </span>
+            </div>
+            {consultation.previousConsultation && (
+              <p className="flex items-center text-xs text-gray-500 mb-1">
+                <CornerDownRight className="h-3 w-3 mr-1" />
+                Follow-up to "{consultation.previousConsultation.title}" on{' '}
+                {new Date(consultation.previousConsultation.scheduledDateTime).toLocaleDateString()}
+              </p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm text-gray-600">
+              <div className="flex items-center">
+                <User className="h-4 w-4 mr-2" />
+                <span>{counterpart?.name}</span>
+              </div>
+              <div className="flex items-center">
+                <Calendar className="h-4 w-4 mr-2" />
+                <span>{scheduledAt.toLocaleString()}</span>
+              </div>
+              <div className="flex items-center">
+                <Clock className="h-4 w-4 mr-2" />
+                <span>{consultation.duration} minutes</span>
+              </div>
+              {consultation.fee?.amount > 0 && (
+                <div className="flex items-center">
+                  <span className="mr-2">₹</span>
+                  <span>{consultation.fee.amount} ({consultation.fee.paymentStatus})</span>
+                </div>
+              )}
+            </div>
+            {consultation.notes?.citizenNotes && (
+              <p className="text-sm text-gray-500 mt-2 italic">"{consultation.notes.citizenNotes}"</p>
+            )}
+            {consultation.notes?.summary && (
+              <div className="mt-3 p-3 bg-blue-50 rounded-lg text-sm text-gray-700">
+                <p className="font-medium text-gray-900 mb-1">Summary</p>
+                <p className="whitespace-pre-line">{consultation.notes.summary}</p>
+                {isLawyer && consultation.notes.lawyerNotes && (
+                  <p className="mt-2 text-xs text-gray-500 whitespace-pre-line">
+                    Private notes: {consultation.notes.lawyerNotes}
+                  </p>
+                )}
+              </div>
+            )}
+            {followUp && (
+              <p className="text-sm text-purple-700 mt-2">
+                Follow-up on {new Date(followUp.scheduledDateTime).toLocaleString()} (
+                {followUp.status === 'proposed' ? 'awaiting confirmation' : followUp.status})
+                {consultation.followUp.reason && ` · ${consultation.followUp.reason}`}
+              </p>
+            )}
+            {consultation.cancellation?.reason && consultation.status === 'cancelled' && (
+              <p className="text-sm text-red-600 mt-2">Reason: {consultation.cancellation.reason}</p>
+            )}
+            {consultation.reschedule?.originalDateTime && consultation.reschedule.status === 'accepted' && (
+              <p className="text-xs text-gray-500 mt-2">
+                Originally scheduled for {new Date(consultation.reschedule.originalDateTime).toLocaleString()}
+              </p>
+            )}
+            {consultation.feedback?.citizenRating && (
+              <div className="flex items-center mt-2 text-xs text-gray-500">
+                <span className="mr-2">{isLawyer ? 'Client rating:' : 'Your rating:'}</span>
+                <StarRating value={consultation.feedback.citizenRating} size="h-3 w-3" />
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex space-x-3">
+          <button
+            onClick={() => onDownloadIcs(consultation)}
+            title="Add to calendar"
+            className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-3 py-2 rounded-lg transition-colors flex items-center"
+          >
+            <Download className="h-4 w-4" />
+          </button>
+          {isCallOpen && !hasExternalLink && (
+            <Link
+              to={`/consultations/${consultation._id}/call${consultation.consultationType === 'audio' ? '?audio=1' : ''}`}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              {consultation.consultationType === 'audio' ? <Phone className="h-4 w-4" /> : <Video className="h-4 w-4" />}
+              <span>Join Call</span>
+            </Link>
+          )}
+          {hasExternalLink && consultation.status === 'confirmed' && (
+            <a
+              href={consultation.meetingDetails.meetingLink}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <ExternalLink className="h-4 w-4" />
+              <span>Join</span>
+            </a>
+          )}
+          {canPay && (
+            <button
+              onClick={() => onPay(consultation._id)}
+              className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <CreditCard className="h-4 w-4" />
+              <span>Pay</span>
+            </button>
+          )}
+          {onReview && (
+            <button
+              onClick={onReview}
+              className="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <Star className="h-4 w-4" />
+              <span>Rate</span>
+            </button>
+          )}
+          {canReschedule && !pendingReschedule && (
+            <button
+              onClick={() => onReschedule(false)}
+              className="border border-blue-600 text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <CalendarClock className="h-4 w-4" />
+              <span>Reschedule</span>
+            </button>
+          )}
+          {canCancel && (
+            <button
+              onClick={() => onCancel(consultation._id)}
+              className="border border-red-600 text-red-600 hover:bg-red-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <Ban className="h-4 w-4" />
+              <span>Cancel</span>
+            </button>
+          )}
+          {canComplete && (
+            <button
+              onClick={onComplete}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <ClipboardCheck className="h-4 w-4" />
+              <span>Complete</span>
+            </button>
+          )}
+          {!isLawyer && isProposedFollowUp && (
+            <>
+              <button
+                onClick={() => onAcceptFollowUp(consultation._id)}
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+              >
+                <CheckCircle className="h-4 w-4" />
+                <span>Confirm</span>
+              </button>
+              <button
+                onClick={() => onDeclineFollowUp(consultation._id)}
+                className="border border-red-600 text-red-600 hover:bg-red-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+              >
+                <XCircle className="h-4 w-4" />
+                <span>Decline</span>
+              </button>
+            </>
+          )}
+          {isLawyer && consultation.status === 'requested' && (
+            <>
+              <button
+                onClick={() => onConfirm(consultation._id)}
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+              >
+                <CheckCircle className="h-4 w-4" />
+                <span>Confirm</span>
+              </button>
+              <button
+                onClick={() => onDecline(consultation._id)}
+                className="border border-red-600 text-red-600 hover:bg-red-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+              >
+                <XCircle className="h-4 w-4" />
+                <span>Decline</span>
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Pending Reschedule Proposal */}
+      {pendingReschedule && (
+        <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div className="text-sm text-yellow-900">
+            <p className="font-medium">
+              {isOwnProposal ? 'You proposed' : `${counterpart?.name} proposed`} moving this to{' '}
+              {new Date(pendingReschedule.proposedDateTime).toLocaleString()} ({pendingReschedule.proposedDuration} minutes)
+            </p>
+            {pendingReschedule.reason && <p className="mt-1 italic">"{pendingReschedule.reason}"</p>}
+            {isOwnProposal && <p className="mt-1">Waiting for a response.</p>}
+          </div>
+          <div className="flex space-x-2">
+            {isOwnProposal ? (
+              <button
+                onClick={() => onDeclineReschedule(consultation._id)}
+                className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                Withdraw
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => onAcceptReschedule(consultation._id)}
+                  className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+                >
+                  Accept
+                </button>
+                {canReschedule && (
+                  <button
+                    onClick={() => onReschedule(true)}
+                    className="border border-blue-600 text-blue-600 hover:bg-blue-50 px-3 py-2 rounded-lg text-sm transition-colors"
+                  >
+                    Suggest Another Time
+                  </button>
+                )}
+                <button
+                  onClick={() => onDeclineReschedule(consultation._id)}
+                  className="border border-red-600 text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm transition-colors"
+                >
+                  Decline
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default MyConsultations;
@@ -12,26 +12,58 @@ import {
   User,
   Calendar,
   Eye,
-  DollarSign
+  DollarSign,
+  Star
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
+import { useSocket } from '../hooks/useSocket';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import NextHearing from '../components/NextHearing';
+import ConsultationChain from '../components/ConsultationChain';
+import CaseDocuments from '../components/CaseDocuments';
+import ReviewModal from '../components/ReviewModal';
+import { reviewAPI } from '../services/api';
 
 const MyDisputes = () => {
   const navigate = useNavigate();
   const { user, getToken } = useAuth();
   const { success, error } = useToast();
+  const { socket } = useSocket();
   
   const [disputes, setDisputes] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  // Resolved disputes the citizen has not reviewed yet, keyed by id
+  const [pendingReviews, setPendingReviews] = useState({});
+  const [reviewTarget, setReviewTarget] = useState(null);
 
   useEffect(() => {
     fetchDisputes();
+    fetchPendingReviews();
   }, []);
 
+  // Hearing changes made by the lawyer are pushed over the socket
+  useEffect(() => {
+    if (socket) {
+      const handleHearingUpdated = (data) => {
+        setDisputes((prev) =>
+          prev.map((dispute) =>
+            dispute._id === data.disputeId
+              ? { ...dispute, nextHearing: data.nextHearing }
+              : dispute
+          )
+        );
+      };
+
+      socket.on('hearing_updated', handleHearingUpdated);
+      return () => {
+        socket.off('hearing_updated', handleHearingUpdated);
+      };
+    }
+  }, [socket]);
+
   const fetchDisputes = async () => {
     setIsLoading(true);
     try {
@@ -44,7 +76,7 @@ const MyDisputes = () => {
       const result = await response.json();
       
       if (result.success) {
-        setDisputes(result.data || []);
+        setDisputes(result.data?.disputes || []);
       } else {
         error('Failed to load disputes');
       }
@@ -56,6 +88,30 @@ const MyDisputes = () => {
     }
   };
 
+  const fetchPendingReviews = async () => {
+    const response = await reviewAPI.getPendingReviews();
+    if (response.success) {
+      const pending = {};
+      (response.data.pending || [])
+        .filter((item) => item.source === 'dispute')
+        .forEach((item) => {
+          pending[item.sourceId] = item;
+        });
+      setPendingReviews(pending);
+    }
+  };
+
+  const handleSubmitReview = async (data) => {
+    const response = await reviewAPI.createReview(data);
+    if (response.success) {
+      success(response.message || 'Thank you for your review');
+      setReviewTarget(null);
+      fetchPendingReviews();
+    } else {
+      error(response.error || 'Failed to submit review');
+    }
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'pending':
@@ -120,6 +176,11 @@ const MyDisputes = () => {
     return matchesSearch && matchesStatus;
   });
 
+  // Earliest upcoming hearing across all disputes
+  const upcomingHearing = disputes
+    .filter((dispute) => dispute.nextHearing)
+    .sort((a, b) => new Date(a.nextHearing.date) - new Date(b.nextHearing.date))[0];
+
   if (isLoading) {
     return <LoadingSpinner />;
   }
@@ -151,6 +212,27 @@ const MyDisputes = () => {
           </div>
         </div>
 
+        {/* Upcoming Hearing */}
+        {upcomingHearing && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6"
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-lg font-semibold text-gray-900">Upcoming Hearing</h2>
+              <button
+                onClick={() => navigate(`/citizen/disputes/${upcomingHearing._id}`)}
+                className="text-sm text-red-600 hover:text-red-700 font-medium"
+              >
+                View Dispute
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">{upcomingHearing.title}</p>
+            <NextHearing hearing={upcomingHearing.nextHearing} />
+          </motion.div>
+        )}
+
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
           <div className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0">
@@ -224,6 +306,11 @@ const MyDisputes = () => {
                 index={index}
                 onViewDetails={() => navigate(`/citizen/disputes/${dispute._id}`)}
                 onFindLawyer={() => navigate(`/citizen/find-lawyers?disputeId=${dispute._id}`)}
+                onReview={
+                  pendingReviews[dispute._id]
+                    ? () => setReviewTarget(pendingReviews[dispute._id])
+                    : null
+                }
                 getStatusIcon={getStatusIcon}
                 getStatusColor={getStatusColor}
                 getPriorityColor={getPriorityColor}
@@ -232,12 +319,21 @@ const MyDisputes = () => {
           </div>
         )}
       </div>
+
+      {/* Review Modal */}
+      {reviewTarget && (
+        <ReviewModal
+          item={reviewTarget}
+          onClose={() => setReviewTarget(null)}
+          onSubmit={handleSubmitReview}
+        />
+      )}
     </div>
   );
 };
 
 // Dispute Card Component
-const DisputeCard = ({ dispute, index, onViewDetails, onFindLawyer, getStatusIcon, getStatusColor, getPriorityColor }) => {
+const DisputeCard = ({ dispute, index, onViewDetails, onFindLawyer, onReview, getStatusIcon, getStatusColor, getPriorityColor }) => {
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -271,6 +367,14 @@ const DisputeCard = ({ dispute, index, onViewDetails, onFindLawyer, getStatusIco
         {dispute.description}
       </p>
 
+      {/* Next Hearing */}
+      <NextHearing hearing={dispute.nextHearing} />
+
+      {/* Consultations */}
+      <ConsultationChain caseType="dispute" caseId={dispute._id} />
+
+      <CaseDocuments caseType="dispute" caseId={dispute._id} />
+
       {/* Dispute Value */}
       {dispute.disputeValue && (
         <div className="flex items-center text-sm text-gray-600 mb-4">
@@ -297,6 +401,16 @@ const DisputeCard = ({ dispute, index, onViewDetails, onFindLawyer, getStatusIco
             </button>
           )}
           
+          {onReview && (
+            <button
+              onClick={onReview}
+              className="bg-yellow-500 text-white px-4 py-2 rounded-md text-sm hover:bg-yellow-600 focus:outline-none focus:ring-2 focus:ring-yellow-500 flex items-center"
+            >
+              <Star className="h-4 w-4 mr-1" />
+              Rate Lawyer
+            </button>
+          )}
+
           <button
             onClick={onViewDetails}
             className="bg-gray-100 text-gray-700 px-4 py-2 rounded-md text-sm hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 flex items-center"
@@ -17,6 +17,8 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import ConsultationChain from '../components/ConsultationChain';
+import CaseDocuments from '../components/CaseDocuments';
 
 const MyQueries = () => {
   const navigate = useNavigate();
@@ -307,6 +309,11 @@ const QueryCard = ({ query, index, onViewDetails, onFindLawyer }) => {
         {query.description}
       </p>
 
+      {/* Consultations */}
+      <ConsultationChain caseType="query" caseId={query._id} />
+
+      <CaseDocuments caseType="query" caseId={query._id} />
+
       {/* Footer */}
       <div className="flex items-center justify-between pt-4 border-t border-gray-200">
         <div className="flex items-center text-sm text-gray-500">
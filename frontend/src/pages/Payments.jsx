@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Wallet, CreditCard, Undo2, Calendar, FileText } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { useSocket } from '../hooks/useSocket';
+import { paymentAPI } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import PaymentModal from '../components/PaymentModal';
+import RefundModal from '../components/RefundModal';
+
+const STATUS_COLORS = {
+  requires_payment: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  partially_refunded: 'bg-purple-100 text-purple-800',
+  refunded: 'bg-purple-100 text-purple-800',
+};
+
+const STATUS_LABELS = {
+  requires_payment: 'due',
+  processing: 'in progress',
+  succeeded: 'paid',
+  failed: 'failed',
+  cancelled: 'cancelled',
+  partially_refunded: 'partly refunded',
+  refunded: 'refunded',
+};
+
+const formatAmount = (amount = 0) => `₹${amount.toLocaleString('en-IN')}`;
+
+const Payments = () => {
+  const { user } = useAuth();
+  const { success, error } = useToast();
+  const { socket } = useSocket();
+
+  const [payments, setPayments] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [payTarget, setPayTarget] = useState(null);
+  const [refundTarget, setRefundTarget] = useState(null);
+
+  const isCitizen = user?.role === 'citizen';
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    fetchPayments();
+  }, [filter]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchSummary();
+    }
+  }, [isAdmin]);
+
+  // Refresh when a payment is paid, requested or refunded elsewhere
+  useEffect(() => {
+    if (socket) {
+      const handlePaymentChange = () => fetchPayments();
+
+      socket.on('payment_updated', handlePaymentChange);
+      socket.on('payment_requested', handlePaymentChange);
+      return () => {
+        socket.off('payment_updated', handlePaymentChange);
+        socket.off('payment_requested', handlePaymentChange);
+      };
+    }
+  }, [socket, filter]);
+
+  const fetchPayments = async () => {
+    try {
+      const response = await paymentAPI.getMyPayments({
+        limit: 50,
+        ...(filter !== 'all' && { status: filter }),
+      });
+      if (response.success) {
+        setPayments(response.data.payments || []);
+      } else {
+        error(response.error || 'Failed to load payments');
+      }
+    } catch (err) {
+      console.error('Fetch payments error:', err);
+      error('Failed to load payments');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchSummary = async () => {
+    const response = await paymentAPI.getLedger({ limit: 1 });
+    if (response.success) {
+      setSummary(response.data.summary);
+    }
+  };
+
+  const handlePaid = () => {
+    success('Payment successful');
+    setPayTarget(null);
+    fetchPayments();
+  };
+
+  const handleRefund = async (data) => {
+    const response = await paymentAPI.refundPayment(refundTarget._id, data);
+    if (response.success) {
+      success(response.message || 'Refund issued');
+      setRefundTarget(null);
+      fetchPayments();
+      if (isAdmin) fetchSummary();
+    } else {
+      error(response.error || 'Failed to refund payment');
+    }
+  };
+
+  const tabs = [
+    { id: 'all', name: 'All' },
+    { id: isCitizen ? 'requires_payment' : 'succeeded', name: isCitizen ? 'Due' : 'Paid' },
+    { id: 'refunded', name: 'Refunded' },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-green-500 to-teal-600 p-4 rounded-2xl mr-6 shadow-lg">
+            <Wallet className="h-8 w-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Payments</h1>
+            <p className="text-gray-600 mt-1">
+              {isCitizen
+                ? 'Consultation and case fees you owe or have paid'
+                : isAdmin
+                  ? 'All payments on the platform'
+                  : 'Fees your clients have paid or owe you'}
+            </p>
+          </div>
+        </div>
+
+        {/* Revenue summary (admin) */}
+        {summary && (
+          <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 mb-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Total Revenue', value: formatAmount(summary.totalRevenue) },
+              { label: 'This Month', value: formatAmount(summary.monthlyRevenue) },
+              { label: 'Growth', value: `${summary.growthRate}%` },
+              { label: 'Refunded', value: formatAmount(summary.refundedAmount) },
+            ].map((item) => (
+              <div key={item.label}>
+                <p className="text-xs text-gray-500">{item.label}</p>
+                <p className="text-xl font-semibold text-gray-900">{item.value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Filter */}
+        <div className="flex space-x-2 mb-6">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setFilter(tab.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                filter === tab.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+              }`}
+            >
+              {tab.name}
+            </button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : payments.length === 0 ? (
+          <div className="text-center py-12">
+            <Wallet className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No payments</h3>
+            <p className="text-gray-500">
+              {isCitizen
+                ? 'Fees for your consultations and cases will appear here.'
+                : 'Payments from your clients will appear here.'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {payments.map((payment, index) => {
+              const canPay = isCitizen && ['requires_payment', 'processing', 'failed'].includes(payment.status);
+              const canRefund = !isCitizen && ['succeeded', 'partially_refunded'].includes(payment.status);
+              const counterpart = isCitizen ? payment.payee : payment.payer;
+
+              return (
+                <motion.div
+                  key={payment._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  className="bg-white rounded-xl p-6 shadow-sm border border-gray-100"
+                >
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2 mb-1">
+                        {payment.purpose === 'consultation' ? (
+                          <Calendar className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                        ) : (
+                          <FileText className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                        )}
+                        <h3 className="font-semibold text-gray-900 truncate">{payment.description}</h3>
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        {isAdmin
+                          ? `${payment.payer?.name} → ${payment.payee?.name}`
+                          : `${isCitizen ? 'To' : 'From'} ${counterpart?.name}`}
+                        {' · '}
+                        {new Date(payment.paidAt || payment.createdAt).toLocaleDateString()}
+                      </p>
+                      {payment.status === 'failed' && payment.failureReason && (
+                        <p className="text-sm text-red-600 mt-1">{payment.failureReason}</p>
+                      )}
+                      {payment.refunds?.filter((refund) => refund.status === 'succeeded').map((refund) => (
+                        <p key={refund._id} className="text-xs text-purple-700 mt-1">
+                          Refunded {formatAmount(refund.amount)}
+                          {refund.reason && `: ${refund.reason}`}
+                        </p>
+                      ))}
+                    </div>
+
+                    <div className="flex items-center space-x-3 flex-shrink-0">
+                      <div className="text-right">
+                        <p className="text-lg font-semibold text-gray-900">{formatAmount(payment.amount)}</p>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[payment.status]}`}>
+                          {STATUS_LABELS[payment.status]}
+                        </span>
+                      </div>
+                      {canPay && (
+                        <button
+                          onClick={() => setPayTarget(payment)}
+                          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+                        >
+                          <CreditCard className="h-4 w-4" />
+                          <span>Pay</span>
+                        </button>
+                      )}
+                      {canRefund && (
+                        <button
+                          onClick={() => setRefundTarget(payment)}
+                          className="border border-red-600 text-red-600 hover:bg-red-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+                        >
+                          <Undo2 className="h-4 w-4" />
+                          <span>Refund</span>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </motion.div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Payment Modal */}
+      {payTarget && (
+        <PaymentModal
+          payment={payTarget}
+          onClose={() => {
+            setPayTarget(null);
+            fetchPayments();
+          }}
+          onPaid={handlePaid}
+        />
+      )}
+
+      {/* Refund Modal */}
+      {refundTarget && (
+        <RefundModal
+          payment={refundTarget}
+          onClose={() => setRefundTarget(null)}
+          onSubmit={handleRefund}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Payments;
@@ -1,12 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { User, Mail, Phone, MapPin, Edit3, Save, X, Camera, Shield, Award, Lock, Eye, EyeOff, Clock, RefreshCw } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { User, Mail, Phone, MapPin, Edit3, Save, X, Camera, Shield, Award, Lock, Eye, EyeOff, Clock, RefreshCw, FileCheck, ShieldCheck, MonitorSmartphone, History } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 import { authAPI } from '../services/api';
+import VerificationDocuments from '../components/VerificationDocuments';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
+import LoginHistory from '../components/LoginHistory';
 
 const ProfilePage = () => {
-  const { user, updateProfile, refreshUser } = useAuth();
+  const navigate = useNavigate();
+  const { user, updateProfile, refreshUser, logout } = useAuth();
   const { success, error } = useToast();
   const [isEditing, setIsEditing] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -210,13 +216,10 @@ const ProfilePage = () => {
       );
 
       if (response.success) {
-        success('Password updated successfully');
-        setPasswordData({
-          currentPassword: '',
-          newPassword: '',
-          confirmPassword: ''
-        });
-        setShowPasswordSection(false);
+        // Changing the password logs out every session, including this one
+        await logout({ sessionEnded: true });
+        success('Password updated successfully. Please log in again.');
+        navigate('/login');
       }
     } catch (err) {
       error(err.message || 'Failed to update password');
@@ -496,6 +499,24 @@ const ProfilePage = () => {
           </motion.div>
         </div>
 
+        {/* Verification Documents */}
+        {user.role === 'lawyer' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.25 }}
+            className="mt-8"
+          >
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+              <h2 className="text-xl font-semibold text-white flex items-center mb-6">
+                <FileCheck className="h-5 w-5 mr-2" />
+                Verification Documents
+              </h2>
+              <VerificationDocuments onChange={refreshUser} />
+            </div>
+          </motion.div>
+        )}
+
         {/* Password Change Section */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -615,6 +636,53 @@ const ProfilePage = () => {
             )}
           </div>
         </motion.div>
+        {/* Two-Factor Authentication */}
+        {(user.role === 'lawyer' || user.role === 'admin') && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.35 }}
+            className="mt-8"
+          >
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+              <h2 className="text-xl font-semibold text-white flex items-center mb-6">
+                <ShieldCheck className="h-5 w-5 mr-2" />
+                Two-Factor Authentication
+              </h2>
+              <TwoFactorSettings />
+            </div>
+          </motion.div>
+        )}
+        {/* Active Sessions */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.4 }}
+          className="mt-8"
+        >
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+            <h2 className="text-xl font-semibold text-white flex items-center mb-6">
+              <MonitorSmartphone className="h-5 w-5 mr-2" />
+              Active Sessions
+            </h2>
+            <ActiveSessions />
+          </div>
+        </motion.div>
+        {/* Recent Sign-ins */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.45 }}
+          className="mt-8"
+        >
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+            <h2 className="text-xl font-semibold text-white flex items-center mb-6">
+              <History className="h-5 w-5 mr-2" />
+              Recent Sign-ins
+            </h2>
+            <LoginHistory />
+          </div>
+        </motion.div>
       </div>
     </div>
   );
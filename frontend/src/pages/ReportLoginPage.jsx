@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ShieldAlert, ShieldCheck, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+
+// Landing page for the "This wasn't me" link in a new-device sign-in alert
+const ReportLoginPage = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, logout } = useAuth();
+  const [status, setStatus] = useState('reporting');
+  const [message, setMessage] = useState('');
+  // Tokens are single-use, so only submit once (effects run twice in StrictMode)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setStatus('error');
+      setMessage('This link is incomplete. Please use the link from your email.');
+      return;
+    }
+
+    authAPI.reportLogin(token).then((response) => {
+      if (response.success) {
+        setStatus('reported');
+        // This browser's session was ended too
+        if (isAuthenticated) logout({ sessionEnded: true });
+      } else {
+        setStatus('error');
+        setMessage(response.error || 'Invalid or expired link');
+      }
+    });
+  }, [searchParams, isAuthenticated, logout]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-blue-950/80 relative overflow-hidden flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.7 }}
+        className="w-full max-w-md bg-white/10 backdrop-blur-2xl border border-white/20 shadow-2xl rounded-3xl p-10 space-y-6 relative z-10 mx-auto text-center"
+      >
+        {status === 'reporting' && (
+          <>
+            <Loader2 className="h-12 w-12 text-blue-300 animate-spin mx-auto" />
+            <h2 className="text-2xl font-bold text-white">Signing your account out...</h2>
+          </>
+        )}
+
+        {status === 'reported' && (
+          <>
+            <ShieldCheck className="h-12 w-12 text-green-400 mx-auto" />
+            <h2 className="text-2xl font-bold text-white">Signed out everywhere</h2>
+            <p className="text-blue-200">
+              Every session on your account has been ended, including the one you reported. Reset your
+              password now so whoever signed in can't do it again.
+            </p>
+            <Link
+              to="/forgot-password"
+              className="inline-block px-6 py-3 bg-gradient-to-r from-blue-600 to-cyan-600 hover:from-blue-700 hover:to-cyan-700 text-white font-semibold rounded-lg transition-all duration-200 shadow-lg"
+            >
+              Reset password
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <ShieldAlert className="h-12 w-12 text-red-400 mx-auto" />
+            <h2 className="text-2xl font-bold text-white">Link not valid</h2>
+            <p className="text-red-300">{message}</p>
+            <p className="text-sm text-blue-200">
+              The link works once and expires after 7 days. You can still log out every session from your
+              profile, or reset your password.
+            </p>
+            <Link
+              to="/forgot-password"
+              className="inline-block px-6 py-3 bg-white/10 border border-white/20 hover:bg-white/20 text-white font-semibold rounded-lg transition-all duration-200"
+            >
+              Reset password
+            </Link>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default ReportLoginPage;
@@ -1,7 +1,14 @@
 import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Box, Container, Typography, TextField, Button, CircularProgress } from '@mui/material';
+import { useToast } from '../contexts/ToastContext';
+import { authAPI } from '../services/api';
 
 function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { success } = useToast();
+  const token = searchParams.get('token');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -17,17 +24,26 @@ function ResetPasswordPage() {
 
   const handleSubmit = async (event) => {
     event.preventDefault();
+    if (!token) {
+      setError('This reset link is invalid. Please request a new one.');
+      return;
+    }
     if (password !== confirmPassword) {
       setError('Passwords do not match.');
       return;
     }
     setLoading(true);
-    // Simulate API call
-    setTimeout(() => {
-      setLoading(false);
-      alert('Password has been reset successfully!');
-      // Redirect to login page or dashboard
-    }, 2000);
+    setError('');
+    const response = await authAPI.resetPassword(token, password, confirmPassword);
+    setLoading(false);
+
+    if (!response.success) {
+      setError(response.error || 'Failed to reset password. The link may have expired.');
+      return;
+    }
+
+    success('Password has been reset successfully! Please log in.');
+    navigate('/login');
   };
 
   return (
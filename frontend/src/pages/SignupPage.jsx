@@ -279,7 +279,7 @@ const SignupPage = () => {
         // Auto-login after successful registration
         await login(response.data.tokens.accessToken, response.data.user);
 
-        success('Registration successful! Welcome to CV-PVT.');
+        success(`Registration successful! We've sent a verification link to ${response.data.user.email}.`);
 
         // Redirect based on role and profile completion
         const userRole = response.data.user.role;
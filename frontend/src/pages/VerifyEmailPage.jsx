@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { MailCheck, MailX, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+
+// Landing page for the link in the verification email
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, user, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // Tokens are single-use, so only submit once (effects run twice in StrictMode)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setStatus('error');
+      setMessage('This verification link is incomplete. Please use the link from your email.');
+      return;
+    }
+
+    authAPI.verifyEmail(token).then((response) => {
+      if (response.success) {
+        setStatus('verified');
+        setMessage(response.message || 'Email address verified successfully');
+        if (isAuthenticated) refreshUser();
+      } else if (user?.isEmailVerified) {
+        // The link was already used
+        setStatus('verified');
+        setMessage('Your email address is already verified');
+      } else {
+        setStatus('error');
+        setMessage(response.error || 'Invalid or expired verification link');
+      }
+    });
+  }, [searchParams, isAuthenticated, user, refreshUser]);
+
+  const dashboardPath = user ? `/${user.role}/dashboard` : '/login';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-blue-950/80 relative overflow-hidden flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.7 }}
+        className="w-full max-w-md bg-white/10 backdrop-blur-2xl border border-white/20 shadow-2xl rounded-3xl p-10 space-y-6 relative z-10 mx-auto text-center"
+      >
+        {status === 'verifying' && (
+          <>
+            <Loader2 className="h-12 w-12 text-blue-300 animate-spin mx-auto" />
+            <h2 className="text-2xl font-bold text-white">Verifying your email...</h2>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <MailCheck className="h-12 w-12 text-green-400 mx-auto" />
+            <h2 className="text-2xl font-bold text-white">Email verified</h2>
+            <p className="text-blue-200">{message}. You can now file cases and connect with lawyers.</p>
+            <Link
+              to={isAuthenticated ? dashboardPath : '/login'}
+              className="inline-block px-6 py-3 bg-gradient-to-r from-blue-600 to-cyan-600 hover:from-blue-700 hover:to-cyan-700 text-white font-semibold rounded-lg transition-all duration-200 shadow-lg"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Log in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <MailX className="h-12 w-12 text-red-400 mx-auto" />
+            <h2 className="text-2xl font-bold text-white">Verification failed</h2>
+            <p className="text-red-300">{message}</p>
+            <p className="text-sm text-blue-200">
+              {isAuthenticated
+                ? 'You can request a new link from the reminder at the bottom of the page.'
+                : 'Log in to request a new verification link.'}
+            </p>
+            <Link
+              to={isAuthenticated ? dashboardPath : '/login'}
+              className="inline-block px-6 py-3 bg-white/10 border border-white/20 hover:bg-white/20 text-white font-semibold rounded-lg transition-all duration-200"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Log in'}
+            </Link>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
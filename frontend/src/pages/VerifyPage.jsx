@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ShieldCheck, ShieldX, Upload, Search, Link2, Hash } from 'lucide-react';
+import { verifyAPI } from '../services/api';
+
+const CHECKSUM_PATTERN = /^[a-fA-F0-9]{64}$/;
+
+// The file never leaves the browser; only its SHA-256 is sent
+const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+const CHECK_LABELS = {
+  payloadIntact: 'Recorded data matches its hash',
+  hashValid: 'Entry hash is correct',
+  linkedToPrevious: 'Linked to the previous entry',
+  linkedToNext: 'Next entry links back to it',
+  merkleProofValid: 'Included in a sealed Merkle root',
+};
+
+const RECORD_STATUS_LABELS = {
+  intact: 'The case record still matches what was recorded',
+  altered: 'The case record has been changed since it was recorded',
+  missing: 'The case record has since been removed',
+};
+
+// Outcome of one ledger entry check
+const VerificationResult = ({ result }) => {
+  const { entry, checks, seal, verified } = result;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`bg-white rounded-xl p-6 shadow-sm border ${verified ? 'border-green-200' : 'border-red-200'}`}
+    >
+      <div className="flex items-center mb-4">
+        {verified ? (
+          <ShieldCheck className="h-6 w-6 text-green-600 mr-2" />
+        ) : (
+          <ShieldX className="h-6 w-6 text-red-600 mr-2" />
+        )}
+        <h3 className={`text-lg font-semibold ${verified ? 'text-green-800' : 'text-red-800'}`}>
+          {verified ? 'Verified' : 'Verification failed'}
+        </h3>
+      </div>
+
+      <p className="text-gray-700 mb-4">
+        {entry.entryType === 'document_version'
+          ? `Version ${entry.version} of a ${entry.caseType} document`
+          : `A ${entry.caseType} timeline event`}{' '}
+        was recorded on <span className="font-medium">{new Date(entry.recordedAt).toLocaleString()}</span>{' '}
+        as ledger entry #{entry.sequence}.
+      </p>
+
+      <ul className="space-y-1 text-sm mb-4">
+        {Object.entries(CHECK_LABELS).map(([key, label]) =>
+          checks[key] === null ? null : (
+            <li key={key} className={checks[key] ? 'text-green-700' : 'text-red-700'}>
+              {checks[key] ? '✓' : '✗'} {label}
+            </li>
+          )
+        )}
+        {!checks.sealed && <li className="text-gray-500">… Waiting to be sealed into the next Merkle root</li>}
+        <li className={checks.recordStatus === 'intact' ? 'text-green-700' : 'text-yellow-700'}>
+          {checks.recordStatus === 'intact' ? '✓' : '!'} {RECORD_STATUS_LABELS[checks.recordStatus]}
+        </li>
+      </ul>
+
+      <dl className="text-xs text-gray-500 space-y-1 font-mono break-all">
+        <div><dt className="inline font-sans font-medium">Entry ID: </dt><dd className="inline">{entry._id}</dd></div>
+        <div><dt className="inline font-sans font-medium">Entry hash: </dt><dd className="inline">{entry.hash}</dd></div>
+        <div><dt className="inline font-sans font-medium">Previous hash: </dt><dd className="inline">{entry.previousHash}</dd></div>
+        {seal && (
+          <div>
+            <dt className="inline font-sans font-medium">Merkle root (seal #{seal.sealNumber}, {new Date(seal.sealedAt).toLocaleString()}): </dt>
+            <dd className="inline">{seal.merkleRoot}</dd>
+          </div>
+        )}
+      </dl>
+    </motion.div>
+  );
+};
+
+// Public page to check that a document or case event was recorded on the ledger
+const VerifyPage = () => {
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    verifyAPI.getStatus().then((response) => {
+      if (response.success) setStatus(response.data);
+    });
+  }, []);
+
+  const runCheck = async (value) => {
+    const query = value.trim();
+    if (!query) return;
+
+    setIsChecking(true);
+    setResults(null);
+    setMessage('');
+
+    const response = CHECKSUM_PATTERN.test(query)
+      ? await verifyAPI.verifyDocument(query.toLowerCase())
+      : await verifyAPI.verifyEntry(query);
+
+    if (response.success) {
+      setResults(response.data.records || [response.data]);
+    } else {
+      setMessage(response.error || 'Nothing matching was found on the ledger');
+    }
+    setIsChecking(false);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const checksum = await hashFile(file);
+    setInput(checksum);
+    runCheck(checksum);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-blue-500 to-indigo-600 p-4 rounded-2xl mr-6 shadow-lg">
+            <ShieldCheck className="h-8 w-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Verify a Record</h1>
+            <p className="text-gray-600 mt-1">
+              Check that a case document or timeline event was recorded on the ChainVerdict ledger and has not been altered.
+            </p>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 mb-6">
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 cursor-pointer hover:border-blue-400 transition-colors">
+            <Upload className="h-8 w-8 text-gray-400 mb-2" />
+            <span className="text-gray-700 font-medium">Choose a document to check</span>
+            <span className="text-sm text-gray-500">It is hashed in your browser and never uploaded</span>
+            <input type="file" className="hidden" onChange={handleFile} />
+          </label>
+
+          <div className="flex items-center my-4 text-sm text-gray-400">
+            <div className="flex-1 border-t border-gray-200"></div>
+            <span className="px-3">or enter a SHA-256 checksum or ledger entry ID</span>
+            <div className="flex-1 border-t border-gray-200"></div>
+          </div>
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              runCheck(input);
+            }}
+            className="flex space-x-2"
+          >
+            <div className="relative flex-1">
+              <Hash className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="e3b0c44298fc1c149afbf4c8996fb924..."
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isChecking || !input.trim()}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg flex items-center"
+            >
+              <Search className="h-4 w-4 mr-2" />
+              {isChecking ? 'Checking...' : 'Verify'}
+            </button>
+          </form>
+        </div>
+
+        {message && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-xl p-4 mb-6">{message}</div>
+        )}
+
+        {results && (
+          <div className="space-y-4 mb-6">
+            {results.map((result) => (
+              <VerificationResult key={result.entry._id} result={result} />
+            ))}
+          </div>
+        )}
+
+        {status?.latestSeal && (
+          <div className="flex items-start text-xs text-gray-500">
+            <Link2 className="h-4 w-4 mr-2 flex-shrink-0" />
+            <p className="break-all">
+              Latest seal #{status.latestSeal.sealNumber} covers entries up to #{status.latestSeal.toSequence} ·
+              root <span className="font-mono">{status.latestSeal.merkleRoot}</span> ·{' '}
+              {new Date(status.latestSeal.sealedAt).toLocaleString()}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyPage;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { FolderLock } from 'lucide-react';
+import DocumentManager from '../../components/common/DocumentManager';
+
+const DocumentVault = () => {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-blue-500 to-indigo-600 p-4 rounded-2xl mr-6 shadow-lg">
+            <FolderLock className="h-8 w-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Document Vault</h1>
+            <p className="text-gray-600 mt-1">
+              Keep your legal documents in one place and choose which lawyers can open them.
+            </p>
+          </div>
+        </div>
+
+        <DocumentManager />
+      </div>
+    </div>
+  );
+};
+
+export default DocumentVault;
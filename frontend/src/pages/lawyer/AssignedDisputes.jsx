@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import {
+  Scale,
+  Gavel,
+  Plus,
+  Search,
+  User,
+  MessageCircle,
+  CheckCircle,
+  XCircle,
+  CalendarClock,
+  ChevronDown,
+  ChevronUp,
+  Receipt,
+} from 'lucide-react';
+import { useToast } from '../../contexts/ToastContext';
+import { lawyerAPI, paymentAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import NextHearing from '../../components/NextHearing';
+import CaseDossierButton from '../../components/CaseDossierButton';
+import ConsultationChain from '../../components/ConsultationChain';
+import CaseDocuments from '../../components/CaseDocuments';
+import HearingFormModal from '../../components/HearingFormModal';
+import RequestFeeModal from '../../components/RequestFeeModal';
+
+const HEARING_STATUS_COLORS = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  postponed: 'bg-yellow-100 text-yellow-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+};
+
+const AssignedDisputes = () => {
+  const [disputes, setDisputes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  // { dispute, hearing } - hearing is set when postponing
+  const [hearingModal, setHearingModal] = useState(null);
+  const [feeTarget, setFeeTarget] = useState(null);
+  const { success, error } = useToast();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchDisputes();
+  }, []);
+
+  const fetchDisputes = async () => {
+    try {
+      const response = await lawyerAPI.getMyAssignedCases({ caseType: 'dispute', limit: 100 });
+      if (response.success) {
+        setDisputes(response.data?.cases || []);
+      } else {
+        error(response.error || 'Failed to load assigned disputes');
+      }
+    } catch (err) {
+      console.error('Fetch assigned disputes error:', err);
+      error('Failed to load assigned disputes');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleHearingSubmit = async (data) => {
+    const { dispute, hearing } = hearingModal;
+    const response = hearing
+      ? await lawyerAPI.postponeHearing(dispute._id, hearing._id, data)
+      : await lawyerAPI.addHearing(dispute._id, data);
+
+    if (response.success) {
+      success(response.message || 'Hearing saved');
+      setHearingModal(null);
+      fetchDisputes();
+    } else {
+      error(response.error || 'Failed to save hearing');
+    }
+  };
+
+  const handleCompleteHearing = async (dispute, hearing) => {
+    const outcome = window.prompt('Outcome of the hearing (optional)');
+    if (outcome === null) return;
+
+    const response = await lawyerAPI.completeHearing(dispute._id, hearing._id, {
+      outcome: outcome.trim() || undefined,
+    });
+    if (response.success) {
+      success('Hearing marked as completed');
+      fetchDisputes();
+    } else {
+      error(response.error || 'Failed to complete hearing');
+    }
+  };
+
+  const handleCancelHearing = async (dispute, hearing) => {
+    const reason = window.prompt('Reason for cancelling (optional)');
+    if (reason === null) return;
+
+    const response = await lawyerAPI.cancelHearing(dispute._id, hearing._id, {
+      reason: reason.trim() || undefined,
+    });
+    if (response.success) {
+      success('Hearing cancelled');
+      fetchDisputes();
+    } else {
+      error(response.error || 'Failed to cancel hearing');
+    }
+  };
+
+  const handleRequestFee = async (data) => {
+    const response = await paymentAPI.requestCaseFee(data);
+    if (response.success) {
+      success(response.message || 'Fee request sent');
+      setFeeTarget(null);
+    } else {
+      error(response.error || 'Failed to request fee');
+    }
+  };
+
+  const filteredDisputes = disputes.filter((dispute) =>
+    dispute.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    dispute.citizen?.name?.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  // Disputes with the soonest hearing first
+  const sortedDisputes = [...filteredDisputes].sort((a, b) => {
+    if (a.nextHearing && b.nextHearing) {
+      return new Date(a.nextHearing.date) - new Date(b.nextHearing.date);
+    }
+    return a.nextHearing ? -1 : b.nextHearing ? 1 : 0;
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center">
+            <div className="bg-gradient-to-r from-indigo-500 to-purple-600 p-4 rounded-2xl mr-6 shadow-lg">
+              <Scale className="h-8 w-8 text-white" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Assigned Disputes</h1>
+              <p className="text-gray-600 mt-1">Track hearings for the disputes you are handling</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Search */}
+        <div className="mb-6 relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+          <input
+            type="text"
+            placeholder="Search by dispute or client name..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+        </div>
+
+        {/* Disputes List */}
+        {sortedDisputes.length === 0 ? (
+          <div className="text-center py-12">
+            <Scale className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No Assigned Disputes</h3>
+            <p className="text-gray-500">
+              {searchTerm
+                ? 'No disputes match your search.'
+                : 'Disputes appear here once a client accepts your request.'}
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {sortedDisputes.map((dispute, index) => (
+              <DisputeHearingCard
+                key={dispute._id}
+                dispute={dispute}
+                index={index}
+                onSchedule={() => setHearingModal({ dispute })}
+                onPostpone={(hearing) => setHearingModal({ dispute, hearing })}
+                onComplete={(hearing) => handleCompleteHearing(dispute, hearing)}
+                onCancel={(hearing) => handleCancelHearing(dispute, hearing)}
+                onOpenChat={() => navigate(`/chat/${dispute.chatRoom.chatId}`)}
+                onRequestFee={() => setFeeTarget(dispute)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {hearingModal && (
+        <HearingFormModal
+          dispute={hearingModal.dispute}
+          hearing={hearingModal.hearing}
+          onClose={() => setHearingModal(null)}
+          onSubmit={handleHearingSubmit}
+        />
+      )}
+
+      {feeTarget && (
+        <RequestFeeModal
+          caseType="dispute"
+          caseItem={feeTarget}
+          onClose={() => setFeeTarget(null)}
+          onSubmit={handleRequestFee}
+        />
+      )}
+    </div>
+  );
+};
+
+// Dispute card with its hearing schedule
+const DisputeHearingCard = ({ dispute, index, onSchedule, onPostpone, onComplete, onCancel, onOpenChat, onRequestFee }) => {
+  const [showAll, setShowAll] = useState(false);
+  const isClosed = ['resolved', 'closed'].includes(dispute.status);
+
+  const hearings = [...(dispute.hearingDates || [])].sort(
+    (a, b) => new Date(b.date) - new Date(a.date)
+  );
+  const visibleHearings = showAll ? hearings : hearings.slice(0, 3);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: index * 0.1 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 hover:shadow-md transition-shadow"
+    >
+      {/* Header */}
+      <div className="flex items-start justify-between mb-4">
+        <div className="flex-1 min-w-0">
+          <h3 className="text-lg font-semibold text-gray-900 line-clamp-2">{dispute.title}</h3>
+          <div className="flex items-center text-sm text-gray-600 mt-1">
+            <User className="h-4 w-4 mr-1" />
+            {dispute.citizen?.name}
+            <span className="ml-3 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 capitalize">
+              {dispute.status}
+            </span>
+          </div>
+        </div>
+        <div className="flex items-center">
+          <button
+            onClick={onRequestFee}
+            className="text-indigo-600 hover:text-indigo-700 p-2"
+            title="Request fee"
+          >
+            <Receipt className="h-5 w-5" />
+          </button>
+          <CaseDossierButton caseType="dispute" caseId={dispute._id} compact />
+          {dispute.chatRoom && (
+            <button
+              onClick={onOpenChat}
+              className="text-indigo-600 hover:text-indigo-700 p-2"
+              title="Open chat"
+            >
+              <MessageCircle className="h-5 w-5" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <NextHearing hearing={dispute.nextHearing} />
+
+      <ConsultationChain caseType="dispute" caseId={dispute._id} />
+
+      <CaseDocuments caseType="dispute" caseId={dispute._id} />
+
+      {/* Hearings */}
+      <div className="border-t border-gray-100 pt-4">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-sm font-semibold text-gray-900 flex items-center">
+            <Gavel className="h-4 w-4 mr-1 text-gray-500" />
+            Hearings ({hearings.length})
+          </h4>
+          {!isClosed && (
+            <button
+              onClick={onSchedule}
+              className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 transition-colors"
+            >
+              <Plus className="h-3 w-3 mr-1" />
+              Schedule Hearing
+            </button>
+          )}
+        </div>
+
+        {hearings.length === 0 ? (
+          <p className="text-sm text-gray-500">No hearings scheduled yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {visibleHearings.map((hearing) => (
+              <li key={hearing._id} className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-gray-900">
+                    {new Date(hearing.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                    {hearing.time && ` at ${hearing.time}`}
+                    {hearing.venue && <span className="text-gray-500"> · {hearing.venue}</span>}
+                  </div>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${HEARING_STATUS_COLORS[hearing.status]}`}>
+                    {hearing.status}
+                  </span>
+                </div>
+                {hearing.purpose && <p className="text-xs text-gray-500 mt-1">{hearing.purpose}</p>}
+                {(hearing.reason || hearing.outcome) && (
+                  <p className="text-xs text-gray-600 mt-1 italic">{hearing.outcome || hearing.reason}</p>
+                )}
+                {hearing.status === 'scheduled' && (
+                  <div className="flex items-center space-x-3 mt-2">
+                    <button
+                      onClick={() => onPostpone(hearing)}
+                      className="inline-flex items-center text-xs font-medium text-yellow-700 hover:text-yellow-800"
+                    >
+                      <CalendarClock className="h-3 w-3 mr-1" />
+                      Postpone
+                    </button>
+                    <button
+                      onClick={() => onComplete(hearing)}
+                      className="inline-flex items-center text-xs font-medium text-green-700 hover:text-green-800"
+                    >
+                      <CheckCircle className="h-3 w-3 mr-1" />
+                      Complete
+                    </button>
+                    <button
+                      onClick={() => onCancel(hearing)}
+                      className="inline-flex items-center text-xs font-medium text-red-700 hover:text-red-800"
+                    >
+                      <XCircle className="h-3 w-3 mr-1" />
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {hearings.length > 3 && (
+          <button
+            onClick={() => setShowAll(!showAll)}
+            className="mt-2 inline-flex items-center text-xs font-medium text-indigo-600 hover:text-indigo-700"
+          >
+            {showAll ? <ChevronUp className="h-3 w-3 mr-1" /> : <ChevronDown className="h-3 w-3 mr-1" />}
+            {showAll ? 'Show less' : `Show all ${hearings.length} hearings`}
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default AssignedDisputes;
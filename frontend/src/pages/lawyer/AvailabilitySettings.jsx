@@ -0,0 +1,437 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  CalendarClock,
+  Plus,
+  Trash2,
+  Save,
+  Clock,
+  CalendarOff,
+  CalendarX,
+} from 'lucide-react';
+import { useToast } from '../../contexts/ToastContext';
+import { lawyerAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_SETTINGS = {
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Kolkata',
+  weeklyHours: [1, 2, 3, 4, 5].map((dayOfWeek) => ({
+    dayOfWeek,
+    startTime: '10:00',
+    endTime: '17:00',
+  })),
+  exceptions: [],
+  holidays: [],
+  slotDuration: 30,
+  bufferMinutes: 0,
+  maxConsultationsPerDay: 8,
+  isAcceptingBookings: true,
+};
+
+// Keep only the fields the API accepts (drops _id, timestamps, etc.)
+const toPayload = (settings) => ({
+  timezone: settings.timezone,
+  weeklyHours: settings.weeklyHours.map(({ dayOfWeek, startTime, endTime }) => ({
+    dayOfWeek: parseInt(dayOfWeek),
+    startTime,
+    endTime,
+  })),
+  exceptions: settings.exceptions.map(({ date, isAvailable, startTime, endTime, reason }) => ({
+    date,
+    isAvailable,
+    ...(isAvailable ? { startTime, endTime } : {}),
+    reason,
+  })),
+  holidays: settings.holidays.map(({ startDate, endDate, reason }) => ({
+    startDate,
+    endDate,
+    reason,
+  })),
+  slotDuration: parseInt(settings.slotDuration),
+  bufferMinutes: parseInt(settings.bufferMinutes),
+  maxConsultationsPerDay: parseInt(settings.maxConsultationsPerDay),
+  isAcceptingBookings: settings.isAcceptingBookings,
+});
+
+const AvailabilitySettings = () => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isConfigured, setIsConfigured] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const { success, error } = useToast();
+
+  useEffect(() => {
+    fetchAvailability();
+  }, []);
+
+  const fetchAvailability = async () => {
+    setIsLoading(true);
+    try {
+      const response = await lawyerAPI.getMyAvailability();
+      if (response.success) {
+        const { configured, availability } = response.data;
+        setIsConfigured(configured);
+        if (configured) {
+          setSettings({ ...DEFAULT_SETTINGS, ...availability });
+        }
+      } else {
+        error(response.error || 'Failed to load availability');
+      }
+    } catch (err) {
+      console.error('Fetch availability error:', err);
+      error('Failed to load availability');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await lawyerAPI.updateMyAvailability(toPayload(settings));
+      if (response.success) {
+        success('Availability saved');
+        setIsConfigured(true);
+        setSettings({ ...DEFAULT_SETTINGS, ...response.data.availability });
+      } else {
+        error(response.error || 'Failed to save availability');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateListItem = (list, index, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }));
+  };
+
+  const addListItem = (list, item) => {
+    setSettings(prev => ({ ...prev, [list]: [...prev[list], item] }));
+  };
+
+  const removeListItem = (list, index) => {
+    setSettings(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const inputClass =
+    'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center justify-between">
+          <div className="flex items-center">
+            <div className="bg-gradient-to-r from-blue-500 to-purple-600 p-4 rounded-2xl mr-6 shadow-lg">
+              <CalendarClock className="h-8 w-8 text-white" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Availability</h1>
+              <p className="text-gray-600 mt-1">
+                {isConfigured
+                  ? 'Clients can only book the open slots in your calendar'
+                  : 'Set your working hours so clients can pick an open slot'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+          >
+            <Save className="h-4 w-4" />
+            <span>{isSaving ? 'Saving...' : 'Save'}</span>
+          </button>
+        </div>
+
+        <div className="space-y-6">
+          {/* Booking Settings */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+          >
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Booking Settings</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="text-sm text-gray-700">
+                Timezone
+                <input
+                  type="text"
+                  value={settings.timezone}
+                  onChange={(e) => updateField('timezone', e.target.value)}
+                  className={`${inputClass} w-full mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Slot length (minutes)
+                <input
+                  type="number"
+                  min={15}
+                  max={180}
+                  step={15}
+                  value={settings.slotDuration}
+                  onChange={(e) => updateField('slotDuration', e.target.value)}
+                  className={`${inputClass} w-full mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Buffer between sessions (minutes)
+                <input
+                  type="number"
+                  min={0}
+                  max={120}
+                  step={5}
+                  value={settings.bufferMinutes}
+                  onChange={(e) => updateField('bufferMinutes', e.target.value)}
+                  className={`${inputClass} w-full mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Max consultations per day
+                <input
+                  type="number"
+                  min={1}
+                  max={48}
+                  value={settings.maxConsultationsPerDay}
+                  onChange={(e) => updateField('maxConsultationsPerDay', e.target.value)}
+                  className={`${inputClass} w-full mt-1`}
+                />
+              </label>
+            </div>
+            <label className="flex items-center space-x-2 mt-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.isAcceptingBookings}
+                onChange={(e) => updateField('isAcceptingBookings', e.target.checked)}
+              />
+              <span>Accept new consultation bookings</span>
+            </label>
+          </motion.div>
+
+          {/* Weekly Hours */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Clock className="h-5 w-5 mr-2 text-blue-600" />
+                Weekly Hours
+              </h2>
+              <button
+                onClick={() =>
+                  addListItem('weeklyHours', { dayOfWeek: 1, startTime: '10:00', endTime: '17:00' })
+                }
+                className="text-blue-600 hover:text-blue-700 text-sm flex items-center space-x-1"
+              >
+                <Plus className="h-4 w-4" />
+                <span>Add hours</span>
+              </button>
+            </div>
+            {settings.weeklyHours.length === 0 && (
+              <p className="text-sm text-gray-500">No weekly hours set. Clients cannot book you.</p>
+            )}
+            <div className="space-y-2">
+              {settings.weeklyHours.map((window, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <select
+                    value={window.dayOfWeek}
+                    onChange={(e) =>
+                      updateListItem('weeklyHours', index, { dayOfWeek: parseInt(e.target.value) })
+                    }
+                    className={`${inputClass} w-40`}
+                  >
+                    {DAYS.map((day, dayIndex) => (
+                      <option key={day} value={dayIndex}>
+                        {day}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="time"
+                    value={window.startTime}
+                    onChange={(e) => updateListItem('weeklyHours', index, { startTime: e.target.value })}
+                    className={inputClass}
+                  />
+                  <span className="text-gray-500">to</span>
+                  <input
+                    type="time"
+                    value={window.endTime}
+                    onChange={(e) => updateListItem('weeklyHours', index, { endTime: e.target.value })}
+                    className={inputClass}
+                  />
+                  <button
+                    onClick={() => removeListItem('weeklyHours', index)}
+                    className="text-red-500 hover:text-red-700 p-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+
+          {/* Exceptions */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <CalendarX className="h-5 w-5 mr-2 text-orange-600" />
+                Date Exceptions
+              </h2>
+              <button
+                onClick={() =>
+                  addListItem('exceptions', {
+                    date: today,
+                    isAvailable: false,
+                    startTime: '10:00',
+                    endTime: '13:00',
+                    reason: '',
+                  })
+                }
+                className="text-blue-600 hover:text-blue-700 text-sm flex items-center space-x-1"
+              >
+                <Plus className="h-4 w-4" />
+                <span>Add exception</span>
+              </button>
+            </div>
+            <p className="text-sm text-gray-500 mb-3">
+              Override your weekly hours on a specific date, either to take the day off or to work different hours.
+            </p>
+            <div className="space-y-2">
+              {settings.exceptions.map((exception, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="date"
+                    value={exception.date}
+                    onChange={(e) => updateListItem('exceptions', index, { date: e.target.value })}
+                    className={inputClass}
+                  />
+                  <select
+                    value={exception.isAvailable ? 'custom' : 'off'}
+                    onChange={(e) =>
+                      updateListItem('exceptions', index, {
+                        isAvailable: e.target.value === 'custom',
+                        startTime: exception.startTime || '10:00',
+                        endTime: exception.endTime || '13:00',
+                      })
+                    }
+                    className={inputClass}
+                  >
+                    <option value="off">Unavailable</option>
+                    <option value="custom">Custom hours</option>
+                  </select>
+                  {exception.isAvailable && (
+                    <>
+                      <input
+                        type="time"
+                        value={exception.startTime}
+                        onChange={(e) => updateListItem('exceptions', index, { startTime: e.target.value })}
+                        className={inputClass}
+                      />
+                      <span className="text-gray-500">to</span>
+                      <input
+                        type="time"
+                        value={exception.endTime}
+                        onChange={(e) => updateListItem('exceptions', index, { endTime: e.target.value })}
+                        className={inputClass}
+                      />
+                    </>
+                  )}
+                  <input
+                    type="text"
+                    value={exception.reason || ''}
+                    placeholder="Reason (optional)"
+                    onChange={(e) => updateListItem('exceptions', index, { reason: e.target.value })}
+                    className={`${inputClass} flex-1 min-w-[8rem]`}
+                  />
+                  <button
+                    onClick={() => removeListItem('exceptions', index)}
+                    className="text-red-500 hover:text-red-700 p-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+
+          {/* Holidays */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <CalendarOff className="h-5 w-5 mr-2 text-red-600" />
+                Holidays
+              </h2>
+              <button
+                onClick={() =>
+                  addListItem('holidays', { startDate: today, endDate: today, reason: '' })
+                }
+                className="text-blue-600 hover:text-blue-700 text-sm flex items-center space-x-1"
+              >
+                <Plus className="h-4 w-4" />
+                <span>Add holiday</span>
+              </button>
+            </div>
+            <div className="space-y-2">
+              {settings.holidays.map((holiday, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="date"
+                    value={holiday.startDate}
+                    onChange={(e) => updateListItem('holidays', index, { startDate: e.target.value })}
+                    className={inputClass}
+                  />
+                  <span className="text-gray-500">to</span>
+                  <input
+                    type="date"
+                    value={holiday.endDate}
+                    onChange={(e) => updateListItem('holidays', index, { endDate: e.target.value })}
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={holiday.reason || ''}
+                    placeholder="Reason (optional)"
+                    onChange={(e) => updateListItem('holidays', index, { reason: e.target.value })}
+                    className={`${inputClass} flex-1 min-w-[8rem]`}
+                  />
+                  <button
+                    onClick={() => removeListItem('holidays', index)}
+                    className="text-red-500 hover:text-red-700 p-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilitySettings;
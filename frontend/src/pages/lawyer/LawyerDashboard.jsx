@@ -14,8 +14,11 @@ import {
   Eye,
   Send,
   Calendar,
+  CalendarClock,
   DollarSign,
   MessageCircle,
+  Star,
+  FolderOpen,
 } from 'lucide-react';
 import { useToast } from '../../contexts/ToastContext';
 import { lawyerAPI } from '../../services/api';
@@ -235,6 +238,41 @@ const LawyerDashboard = () => {
             onClick={() => navigate('/lawyer/pending-connection-requests')}
             color="green"
           />
+          <QuickActionCard
+            title="Consultations"
+            description="Confirm requests and see booked sessions"
+            icon={<Calendar className="h-8 w-8 text-blue-600" />}
+            onClick={() => navigate('/consultations')}
+            color="blue"
+          />
+          <QuickActionCard
+            title="Assigned Disputes"
+            description="Schedule and update court hearings"
+            icon={<Scale className="h-8 w-8 text-indigo-600" />}
+            onClick={() => navigate('/lawyer/assigned-disputes')}
+            color="indigo"
+          />
+          <QuickActionCard
+            title="Availability"
+            description="Set working hours, holidays and booking limits"
+            icon={<CalendarClock className="h-8 w-8 text-emerald-600" />}
+            onClick={() => navigate('/lawyer/availability')}
+            color="emerald"
+          />
+          <QuickActionCard
+            title="My Reviews"
+            description="See client feedback and reply publicly"
+            icon={<Star className="h-8 w-8 text-yellow-500" />}
+            onClick={() => navigate('/lawyer/reviews')}
+            color="yellow"
+          />
+          <QuickActionCard
+            title="Shared Documents"
+            description="Files clients shared from their vault"
+            icon={<FolderOpen className="h-8 w-8 text-blue-600" />}
+            onClick={() => navigate('/lawyer/shared-documents')}
+            color="blue"
+          />
           <QuickActionCard
             title="Available Cases"
             description="Browse and offer help on new cases"
@@ -281,6 +319,8 @@ const QuickActionCard = ({ title, description, icon, onClick, color }) => {
     green: 'hover:bg-green-50 hover:border-green-200',
     purple: 'hover:bg-purple-50 hover:border-purple-200',
     emerald: 'hover:bg-emerald-50 hover:border-emerald-200',
+    indigo: 'hover:bg-indigo-50 hover:border-indigo-200',
+    yellow: 'hover:bg-yellow-50 hover:border-yellow-200',
   };
 
   return (
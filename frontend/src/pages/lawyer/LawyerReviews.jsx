@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Star, MessageSquare, Reply, Send } from 'lucide-react';
+import { useToast } from '../../contexts/ToastContext';
+import { reviewAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import StarRating from '../../components/StarRating';
+
+const LawyerReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ average: 0, count: 0, distribution: {} });
+  const [filter, setFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const { success, error } = useToast();
+
+  useEffect(() => {
+    fetchReviews();
+  }, [filter]);
+
+  const fetchReviews = async () => {
+    try {
+      const response = await reviewAPI.getReceivedReviews({
+        limit: 50,
+        ...(filter === 'unreplied' && { unreplied: 'true' }),
+      });
+      if (response.success) {
+        setReviews(response.data.reviews || []);
+        setSummary(response.data.summary);
+      } else {
+        error(response.error || 'Failed to load reviews');
+      }
+    } catch (err) {
+      console.error('Fetch reviews error:', err);
+      error('Failed to load reviews');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleReply = async (reviewId, content) => {
+    const response = await reviewAPI.replyToReview(reviewId, content);
+    if (response.success) {
+      success('Reply posted');
+      fetchReviews();
+      return true;
+    }
+    error(response.error || 'Failed to post reply');
+    return false;
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-yellow-400 to-orange-500 p-4 rounded-2xl mr-6 shadow-lg">
+            <Star className="h-8 w-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">My Reviews</h1>
+            <p className="text-gray-600 mt-1">
+              What clients say about you. You can reply publicly once to each review.
+            </p>
+          </div>
+        </div>
+
+        {/* Summary */}
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 mb-6 flex items-center space-x-8">
+          <div className="text-center">
+            <p className="text-4xl font-bold text-gray-900">
+              {summary.count ? summary.average.toFixed(1) : '–'}
+            </p>
+            <StarRating value={summary.average} />
+            <p className="text-xs text-gray-500 mt-1">
+              {summary.count} review{summary.count === 1 ? '' : 's'}
+            </p>
+          </div>
+          <div className="flex-1 space-y-1">
+            {[5, 4, 3, 2, 1].map((star) => {
+              const count = summary.distribution?.[star] || 0;
+              const percent = summary.count ? (count / summary.count) * 100 : 0;
+              return (
+                <div key={star} className="flex items-center text-xs text-gray-600">
+                  <span className="w-3">{star}</span>
+                  <div className="flex-1 h-2 mx-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }} />
+                  </div>
+                  <span className="w-6 text-right">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Filter */}
+        <div className="flex space-x-2 mb-6">
+          {[
+            { id: 'all', name: 'All' },
+            { id: 'unreplied', name: 'Awaiting Reply' },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setFilter(tab.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                filter === tab.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+              }`}
+            >
+              {tab.name}
+            </button>
+          ))}
+        </div>
+
+        {/* Reviews */}
+        {reviews.length === 0 ? (
+          <div className="text-center py-12">
+            <MessageSquare className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No reviews here</h3>
+            <p className="text-gray-500">
+              Clients can review you after a consultation or once their case is resolved.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reviews.map((review, index) => (
+              <ReviewCard key={review._id} review={review} index={index} onReply={handleReply} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Review Card Component
+const ReviewCard = ({ review, index, onReply }) => {
+  const [isReplying, setIsReplying] = useState(false);
+  const [reply, setReply] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (reply.trim().length < 2) return;
+
+    setIsSubmitting(true);
+    const posted = await onReply(review._id, reply.trim());
+    setIsSubmitting(false);
+    if (posted) {
+      setIsReplying(false);
+      setReply('');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: index * 0.05 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-100"
+    >
+      <div className="flex items-center justify-between">
+        <StarRating value={review.rating} />
+        <span className="text-xs text-gray-500">
+          {new Date(review.createdAt).toLocaleDateString()}
+        </span>
+      </div>
+      {review.comment && <p className="text-gray-700 mt-3">{review.comment}</p>}
+      <p className="text-xs text-gray-500 mt-2">
+        {review.citizen?.name} · {review.source}: {review.sourceTitle}
+      </p>
+
+      {review.reply?.content ? (
+        <div className="mt-4 ml-4 p-3 bg-gray-50 border-l-2 border-blue-300 rounded">
+          <p className="text-xs font-medium text-gray-900">
+            Your reply · {new Date(review.reply.repliedAt).toLocaleDateString()}
+          </p>
+          <p className="text-sm text-gray-700 mt-1">{review.reply.content}</p>
+        </div>
+      ) : isReplying ? (
+        <form onSubmit={handleSubmit} className="mt-4">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Your public reply (can't be edited later)"
+            rows={3}
+            maxLength={1000}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+          />
+          <div className="flex justify-end space-x-2 mt-2">
+            <button
+              type="button"
+              onClick={() => setIsReplying(false)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting || reply.trim().length < 2}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm transition-colors flex items-center space-x-2"
+            >
+              <Send className="h-4 w-4" />
+              <span>{isSubmitting ? 'Posting...' : 'Post Reply'}</span>
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setIsReplying(true)}
+          className="mt-4 inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          <Reply className="h-4 w-4 mr-1" />
+          Reply
+        </button>
+      )}
+    </motion.div>
+  );
+};
+
+export default LawyerReviews;
@@ -18,6 +18,7 @@ import {
 import { useToast } from '../../contexts/ToastContext';
 import { lawyerAPI } from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import CaseDossierButton from '../../components/CaseDossierButton';
 
 const MyCaseRequests = () => {
   const [sentRequests, setSentRequests] = useState([]);
@@ -426,14 +427,17 @@ const RequestCard = ({
                 <p className="text-sm text-green-600 font-medium">
                   ✅ Request accepted - You can now chat with the {activeTab === 'sent' ? 'citizen' : 'client'}
                 </p>
-                <button
-                  onClick={() => onStartChat(request)}
-                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                >
-                  <MessageCircle className="h-4 w-4 mr-2" />
-                  Start Chat
-                  <ArrowRight className="h-4 w-4 ml-2" />
-                </button>
+                <div className="flex space-x-3">
+                  <CaseDossierButton caseType={request.caseType} caseId={request.caseId} />
+                  <button
+                    onClick={() => onStartChat(request)}
+                    className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                  >
+                    <MessageCircle className="h-4 w-4 mr-2" />
+                    Start Chat
+                    <ArrowRight className="h-4 w-4 ml-2" />
+                  </button>
+                </div>
               </div>
             )}
 
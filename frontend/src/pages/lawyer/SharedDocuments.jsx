@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FolderOpen, FileText, Download, Folder } from 'lucide-react';
+import { useToast } from '../../contexts/ToastContext';
+import { useSocket } from '../../hooks/useSocket';
+import { vaultAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { formatFileSize } from '../../components/CaseDocuments';
+
+// Documents citizens have shared with the lawyer from their vault
+const SharedDocuments = () => {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const { error } = useToast();
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchDocuments();
+  }, []);
+
+  // Refresh when a citizen shares or revokes access
+  useEffect(() => {
+    if (socket) {
+      const handleShareChange = () => fetchDocuments();
+
+      socket.on('document_shared', handleShareChange);
+      socket.on('document_share_revoked', handleShareChange);
+      return () => {
+        socket.off('document_shared', handleShareChange);
+        socket.off('document_share_revoked', handleShareChange);
+      };
+    }
+  }, [socket]);
+
+  const fetchDocuments = async () => {
+    try {
+      const response = await vaultAPI.getSharedWithMe();
+      if (response.success) {
+        setDocuments(response.data.documents || []);
+      } else {
+        error(response.error || 'Failed to load shared documents');
+      }
+    } catch (err) {
+      console.error('Fetch shared documents error:', err);
+      error('Failed to load shared documents');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownload = async (item) => {
+    const response = await vaultAPI.downloadSharedDocument(item._id);
+    if (!response.success) {
+      error(response.error || 'Failed to download document');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = item.name;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  // Group by the citizen who shared them
+  const byCitizen = documents.reduce((groups, item) => {
+    const key = item.owner?._id || 'unknown';
+    if (!groups[key]) {
+      groups[key] = { owner: item.owner, documents: [] };
+    }
+    groups[key].documents.push(item);
+    return groups;
+  }, {});
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-blue-500 to-indigo-600 p-4 rounded-2xl mr-6 shadow-lg">
+            <FolderOpen className="h-8 w-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Shared Documents</h1>
+            <p className="text-gray-600 mt-1">
+              Files your clients have shared with you from their document vault.
+            </p>
+          </div>
+        </div>
+
+        {documents.length === 0 ? (
+          <div className="bg-white rounded-xl p-12 shadow-sm border border-gray-100 text-center">
+            <FileText className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No documents have been shared with you yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {Object.entries(byCitizen).map(([key, group], index) => (
+              <motion.div
+                key={key}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.05 }}
+                className="bg-white rounded-xl p-6 shadow-sm border border-gray-100"
+              >
+                <h2 className="text-lg font-semibold text-gray-900">{group.owner?.name}</h2>
+                <p className="text-sm text-gray-500 mb-4">{group.owner?.email}</p>
+
+                <ul className="space-y-2">
+                  {group.documents.map((item) => (
+                    <li key={item._id} className="p-3 bg-gray-50 rounded-lg flex items-center justify-between">
+                      <div className="flex items-center min-w-0">
+                        <FileText className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm text-gray-900 truncate">{item.name}</p>
+                          <p className="text-xs text-gray-500 flex items-center">
+                            {formatFileSize(item.size)} · {new Date(item.updatedAt).toLocaleDateString()}
+                            {item.sharedVia === 'folder' && item.folderName && (
+                              <span className="ml-2 inline-flex items-center">
+                                <Folder className="h-3 w-3 mr-1" />
+                                {item.folderName}
+                              </span>
+                            )}
+                          </p>
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleDownload(item)}
+                        className="text-gray-500 hover:text-blue-600 p-1 flex-shrink-0 ml-2"
+                        title="Download"
+                      >
+                        <Download className="h-4 w-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </motion.div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedDocuments;
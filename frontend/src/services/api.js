@@ -36,10 +36,15 @@ class ApiClient {
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
-      headers: this.getHeaders(options.headers),
       ...options,
+      headers: this.getHeaders(options.headers),
     };
 
+    // Let the browser set the multipart boundary for FormData
+    if (options.body instanceof FormData) {
+      delete config.headers['Content-Type'];
+    }
+
     try {
       const response = await fetch(url, config);
       const data = await response.json();
@@ -100,16 +105,29 @@ class ApiClient {
     return this.request(endpoint, { method: 'DELETE', ...options });
   }
 
+  // File download method (returns a Blob)
+  async downloadFile(endpoint, options = {}) {
+    const url = `${this.baseURL}${endpoint}`;
+    const response = await fetch(url, {
+      method: 'GET',
+      ...options,
+      headers: this.getHeaders(options.headers),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
   // File upload method
   async uploadFile(endpoint, formData, options = {}) {
-    const headers = { ...options.headers };
-    delete headers['Content-Type']; // Let browser set content-type for FormData
-    
     return this.request(endpoint, {
       method: 'POST',
-      body: formData,
-      headers,
       ...options,
+      body: formData,
     });
   }
 }
@@ -198,6 +216,87 @@ export const authAPI = {
     }
   },
 
+  // Log out of every session
+  async logoutAll() {
+    try {
+      const response = await apiClient.post('/auth/logout-all');
+      return {
+        success: true,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get active sessions (signed-in devices)
+  async getSessions() {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Log out one session
+  async revokeSession(sessionId) {
+    try {
+      const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get recent sign-in attempts
+  async getLoginHistory() {
+    try {
+      const response = await apiClient.get('/auth/login-history');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // "This wasn't me" from a new-device sign-in alert
+  async reportLogin(token) {
+    try {
+      const response = await apiClient.post('/auth/report-login', { token });
+      return {
+        success: true,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
   // Get current user
   async getCurrentUser() {
     try {
@@ -268,16 +367,1470 @@ export const authAPI = {
     }
   },
 
-  // Update password
-  async updatePassword(currentPassword, newPassword, confirmPassword) {
+  // Verify email address with the token from the emailed link
+  async verifyEmail(token) {
+    try {
+      const response = await apiClient.post('/auth/verify-email', { token });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Send a new email verification link
+  async resendVerificationEmail() {
+    try {
+      const response = await apiClient.post('/auth/resend-verification');
+      return {
+        success: true,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Update password
+  async updatePassword(currentPassword, newPassword, confirmPassword) {
+    try {
+      const response = await apiClient.put('/auth/update-password', {
+        currentPassword,
+        newPassword,
+        confirmPassword,
+      });
+      return {
+        success: true,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Second sign-in step: code from the authenticator app, or a backup code
+  async verifyTwoFactorLogin(challengeToken, code) {
+    try {
+      const response = await apiClient.post('/auth/2fa/verify', { challengeToken, code });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get two-factor authentication status
+  async getTwoFactorStatus() {
+    try {
+      const response = await apiClient.get('/auth/2fa');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Start two-factor enrollment. Pass the login challenge token when an admin
+  // is enrolling before their first sign-in.
+  async setupTwoFactor(challengeToken) {
+    try {
+      const response = await apiClient.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Confirm enrollment with a first code; returns the backup codes
+  async enableTwoFactor(code, challengeToken) {
+    try {
+      const response = await apiClient.post('/auth/2fa/enable', challengeToken ? { code, challengeToken } : { code });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Turn off two-factor authentication
+  async disableTwoFactor(password, code) {
+    try {
+      const response = await apiClient.post('/auth/2fa/disable', { password, code });
+      return {
+        success: true,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Replace the backup codes with a new set
+  async regenerateBackupCodes(code) {
+    try {
+      const response = await apiClient.post('/auth/2fa/backup-codes', { code });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Refresh token
+  async refreshToken() {
+    try {
+      const response = await apiClient.post('/auth/refresh-token');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+};
+
+// Admin API services
+export const adminAPI = {
+  // Get dashboard analytics
+  async getDashboardAnalytics() {
+    try {
+      const response = await apiClient.get('/admin/dashboard/analytics');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get pending lawyer verifications
+  async getPendingLawyerVerifications(page = 1, limit = 10) {
+    try {
+      const response = await apiClient.get(`/admin/lawyers/pending-verifications?page=${page}&limit=${limit}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Update lawyer verification status
+  async updateLawyerVerification(lawyerId, action, reason = '') {
+    try {
+      const response = await apiClient.patch(`/admin/lawyers/${lawyerId}/verification`, {
+        action,
+        reason,
+      });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // View a lawyer's verification document (returns a Blob)
+  async getLawyerVerificationDocument(lawyerId, documentId) {
+    try {
+      const blob = await apiClient.downloadFile(
+        `/admin/lawyers/${lawyerId}/verification-documents/${documentId}`
+      );
+      return {
+        success: true,
+        data: blob,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get quarantined uploads (status: pending, released, deleted or all)
+  async getQuarantinedFiles(status = 'pending', page = 1, limit = 20) {
+    try {
+      const response = await apiClient.get(`/admin/quarantine?status=${status}&page=${page}&limit=${limit}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Download a quarantined file for inspection (returns a Blob)
+  async downloadQuarantinedFile(fileId) {
+    try {
+      const blob = await apiClient.downloadFile(`/admin/quarantine/${fileId}/download`);
+      return {
+        success: true,
+        data: blob,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Release a quarantined file to where it was uploaded
+  async releaseQuarantinedFile(fileId) {
+    try {
+      const response = await apiClient.post(`/admin/quarantine/${fileId}/release`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Delete a quarantined file for good
+  async deleteQuarantinedFile(fileId) {
+    try {
+      const response = await apiClient.delete(`/admin/quarantine/${fileId}`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get all users
+  async getAllUsers(filters = {}) {
+    try {
+      const queryParams = new URLSearchParams(filters).toString();
+      const response = await apiClient.get(`/admin/users?${queryParams}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Reset two-factor authentication for a user who lost their device
+  async resetUserTwoFactor(userId, reason) {
+    try {
+      const response = await apiClient.post(`/admin/users/${userId}/reset-2fa`, { reason });
+      return {
+        success: true,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get a user's security audit trail
+  async getUserSecurityEvents(userId) {
+    try {
+      const response = await apiClient.get(`/admin/users/${userId}/security-events`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Toggle user status
+  async toggleUserStatus(userId) {
+    try {
+      const response = await apiClient.patch(`/admin/users/${userId}/toggle-status`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get system stats
+  async getSystemStats() {
+    try {
+      const response = await apiClient.get('/admin/system/stats');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+};
+
+// Citizen API services
+export const citizenAPI = {
+  // Get citizen dashboard stats
+  async getDashboard() {
+    try {
+      const response = await apiClient.get('/citizens/dashboard');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get available lawyers
+  async getAvailableLawyers(params = {}) {
+    try {
+      // Filter out undefined values to prevent them from becoming 'undefined' strings
+      const cleanParams = Object.fromEntries(
+        Object.entries(params).filter(([_, value]) => value !== undefined && value !== null && value !== '')
+      );
+      const queryString = new URLSearchParams(cleanParams).toString();
+      const response = await apiClient.get(`/citizens/available-lawyers?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Send direct connection request
+  async sendConnectionRequest(lawyerId, data) {
+    console.log('📡 FRONTEND API: Sending connection request');
+    console.log('   To Lawyer ID:', lawyerId);
+    console.log('   Request Data:', data);
+
+    try {
+      const response = await apiClient.post(`/citizens/direct-connection-request/${lawyerId}`, data);
+      console.log('   ✅ API Response:', response);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      console.error('   ❌ API Error:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get connected lawyers
+  async getConnectedLawyers(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/connected-lawyers?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get direct chats
+  async getDirectChats(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/direct-chats?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my cases
+  async getMyCases(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/my-cases?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Request lawyer for query
+  async requestLawyerForQuery(queryId, lawyerId, data) {
+    console.log('📡 FRONTEND API: Requesting lawyer for query');
+    console.log('   Query ID:', queryId);
+    console.log('   Lawyer ID:', lawyerId);
+    console.log('   Request Data:', data);
+
+    try {
+      const response = await apiClient.post(`/citizens/request-lawyer-for-query/${queryId}/${lawyerId}`, data);
+      console.log('   ✅ API Response:', response);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      console.error('   ❌ API Error:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Request lawyer for dispute
+  async requestLawyerForDispute(disputeId, lawyerId, data) {
+    console.log('📡 FRONTEND API: Requesting lawyer for dispute');
+    console.log('   Dispute ID:', disputeId);
+    console.log('   Lawyer ID:', lawyerId);
+    console.log('   Request Data:', data);
+
+    try {
+      const response = await apiClient.post(`/citizens/request-lawyer-for-dispute/${disputeId}/${lawyerId}`, data);
+      console.log('   ✅ API Response:', response);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      console.error('   ❌ API Error:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my cases (queries and disputes)
+  async getMyCases(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/my-cases?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get pending requests
+  async getPendingRequests(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/pending-requests?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get received offers
+  async getReceivedOffers(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/received-offers?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my case requests
+  async getMyCaseRequests(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/my-case-requests?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my case offers
+  async getMyCaseOffers(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/citizens/my-case-offers?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Accept case offer
+  async acceptCaseOffer(offerId, data = {}) {
+    try {
+      const response = await apiClient.post(`/citizens/accept-case-offer/${offerId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Reject case offer
+  async rejectCaseOffer(offerId, data = {}) {
+    try {
+      const response = await apiClient.post(`/citizens/reject-case-offer/${offerId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+};
+
+// Lawyer API services
+export const lawyerAPI = {
+  // Get lawyer dashboard stats
+  async getDashboardStats() {
+    try {
+      const response = await apiClient.get('/lawyers/dashboard/stats');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get pending connection requests
+  async getPendingConnectionRequests(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/pending-connection-requests?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Accept connection request
+  async acceptConnectionRequest(connectionId, data = {}) {
+    try {
+      const response = await apiClient.post(`/lawyers/accept-connection-request/${connectionId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Reject connection request
+  async rejectConnectionRequest(connectionId, data = {}) {
+    try {
+      const response = await apiClient.post(`/lawyers/reject-connection-request/${connectionId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get connected citizens
+  async getConnectedCitizens(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/connected-citizens?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get available cases for lawyers
+  async getAvailableCases(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/available-cases?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Send request to handle query
+  async sendQueryRequest(queryId, data) {
+    try {
+      const response = await apiClient.post(`/queries/${queryId}/send-request`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Send request to handle dispute
+  async sendDisputeRequest(disputeId, data) {
+    try {
+      const response = await apiClient.post(`/disputes/${disputeId}/send-request`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Offer help on case (creates lawyerRequests entries)
+  async offerHelpOnCase(caseType, caseId, data) {
+    try {
+      const response = await apiClient.post(`/lawyers/offer-help/${caseType}/${caseId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Respond to query request
+  async respondToQueryRequest(queryId, requestId, data) {
+    try {
+      const response = await apiClient.post(`/queries/${queryId}/requests/${requestId}/respond`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Respond to dispute request
+  async respondToDisputeRequest(disputeId, requestId, data) {
+    try {
+      const response = await apiClient.post(`/disputes/${disputeId}/requests/${requestId}/respond`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Update query status
+  async updateQueryStatus(queryId, data) {
+    try {
+      const response = await apiClient.patch(`/queries/${queryId}/status`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Update dispute status
+  async updateDisputeStatus(disputeId, data) {
+    try {
+      const response = await apiClient.patch(`/disputes/${disputeId}/status`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get cases assigned to me
+  async getMyAssignedCases(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/my-cases?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Schedule a hearing for an assigned dispute
+  async addHearing(disputeId, data) {
+    try {
+      const response = await apiClient.post(`/disputes/${disputeId}/hearings`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Postpone a hearing, optionally to a new date
+  async postponeHearing(disputeId, hearingId, data) {
+    try {
+      const response = await apiClient.patch(`/disputes/${disputeId}/hearings/${hearingId}/postpone`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Mark a hearing as completed
+  async completeHearing(disputeId, hearingId, data = {}) {
+    try {
+      const response = await apiClient.patch(`/disputes/${disputeId}/hearings/${hearingId}/complete`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Cancel a hearing
+  async cancelHearing(disputeId, hearingId, data = {}) {
+    try {
+      const response = await apiClient.patch(`/disputes/${disputeId}/hearings/${hearingId}/cancel`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my case requests
+  async getMyCaseRequests(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/my-case-requests?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get received case requests
+  async getReceivedCaseRequests(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/received-case-requests?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Accept case request
+  async acceptCaseRequest(requestId, data = {}) {
+    try {
+      const response = await apiClient.post(`/lawyers/accept-case-request/${requestId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Reject case request
+  async rejectCaseRequest(requestId, data = {}) {
+    try {
+      const response = await apiClient.post(`/lawyers/reject-case-request/${requestId}`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my direct clients
+  async getMyDirectClients(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/my-direct-clients?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get pending connection requests
+  async getPendingConnectionRequests(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/pending-connection-requests?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Accept connection request
+  async acceptConnectionRequest(connectionId) {
+    try {
+      const response = await apiClient.post(`/lawyers/accept-connection-request/${connectionId}`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Reject connection request
+  async rejectConnectionRequest(connectionId) {
+    try {
+      const response = await apiClient.post(`/lawyers/reject-connection-request/${connectionId}`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get connected citizens
+  async getMyConnectedCitizens(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/connected-citizens?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my availability settings
+  async getMyAvailability() {
+    try {
+      const response = await apiClient.get('/lawyers/availability');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Update my availability settings
+  async updateMyAvailability(data) {
+    try {
+      const response = await apiClient.put('/lawyers/availability', data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get open consultation slots of a lawyer
+  async getAvailableSlots(lawyerId, params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/lawyers/${lawyerId}/availability/slots?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+};
+
+// Chat API services
+export const chatAPI = {
+  // Get chat details and messages
+  async getChatDetails(chatId) {
+    try {
+      const response = await apiClient.get(`/chat/${chatId}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Send a message
+  async sendMessage(chatId, messageData) {
+    try {
+      const response = await apiClient.post(`/chat/${chatId}/messages`, messageData);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Mark message as read
+  async markMessageAsRead(chatId, messageId) {
+    try {
+      const response = await apiClient.post(`/chat/${chatId}/messages/${messageId}/read`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Upload files to send in a chat; returns tokens to pass to send_message
+  async uploadAttachments(chatId, files) {
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach((file) => formData.append('documents', file));
+
+      const response = await apiClient.uploadFile(`/chats/${chatId}/attachments`, formData);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Download a file sent in a chat (returns a Blob)
+  async downloadAttachment(chatId, attachmentId) {
+    try {
+      const blob = await apiClient.downloadFile(`/chats/${chatId}/attachments/${attachmentId}`);
+      return {
+        success: true,
+        data: blob,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get chat history
+  async getChatHistory(chatId, params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/chat/${chatId}/history?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+};
+
+// Consultation API services
+export const consultationAPI = {
+  // Request consultation with a connected lawyer
+  async requestConsultation(data) {
+    try {
+      const response = await apiClient.post('/consultations', data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my consultations (timeframe: upcoming, past, all)
+  async getMyConsultations(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/consultations?${queryString}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get my consultations whose in-app call is open right now
+  async getJoinableConsultations() {
+    try {
+      const response = await apiClient.get('/consultations/joinable');
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Get consultation details
+  async getConsultation(consultationId) {
+    try {
+      const response = await apiClient.get(`/consultations/${consultationId}`);
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Confirm consultation (lawyer)
+  async confirmConsultation(consultationId, data = {}) {
+    try {
+      const response = await apiClient.patch(`/consultations/${consultationId}/confirm`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Decline consultation (lawyer)
+  async declineConsultation(consultationId, data = {}) {
+    try {
+      const response = await apiClient.patch(`/consultations/${consultationId}/decline`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Cancel consultation (either participant)
+  async cancelConsultation(consultationId, data = {}) {
+    try {
+      const response = await apiClient.patch(`/consultations/${consultationId}/cancel`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Propose a new time (or counter the other side's proposal)
+  async proposeReschedule(consultationId, data) {
+    try {
+      const response = await apiClient.post(`/consultations/${consultationId}/reschedule`, data);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Accept the pending reschedule proposal
+  async acceptReschedule(consultationId) {
+    try {
+      const response = await apiClient.patch(`/consultations/${consultationId}/reschedule/accept`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Decline (or withdraw) the pending reschedule proposal
+  async declineReschedule(consultationId) {
+    try {
+      const response = await apiClient.patch(`/consultations/${consultationId}/reschedule/decline`);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  },
+
+  // Complete consultation with summary and optional follow-up (lawyer)
+  async completeConsultation(consultationId, data) {
     try {
-      const response = await apiClient.put('/auth/update-password', {
-        currentPassword,
-        newPassword,
-        confirmPassword,
-      });
+      const response = await apiClient.patch(`/consultations/${consultationId}/complete`, data);
       return {
         success: true,
+        data: response.data,
         message: response.message,
       };
     } catch (error) {
@@ -288,13 +1841,14 @@ export const authAPI = {
     }
   },
 
-  // Refresh token
-  async refreshToken() {
+  // Confirm a follow-up proposed by the lawyer (citizen)
+  async acceptFollowUp(consultationId) {
     try {
-      const response = await apiClient.post('/auth/refresh-token');
+      const response = await apiClient.patch(`/consultations/${consultationId}/follow-up/accept`);
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -303,17 +1857,15 @@ export const authAPI = {
       };
     }
   },
-};
 
-// Admin API services
-export const adminAPI = {
-  // Get dashboard analytics
-  async getDashboardAnalytics() {
+  // Decline a follow-up proposed by the lawyer (citizen)
+  async declineFollowUp(consultationId, data = {}) {
     try {
-      const response = await apiClient.get('/admin/dashboard/analytics');
+      const response = await apiClient.patch(`/consultations/${consultationId}/follow-up/decline`, data);
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -323,10 +1875,10 @@ export const adminAPI = {
     }
   },
 
-  // Get pending lawyer verifications
-  async getPendingLawyerVerifications(page = 1, limit = 10) {
+  // Get the consultations held about a query or dispute
+  async getCaseConsultations(caseType, caseId) {
     try {
-      const response = await apiClient.get(`/admin/lawyers/pending-verifications?page=${page}&limit=${limit}`);
+      const response = await apiClient.get(`/consultations/case/${caseType}/${caseId}`);
       return {
         success: true,
         data: response.data,
@@ -338,18 +1890,17 @@ export const adminAPI = {
       };
     }
   },
+};
 
-  // Update lawyer verification status
-  async updateLawyerVerification(lawyerId, action, reason = '') {
+// Calendar API services
+export const calendarAPI = {
+  // Get my subscribable calendar feed URL
+  async getFeed() {
     try {
-      const response = await apiClient.patch(`/admin/lawyers/${lawyerId}/verification`, {
-        action,
-        reason,
-      });
+      const response = await apiClient.get('/calendar/feed');
       return {
         success: true,
         data: response.data,
-        message: response.message,
       };
     } catch (error) {
       return {
@@ -359,14 +1910,14 @@ export const adminAPI = {
     }
   },
 
-  // Get all users
-  async getAllUsers(filters = {}) {
+  // Regenerate the feed URL (old links stop working)
+  async regenerateFeed() {
     try {
-      const queryParams = new URLSearchParams(filters).toString();
-      const response = await apiClient.get(`/admin/users?${queryParams}`);
+      const response = await apiClient.post('/calendar/feed/regenerate');
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -376,14 +1927,13 @@ export const adminAPI = {
     }
   },
 
-  // Toggle user status
-  async toggleUserStatus(userId) {
+  // Download a consultation as an .ics file
+  async downloadConsultation(consultationId) {
     try {
-      const response = await apiClient.patch(`/admin/users/${userId}/toggle-status`);
+      const blob = await apiClient.downloadFile(`/calendar/consultations/${consultationId}.ics`);
       return {
         success: true,
-        data: response.data,
-        message: response.message,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -392,11 +1942,15 @@ export const adminAPI = {
       };
     }
   },
+};
 
-  // Get system stats
-  async getSystemStats() {
+// Review API services
+export const reviewAPI = {
+  // Get the public reviews of a lawyer
+  async getLawyerReviews(lawyerId, params = {}) {
     try {
-      const response = await apiClient.get('/admin/system/stats');
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/reviews/lawyer/${lawyerId}?${queryString}`);
       return {
         success: true,
         data: response.data,
@@ -408,14 +1962,11 @@ export const adminAPI = {
       };
     }
   },
-};
 
-// Citizen API services
-export const citizenAPI = {
-  // Get citizen dashboard stats
-  async getDashboard() {
+  // Get consultations and cases I can still review
+  async getPendingReviews() {
     try {
-      const response = await apiClient.get('/citizens/dashboard');
+      const response = await apiClient.get('/reviews/pending');
       return {
         success: true,
         data: response.data,
@@ -428,18 +1979,14 @@ export const citizenAPI = {
     }
   },
 
-  // Get available lawyers
-  async getAvailableLawyers(params = {}) {
+  // Review a completed consultation or resolved case
+  async createReview(data) {
     try {
-      // Filter out undefined values to prevent them from becoming 'undefined' strings
-      const cleanParams = Object.fromEntries(
-        Object.entries(params).filter(([_, value]) => value !== undefined && value !== null && value !== '')
-      );
-      const queryString = new URLSearchParams(cleanParams).toString();
-      const response = await apiClient.get(`/citizens/available-lawyers?${queryString}`);
+      const response = await apiClient.post('/reviews', data);
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -449,22 +1996,16 @@ export const citizenAPI = {
     }
   },
 
-  // Send direct connection request
-  async sendConnectionRequest(lawyerId, data) {
-    console.log('📡 FRONTEND API: Sending connection request');
-    console.log('   To Lawyer ID:', lawyerId);
-    console.log('   Request Data:', data);
-
+  // Get reviews written about me (lawyer)
+  async getReceivedReviews(params = {}) {
     try {
-      const response = await apiClient.post(`/citizens/direct-connection-request/${lawyerId}`, data);
-      console.log('   ✅ API Response:', response);
+      const queryString = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/reviews/received?${queryString}`);
       return {
         success: true,
         data: response.data,
-        message: response.message,
       };
     } catch (error) {
-      console.error('   ❌ API Error:', error);
       return {
         success: false,
         error: error.message,
@@ -472,14 +2013,14 @@ export const citizenAPI = {
     }
   },
 
-  // Get connected lawyers
-  async getConnectedLawyers(params = {}) {
+  // Reply to a review (lawyer, once)
+  async replyToReview(reviewId, content) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/connected-lawyers?${queryString}`);
+      const response = await apiClient.post(`/reviews/${reviewId}/reply`, { content });
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -488,12 +2029,15 @@ export const citizenAPI = {
       };
     }
   },
+};
 
-  // Get direct chats
-  async getDirectChats(params = {}) {
+// Payment API services
+export const paymentAPI = {
+  // Get my payments (paid by me as citizen, to me as lawyer, all as admin)
+  async getMyPayments(params = {}) {
     try {
       const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/direct-chats?${queryString}`);
+      const response = await apiClient.get(`/payments?${queryString}`);
       return {
         success: true,
         data: response.data,
@@ -506,11 +2050,10 @@ export const citizenAPI = {
     }
   },
 
-  // Get my cases
-  async getMyCases(params = {}) {
+  // Get a single payment
+  async getPaymentById(paymentId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/my-cases?${queryString}`);
+      const response = await apiClient.get(`/payments/${paymentId}`);
       return {
         success: true,
         data: response.data,
@@ -523,23 +2066,16 @@ export const citizenAPI = {
     }
   },
 
-  // Request lawyer for query
-  async requestLawyerForQuery(queryId, lawyerId, data) {
-    console.log('📡 FRONTEND API: Requesting lawyer for query');
-    console.log('   Query ID:', queryId);
-    console.log('   Lawyer ID:', lawyerId);
-    console.log('   Request Data:', data);
-
+  // Create (or reuse) the payment for a consultation fee (citizen)
+  async createConsultationPayment(consultationId) {
     try {
-      const response = await apiClient.post(`/citizens/request-lawyer-for-query/${queryId}/${lawyerId}`, data);
-      console.log('   ✅ API Response:', response);
+      const response = await apiClient.post(`/payments/consultation/${consultationId}`);
       return {
         success: true,
         data: response.data,
         message: response.message,
       };
     } catch (error) {
-      console.error('   ❌ API Error:', error);
       return {
         success: false,
         error: error.message,
@@ -547,23 +2083,16 @@ export const citizenAPI = {
     }
   },
 
-  // Request lawyer for dispute
-  async requestLawyerForDispute(disputeId, lawyerId, data) {
-    console.log('📡 FRONTEND API: Requesting lawyer for dispute');
-    console.log('   Dispute ID:', disputeId);
-    console.log('   Lawyer ID:', lawyerId);
-    console.log('   Request Data:', data);
-
+  // Ask the client on an assigned case to pay a fee (lawyer)
+  async requestCaseFee(data) {
     try {
-      const response = await apiClient.post(`/citizens/request-lawyer-for-dispute/${disputeId}/${lawyerId}`, data);
-      console.log('   ✅ API Response:', response);
+      const response = await apiClient.post('/payments/case-fee', data);
       return {
         success: true,
         data: response.data,
         message: response.message,
       };
     } catch (error) {
-      console.error('   ❌ API Error:', error);
       return {
         success: false,
         error: error.message,
@@ -571,11 +2100,10 @@ export const citizenAPI = {
     }
   },
 
-  // Get my cases (queries and disputes)
-  async getMyCases(params = {}) {
+  // Start checkout with the payment gateway (citizen)
+  async startCheckout(paymentId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/my-cases?${queryString}`);
+      const response = await apiClient.post(`/payments/${paymentId}/checkout`);
       return {
         success: true,
         data: response.data,
@@ -588,14 +2116,14 @@ export const citizenAPI = {
     }
   },
 
-  // Get pending requests
-  async getPendingRequests(params = {}) {
+  // Finish a test checkout on the fake gateway (development only)
+  async completeFakePayment(paymentId, outcome = 'succeeded') {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/pending-requests?${queryString}`);
+      const response = await apiClient.post(`/payments/${paymentId}/fake-complete`, { outcome });
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -605,14 +2133,14 @@ export const citizenAPI = {
     }
   },
 
-  // Get received offers
-  async getReceivedOffers(params = {}) {
+  // Refund a payment in full or in part (lawyer or admin)
+  async refundPayment(paymentId, data) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/received-offers?${queryString}`);
+      const response = await apiClient.post(`/payments/${paymentId}/refund`, data);
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -622,11 +2150,11 @@ export const citizenAPI = {
     }
   },
 
-  // Get my case requests
-  async getMyCaseRequests(params = {}) {
+  // Get ledger entries and revenue totals (admin)
+  async getLedger(params = {}) {
     try {
       const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/my-case-requests?${queryString}`);
+      const response = await apiClient.get(`/payments/ledger?${queryString}`);
       return {
         success: true,
         data: response.data,
@@ -638,12 +2166,16 @@ export const citizenAPI = {
       };
     }
   },
+};
 
-  // Get my case offers
-  async getMyCaseOffers(params = {}) {
+// Document API services (query and dispute attachments)
+const CASE_PATHS = { query: 'queries', dispute: 'disputes' };
+
+export const documentAPI = {
+  // List the documents of a query or dispute
+  async getCaseDocuments(caseType, caseId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/citizens/my-case-offers?${queryString}`);
+      const response = await apiClient.get(`/${CASE_PATHS[caseType]}/${caseId}/documents`);
       return {
         success: true,
         data: response.data,
@@ -656,10 +2188,14 @@ export const citizenAPI = {
     }
   },
 
-  // Accept case offer
-  async acceptCaseOffer(offerId, data = {}) {
+  // Upload up to 5 files (PDF, Word, text, JPEG/PNG; 10 MB each)
+  async uploadCaseDocuments(caseType, caseId, files, documentType = 'other') {
     try {
-      const response = await apiClient.post(`/citizens/accept-case-offer/${offerId}`, data);
+      const formData = new FormData();
+      Array.from(files).forEach((file) => formData.append('documents', file));
+      formData.append('documentType', documentType);
+
+      const response = await apiClient.uploadFile(`/${CASE_PATHS[caseType]}/${caseId}/documents`, formData);
       return {
         success: true,
         data: response.data,
@@ -673,14 +2209,15 @@ export const citizenAPI = {
     }
   },
 
-  // Reject case offer
-  async rejectCaseOffer(offerId, data = {}) {
+  // Download a document (returns a Blob)
+  async downloadCaseDocument(caseType, caseId, documentId) {
     try {
-      const response = await apiClient.post(`/citizens/reject-case-offer/${offerId}`, data);
+      const blob = await apiClient.downloadFile(
+        `/${CASE_PATHS[caseType]}/${caseId}/documents/${documentId}/download`
+      );
       return {
         success: true,
-        data: response.data,
-        message: response.message,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -689,17 +2226,14 @@ export const citizenAPI = {
       };
     }
   },
-};
 
-// Lawyer API services
-export const lawyerAPI = {
-  // Get lawyer dashboard stats
-  async getDashboardStats() {
+  // Delete a document
+  async deleteCaseDocument(caseType, caseId, documentId) {
     try {
-      const response = await apiClient.get('/lawyers/dashboard/stats');
+      const response = await apiClient.delete(`/${CASE_PATHS[caseType]}/${caseId}/documents/${documentId}`);
       return {
         success: true,
-        data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -709,11 +2243,10 @@ export const lawyerAPI = {
     }
   },
 
-  // Get pending connection requests
-  async getPendingConnectionRequests(params = {}) {
+  // Version history of a document, current version first
+  async getCaseDocumentVersions(caseType, caseId, documentId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/pending-connection-requests?${queryString}`);
+      const response = await apiClient.get(`/${CASE_PATHS[caseType]}/${caseId}/documents/${documentId}/versions`);
       return {
         success: true,
         data: response.data,
@@ -726,14 +2259,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Accept connection request
-  async acceptConnectionRequest(connectionId, data = {}) {
+  // Download an older version of a document (returns a Blob)
+  async downloadCaseDocumentVersion(caseType, caseId, documentId, versionId) {
     try {
-      const response = await apiClient.post(`/lawyers/accept-connection-request/${connectionId}`, data);
+      const blob = await apiClient.downloadFile(`/${CASE_PATHS[caseType]}/${caseId}/documents/${documentId}/versions/${versionId}/download`);
       return {
         success: true,
-        data: response.data,
-        message: response.message,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -743,10 +2275,10 @@ export const lawyerAPI = {
     }
   },
 
-  // Reject connection request
-  async rejectConnectionRequest(connectionId, data = {}) {
+  // Make an older version the current one again
+  async restoreCaseDocumentVersion(caseType, caseId, documentId, versionId) {
     try {
-      const response = await apiClient.post(`/lawyers/reject-connection-request/${connectionId}`, data);
+      const response = await apiClient.post(`/${CASE_PATHS[caseType]}/${caseId}/documents/${documentId}/versions/${versionId}/restore`);
       return {
         success: true,
         data: response.data,
@@ -760,14 +2292,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Get connected citizens
-  async getConnectedCitizens(params = {}) {
+  // Download the whole case as a PDF dossier (returns a Blob)
+  async downloadCaseDossier(caseType, caseId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/connected-citizens?${queryString}`);
+      const blob = await apiClient.downloadFile(`/${CASE_PATHS[caseType]}/${caseId}/dossier`);
       return {
         success: true,
-        data: response.data,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -776,12 +2307,15 @@ export const lawyerAPI = {
       };
     }
   },
+};
 
-  // Get available cases for lawyers
-  async getAvailableCases(params = {}) {
+// Document vault API services
+export const vaultAPI = {
+  // List the folders and documents in a vault folder (root when folderId is empty)
+  async getContents(folderId = null) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/available-cases?${queryString}`);
+      const query = folderId ? `?folderId=${folderId}` : '';
+      const response = await apiClient.get(`/citizens/documents${query}`);
       return {
         success: true,
         data: response.data,
@@ -794,10 +2328,10 @@ export const lawyerAPI = {
     }
   },
 
-  // Send request to handle query
-  async sendQueryRequest(queryId, data) {
+  // Create a folder (inside parentId when given)
+  async createFolder(name, parentId = null) {
     try {
-      const response = await apiClient.post(`/queries/${queryId}/send-request`, data);
+      const response = await apiClient.post('/citizens/documents/folders', { name, parentId });
       return {
         success: true,
         data: response.data,
@@ -811,13 +2345,12 @@ export const lawyerAPI = {
     }
   },
 
-  // Send request to handle dispute
-  async sendDisputeRequest(disputeId, data) {
+  // Delete a folder and everything inside it
+  async deleteFolder(folderId) {
     try {
-      const response = await apiClient.post(`/disputes/${disputeId}/send-request`, data);
+      const response = await apiClient.delete(`/citizens/documents/folders/${folderId}`);
       return {
         success: true,
-        data: response.data,
         message: response.message,
       };
     } catch (error) {
@@ -828,10 +2361,16 @@ export const lawyerAPI = {
     }
   },
 
-  // Offer help on case (creates lawyerRequests entries)
-  async offerHelpOnCase(caseType, caseId, data) {
+  // Upload up to 5 files (PDF, Word, text, JPEG/PNG; 10 MB each)
+  async uploadDocuments(files, folderId = null) {
     try {
-      const response = await apiClient.post(`/lawyers/offer-help/${caseType}/${caseId}`, data);
+      const formData = new FormData();
+      Array.from(files).forEach((file) => formData.append('documents', file));
+      if (folderId) {
+        formData.append('folderId', folderId);
+      }
+
+      const response = await apiClient.uploadFile('/citizens/documents/upload', formData);
       return {
         success: true,
         data: response.data,
@@ -845,14 +2384,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Respond to query request
-  async respondToQueryRequest(queryId, requestId, data) {
+  // Download one of your own documents (returns a Blob)
+  async downloadDocument(documentId) {
     try {
-      const response = await apiClient.post(`/queries/${queryId}/requests/${requestId}/respond`, data);
+      const blob = await apiClient.downloadFile(`/citizens/documents/${documentId}/download`);
       return {
         success: true,
-        data: response.data,
-        message: response.message,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -862,13 +2400,12 @@ export const lawyerAPI = {
     }
   },
 
-  // Respond to dispute request
-  async respondToDisputeRequest(disputeId, requestId, data) {
+  // Delete a document
+  async deleteDocument(documentId) {
     try {
-      const response = await apiClient.post(`/disputes/${disputeId}/requests/${requestId}/respond`, data);
+      const response = await apiClient.delete(`/citizens/documents/${documentId}`);
       return {
         success: true,
-        data: response.data,
         message: response.message,
       };
     } catch (error) {
@@ -879,14 +2416,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Update query status
-  async updateQueryStatus(queryId, data) {
+  // Version history of one of your documents, current version first
+  async getVersions(documentId) {
     try {
-      const response = await apiClient.patch(`/queries/${queryId}/status`, data);
+      const response = await apiClient.get(`/citizens/documents/${documentId}/versions`);
       return {
         success: true,
         data: response.data,
-        message: response.message,
       };
     } catch (error) {
       return {
@@ -896,14 +2432,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Update dispute status
-  async updateDisputeStatus(disputeId, data) {
+  // Download an older version of one of your documents (returns a Blob)
+  async downloadVersion(documentId, versionId) {
     try {
-      const response = await apiClient.patch(`/disputes/${disputeId}/status`, data);
+      const blob = await apiClient.downloadFile(`/citizens/documents/${documentId}/versions/${versionId}/download`);
       return {
         success: true,
-        data: response.data,
-        message: response.message,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -913,14 +2448,14 @@ export const lawyerAPI = {
     }
   },
 
-  // Get my case requests
-  async getMyCaseRequests(params = {}) {
+  // Make an older version of one of your documents current again
+  async restoreVersion(documentId, versionId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/my-case-requests?${queryString}`);
+      const response = await apiClient.post(`/citizens/documents/${documentId}/versions/${versionId}/restore`);
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -930,11 +2465,10 @@ export const lawyerAPI = {
     }
   },
 
-  // Get received case requests
-  async getReceivedCaseRequests(params = {}) {
+  // Lawyers documents can be shared with (connections and assigned lawyers)
+  async getShareableLawyers() {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/received-case-requests?${queryString}`);
+      const response = await apiClient.get('/citizens/documents/lawyers');
       return {
         success: true,
         data: response.data,
@@ -947,10 +2481,11 @@ export const lawyerAPI = {
     }
   },
 
-  // Accept case request
-  async acceptCaseRequest(requestId, data = {}) {
+  // Share a document or folder ('document' | 'folder') with lawyers
+  async share(itemType, itemId, lawyerIds) {
     try {
-      const response = await apiClient.post(`/lawyers/accept-case-request/${requestId}`, data);
+      const base = itemType === 'folder' ? '/citizens/documents/folders' : '/citizens/documents';
+      const response = await apiClient.post(`${base}/${itemId}/share`, { lawyerIds });
       return {
         success: true,
         data: response.data,
@@ -964,10 +2499,11 @@ export const lawyerAPI = {
     }
   },
 
-  // Reject case request
-  async rejectCaseRequest(requestId, data = {}) {
+  // Revoke a lawyer's access to a document or folder
+  async revokeShare(itemType, itemId, lawyerId) {
     try {
-      const response = await apiClient.post(`/lawyers/reject-case-request/${requestId}`, data);
+      const base = itemType === 'folder' ? '/citizens/documents/folders' : '/citizens/documents';
+      const response = await apiClient.delete(`${base}/${itemId}/share/${lawyerId}`);
       return {
         success: true,
         data: response.data,
@@ -981,11 +2517,10 @@ export const lawyerAPI = {
     }
   },
 
-  // Get my direct clients
-  async getMyDirectClients(params = {}) {
+  // Documents citizens have shared with the logged-in lawyer
+  async getSharedWithMe() {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/my-direct-clients?${queryString}`);
+      const response = await apiClient.get('/lawyers/shared-documents');
       return {
         success: true,
         data: response.data,
@@ -998,14 +2533,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Get pending connection requests
-  async getPendingConnectionRequests(params = {}) {
+  // Download a document shared with the logged-in lawyer (returns a Blob)
+  async downloadSharedDocument(documentId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/pending-connection-requests?${queryString}`);
+      const blob = await apiClient.downloadFile(`/lawyers/shared-documents/${documentId}/download`);
       return {
         success: true,
-        data: response.data,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -1014,15 +2548,17 @@ export const lawyerAPI = {
       };
     }
   },
+};
 
-  // Accept connection request
-  async acceptConnectionRequest(connectionId) {
+// Lawyer verification documents API
+export const verificationAPI = {
+  // Get the logged-in lawyer's verification documents and status
+  async getDocuments() {
     try {
-      const response = await apiClient.post(`/lawyers/accept-connection-request/${connectionId}`);
+      const response = await apiClient.get('/lawyers/verification-documents');
       return {
         success: true,
         data: response.data,
-        message: response.message,
       };
     } catch (error) {
       return {
@@ -1032,10 +2568,14 @@ export const lawyerAPI = {
     }
   },
 
-  // Reject connection request
-  async rejectConnectionRequest(connectionId) {
+  // Upload one document of the given type, replacing any earlier one
+  async uploadDocument(documentType, file) {
     try {
-      const response = await apiClient.post(`/lawyers/reject-connection-request/${connectionId}`);
+      const formData = new FormData();
+      formData.append('documentType', documentType);
+      formData.append('documents', file);
+
+      const response = await apiClient.uploadFile('/lawyers/verification-documents', formData);
       return {
         success: true,
         data: response.data,
@@ -1049,14 +2589,13 @@ export const lawyerAPI = {
     }
   },
 
-  // Get connected citizens
-  async getMyConnectedCitizens(params = {}) {
+  // View one of your own verification documents (returns a Blob)
+  async viewDocument(documentId) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/lawyers/connected-citizens?${queryString}`);
+      const blob = await apiClient.downloadFile(`/lawyers/verification-documents/${documentId}/file`);
       return {
         success: true,
-        data: response.data,
+        data: blob,
       };
     } catch (error) {
       return {
@@ -1065,17 +2604,15 @@ export const lawyerAPI = {
       };
     }
   },
-};
 
-// Chat API services
-export const chatAPI = {
-  // Get chat details and messages
-  async getChatDetails(chatId) {
+  // Remove a verification document
+  async deleteDocument(documentId) {
     try {
-      const response = await apiClient.get(`/chat/${chatId}`);
+      const response = await apiClient.delete(`/lawyers/verification-documents/${documentId}`);
       return {
         success: true,
         data: response.data,
+        message: response.message,
       };
     } catch (error) {
       return {
@@ -1084,11 +2621,14 @@ export const chatAPI = {
       };
     }
   },
+};
 
-  // Send a message
-  async sendMessage(chatId, messageData) {
+// Public case ledger verification API
+export const verifyAPI = {
+  // Head of the ledger and its latest Merkle seal
+  async getStatus() {
     try {
-      const response = await apiClient.post(`/chat/${chatId}/messages`, messageData);
+      const response = await apiClient.get('/verify');
       return {
         success: true,
         data: response.data,
@@ -1101,10 +2641,10 @@ export const chatAPI = {
     }
   },
 
-  // Mark message as read
-  async markMessageAsRead(chatId, messageId) {
+  // Check a ledger entry by ID
+  async verifyEntry(entryId) {
     try {
-      const response = await apiClient.post(`/chat/${chatId}/messages/${messageId}/read`);
+      const response = await apiClient.get(`/verify/entries/${entryId}`);
       return {
         success: true,
         data: response.data,
@@ -1117,11 +2657,10 @@ export const chatAPI = {
     }
   },
 
-  // Get chat history
-  async getChatHistory(chatId, params = {}) {
+  // Check whether a document with this SHA-256 checksum was recorded
+  async verifyDocument(checksum) {
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const response = await apiClient.get(`/chat/${chatId}/history?${queryString}`);
+      const response = await apiClient.get(`/verify/documents/${checksum}`);
       return {
         success: true,
         data: response.data,